@@ -0,0 +1,91 @@
+// controllers/apiTokenApiController.js
+const apiTokenService = require('../services/apiTokenService');
+
+const apiTokenApiController = {
+  /**
+   * @api {get} /api/tokens Get All API Tokens
+   * @apiName GetApiTokens
+   * @apiGroup ApiTokens
+   * @apiPermission tenant_admin
+   * @apiDescription Lists API tokens, without their keys. Tenant admins only see their own tenant's tokens.
+   * @apiSuccess {Object[]} tokens Array of token objects (name, role, domain_name, token_prefix, created_by, expires_at, last_used_at, revoked_at).
+   * @apiError (401 Unauthorized) Unauthorized No valid API key was sent.
+   * @apiError (403 Forbidden) Forbidden The token's role may not manage tokens.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server while retrieving tokens.
+   */
+  listTokens: async (req, res) => {
+    try {
+      const tokens = await apiTokenService.listTokens(req.apiToken);
+      res.status(200).json(tokens);
+    } catch (error) {
+      console.error('API Error: List API Tokens', error);
+      res.status(500).json({ error: 'Failed to retrieve API tokens' });
+    }
+  },
+
+  /**
+   * @api {post} /api/tokens Create API Token
+   * @apiName CreateApiToken
+   * @apiGroup ApiTokens
+   * @apiPermission tenant_admin
+   * @apiDescription Creates an API token. The key is returned once, in `token`; only its hash is stored.
+   * Tenant admins can only create tenant_admin and read_only tokens for their own tenant.
+   * @apiParam {String} name Name of the token (e.g., the system using it).
+   * @apiParam {String="global_admin","tenant_admin","read_only"} role Role of the token.
+   * @apiParam {String} [domain_name] Tenant the token is limited to. Required for tenant_admin; leave empty for a read_only token covering all tenants.
+   * @apiParam {Date} [expires_at] When the token stops working.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "name": "acme-portal",
+   * "role": "tenant_admin",
+   * "domain_name": "tenant1.example.com"
+   * }
+   * @apiSuccess (201 Created) {Object} token The created token, including `token` (the API key).
+   * @apiError (400 Bad Request) ValidationError The role is invalid or domain_name is missing.
+   * @apiError (403 Forbidden) Forbidden The requester may not create this token.
+   * @apiError (404 Not Found) TenantNotFound The tenant does not exist.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during token creation.
+   */
+  createToken: async (req, res) => {
+    try {
+      const token = await apiTokenService.createToken(req.body, req.apiToken);
+      res.status(201).json(token);
+    } catch (error) {
+      console.error('API Error: Create API Token', error);
+      if (error.message.includes('Not allowed')) {
+          return res.status(403).json({ error: error.message });
+      } else if (error.message.includes('Tenant not found')) {
+          return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Invalid role') || error.message.includes('is required') || error.name === 'ValidationError') {
+          return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to create API token' });
+    }
+  },
+
+  /**
+   * @api {delete} /api/tokens/:token_id Revoke API Token
+   * @apiName RevokeApiToken
+   * @apiGroup ApiTokens
+   * @apiPermission tenant_admin
+   * @apiDescription Revokes an API token. It stops working immediately and stays listed with `revoked_at` set.
+   * @apiParam {String} token_id The token's `_id`.
+   * @apiSuccess {Object} token The revoked token.
+   * @apiError (404 Not Found) NotFound The token was not found (or belongs to another tenant).
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server while revoking the token.
+   */
+  revokeToken: async (req, res) => {
+    try {
+      const token = await apiTokenService.revokeToken(req.params.token_id, req.apiToken);
+      res.status(200).json(token);
+    } catch (error) {
+      console.error('API Error: Revoke API Token', error);
+      if (error.message.includes('API token not found')) {
+          return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+  },
+};
+
+module.exports = apiTokenApiController;
@@ -1,37 +1,413 @@
 // controllers/configurationController.js
-// This controller is responsible for generating FreeSWITCH's sofia.conf XML.
+// This controller is responsible for generating FreeSWITCH's sofia.conf, ivr.conf, callcenter.conf and conference.conf XML.
 
 const { config } = require('dotenv');
 const globalConfigService = require('../services/globalConfigService'); // Import the global config service
+const tenantService = require('../services/tenantService');
+const xmlGenerator = require('../utils/xmlGenerator');
+const freeswitchNames = require('../utils/freeswitchNames');
+const outboundRoutingService = require('../services/outboundRoutingService');
+
+// Audio/video settings for the conference profiles a room can pick
+const CONFERENCE_BASE_PROFILES = {
+  default: { "rate": "8000", "interval": "20" },
+  wideband: { "rate": "16000", "interval": "20" },
+  ultrawideband: { "rate": "32000", "interval": "20" },
+  video: {
+    "rate": "48000",
+    "interval": "20",
+    "video-mode": "mux",
+    "video-layout-name": "group:grid",
+    "video-canvas-size": "1920x1080",
+    "video-canvas-bgcolor": "#333333",
+    "video-layout-bgcolor": "#000000",
+    "video-codec-bandwidth": "1mb",
+    "video-fps": "15",
+  },
+};
+
+// Settings shared by every conference profile
+const CONFERENCE_COMMON_PARAMS = {
+  "timer-name": "soft",
+  "energy-level": "100",
+  "comfort-noise": "true",
+  "caller-controls": "default",
+  "moderator-controls": "moderator",
+  "muted-sound": "conference/conf-muted.wav",
+  "unmuted-sound": "conference/conf-unmuted.wav",
+  "alone-sound": "conference/conf-alone.wav",
+  "moh-sound": "$${hold_music}",
+  "enter-sound": "tone_stream://%(200,0,500,600,700)",
+  "exit-sound": "tone_stream://%(500,0,300,200,100,50,25)",
+  "kicked-sound": "conference/conf-kicked.wav",
+  "locked-sound": "conference/conf-locked.wav",
+  "is-locked-sound": "conference/conf-is-locked.wav",
+  "is-unlocked-sound": "conference/conf-is-unlocked.wav",
+  "pin-sound": "conference/conf-pin.wav",
+  "bad-pin-sound": "conference/conf-bad-pin.wav",
+};
+
+// DTMF controls for participants ("default") and moderators ("moderator")
+const CONFERENCE_CALLER_CONTROLS = {
+  default: [
+    { action: "mute", digits: "0" },
+    { action: "deaf mute", digits: "*" },
+    { action: "energy up", digits: "9" },
+    { action: "energy equ", digits: "8" },
+    { action: "energy dn", digits: "7" },
+    { action: "vol talk up", digits: "3" },
+    { action: "vol talk zero", digits: "2" },
+    { action: "vol talk dn", digits: "1" },
+    { action: "vol listen up", digits: "6" },
+    { action: "vol listen zero", digits: "5" },
+    { action: "vol listen dn", digits: "4" },
+    { action: "hangup", digits: "#" },
+  ],
+  moderator: [
+    { action: "mute", digits: "0" },
+    { action: "deaf mute", digits: "*" },
+    { action: "lock", digits: "7" },
+    { action: "vol talk up", digits: "3" },
+    { action: "vol talk zero", digits: "2" },
+    { action: "vol talk dn", digits: "1" },
+    { action: "vol listen up", digits: "6" },
+    { action: "vol listen zero", digits: "5" },
+    { action: "vol listen dn", digits: "4" },
+    { action: "hangup", digits: "#" },
+  ],
+};
+
+/**
+ * Translates a tenant IVR menu option into the FreeSWITCH menu entry action and parameter.
+ * @param {Object} tenant - Tenant data.
+ * @param {Object} entry - The IVR menu entry.
+ * @returns {Promise<{action: string, param: string}|null>} The entry action/param, or null if the destination cannot be resolved.
+ */
+const buildIvrMenuEntry = async (tenant, entry) => {
+  const domain = tenant.domain_name;
+  const target = entry.destination_target;
+
+  switch (entry.destination_type) {
+    case "extension":
+      return { action: "menu-exec-app", param: `bridge user/${target}@${domain}` };
+    case "group": {
+      const group = tenant.groups?.find(g => g.name === target);
+      if (!group) return null;
+      const members = group.members.map(member => `user/${member.user_id}@${domain}`);
+      return { action: "menu-exec-app", param: `bridge ${members.join(group.type === "hunt" ? "|" : ",")}` };
+    }
+    case "ivr":
+      if (!tenant.ivr_menus?.some(menu => menu.name === target)) return null;
+      return { action: "menu-sub", param: freeswitchNames.ivrMenu(domain, target) };
+    case "voicemail":
+      return { action: "menu-exec-app", param: `voicemail default ${domain} ${target}` };
+    case "external_number": {
+      const dialString = await outboundRoutingService.buildDialString(target);
+      return dialString ? { action: "menu-exec-app", param: `bridge ${dialString}` } : null;
+    }
+    case "custom":
+      return { action: "menu-exec-app", param: target };
+    case "hangup":
+      return { action: "menu-exec-app", param: "hangup" };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Generates ivr.conf for tenant IVR menus.
+ * When FreeSWITCH asks for a specific menu (Menu-Name), every menu of the owning tenant is returned
+ * so that submenus referenced through menu-sub can be built from the same document.
+ * @param {Object} body - The request body from FreeSWITCH XML-Curl.
+ * @returns {Promise<string>} The FreeSWITCH XML configuration response.
+ */
+const generateIvrConfiguration = async (body) => {
+  const requestedMenu = body["Menu-Name"];
+  const tenants = await tenantService.getAllTenants();
+
+  const selectedTenants = requestedMenu
+    ? tenants.filter(tenant => tenant.ivr_menus?.some(menu => freeswitchNames.ivrMenu(tenant.domain_name, menu.name) === requestedMenu))
+    : tenants;
+
+  let menusXml = '';
+  for (const tenant of selectedTenants) {
+    for (const menu of tenant.ivr_menus || []) {
+      const menuName = freeswitchNames.ivrMenu(tenant.domain_name, menu.name);
+      const attributes = {
+        "name": menuName,
+        "greet-long": menu.greet_long,
+        "greet-short": menu.greet_short || menu.greet_long,
+        "invalid-sound": menu.invalid_sound,
+        "exit-sound": menu.exit_sound,
+        "timeout": menu.timeout,
+        "inter-digit-timeout": menu.inter_digit_timeout,
+        "max-failures": menu.max_failures,
+        "max-timeouts": menu.max_timeouts,
+        "digit-len": menu.digit_len,
+        "exec-on-max-timeouts": menu.timeout_sound ? `playback ${menu.timeout_sound}` : undefined,
+      };
+      const attributesXml = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([attribute, value]) => `${attribute}="${xmlGenerator.escapeAttribute(value)}"`)
+        .join(' ');
+
+      menusXml += `
+        <menu ${attributesXml}>`;
+
+      for (const entry of menu.entries || []) {
+        const menuEntry = await buildIvrMenuEntry(tenant, entry);
+        if (!menuEntry) {
+          console.warn(`WARN: IVR menu "${menuName}" option ${entry.digits} points at unknown ${entry.destination_type} "${entry.destination_target}". Skipping.`);
+          continue;
+        }
+        menusXml += `
+          <entry action="${menuEntry.action}" digits="${xmlGenerator.escapeAttribute(entry.digits)}" param="${xmlGenerator.escapeAttribute(menuEntry.param)}"/>`;
+      }
+
+      menusXml += `
+        </menu>`;
+    }
+  }
+
+  if (!menusXml) {
+    console.warn(`No IVR menus found${requestedMenu ? ` for menu "${requestedMenu}"` : ''}.`);
+    return xmlGenerator.generateNotFoundXml();
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<document type="freeswitch/xml">
+  <section name="configuration">
+    <configuration name="ivr.conf" description="IVR menus">
+      <menus>${menusXml}
+      </menus>
+    </configuration>
+  </section>
+</document>`;
+};
+
+/**
+ * Generates callcenter.conf for tenant call center queues.
+ * Agents are the SIP clients listed in a queue's tiers. When FreeSWITCH asks for a single queue
+ * (CC-Queue, e.g. "callcenter_config queue load"), only that queue and its agents/tiers are returned.
+ * @param {Object} body - The request body from FreeSWITCH XML-Curl.
+ * @returns {Promise<string>} The FreeSWITCH XML configuration response.
+ */
+const generateCallcenterConfiguration = async (body) => {
+  const requestedQueue = body["CC-Queue"];
+  const tenants = await tenantService.getAllTenants();
+
+  let queuesXml = '';
+  let agentsXml = '';
+  let tiersXml = '';
+
+  tenants.forEach(tenant => {
+    const agentNames = new Set();
+
+    (tenant.call_center_queues || []).forEach(queue => {
+      const queueName = freeswitchNames.callcenterQueue(tenant.domain_name, queue.name);
+      if (requestedQueue && requestedQueue !== queueName) return;
+
+      const params = {
+        "strategy": queue.strategy,
+        "moh-sound": queue.moh_sound,
+        "announce-sound": queue.announce_sound,
+        "announce-frequency": queue.announce_frequency,
+        "record-template": queue.record_template,
+        "time-base-score": "system",
+        "max-wait-time": queue.max_wait_time,
+        "max-wait-time-with-no-agent": queue.max_wait_time_with_no_agent,
+        "max-wait-time-with-no-agent-time-reached": queue.max_wait_time_with_no_agent_time_reached,
+        "tier-rules-apply": queue.tier_rules_apply,
+        "tier-rule-wait-second": queue.tier_rule_wait_second,
+        "tier-rule-wait-multiply-level": queue.tier_rule_wait_multiply_level,
+        "tier-rule-no-agent-no-wait": queue.tier_rule_no_agent_no_wait,
+        "discard-abandoned-after": queue.discard_abandoned_after,
+        "abandoned-resume-allowed": queue.abandoned_resume_allowed,
+      };
+
+      queuesXml += `
+        <queue name="${xmlGenerator.escapeAttribute(queueName)}">`;
+      Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .forEach(([name, value]) => {
+          queuesXml += `
+          <param name="${name}" value="${xmlGenerator.escapeAttribute(value)}"/>`;
+        });
+      queuesXml += `
+        </queue>`;
+
+      (queue.tiers || []).forEach(tier => {
+        const sipClient = tenant.sip_clients?.find(client => client.user_id === tier.user_id);
+        if (!sipClient) {
+          console.warn(`WARN: Queue "${queueName}" tier references unknown SIP client "${tier.user_id}". Skipping.`);
+          return;
+        }
+
+        const agentName = freeswitchNames.callcenterAgent(tenant.domain_name, sipClient.user_id);
+        tiersXml += `
+        <tier agent="${xmlGenerator.escapeAttribute(agentName)}" queue="${xmlGenerator.escapeAttribute(queueName)}" level="${tier.level ?? 1}" position="${tier.position ?? 1}"/>`;
+
+        if (agentNames.has(agentName)) return;
+        agentNames.add(agentName);
+
+        const agent = sipClient.call_center_agent || {};
+        const contact = `[call_timeout=${agent.call_timeout ?? 20}]user/${sipClient.user_id}@${tenant.domain_name}`;
+        agentsXml += `
+        <agent name="${xmlGenerator.escapeAttribute(agentName)}" type="callback" contact="${xmlGenerator.escapeAttribute(contact)}" status="${xmlGenerator.escapeAttribute(agent.status || 'Available')}" max-no-answer="${agent.max_no_answer ?? 3}" wrap-up-time="${agent.wrap_up_time ?? 10}" reject-delay-time="${agent.reject_delay_time ?? 10}" busy-delay-time="${agent.busy_delay_time ?? 60}" no-answer-delay-time="${agent.no_answer_delay_time ?? 60}"/>`;
+      });
+    });
+  });
+
+  if (!queuesXml) {
+    console.warn(`No call center queues found${requestedQueue ? ` for queue "${requestedQueue}"` : ''}.`);
+    if (requestedQueue) return xmlGenerator.generateNotFoundXml();
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<document type="freeswitch/xml">
+  <section name="configuration">
+    <configuration name="callcenter.conf" description="CallCenter">
+      <settings>
+      </settings>
+      <queues>${queuesXml}
+      </queues>
+      <agents>${agentsXml}
+      </agents>
+      <tiers>${tiersXml}
+      </tiers>
+    </configuration>
+  </section>
+</document>`;
+};
+
+/**
+ * Renders a conference.conf <profile> element.
+ * @param {string} name - Profile name.
+ * @param {Object} params - Profile parameters; empty values are omitted.
+ * @returns {string} The profile XML.
+ */
+const renderConferenceProfile = (name, params) => {
+  let xml = `
+        <profile name="${xmlGenerator.escapeAttribute(name)}">`;
+  Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .forEach(([param, value]) => {
+      xml += `
+          <param name="${param}" value="${xmlGenerator.escapeAttribute(value)}"/>`;
+    });
+  return xml + `
+        </profile>`;
+};
+
+/**
+ * Generates conference.conf for tenant conference rooms.
+ * Each room gets its own profile (built on its base profile) carrying the room's PINs, member limit and recording flag,
+ * and the base profiles referenced by rooms are served alongside the shared caller-controls.
+ * @param {Object} body - The request body from FreeSWITCH XML-Curl.
+ * @returns {Promise<string>} The FreeSWITCH XML configuration response.
+ */
+const generateConferenceConfiguration = async (body) => {
+  const tenants = await tenantService.getAllTenants();
+
+  const baseProfilesInUse = new Set(["default"]);
+  let roomProfilesXml = '';
+
+  tenants.forEach(tenant => {
+    (tenant.conference_rooms || []).forEach(room => {
+      const baseProfile = CONFERENCE_BASE_PROFILES[room.profile] ? room.profile : "default";
+      baseProfilesInUse.add(baseProfile);
+
+      roomProfilesXml += renderConferenceProfile(freeswitchNames.conferenceProfile(tenant.domain_name, room.name), {
+        ...CONFERENCE_BASE_PROFILES[baseProfile],
+        ...CONFERENCE_COMMON_PARAMS,
+        "domain": tenant.domain_name,
+        "pin": room.participant_pin,
+        "moderator-pin": room.moderator_pin,
+        "max-members": room.max_members > 0 ? room.max_members : undefined,
+        "auto-record": room.record ? "$${recordings_dir}/${conference_name}_${strftime(%Y-%m-%d-%H-%M-%S)}.wav" : undefined,
+      });
+    });
+  });
+
+  let profilesXml = '';
+  baseProfilesInUse.forEach(baseProfile => {
+    profilesXml += renderConferenceProfile(baseProfile, { ...CONFERENCE_BASE_PROFILES[baseProfile], ...CONFERENCE_COMMON_PARAMS });
+  });
+  profilesXml += roomProfilesXml;
+
+  let callerControlsXml = '';
+  Object.entries(CONFERENCE_CALLER_CONTROLS).forEach(([group, controls]) => {
+    callerControlsXml += `
+        <group name="${group}">`;
+    controls.forEach(control => {
+      callerControlsXml += `
+          <control action="${control.action}" digits="${xmlGenerator.escapeAttribute(control.digits)}"/>`;
+    });
+    callerControlsXml += `
+        </group>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<document type="freeswitch/xml">
+  <section name="configuration">
+    <configuration name="conference.conf" description="Audio Conference">
+      <caller-controls>${callerControlsXml}
+      </caller-controls>
+      <profiles>${profilesXml}
+      </profiles>
+    </configuration>
+  </section>
+</document>`;
+};
+
+// Configuration files generated from tenant data, keyed by the file name FreeSWITCH requests
+const tenantConfigurationGenerators = {
+  "ivr.conf": generateIvrConfiguration,
+  "callcenter.conf": generateCallcenterConfiguration,
+  "conference.conf": generateConferenceConfiguration,
+};
 
 const configurationController = {
   /**
-   * Handles FreeSWITCH XML-Curl configuration lookup requests for sofia.conf.
-   * It fetches all globally configured external gateways and dynamically generates
-   * both the 'internal' and 'external' SIP profiles for FreeSWITCH.
+   * Handles FreeSWITCH XML-Curl configuration lookup requests.
+   * For sofia.conf it fetches all globally configured external gateways and dynamically generates
+   * both the 'internal' and 'external' SIP profiles for FreeSWITCH. ivr.conf, callcenter.conf and conference.conf are built from tenant data.
    * @param {Object} body - The request body from FreeSWITCH XML-Curl, containing the requested config key.
    * @param {string} body.key_value - The configuration file name requested (e.g., "sofia.conf").
+   * @param {Object} [options={}] - Lookup options.
+   * @param {boolean} [options.includeSecrets=false] - Include gateway passwords in sofia.conf. Only set for authenticated FreeSWITCH nodes.
    * @returns {Promise<string>} The FreeSWITCH XML configuration response.
    */
-  lookup: async (body) => {
+  lookup: async (body, options = {}) => {
     const { key_value } = body;
 
     console.log("Requested config key:", key_value);
 
+    const generateTenantConfiguration = tenantConfigurationGenerators[key_value];
+    if (generateTenantConfiguration) {
+      try {
+        return await generateTenantConfiguration(body);
+      } catch (error) {
+        console.error(`FreeSWITCH ${key_value} Configuration XML-Curl Error:`, error);
+        return '<document type="freeswitch/xml"><section name="configuration"><result status="error"/></section></document>';
+      }
+    }
+
     // Only respond to sofia.conf requests
     if (key_value !== "sofia.conf") {
-      // Return a "not found" XML string if the key_value is not sofia.conf
-      return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
-<document type="freeswitch/xml">
-  <section name="result">
-    <result status="not found" />
-  </section>
-</document>`;
+      // Return a "not found" XML string if the key_value is not a configuration we generate
+      return xmlGenerator.generateNotFoundXml();
     }
 
     try {
-      // Fetch all global external gateways from the database
-      const globalGateways = await globalConfigService.getAllExternalGateways();
+      // Fetch all global external gateways from the database; passwords are only decrypted for authenticated nodes
+      const includeSecrets = options.includeSecrets === true;
+      if (!includeSecrets) {
+        console.warn('WARN: sofia.conf request is not from an authenticated node. Omitting gateway passwords.');
+      }
+      const globalGateways = includeSecrets
+        ? await globalConfigService.getExternalGatewaysWithCredentials()
+        : await globalConfigService.getAllExternalGateways();
 
       // Define default values for FreeSWITCH variables that are hardcoded in the XML
       // These replace variables like ${global_codec_prefs} that FreeSWITCH expects to be resolved.
@@ -114,7 +490,7 @@ xml += `
             <gateway name="${gateway.name}">
               ${gateway.realm ? `<param name="realm" value="${gateway.realm}"/>` : ''}
               ${gateway.username ? `<param name="username" value="${gateway.username}"/>` : ''}
-              ${gateway.password ? `<param name="password" value="${gateway.password}"/>` : ''}
+              ${includeSecrets && gateway.password ? `<param name="password" value="${gateway.password}"/>` : ''}
               ${gateway.proxy ? `<param name="proxy" value="${gateway.proxy}"/>` : ''}
               <param name="register" value="${gateway.register ? 'true' : 'false'}"/>
               <param name="extension" value="auto_to_user"/>
@@ -224,11 +600,6 @@ xml += `
   </section>
 </document>`;
 
-      // Log the generated XML for debugging purposes
-      console.log("--- Generated sofia.conf XML from configurationController ---");
-      console.log(xml);
-      console.log("--- End Generated sofia.conf XML ---");
-
       // Return the generated XML string directly
       return xml;
     } catch (error) {
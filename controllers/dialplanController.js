@@ -3,16 +3,28 @@
 // --- START: Imports ---
 const xmlGenerator = require("../utils/xmlGenerator");
 const tenantService = require("../services/tenantService"); // IMPORTED
-const globalConfigService = require("../services/globalConfigService"); // IMPORTED
-const signalwireService = require("../services/signalwireService")
+const outboundRoutingService = require("../services/outboundRoutingService");
+const callerNameService = require("../services/callerNameService");
+const emergencyService = require("../services/emergencyService");
+const callerFilterService = require("../services/callerFilterService");
+const scheduleEvaluator = require("../utils/scheduleEvaluator");
+const freeswitchNames = require("../utils/freeswitchNames");
+const classOfService = require("../utils/classOfService");
+const featureCodes = require("../utils/featureCodes");
+const dialplanConditions = require("../utils/dialplanConditions");
 // --- END: Imports ---
 
 // --- START: Inlined Constants ---
-const SIGNALWIRE_TRUNK_PROFILE_NAME = "signalwire";
 const IVR_SOUND_PATH_INVALID_DOMAIN = "ivr/ivr-call_cannot_be_completed_as_dialed.wav";
 const IVR_SOUND_PATH_CALL_CANNOT_BE_COMPLETED = "ivr/ivr-call_cannot_be_completed_as_dialed.wav";
 const IVR_SOUND_PATH_INVALID_ENTRY = "ivr/ivr-that_was_an_invalid_entry.wav";
-const VOICEMAIL_CHECK_EXTENSION = "*98";
+const IVR_SOUND_PATH_CALL_NOT_PERMITTED = "ivr/ivr-call_cannot_be_completed_as_dialed.wav";
+const IVR_SOUND_PATH_ENTER_DESTINATION = "ivr/ivr-enter_destination_telephone_number.wav";
+const IVR_SOUND_PATH_CALL_FORWARD_SET = "ivr/ivr-call_forwarding_has_been_set.wav";
+const IVR_SOUND_PATH_CALL_FORWARD_CANCELLED = "ivr/ivr-call_forwarding_has_been_cancelled.wav";
+const IVR_SOUND_PATH_DND_ACTIVATED = "ivr/ivr-dnd_activated.wav";
+const IVR_SOUND_PATH_DND_CANCELLED = "ivr/ivr-dnd_cancelled.wav";
+const DEFAULT_EMERGENCY_NUMBERS = ["911", "933"];
 // --- END: Inlined Constants ---
 
 // --- START: Inlined Utility Functions ---
@@ -52,6 +64,262 @@ function normalizePhoneNumber(phoneNumber) {
 function escapeRegExp(string) {
     return String(string).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
+
+/**
+ * Finds the tenant SIP client that placed a call, based on the user and domain it authenticated as.
+ * sofia sets user_name and domain_name once a call passes digest authentication. The caller ID number and
+ * Caller-Username come from the From header, which the calling device chooses, so they never identify the caller.
+ * @param {Object} tenant - Tenant data.
+ * @param {Object} body - FreeSWITCH request body.
+ * @returns {Object|null} The originating SIP client, or null if the call was not authenticated as one of the tenant's clients.
+ */
+function findOriginatingSipClient(tenant, body) {
+    const authenticatedUser = body.variable_user_name || body.variable_sip_auth_username;
+    const authenticatedDomain = body.variable_domain_name || body.variable_sip_auth_realm;
+    if (!authenticatedUser || !authenticatedDomain || !tenant?.domain_name) return null;
+    if (String(authenticatedDomain).toLowerCase() !== tenant.domain_name.toLowerCase()) return null;
+    return tenant.sip_clients?.find((client) => client.user_id === String(authenticatedUser)) || null;
+}
+
+/**
+ * Records why a routing rule took the call or was skipped, for dialplan simulations.
+ * @param {Object} options - Lookup options; steps are only recorded when options.trace is an array.
+ * @param {string} rule - The routing rule (e.g., "group", "sip_client").
+ * @param {boolean} matched - Whether the rule took the call.
+ * @param {string} reason - Why the rule matched or was skipped.
+ */
+function traceRule(options, rule, matched, reason) {
+    if (Array.isArray(options?.trace)) options.trace.push({ rule, matched, reason });
+}
+
+/**
+ * Converts a stored dialplan extension into the structured extension object xmlGenerator renders.
+ * @param {Object} extension - A dialplan extension from tenant.dialplan.
+ * @returns {Object} The structured extension object.
+ */
+function toExtensionObject(extension) {
+    if (extension.conditions?.length) {
+        return { name: extension.name, continue: Boolean(extension.continue), conditions: extension.conditions };
+    }
+    return {
+        name: extension.name,
+        continue: Boolean(extension.continue),
+        condition_field: extension.condition_field,
+        expression: extension.condition_expression,
+        actions: extension.actions || [],
+    };
+}
+
+/**
+ * Builds the hash action that remembers the number a SIP client dialed, for the redial feature code.
+ * @param {Object|null} sipClient - The originating SIP client, if known.
+ * @param {string} destination - The dialed number.
+ * @returns {Array<Object>} The hash action, or no actions if the caller is not a SIP client.
+ */
+function getRedialHashActions(sipClient, destination) {
+    if (!sipClient) return [];
+    return [{ application: "hash", data: `insert/\${domain_name}-last_dial/${sipClient.user_id}/${destination}` }];
+}
+
+/**
+ * Applies the caller's class of service to an external number and logs the decision.
+ * @param {Object} tenant - Tenant data.
+ * @param {Object|null} sipClient - The originating SIP client, if known.
+ * @param {Object} body - FreeSWITCH request body.
+ * @param {string} number - The dialed external number.
+ * @returns {Array<Object>|null} Actions that reject the call with a denial prompt, or null if the call is allowed.
+ */
+function getOutboundDenialActions(tenant, sipClient, body, number) {
+    const caller = sipClient?.user_id || body["Caller-Caller-ID-Number"] || "unknown";
+    const { allowed, profile, category } = classOfService.check(tenant, sipClient, number);
+
+    if (allowed) {
+        console.log(`INFO: Class of service "${profile}" allows ${category} call from ${caller} (tenant ${tenant.domain_name}) to ${number}`);
+        return null;
+    }
+
+    console.warn(`WARN: Class of service "${profile}" denies ${category} call from ${caller} (tenant ${tenant.domain_name}) to ${number}`);
+    return [
+        { application: "log", data: `WARNING Outbound ${category} call from ${caller}@${tenant.domain_name} to ${number} denied by class of service ${profile}` },
+        { application: "answer", data: "" },
+        { application: "playback", data: IVR_SOUND_PATH_CALL_NOT_PERMITTED },
+        { application: "hangup", data: "OUTGOING_CALL_BARRED" },
+    ];
+}
+
+/**
+ * Applies the tenant's and the DID's caller blocklists and allowlists to an inbound call and logs the decision.
+ * @param {Object} tenant - Tenant data.
+ * @param {Object} did - The called DID.
+ * @param {Object} body - FreeSWITCH request body.
+ * @param {Object} [options={}] - Lookup options (see dialplanController.lookup).
+ * @returns {Promise<Array<Object>|null>} Actions for a blocked caller (reject, voicemail or prompt), or null if the call is allowed.
+ */
+async function getCallerFilterActions(tenant, did, body, options = {}) {
+    const caller = body["Caller-Caller-ID-Number"] || "";
+    const { allowed, entry, reason } = await callerFilterService.evaluate(tenant, did, caller, options);
+    traceRule(options, "caller_filter", !allowed, reason);
+
+    if (allowed) {
+        if (entry) console.log(`INFO: Caller filter for ${did.did_number} (tenant ${tenant.domain_name}): ${reason}`);
+        return null;
+    }
+
+    console.warn(`WARN: Caller filter blocked call to ${did.did_number} (tenant ${tenant.domain_name}): ${reason}`);
+    const actions = [{ application: "log", data: `WARNING Inbound call from ${caller || "unknown"} to ${did.did_number} blocked: ${reason}` }];
+    switch (entry?.action) {
+        case "voicemail":
+            actions.push({ application: "answer", data: "" });
+            actions.push({ application: "sleep", data: "1000" });
+            actions.push({ application: "voicemail", data: `default ${tenant.domain_name} ${entry.voicemail_box}` });
+            actions.push({ application: "hangup", data: "" });
+            break;
+        case "prompt":
+            actions.push({ application: "answer", data: "" });
+            actions.push({ application: "playback", data: entry.prompt });
+            actions.push({ application: "hangup", data: "CALL_REJECTED" });
+            break;
+        default:
+            actions.push({ application: "hangup", data: "CALL_REJECTED" });
+    }
+    return actions;
+}
+
+/**
+ * Resolves a call-forwarding target into a bridge dial string.
+ * Targets may be internal extensions (SIP client user_ids) or external numbers routed through the gateway.
+ * External numbers must be allowed by the forwarding SIP client's class of service: a forward is an outbound call
+ * made on the client's behalf.
+ * @param {Object} tenant - Tenant data.
+ * @param {string} target - The configured forwarding target.
+ * @param {Object} sipClient - The SIP client whose calls are forwarded.
+ * @returns {Promise<string|null>} The FreeSWITCH dial string, or null if the target cannot be resolved or is not allowed.
+ */
+async function buildForwardDialString(tenant, target, sipClient) {
+    const forwardTarget = String(target || "").trim();
+    if (!forwardTarget) return null;
+
+    const internalTarget = tenant.sip_clients?.find((client) => client.user_id === forwardTarget);
+    if (internalTarget) {
+        return `user/${internalTarget.user_id}@${tenant.domain_name}`;
+    }
+
+    if (/^\+?\d{10,15}$/.test(forwardTarget)) {
+        const { allowed, profile, category } = classOfService.check(tenant, sipClient, forwardTarget);
+        if (!allowed) {
+            console.warn(`WARN: Class of service "${profile}" denies forwarding ${sipClient?.user_id}@${tenant.domain_name} to ${category} number ${forwardTarget}. Ignoring.`);
+            return null;
+        }
+        return outboundRoutingService.buildDialString(forwardTarget);
+    }
+
+    console.warn(`WARN: Call forward target "${forwardTarget}" is neither a local extension nor an external number. Ignoring.`);
+    return null;
+}
+
+/**
+ * Builds the actions that send a caller to a destination (IVR option or queue exit style targets).
+ * @param {Object} tenant - Tenant data.
+ * @param {string} destinationType - One of extension, group, ivr, voicemail, external_number, custom, hangup.
+ * @param {string} destinationTarget - The user_id, group name, menu name, voicemail box, number or transfer target.
+ * @returns {Promise<Array<Object>|null>} Dialplan actions, or null if the destination cannot be resolved.
+ */
+async function buildDestinationActions(tenant, destinationType, destinationTarget) {
+    switch (destinationType) {
+        case "extension": {
+            const sipClient = tenant.sip_clients?.find((client) => client.user_id === destinationTarget);
+            return sipClient ? [{ application: "bridge", data: `user/${sipClient.user_id}@${tenant.domain_name}` }] : null;
+        }
+        case "group": {
+            const group = tenant.groups?.find((g) => g.name === destinationTarget);
+            if (!group) return null;
+            const membersBridgeStrings = group.members.map((member) => `user/${member.user_id}@${tenant.domain_name}`);
+            return [
+                { application: "set", data: `call_group=${group.name}` },
+                { application: "bridge", data: group.type === "hunt" ? membersBridgeStrings.join("|") : membersBridgeStrings.join(",") },
+            ];
+        }
+        case "ivr": {
+            const menu = tenant.ivr_menus?.find((m) => m.name === destinationTarget);
+            return menu ? [{ application: "ivr", data: freeswitchNames.ivrMenu(tenant.domain_name, menu.name) }] : null;
+        }
+        case "voicemail":
+            return [
+                { application: "answer", data: "" },
+                { application: "sleep", data: "1000" },
+                { application: "voicemail", data: `default ${tenant.domain_name} ${destinationTarget}` },
+                { application: "hangup", data: "" },
+            ];
+        case "external_number": {
+            const dialString = await outboundRoutingService.buildDialString(destinationTarget);
+            return dialString ? [{ application: "bridge", data: dialString }] : null;
+        }
+        case "custom":
+            return destinationTarget ? [{ application: "transfer", data: destinationTarget }] : null;
+        case "hangup":
+            return [{ application: "hangup", data: "" }];
+        default:
+            return null;
+    }
+}
+
+/**
+ * Builds what is needed to place a caller into a call center queue, and the queue's exit destination.
+ * mod_callcenter returns control to the dialplan when the caller leaves the queue unanswered (e.g., max wait time).
+ * @param {Object} tenant - Tenant data.
+ * @param {Object} queue - The call center queue.
+ * @returns {Promise<{setupActions: Array<Object>, queueTarget: string, exitActions: Array<Object>}>} Actions to run before
+ * the `callcenter` application, its data, and the actions to run once the caller leaves the queue.
+ */
+async function buildQueueActions(tenant, queue) {
+    const setupActions = [
+        { application: "set", data: `domain_name=${tenant.domain_name}` },
+        { application: "set", data: "hangup_after_bridge=true" },
+        { application: "answer", data: "" },
+    ];
+
+    let exitActions = await buildDestinationActions(tenant, queue.exit_destination_type, queue.exit_destination_target);
+    if (!exitActions) {
+        console.warn(`WARN: Exit destination ${queue.exit_destination_type} "${queue.exit_destination_target}" of queue ${queue.name} not found. Hanging up on exit.`);
+        exitActions = [{ application: "hangup", data: "" }];
+    }
+
+    return {
+        setupActions,
+        queueTarget: freeswitchNames.callcenterQueue(tenant.domain_name, queue.name),
+        exitActions: [{ application: "log", data: `INFO Caller left queue ${queue.name}. Cause: \${cc_cause}` }, ...exitActions],
+    };
+}
+
+/**
+ * Picks the route a DID should use right now, based on its schedule (if any).
+ * Holiday routes fall back to the closed route, and closed routes fall back to the regular route.
+ * @param {Object} tenant - Tenant data.
+ * @param {Object} did - The matched DID.
+ * @param {Date} [now=new Date()] - The moment the call arrived.
+ * @returns {{period: string, routing_type: string, routing_target: string}} The selected route.
+ */
+function resolveDidRoute(tenant, did, now = new Date()) {
+    const route = { period: "open", routing_type: did.routing_type, routing_target: did.routing_target };
+    if (!did.schedule) return route;
+
+    const schedule = tenant.schedules?.find((s) => s.name === did.schedule);
+    if (!schedule) {
+        console.warn(`WARN: Schedule "${did.schedule}" referenced by DID ${did.did_number} not found. Using regular routing.`);
+        return route;
+    }
+
+    const period = scheduleEvaluator.evaluate(schedule, now);
+    console.log(`DEBUG: DID ${did.did_number} schedule "${schedule.name}" is currently ${period}.`);
+
+    if (period === "holiday" && did.holiday_routing_type && did.holiday_routing_type !== "none") {
+        return { period, routing_type: did.holiday_routing_type, routing_target: did.holiday_routing_target };
+    }
+    if (period !== "open" && did.closed_routing_type && did.closed_routing_type !== "none") {
+        return { period, routing_type: did.closed_routing_type, routing_target: did.closed_routing_target };
+    }
+    return { ...route, period };
+}
 // --- END: Inlined Utility Functions ---
 
 // --- DATA ACCESS PLACEHOLDERS REMOVED FROM HERE ---
@@ -78,22 +346,27 @@ const getNoMatchFallback = (destination) => {
  * @param {Object} tenant - Tenant data.
  * @param {string} domain - Domain name.
  * @param {string} effectiveDestination - The number being routed (can be DID or `destination_number`).
+ * @param {Object} [options={}] - Lookup options (see dialplanController.lookup).
  * @returns {Promise<Object|null>} Structured extension object if matched, null otherwise.
  */
-async function handleInboundCall(body, domain, effectiveDestination) {
+async function handleInboundCall(body, domain, effectiveDestination, options = {}) {
     console.log(`INFO: Attempting to handle as inbound call for DID: ${effectiveDestination}`);
     console.log(`INCOMING_DEBUG_HANDLER: Effective Destination being checked: "${effectiveDestination}"`);
 
-    // Lookup cnam
-    const cnamData = await signalwireService.lookupCnam(body["Caller-Caller-ID-Number"])
+    let tenant = await tenantService.getTenantAndDidByDidNumber(effectiveDestination);
+    // DIDs are looked up across all tenants; a simulation only sees its own tenant's, so it cannot reveal another tenant's routing
+    if (tenant?.domain_name && options.tenantDomain && tenant.domain_name.toLowerCase() !== options.tenantDomain.toLowerCase()) {
+        console.warn(`WARN: Simulation for ${options.tenantDomain} dialed DID ${effectiveDestination} of another tenant; treating it as unknown.`);
+        tenant = null;
+    }
 
-    let effectiveCallerIdName;
+    // Look up the caller name with the tenant's providers (skipped in dry runs: lookups can be billed).
+    // Providers never hold up the call for long (see services/callerNameService.js); without a name the carrier's is kept.
+    const lookedUpCallerIdName = options.dryRun || !(tenant && tenant.domain_name)
+        ? null
+        : await callerNameService.getCallerIdName(tenant, body["Caller-Caller-ID-Number"]);
 
-    if(cnamData){
-        effectiveCallerIdName = `${cnamData.national_number_formatted}, ${cnamData.cnam.caller_id}, ${cnamData.location}` 
-    } else {
-        effectiveCallerIdName = body["Caller-Caller-ID-Name"];
-    }
+    let effectiveCallerIdName = lookedUpCallerIdName || body["Caller-Caller-ID-Name"];
 
     let effectiveCallerIdNumber = body["Caller-Caller-ID-Number"];
     
@@ -102,8 +375,6 @@ async function handleInboundCall(body, domain, effectiveDestination) {
     effectiveCallerIdNumber = normalizePhoneNumber(effectiveCallerIdNumber);
     effectiveCallerIdName = normalizePhoneNumber(effectiveCallerIdName);
 
-    tenant = await tenantService.getTenantAndDidByDidNumber(effectiveDestination);
-
     let actions = [];
     // Set and Export Caller ID Name and Number for both A and B legs
     actions.push({ application: "set", data: `caller_id_name=${effectiveCallerIdName}` });
@@ -141,7 +412,7 @@ async function handleInboundCall(body, domain, effectiveDestination) {
         console.warn(`WARN: Tenant or tenant.domain_name not available. Cannot set correct SIP domain for outbound leg.`);
     }
 
-    console.log(`INCOMING_DEBUG_HANDLER: Tenant's DIDs for comparison:`, tenant.dids);
+    console.log(`INCOMING_DEBUG_HANDLER: Tenant's DIDs for comparison:`, tenant?.dids);
 
     // IMPORTANT: Normalize effectiveDestination to match your stored DID format if necessary.
     // Your DB stores "+15125471930". So, if FreeSWITCH sends "5125471930", you need to prefix it.
@@ -158,61 +429,101 @@ async function handleInboundCall(body, domain, effectiveDestination) {
     }
 
     // FIX HERE: Change 'did.number' to 'did.did_number'
-    const matchedDid = tenant.dids?.find((did) => {
+    const matchedDid = tenant?.dids?.find((did) => {
         console.log(`INCOMING_DEBUG_HANDLER: Comparing stored DID "${did.did_number}" with normalized incoming DID "${normalizedEffectiveDestination}"`);
         return did.did_number === normalizedEffectiveDestination;
     });
 
     if (matchedDid) {
-        console.log(`INCOMING_DEBUG_HANDLER: !!! Successfully Matched DID: ${matchedDid.did_number}. Routing to ${matchedDid.routing_type}: ${matchedDid.routing_target}`);
+        // Blocked callers never reach the DID's route
+        const callerFilterActions = await getCallerFilterActions(tenant, matchedDid, body, options);
+        if (callerFilterActions) {
+            return {
+                name: `did_blocked_${matchedDid.did_number.replace(/[^a-zA-Z0-9\+]/g, "")}`,
+                condition_field: "destination_number",
+                expression: `^${escapeRegExp(effectiveDestination)}$`,
+                actions: [...actions, ...callerFilterActions],
+            };
+        }
+
+        // Evaluate the DID's schedule (if any) to pick the open, closed or holiday route
+        const didRoute = resolveDidRoute(tenant, matchedDid);
+        console.log(`INCOMING_DEBUG_HANDLER: !!! Successfully Matched DID: ${matchedDid.did_number}. Routing (${didRoute.period}) to ${didRoute.routing_type}: ${didRoute.routing_target}`);
         let routingApplication = "";
         let routingData = "";
         let targetFound = false;
+        let followUpActions = []; // Actions run right after the routing application returns (e.g., queue exit)
         actions.push({ application: "set", data: "continue_on_fail=true" });
         actions.push({ application: "set", data: "hangup_after_bridge=true" });
+        if (matchedDid.schedule) {
+            actions.push({ application: "set", data: `did_schedule_period=${didRoute.period}` });
+        }
 
         // FIX HERE: Change 'matchedDid.routing_target_type' to 'matchedDid.routing_type'
-        if (matchedDid.routing_type === "extension") {
+        if (didRoute.routing_type === "extension") {
             // FIX HERE: Change 'matchedDid.routing_target_id' to 'matchedDid.routing_target'
-            const targetExtension = tenant.sip_clients.find((client) => client.user_id === matchedDid.routing_target);
+            const targetExtension = tenant.sip_clients.find((client) => client.user_id === didRoute.routing_target);
             if (targetExtension) {
                 routingApplication = "bridge";
                 routingData = `user/${targetExtension.user_id}@${tenant.domain_name}`;
                 targetFound = true;
                 console.log(`INCOMING_DEBUG_HANDLER: Routing to extension: ${routingData}`);
             } else {
-                console.warn(`INCOMING_DEBUG_HANDLER: Target extension ${matchedDid.routing_target} not found for DID ${matchedDid.did_number}`);
+                console.warn(`INCOMING_DEBUG_HANDLER: Target extension ${didRoute.routing_target} not found for DID ${matchedDid.did_number}`);
             }
-        } else if (matchedDid.routing_type === "group") {
-            const targetGroup = tenant.groups.find((group) => group.name === matchedDid.routing_target);
+        } else if (didRoute.routing_type === "group") {
+            const targetGroup = tenant.groups.find((group) => group.name === didRoute.routing_target);
             if (targetGroup) {
                 routingApplication = "bridge";
+                actions.push({ application: "set", data: `call_group=${targetGroup.name}` }); // Reported in the CDR (see services/cdrService.js)
                 const membersBridgeStrings = targetGroup.members.map((member) => `user/${member.user_id}@${tenant.domain_name}`);
                 routingData = targetGroup.type === "hunt" ? membersBridgeStrings.join("|") : membersBridgeStrings.join(",");
                 targetFound = true;
                 console.log(`INCOMING_DEBUG_HANDLER: Routing to group: ${routingData}`);
             } else {
-                console.warn(`INCOMING_DEBUG_HANDLER: Target group ${matchedDid.routing_target} not found for DID ${matchedDid.did_number}`);
+                console.warn(`INCOMING_DEBUG_HANDLER: Target group ${didRoute.routing_target} not found for DID ${matchedDid.did_number}`);
             }
             // FIX HERE: Change 'matchedDid.routing_target_type' to 'matchedDid.routing_type'
-        } else if (matchedDid.routing_type === "ivr") {
-            routingApplication = "transfer";
-            // FIX HERE: Change 'matchedDid.routing_target_id' to 'matchedDid.routing_target'
-            routingData = `${matchedDid.routing_target} XML ${tenant.domain_name}_ivr_context`;
-            targetFound = true;
-            console.log(`INCOMING_DEBUG_HANDLER: Routing DID to IVR: ${matchedDid.routing_target}`);
+        } else if (didRoute.routing_type === "ivr") {
+            const targetMenu = tenant.ivr_menus?.find((menu) => menu.name === didRoute.routing_target);
+            if (targetMenu) {
+                // Menus are served by configurationController as ivr.conf; entries bridge within the tenant's domain.
+                actions.push({ application: "set", data: `domain_name=${tenant.domain_name}` });
+                actions.push({ application: "answer", data: "" });
+                routingApplication = "ivr";
+                routingData = freeswitchNames.ivrMenu(tenant.domain_name, targetMenu.name);
+                targetFound = true;
+                console.log(`INCOMING_DEBUG_HANDLER: Routing DID to IVR: ${routingData}`);
+            } else {
+                console.warn(`INCOMING_DEBUG_HANDLER: Target IVR menu ${didRoute.routing_target} not found for DID ${matchedDid.did_number}`);
+            }
+        } else if (didRoute.routing_type === "queue") {
+            const targetQueue = tenant.call_center_queues?.find((queue) => queue.name === didRoute.routing_target);
+            if (targetQueue) {
+                const { setupActions, queueTarget, exitActions } = await buildQueueActions(tenant, targetQueue);
+                actions.push(...setupActions);
+                routingApplication = "callcenter";
+                routingData = queueTarget;
+                followUpActions = exitActions;
+                targetFound = true;
+                console.log(`INCOMING_DEBUG_HANDLER: Routing DID to call center queue: ${routingData}`);
+            } else {
+                console.warn(`INCOMING_DEBUG_HANDLER: Target queue ${didRoute.routing_target} not found for DID ${matchedDid.did_number}`);
+            }
             // FIX HERE: Change 'matchedDid.routing_target_type' to 'matchedDid.routing_type'
         } else {
             // 'custom' or other types
             routingApplication = "transfer";
             // FIX HERE: Change 'matchedDid.routing_target_id' to 'matchedDid.routing_target'
-            routingData = matchedDid.routing_target;
+            routingData = didRoute.routing_target;
             targetFound = true;
-            console.warn(`INCOMING_DEBUG_HANDLER: DID routing to custom target: ${matchedDid.routing_target}. Handling as generic transfer.`);
+            console.warn(`INCOMING_DEBUG_HANDLER: DID routing to custom target: ${didRoute.routing_target}. Handling as generic transfer.`);
         }
 
         if (targetFound) {
+            traceRule(options, "inbound_did", true, `DID ${matchedDid.did_number} routes (${didRoute.period}) to ${didRoute.routing_type} ${didRoute.routing_target}`);
             actions.push({ application: routingApplication, data: routingData });
+            actions.push(...followUpActions);
             if (matchedDid.failover_routing_type === "dialplan_extension" && matchedDid.failover_routing_target) {
                 console.log(`INCOMING_DEBUG_HANDLER: Adding failover to: ${matchedDid.failover_routing_target}`);
                 actions.push({ application: "log", data: `INFO Primary DID route for ${matchedDid.did_number} failed. Attempting failover.` });
@@ -240,11 +551,13 @@ async function handleInboundCall(body, domain, effectiveDestination) {
                 actions: actions,
             };
         } else {
-            console.log(`INCOMING_DEBUG_HANDLER: DID target ${matchedDid.routing_type}: ${matchedDid.routing_target} not found or invalid for DID ${matchedDid.did_number}.`);
+            console.log(`INCOMING_DEBUG_HANDLER: DID target ${didRoute.routing_type}: ${didRoute.routing_target} not found or invalid for DID ${matchedDid.did_number}.`);
+            traceRule(options, "inbound_did", false, `DID ${matchedDid.did_number} routes to ${didRoute.routing_type} ${didRoute.routing_target}, which does not exist`);
             return null;
         }
     } else {
         console.log(`INCOMING_DEBUG_HANDLER: No DID match found for effectiveDestination: ${effectiveDestination}`);
+        traceRule(options, "inbound_did", false, `No DID matches ${normalizedEffectiveDestination}`);
     }
     return null;
 }
@@ -252,51 +565,246 @@ async function handleInboundCall(body, domain, effectiveDestination) {
 /**
  * Handles outbound calls (routing to external PSTN gateways).
  * @param {Object} body - FreeSWITCH request body.
+ * @param {Object} tenant - Tenant data.
  * @param {string} effectiveDestination - The number being dialed.
+ * @param {Object} [options={}] - Lookup options (see dialplanController.lookup).
  * @returns {Promise<Object|null>} Structured extension object if matched, null otherwise.
  */
-async function handleOutboundCall(body, effectiveDestination) {
+async function handleOutboundCall(body, tenant, effectiveDestination, options = {}) {
     console.log(`INFO: Attempting to handle as outbound call for: ${effectiveDestination}`);
     const pstnRegex = /^(\+?1?)?(\d{10})$/;
     const match = effectiveDestination.match(pstnRegex);
 
     if (match) {
+        const raw10DigitNumber = match[2];
+        const formattedNumberForTrunk = `+1${raw10DigitNumber}`;
+
+        const originatingSipClient = findOriginatingSipClient(tenant, body);
+        const denialActions = getOutboundDenialActions(tenant, originatingSipClient, body, formattedNumberForTrunk);
+        if (denialActions) {
+            const { profile, category } = classOfService.check(tenant, originatingSipClient, formattedNumberForTrunk);
+            traceRule(options, "outbound", true, `Class of service "${profile}" does not allow ${category} calls; the call is rejected`);
+            return {
+                name: `outbound_denied_${raw10DigitNumber}`,
+                condition_field: "destination_number",
+                expression: `^${escapeRegExp(effectiveDestination)}$`,
+                actions: denialActions,
+            };
+        }
+
         // --- CALLING THE SERVICE ---
-        const globalGateways = await globalConfigService.getAllExternalGateways();
+        // Gateways come from the longest-prefix outbound route, ordered by priority, cost and weight.
+        const dialString = await outboundRoutingService.buildDialString(formattedNumberForTrunk);
         // --- END SERVICE CALL ---
 
-        if (globalGateways && globalGateways.length > 0) {
-            const targetGateway = globalGateways[0];
-            console.log(`Matched outbound PSTN number: ${effectiveDestination}. Routing via global gateway: ${targetGateway.name}`);
-            const raw10DigitNumber = match[2];
-            const formattedNumberForTrunk = `+1${raw10DigitNumber}`;
+        if (dialString) {
+            console.log(`Matched outbound PSTN number: ${effectiveDestination}. Routing via: ${dialString}`);
+            traceRule(options, "outbound", true, `${effectiveDestination} is a PSTN number; routing via ${dialString}`);
 
             return {
                 name: `outbound_pstn_${raw10DigitNumber}`,
                 condition_field: "destination_number",
                 expression: `^${escapeRegExp(effectiveDestination)}$`,
                 actions: [
-                    { application: "bridge", data: `sofia/gateway/${SIGNALWIRE_TRUNK_PROFILE_NAME}/${formattedNumberForTrunk}` },
+                    ...getRedialHashActions(originatingSipClient, effectiveDestination),
+                    { application: "bridge", data: dialString },
                     { application: "playback", data: IVR_SOUND_PATH_CALL_CANNOT_BE_COMPLETED },
                     { application: "hangup", data: "" },
                 ],
             };
         } else {
-            console.warn(`No global external gateways configured to route outbound call: ${effectiveDestination}`);
+            console.warn(`No external gateways available to route outbound call: ${effectiveDestination}`);
+            traceRule(options, "outbound", false, "No external gateway is available");
         }
+    } else {
+        traceRule(options, "outbound", false, `${effectiveDestination} is not a 10-digit PSTN number`);
     }
     return null;
 }
 
+/**
+ * Handles emergency calls (e.g., 911). These always route out, ahead of class-of-service limits.
+ * The caller's dispatchable address is sent as the caller ID name and the emergency callback number as the caller ID number.
+ * @param {Object} body - FreeSWITCH request body.
+ * @param {Object} tenant - Tenant data.
+ * @param {string} effectiveDestination - The number being dialed.
+ * @param {Object} [options={}] - Lookup options (see dialplanController.lookup).
+ * @returns {Promise<Object|null>} Structured extension object if the destination is an emergency number, null otherwise.
+ */
+async function handleEmergencyCall(body, tenant, effectiveDestination, options = {}) {
+    const emergencyNumbers = tenant.emergency?.numbers?.length ? tenant.emergency.numbers : DEFAULT_EMERGENCY_NUMBERS;
+    if (!emergencyNumbers.includes(effectiveDestination)) {
+        traceRule(options, "emergency", false, `${effectiveDestination} is not an emergency number (${emergencyNumbers.join(", ")})`);
+        return null;
+    }
+
+    const sipClient = findOriginatingSipClient(tenant, body);
+    const address = sipClient?.emergency_address || {};
+    const formattedAddress = emergencyService.formatAddress(address);
+    const callbackNumber = sipClient?.emergency_callback_number || sipClient?.outbound_caller_id_number || tenant.profile?.defaultCallerId?.number || body["Caller-Caller-ID-Number"];
+    const caller = sipClient?.user_id || body["Caller-Caller-ID-Number"] || "unknown";
+
+    console.warn(`ALERT: Emergency call to ${effectiveDestination} from ${caller} (tenant ${tenant.domain_name}). Address: "${formattedAddress || "NOT CONFIGURED"}", callback: ${callbackNumber}`);
+    if (!formattedAddress) {
+        console.warn(`WARN: SIP client ${caller} in tenant ${tenant.domain_name} has no emergency address configured.`);
+    }
+
+    // Recording and the webhook must never delay or block the emergency call itself.
+    traceRule(options, "emergency", true, `${effectiveDestination} is an emergency number${options.dryRun ? "; the notification is not sent in a dry run" : ""}`);
+    if (!options.dryRun) {
+        emergencyService.notifyEmergencyCall(tenant, {
+            user_id: sipClient?.user_id || "",
+            dialed_number: effectiveDestination,
+            call_uuid: body["Unique-ID"] || body["Channel-Call-UUID"] || "",
+            caller_id_name: formattedAddress,
+            caller_id_number: callbackNumber,
+            emergency_address: address,
+        });
+    }
+
+    const actions = [
+        { application: "log", data: `ALERT Emergency call to ${effectiveDestination} from ${caller}@${tenant.domain_name}` },
+        { application: "set", data: `effective_caller_id_name=${formattedAddress || caller}` },
+        { application: "set", data: `effective_caller_id_number=${callbackNumber}` },
+        { application: "set", data: "hangup_after_bridge=true" },
+        { application: "set", data: "continue_on_fail=true" },
+    ];
+
+    const dialString = await outboundRoutingService.buildDialString(effectiveDestination);
+    if (dialString) {
+        actions.push({ application: "bridge", data: dialString });
+    } else {
+        console.error(`ERROR: No external gateway available for emergency call to ${effectiveDestination} from ${caller}@${tenant.domain_name}!`);
+        actions.push({ application: "log", data: `CRIT No gateway available for emergency call to ${effectiveDestination}` });
+    }
+    actions.push({ application: "answer", data: "" });
+    actions.push({ application: "playback", data: IVR_SOUND_PATH_CALL_CANNOT_BE_COMPLETED });
+    actions.push({ application: "hangup", data: "" });
+
+    return {
+        name: `emergency_${effectiveDestination.replace(/[^a-zA-Z0-9]/g, "_")}`,
+        condition_field: "destination_number",
+        expression: `^${escapeRegExp(effectiveDestination)}$`,
+        actions: actions,
+    };
+}
+
+/**
+ * Builds the actions for a dialed feature code. Codes that change forwarding or do-not-disturb persist the change
+ * to the SIP client the caller authenticated as before the confirmation prompt is returned to FreeSWITCH.
+ * Call return, redial and pickups read the hashes written when calls are bridged (see Rule 4 of handleLocalCall).
+ * Transfers name no dialplan or context, so the call stays in the tenant's context like the tenant's other transfers.
+ * @param {Object} tenant - Tenant data.
+ * @param {Object|null} sipClient - The originating SIP client.
+ * @param {{feature: string, argument: string}} featureMatch - The matched feature and the digits dialed after its code.
+ * @param {string} featureCode - The code of the matched feature.
+ * @param {Object} [options={}] - Lookup options; in a dry run the SIP client is not updated.
+ * @returns {Promise<Array<Object>>} Dialplan actions.
+ */
+async function buildFeatureCodeActions(tenant, sipClient, featureMatch, featureCode, options = {}) {
+    const { feature, argument } = featureMatch;
+    const cannotComplete = [
+        { application: "answer", data: "" },
+        { application: "playback", data: IVR_SOUND_PATH_CALL_CANNOT_BE_COMPLETED },
+        { application: "hangup", data: "" },
+    ];
+
+    // Features that act on the caller's own settings need to know who the caller is
+    const personalFeatures = ["call_forward_on", "call_forward_off", "dnd_on", "dnd_off", "call_return", "redial"];
+    if (personalFeatures.includes(feature) && !sipClient) {
+        console.warn(`WARN: Feature ${feature} dialed by a caller that is not a SIP client of ${tenant.domain_name}.`);
+        return cannotComplete;
+    }
+
+    const updateSipClient = async (updateData, confirmationSound) => {
+        try {
+            if (options.dryRun) {
+                traceRule(options, "feature_code_update", false, `Would update SIP client ${sipClient.user_id} with ${JSON.stringify(updateData)} (not saved in a dry run)`);
+            } else {
+                await tenantService.setSipClientFeatureState(tenant.domain_name, sipClient.user_id, updateData);
+            }
+            console.log(`INFO: Feature ${feature} updated SIP client ${sipClient.user_id}@${tenant.domain_name}:`, updateData);
+            return [
+                { application: "answer", data: "" },
+                { application: "sleep", data: "500" },
+                { application: "playback", data: confirmationSound },
+                { application: "hangup", data: "" },
+            ];
+        } catch (error) {
+            console.error(`ERROR: Feature ${feature} could not update SIP client ${sipClient.user_id}@${tenant.domain_name}:`, error);
+            return cannotComplete;
+        }
+    };
+
+    switch (feature) {
+        case "voicemail":
+            return [
+                { application: "answer" },
+                { application: "sleep", data: "1000" },
+                { application: "voicemail", data: `check default ${tenant.domain_name}` },
+                { application: "hangup", data: "" },
+            ];
+        case "call_forward_on":
+            if (!argument) {
+                // Prompt for the number, then dial the code again with the number appended
+                return [
+                    { application: "answer", data: "" },
+                    { application: "play_and_get_digits", data: `3 15 3 7000 # ${IVR_SOUND_PATH_ENTER_DESTINATION} ${IVR_SOUND_PATH_INVALID_ENTRY} call_forward_target \\d+` },
+                    { application: "transfer", data: `${featureCode}\${call_forward_target}` },
+                ];
+            }
+            if (argument === sipClient.user_id || !(await buildForwardDialString(tenant, argument, sipClient))) {
+                console.warn(`WARN: Rejecting call forward target "${argument}" for ${sipClient.user_id}@${tenant.domain_name}.`);
+                return cannotComplete;
+            }
+            return updateSipClient({ call_forward_unconditional: argument }, IVR_SOUND_PATH_CALL_FORWARD_SET);
+        case "call_forward_off":
+            return updateSipClient({ call_forward_unconditional: "" }, IVR_SOUND_PATH_CALL_FORWARD_CANCELLED);
+        case "dnd_on":
+            return updateSipClient({ do_not_disturb: true }, IVR_SOUND_PATH_DND_ACTIVATED);
+        case "dnd_off":
+            return updateSipClient({ do_not_disturb: false }, IVR_SOUND_PATH_DND_CANCELLED);
+        case "call_return":
+            return [{ application: "transfer", data: `\${hash(select/\${domain_name}-call_return/${sipClient.user_id})}` }];
+        case "redial":
+            return [{ application: "transfer", data: `\${hash(select/\${domain_name}-last_dial/${sipClient.user_id})}` }];
+        case "group_pickup":
+            return [
+                { application: "answer", data: "" },
+                { application: "intercept", data: "${hash(select/${domain_name}-last_dial/${callgroup})}" },
+                { application: "sleep", data: "2000" },
+            ];
+        case "directed_pickup":
+            return [
+                { application: "answer", data: "" },
+                { application: "intercept", data: `\${hash(select/\${domain_name}-last_dial_ext/${argument})}` },
+                { application: "sleep", data: "2000" },
+            ];
+        case "intercom": {
+            const target = tenant.sip_clients?.find((client) => client.user_id === argument);
+            if (!target) return cannotComplete;
+            return [
+                { application: "set", data: `dialed_extension=${target.user_id}` },
+                { application: "export", data: "sip_auto_answer=true" },
+                { application: "bridge", data: `user/${target.user_id}@${tenant.domain_name}` },
+                { application: "hangup", data: "" },
+            ];
+        }
+        default:
+            return cannotComplete;
+    }
+}
+
 /**
  * Handles local (internal) calls within a tenant's domain.
  * @param {Object} body - FreeSWITCH request body.
  * @param {Object} tenant - Tenant data.
  * @param {string} domain - Domain name.
  * @param {string} effectiveDestination - The number/extension being dialed.
- * @returns {Promise<Object|null>} Structured extension object if matched, null otherwise.
+ * @param {Object} [options={}] - Lookup options (see dialplanController.lookup).
+ * @returns {Promise<Object|Array<Object>|null>} Structured extension object (or, for explicit dialplan extensions, the hunted list) if matched, null otherwise.
  */
-const handleLocalCall = async (body, tenant, domain, effectiveDestination) => {
+const handleLocalCall = async (body, tenant, domain, effectiveDestination, options = {}) => {
     console.log(`INFO: Attempting to handle as local call for: ${effectiveDestination}`);
     // Log the entire incoming request body (keep this for future debugging if needed)
     // console.log("DEBUG: Incoming body for handleLocalCall:", JSON.stringify(body, null, 2));
@@ -310,11 +818,10 @@ const handleLocalCall = async (body, tenant, domain, effectiveDestination) => {
     let callerIdName = tenant.profile.defaultCallerID?.name || "Anonymous";
     let callerIdNumber = tenant.profile.defaultCallerID?.number || "0000000000";
 
-    // --- FIX: Use 'Caller-Caller-ID-Number' from the body ---
-    // This is the key FreeSWITCH is actually sending for the originating number
-    const originatingCallerIdNumberFromFS = body["Caller-Caller-ID-Number"];
+    // The originating SIP client is the one the call authenticated as (see findOriginatingSipClient)
+    const authenticatedUserFromFS = body.variable_user_name || body.variable_sip_auth_username;
 
-    console.log(`DEBUG: Looking for originating SIP client using Caller-Caller-ID-Number from FreeSWITCH: "${originatingCallerIdNumberFromFS}" (type: ${typeof originatingCallerIdNumberFromFS})`);
+    console.log(`DEBUG: Looking for originating SIP client using authenticated user from FreeSWITCH: "${authenticatedUserFromFS}"`);
 
     if (!tenant) {
         console.warn(`WARN: Tenant not found for domain: ${domain}. Cannot find originating SIP client.`);
@@ -331,15 +838,7 @@ const handleLocalCall = async (body, tenant, domain, effectiveDestination) => {
         // }
     }
 
-    // Use the extracted originatingCallerIdNumberFromFS for the lookup
-    const originatingSipClient = tenant.sip_clients?.find((client) => {
-        const normalizedClientUserId = normalizeStringForComparison(client.user_id);
-        const normalizedOriginatingCallerIdNumber = normalizeStringForComparison(originatingCallerIdNumberFromFS); // Use the new variable
-
-        // console.log(`DEBUG: Comparing Normalized Client ID "${normalizedClientUserId}" with Normalized Incoming ID "${normalizedOriginatingCallerIdNumber}"`);
-
-        return normalizedClientUserId === normalizedOriginatingCallerIdNumber;
-    });
+    const originatingSipClient = findOriginatingSipClient(tenant, body);
 
     if (originatingSipClient) {
         console.log(`DEBUG: Originating SIP client identified: ${originatingSipClient.user_id}`);
@@ -359,7 +858,7 @@ const handleLocalCall = async (body, tenant, domain, effectiveDestination) => {
         console.log(`DEBUG: Set Caller ID Number to SIP client user_id: ${callerIdNumber}`);
     } else {
         console.log(`DEBUG: Originating SIP client not found. Falling back to tenant default Caller ID.`);
-        console.log(`DEBUG: FreeSWITCH sent Caller-Caller-ID-Number as "${originatingCallerIdNumberFromFS}". Ensure this matches a sip_client.user_id in your database.`);
+        console.log(`DEBUG: FreeSWITCH sent authenticated user "${authenticatedUserFromFS}" (domain "${body.variable_domain_name || body.variable_sip_auth_realm}"). Ensure this matches a sip_client.user_id of the tenant.`);
     }
 
     actions.push({ application: "set", data: `caller_id_name=${callerIdName}` });
@@ -369,31 +868,35 @@ const handleLocalCall = async (body, tenant, domain, effectiveDestination) => {
 
     // ... (rest of your handleLocalCall function remains the same) ...
 
-    // Rule 1: System extensions (*98 for voicemail)
-    if (dialedTargetIdentifier === VOICEMAIL_CHECK_EXTENSION) {
-        console.log("Matched system voicemail extension (*98)");
-        actions.push({ application: "answer" });
-        actions.push({ application: "sleep", data: "1000" });
-        actions.push({ application: "voicemail", data: `check default ${tenant.domain_name}` });
-        actions.push({ application: "hangup", data: "" });
+    // Rule 1: Feature codes (*98 voicemail, *72 call forward, *78 DND, ...), configurable per tenant
+    const tenantFeatureCodes = featureCodes.resolve(tenant);
+    const featureMatch = featureCodes.match(tenantFeatureCodes, dialedTargetIdentifier);
+    if (featureMatch) {
+        console.log(`Matched feature code ${tenantFeatureCodes[featureMatch.feature]} (${featureMatch.feature})${featureMatch.argument ? ` with argument ${featureMatch.argument}` : ""}`);
+        traceRule(options, "feature_code", true, `${dialedTargetIdentifier} is the ${featureMatch.feature} feature code${featureMatch.argument ? ` with argument ${featureMatch.argument}` : ""}`);
+        actions.push(...(await buildFeatureCodeActions(tenant, originatingSipClient, featureMatch, tenantFeatureCodes[featureMatch.feature], options)));
         return {
-            name: "check_voicemail",
+            name: featureMatch.feature === "voicemail" ? "check_voicemail" : `feature_${featureMatch.feature}`,
             condition_field: "destination_number",
             expression: `^${escapeRegExp(effectiveDestination)}$`,
             actions: actions,
         };
     }
 
+    traceRule(options, "feature_code", false, `${dialedTargetIdentifier} is not a feature code`);
+
     // Rule 2: Check for Hunt/Ring Groups
     const matchedGroup = tenant.groups?.find((group) => group.name === effectiveDestination);
     if (matchedGroup) {
         console.log(`Matched group: ${matchedGroup.name} (Type: ${matchedGroup.type})`);
+        traceRule(options, "group", true, `${effectiveDestination} is ${matchedGroup.type} group ${matchedGroup.name}`);
         const membersBridgeStrings = matchedGroup.members.map((member) => `user/${member.user_id}@${tenant.domain_name}`);
         const bridgeTarget = matchedGroup.type === "hunt" ? membersBridgeStrings.join("|") : membersBridgeStrings.join(",");
         const bridgeTimeout = matchedGroup.timeout ? `timeout=${matchedGroup.timeout},` : "";
 
         actions.push({ application: "set", data: "continue_on_fail=true" });
         actions.push({ application: "set", data: "hangup_after_bridge=true" });
+        actions.push({ application: "set", data: `call_group=${matchedGroup.name}` });
         actions.push({ application: "bridge", data: `${bridgeTimeout}${bridgeTarget}` });
 
         if (matchedGroup.enable_voicemail && matchedGroup.voicemail_box_id) {
@@ -419,23 +922,97 @@ const handleLocalCall = async (body, tenant, domain, effectiveDestination) => {
         };
     }
 
-    // Rule 3: Explicit dialplan extensions (from tenant.dialplan.default)
-    const matchedExplicitExtension = tenant.dialplan?.default?.find((ext) => ext.condition_field === "destination_number" && new RegExp(ext.condition_expression).test(effectiveDestination));
-    if (matchedExplicitExtension) {
-        console.log(`Matched explicit dialplan extension: ${matchedExplicitExtension.name}`);
-        actions.push(...matchedExplicitExtension.actions);
+    traceRule(options, "group", false, `No group is named ${effectiveDestination}`);
+
+    // Rule 2a: Call center queues, dialed by their extension
+    const matchedQueue = tenant.call_center_queues?.find((queue) => queue.extension && queue.extension === dialedTargetIdentifier);
+    if (matchedQueue) {
+        console.log(`Matched call center queue: ${matchedQueue.name} (Extension: ${matchedQueue.extension})`);
+        traceRule(options, "queue", true, `${dialedTargetIdentifier} is the extension of call center queue ${matchedQueue.name}`);
+        const { setupActions, queueTarget, exitActions } = await buildQueueActions(tenant, matchedQueue);
+        actions.push(...setupActions);
+        actions.push({ application: "callcenter", data: queueTarget });
+        actions.push(...exitActions);
+        actions.push({ application: "playback", data: IVR_SOUND_PATH_CALL_CANNOT_BE_COMPLETED });
+        actions.push({ application: "hangup", data: "" });
         return {
-            name: matchedExplicitExtension.name,
-            condition_field: matchedExplicitExtension.condition_field,
-            expression: matchedExplicitExtension.condition_expression,
+            name: `queue_${matchedQueue.name.replace(/[^a-zA-Z0-9]/g, "_")}`,
+            condition_field: "destination_number",
+            expression: `^${escapeRegExp(effectiveDestination)}$`,
+            actions: actions,
+        };
+    }
+
+    traceRule(options, "queue", false, `No call center queue has extension ${dialedTargetIdentifier}`);
+
+    // Rule 2b: Conference rooms, dialed by their extension
+    const matchedConferenceRoom = tenant.conference_rooms?.find((room) => room.extension === dialedTargetIdentifier);
+    if (matchedConferenceRoom) {
+        console.log(`Matched conference room: ${matchedConferenceRoom.name} (Extension: ${matchedConferenceRoom.extension})`);
+        traceRule(options, "conference", true, `${dialedTargetIdentifier} is the extension of conference room ${matchedConferenceRoom.name}`);
+        // PINs, member limit and recording live in the room's own conference.conf profile
+        const conferenceName = freeswitchNames.conferenceRoom(tenant.domain_name, matchedConferenceRoom.name);
+        const conferenceProfile = freeswitchNames.conferenceProfile(tenant.domain_name, matchedConferenceRoom.name);
+        actions.push({ application: "answer", data: "" });
+        actions.push({ application: "conference", data: `${conferenceName}@${conferenceProfile}` });
+        actions.push({ application: "hangup", data: "" });
+        return {
+            name: `conference_${matchedConferenceRoom.name.replace(/[^a-zA-Z0-9]/g, "_")}`,
+            condition_field: "destination_number",
+            expression: `^${escapeRegExp(effectiveDestination)}$`,
             actions: actions,
         };
     }
 
+    traceRule(options, "conference", false, `No conference room has extension ${dialedTargetIdentifier}`);
+
+    // Rule 3: Explicit dialplan extensions (from tenant.dialplan.default), hunted in order like FreeSWITCH does.
+    // Hunting stops at the first matching extension unless it sets `continue`; the call is only taken here once an
+    // extension without `continue` matches, so a catch-all `continue` extension does not shadow the rules below.
+    // FreeSWITCH still runs what the other hunted extensions contribute (actions of `continue` matches, anti-actions
+    // of failed conditions), so when a rule below takes the call they are served ahead of it (see withHuntedExtensions).
+    const localCallSetup = {
+        name: "local_call_setup",
+        continue: true,
+        condition_field: "destination_number",
+        expression: `^${escapeRegExp(effectiveDestination)}$`,
+        actions: [...actions],
+    };
+    const huntedExtensions = [];
+    let explicitExtensionMatched = false;
+    let huntedExtensionsRunActions = false;
+    const evaluationBody = { ...body, "Caller-Destination-Number": effectiveDestination };
+    for (const extension of tenant.dialplan?.default || []) {
+        const { matched, actions: extensionActions } = dialplanConditions.evaluateExtension(extension, evaluationBody, { timezone: body.variable_timezone });
+        huntedExtensions.push(toExtensionObject(extension));
+        if (extensionActions.length > 0) huntedExtensionsRunActions = true;
+        if (matched) {
+            console.log(`Matched explicit dialplan extension: ${extension.name}${extension.continue ? " (continue)" : ""}`);
+            traceRule(options, "dialplan_extension", !extension.continue, `Dialplan extension ${extension.name} matches${extension.continue ? " and continues hunting" : ""}`);
+            if (!extension.continue) {
+                explicitExtensionMatched = true;
+                break;
+            }
+        }
+    }
+    if (explicitExtensionMatched) {
+        // FreeSWITCH re-evaluates the conditions itself, so regex captures ($1) and anti-actions apply per extension.
+        return [localCallSetup, ...huntedExtensions];
+    }
+    traceRule(options, "dialplan_extension", false, `None of the ${tenant.dialplan?.default?.length || 0} dialplan extensions match without continue${huntedExtensionsRunActions ? "; their actions and anti-actions run before the rule that takes the call" : ""}`);
+
+    // Serves the hunted extensions ahead of the extension a rule below builds, when they run any actions.
+    // The call setup actions (the first actions of that extension) stay first, as when a dialplan extension takes the call.
+    const withHuntedExtensions = (extension) => {
+        if (!huntedExtensionsRunActions) return extension;
+        return [localCallSetup, ...huntedExtensions, { ...extension, actions: extension.actions.slice(localCallSetup.actions.length) }];
+    };
+
     // Rule 4: Direct SIP Client (User) extension - lowest internal routing priority
     const sipClient = tenant.sip_clients?.find((client) => normalizeStringForComparison(client.user_id) === normalizedEffectiveDestination);
     if (sipClient) {
         console.log(`Matched direct SIP client: ${sipClient.user_id}`);
+        traceRule(options, "sip_client", true, `${effectiveDestination} is SIP client ${sipClient.user_id}${sipClient.do_not_disturb ? " (do not disturb)" : ""}`);
         const callTimeout = sipClient?.no_answer_timeout || 30;
 
         actions.push({ application: "export", data: `dialed_extension=${sipClient.user_id}` });
@@ -459,7 +1036,45 @@ const handleLocalCall = async (body, tenant, domain, effectiveDestination) => {
         actions.push({ application: "hash", data: `insert/\${domain_name}-last_dial_ext/\${called_party_callgroup}/\${uuid}` });
         actions.push({ application: "hash", data: `insert/\${domain_name}-last_dial_ext/global/\${uuid}` });
         actions.push({ application: "hash", data: `insert/\${domain_name}-last_dial/\${called_party_callgroup}/\${uuid}` });
-        actions.push({ application: "bridge", data: `user/${sipClient.user_id}@${tenant.domain_name}` });
+        actions.push(...getRedialHashActions(originatingSipClient, sipClient.user_id));
+
+        // --- Call Forwarding ---
+        // Unconditional forwarding skips ringing the extension entirely. Busy and no-answer forwarding
+        // are evaluated against the originate_disposition of the bridge to the extension itself.
+        const forwardUnconditional = sipClient.call_forward_unconditional !== sipClient.user_id ? await buildForwardDialString(tenant, sipClient.call_forward_unconditional, sipClient) : null;
+        const forwardBusy = sipClient.call_forward_busy !== sipClient.user_id ? await buildForwardDialString(tenant, sipClient.call_forward_busy, sipClient) : null;
+        const forwardNoAnswer = sipClient.call_forward_noanswer !== sipClient.user_id ? await buildForwardDialString(tenant, sipClient.call_forward_noanswer, sipClient) : null;
+
+        if (sipClient.do_not_disturb) {
+            // Do not disturb skips ringing the extension; callers get the busy forward (if any), then voicemail.
+            console.log(`INFO: SIP client ${sipClient.user_id} is on do not disturb. Not ringing the extension.`);
+            actions.push({ application: "log", data: `INFO Do not disturb is active for ${sipClient.user_id}` });
+            if (forwardBusy) {
+                actions.push({ application: "set", data: `call_forwarded_from=${sipClient.user_id}` });
+                actions.push({ application: "bridge", data: forwardBusy });
+            }
+        } else if (forwardUnconditional) {
+            console.log(`INFO: Unconditionally forwarding calls for ${sipClient.user_id} to ${forwardUnconditional}`);
+            actions.push({ application: "log", data: `INFO Unconditional call forward for ${sipClient.user_id} to ${sipClient.call_forward_unconditional}` });
+            actions.push({ application: "set", data: `call_forwarded_from=${sipClient.user_id}` });
+            actions.push({ application: "bridge", data: forwardUnconditional });
+        } else {
+            actions.push({ application: "bridge", data: `user/${sipClient.user_id}@${tenant.domain_name}` });
+
+            if (forwardBusy || forwardNoAnswer) {
+                // Capture the disposition of the extension leg before any forward attempt overwrites it.
+                actions.push({ application: "set", data: "call_forward_disposition=${originate_disposition}" });
+                actions.push({ application: "set", data: `call_forwarded_from=${sipClient.user_id}` });
+            }
+            if (forwardBusy) {
+                console.log(`INFO: Adding busy call forward for ${sipClient.user_id} to ${forwardBusy}`);
+                actions.push({ application: "bridge", data: `\${cond(\${call_forward_disposition} == USER_BUSY ? ${forwardBusy} : error/USER_BUSY)}` });
+            }
+            if (forwardNoAnswer) {
+                console.log(`INFO: Adding no-answer call forward for ${sipClient.user_id} to ${forwardNoAnswer} after ${callTimeout}s`);
+                actions.push({ application: "bridge", data: `\${cond(\${call_forward_disposition} == NO_ANSWER ? ${forwardNoAnswer} : error/NO_ANSWER)}` });
+            }
+        }
 
         if (sipClient.enable_voicemail) {
             console.log(`INFO: Adding voicemail fallback for SIP client ${sipClient.user_id}`);
@@ -475,39 +1090,60 @@ const handleLocalCall = async (body, tenant, domain, effectiveDestination) => {
             actions.push({ application: "hangup", data: "" });
         }
 
-        return {
+        return withHuntedExtensions({
             name: `sip_client_${sipClient.user_id.replace(/[^a-zA-Z0-9]/g, "_")}`,
             condition_field: "destination_number",
             expression: `^${escapeRegExp(effectiveDestination)}$`,
             actions: actions,
-        };
+        });
+    }
+
+    traceRule(options, "sip_client", false, `No SIP client has user_id ${effectiveDestination}`);
+
+    // Rule 5: Outbound Dialing (if destination_number looks like an external number), subject to the caller's class of service
+    const isExternalNumber = /^\+?\d{10,15}$/.test(effectiveDestination);
+    const denialActions = isExternalNumber ? getOutboundDenialActions(tenant, originatingSipClient, body, effectiveDestination) : null;
+    if (denialActions) {
+        traceRule(options, "external", true, `${effectiveDestination} is not allowed by the caller's class of service; the call is rejected`);
+        actions.push(...denialActions);
+        return withHuntedExtensions({
+            name: `outbound_denied_${effectiveDestination.replace(/\D/g, "_")}`,
+            condition_field: "destination_number",
+            expression: `^${escapeRegExp(effectiveDestination)}$`,
+            actions: actions,
+        });
     }
 
-    // Rule 5: Outbound Dialing (if destination_number looks like an external number)
-    if (/^\+?\d{10,15}$/.test(effectiveDestination)) {
-        console.log(`INFO: Routing local call to external number: ${effectiveDestination}`);
-        actions.push({ application: "bridge", data: `sofia/gateway/signalwire/${effectiveDestination}` });
+    const outboundDialString = isExternalNumber ? await outboundRoutingService.buildDialString(effectiveDestination) : null;
+    if (outboundDialString) {
+        console.log(`INFO: Routing local call to external number: ${effectiveDestination} via ${outboundDialString}`);
+        traceRule(options, "external", true, `${effectiveDestination} is an external number; routing via ${outboundDialString}`);
+        actions.push(...getRedialHashActions(originatingSipClient, effectiveDestination));
+        actions.push({ application: "bridge", data: outboundDialString });
         actions.push({ application: "hangup", data: "" });
-        return {
+        return withHuntedExtensions({
             name: `outbound_${effectiveDestination.replace(/\D/g, "_")}`,
             condition_field: "destination_number",
             expression: `^${escapeRegExp(effectiveDestination)}$`,
             actions: actions,
-        };
+        });
     }
 
+    traceRule(options, "external", false, isExternalNumber ? "No external gateway is available" : `${effectiveDestination} is not an external number`);
+
     // Fallback: If no specific rule matches, play a message and hangup
+    traceRule(options, "fallback", true, "No rule matched; playing the cannot-be-completed message");
     console.log(`INFO: No specific local call rule matched for destination: ${effectiveDestination}. Playing fallback message.`);
     actions.push({ application: "answer", data: "" });
     actions.push({ application: "playback", data: IVR_SOUND_PATH_CALL_CANNOT_BE_COMPLETED });
     actions.push({ application: "hangup", data: "" });
 
-    return {
+    return withHuntedExtensions({
         name: `fallback_local_call`,
         condition_field: "destination_number",
         expression: `^${escapeRegExp(effectiveDestination)}$`,
         actions: actions,
-    };
+    });
 };
 
 const dialplanController = {
@@ -515,9 +1151,13 @@ const dialplanController = {
      * Main entry point for FreeSWITCH XML-Curl dialplan lookups.
      * Orchestrates call routing based on context and destination number.
      * @param {Object} body - The raw request body from FreeSWITCH XML-Curl.
+     * @param {Object} [options={}] - Lookup options.
+     * @param {boolean} [options.dryRun=false] - Skip side effects (CNAM lookups, emergency notifications, feature code updates).
+     * @param {Array<Object>} [options.trace] - When given, receives a { rule, matched, reason } step for every routing rule evaluated.
+     * @param {string} [options.tenantDomain] - Only route inbound calls to this tenant's DIDs (set by simulate).
      * @returns {Promise<string>} The FreeSWITCH XML dialplan response.
      */
-    lookup: async (body) => {
+    lookup: async (body, options = {}) => {
         console.log("-----------------Dialplan query------------------");
         console.log("FreeSWITCH Request Body:", JSON.stringify(body, null, 2));
 
@@ -539,6 +1179,7 @@ const dialplanController = {
 
             if (!tenant && requestedContext !== "public") {
                 console.log(`Tenant not found for domain: ${domain}.`);
+                traceRule(options, "no_tenant", true, `No tenant has domain ${domain}`);
                 matchedExtension = {
                     name: "no_tenant_found",
                     condition_field: "destination_number",
@@ -554,9 +1195,10 @@ const dialplanController = {
 
                 if (actualDidFromTrunk) {
                     console.log(`INFO: Incoming call in 'public' context. Actual DID: ${actualDidFromTrunk}. Transferring to default context.`);
-                    matchedExtension = await handleInboundCall(body, domain, actualDidFromTrunk);
+                    matchedExtension = await handleInboundCall(body, domain, actualDidFromTrunk, options);
                 } else {
                     console.log(`WARNING: Incoming call in 'public' context but no actual DID found. Hanging up.`);
+                    traceRule(options, "inbound_did", true, "No sip_to_user or sip_dest_user variable carries the dialed DID; the call is hung up");
                     matchedExtension = {
                         name: `public_no_did_found`,
                         condition_field: "destination_number",
@@ -571,6 +1213,7 @@ const dialplanController = {
             } else if (requestedContext === "default") {
                 if (fromDomain && domain && normalizeStringForComparison(domain) !== normalizeStringForComparison(fromDomain)) {
                     console.log(`Blocking inter-domain call: From ${fromDomain} to ${domain}`);
+                    traceRule(options, "interdomain_block", true, `The caller's domain ${fromDomain} is not ${domain}`);
                     matchedExtension = {
                         name: "block-interdomain-call",
                         condition_field: "destination_number",
@@ -580,18 +1223,24 @@ const dialplanController = {
                 }
 
                 if (!matchedExtension) {
-                    matchedExtension = await handleOutboundCall(body, effectiveDestination);
+                    matchedExtension = await handleEmergencyCall(body, tenant, effectiveDestination, options);
+                }
+
+                if (!matchedExtension) {
+                    matchedExtension = await handleOutboundCall(body, tenant, effectiveDestination, options);
                 }
 
                 if (!matchedExtension) {
-                    matchedExtension = await handleLocalCall(body, tenant, domain, effectiveDestination);
+                    matchedExtension = await handleLocalCall(body, tenant, domain, effectiveDestination, options);
                 }
 
                 if (!matchedExtension) {
+                    traceRule(options, "fallback", true, "No rule matched; playing the invalid entry message");
                     matchedExtension = getNoMatchFallback(effectiveDestination);
                 }
             } else {
                 console.warn(`WARNING: Request for unhandled context "${requestedContext}".`);
+                traceRule(options, "fallback", true, `Context "${requestedContext}" is not handled`);
                 matchedExtension = getNoMatchFallback(destination);
             }
 
@@ -600,9 +1249,53 @@ const dialplanController = {
             return xmlResponse;
         } catch (error) {
             console.error("Error processing dialplan request:", error);
+            traceRule(options, "error", true, error.message);
             return xmlGenerator.generateErrorXml(body["Caller-Destination-Number"]);
         }
     },
+
+    /**
+     * Simulates a dialplan lookup for a tenant without side effects: nothing is saved, notified or looked up externally.
+     * @param {string} domainName - Domain name of the tenant.
+     * @param {Object} call - The call to simulate.
+     * @param {string} call.destination - The dialed number.
+     * @param {string} [call.caller=""] - Caller ID number. Internal calls are simulated as authenticated by the SIP client with this user_id.
+     * @param {string} [call.caller_name] - Caller ID name.
+     * @param {string} [call.context="default"] - Dialplan context ("default" or "public").
+     * @param {Object} [call.variables={}] - Channel variables, without the "variable_" prefix (e.g., { "sip_to_user": "+15125550100" }).
+     * @returns {Promise<{matched_rule: string|null, reason: string|null, steps: Array<Object>, xml: string}>} The rule that took the call, every rule evaluated, and the XML FreeSWITCH would receive.
+     * @throws {Error} If the destination is missing or the tenant is not found.
+     */
+    simulate: async (domainName, call = {}) => {
+        if (!call.destination) throw new Error("destination is required");
+        const tenant = await tenantService.getTenantByDomain(domainName);
+        if (!tenant) throw new Error("Tenant not found");
+
+        const caller = String(call.caller || "");
+        const body = {
+            section: "dialplan",
+            domain: domainName,
+            "Caller-Context": call.context || "default",
+            "Caller-Destination-Number": String(call.destination),
+            "Caller-Caller-ID-Number": caller,
+            "Caller-Caller-ID-Name": call.caller_name || caller,
+            "Caller-Channel-Name": `sofia/internal/${caller}@${domainName}`,
+            // Internal calls are simulated as authenticated by the calling SIP client
+            ...(call.context === "public" ? {} : { variable_user_name: caller, variable_domain_name: domainName }),
+            ...Object.fromEntries(Object.entries(call.variables || {}).map(([name, value]) => [`variable_${name}`, String(value)])),
+        };
+
+        const steps = [];
+        const xml = await dialplanController.lookup(body, { dryRun: true, trace: steps, tenantDomain: tenant.domain_name });
+        const matchedStep = steps.find((step) => step.matched) || null;
+
+        return {
+            matched_rule: matchedStep ? matchedStep.rule : null,
+            reason: matchedStep ? matchedStep.reason : null,
+            steps,
+            xml,
+        };
+    },
 };
 
 module.exports = dialplanController;
@@ -1,4 +1,10 @@
+const crypto = require('crypto');
 const tenantService = require('../services/tenantService');
+const xmlGenerator = require('../utils/xmlGenerator');
+
+// Group and DID voicemail boxes are directory users only so mod_voicemail can find them; nobody may register as them.
+// Their SIP password is random per process instead of a well-known placeholder, so it cannot be guessed.
+const MAILBOX_ONLY_PASSWORD = crypto.randomBytes(24).toString('hex');
 
 const directoryController = {
     /**
@@ -12,9 +18,12 @@ const directoryController = {
      * - user: A generic user ID lookup.
      *
      * @param {Object} body - The request body from FreeSWITCH containing lookup parameters.
+     * @param {Object} [options={}] - Lookup options.
+     * @param {boolean} [options.includeSecrets=false] - Set for authenticated FreeSWITCH nodes. Without it the lookup is answered
+     *   with "not found": sofia accepts any credentials for a user entry without them, so users are never served without credentials.
      * @returns {string} The XML document for FreeSWITCH.
      */
-    lookup: async (body) => {
+    lookup: async (body, options = {}) => {
         const domain = body.domain;
         // FreeSWITCH sends either sip_auth_username (for registration) or user (for other lookups like voicemail)
         const userNumber = body.sip_auth_username || body.user;
@@ -27,6 +36,11 @@ const directoryController = {
             return `<document type="freeswitch/xml"/>`;
         }
 
+        if (options.includeSecrets !== true) {
+            console.warn(`WARN: Directory lookup for "${userNumber}" in "${domain}" is not from an authenticated node (see middleware/xmlCurlAuth.js). Returning not found.`);
+            return xmlGenerator.generateNotFoundXml();
+        }
+
         // Fetch the tenant and all its associated data (SIP clients, groups, DIDs).
         // This relies on your tenantService.getTenantByDomain method to populate these arrays.
         const tenant = await tenantService.getTenantByDomain(domain);
@@ -48,6 +62,12 @@ const directoryController = {
         // --- 1. Attempt to match a SIP Client ---
         const sipClient = tenant.sip_clients?.find(client => client.user_id === userNumber);
 
+        if (sipClient && !/^[0-9a-f]{32}$/i.test(sipClient.a1_hash || '')) {
+            // Without its a1-hash sofia would accept any password, so a client the migration has not reached cannot register
+            console.error(`ERROR: SIP client "${sipClient.user_id}" in "${domain}" has no valid a1-hash; run scripts/migrateSecrets.js or set its password. Returning not found.`);
+            return xmlGenerator.generateNotFoundXml();
+        }
+
         if (sipClient) {
             console.log(`DEBUG: Matched SIP client: ${sipClient.user_id}`);
             const voicemailPin = sipClient.voicemail_pin || defaultVoicemailPin;
@@ -56,7 +76,7 @@ const directoryController = {
             userXml = `
                 <user id="${sipClient.user_id}">
                     <params>
-                        <param name="password" value="${sipClient.password || ''}"/>
+                        <param name="a1-hash" value="${sipClient.a1_hash}"/>
                         ${sipClient.enable_voicemail ? `<param name="vm-password" value="${voicemailPin}"/>` : ''}
                     </params>
                     <variables>
@@ -86,7 +106,7 @@ const directoryController = {
                 userXml = `
                     <user id="${userNumber}" mailbox="${groupVm.voicemail_box_id}">
                         <params>
-                            <param name="password" value="NO_SIP_AUTH"/> <param name="vm-password" value="${voicemailPin}"/>
+                            <param name="password" value="${MAILBOX_ONLY_PASSWORD}"/> <param name="vm-password" value="${voicemailPin}"/>
                         </params>
                         <variables>
                             <variable name="user_context" value="default"/>
@@ -118,7 +138,7 @@ const directoryController = {
                     userXml = `
                         <user id="${userNumber}" mailbox="${vmBoxIdFromDid}">
                             <params>
-                                <param name="password" value="NO_SIP_AUTH"/> <param name="vm-password" value="${voicemailPin}"/>
+                                <param name="password" value="${MAILBOX_ONLY_PASSWORD}"/> <param name="vm-password" value="${voicemailPin}"/>
                             </params>
                             <variables>
                                 <variable name="user_context" value="default"/>
@@ -1,12 +1,15 @@
 // controllers/globalConfigApiController.js
 const globalConfigService = require('../services/globalConfigService'); // Import the new globalConfigService
+const callHistoryService = require('../services/callHistoryService');
+const registrationService = require('../services/registrationService');
 
 const globalConfigApiController = {
   /**
    * @api {get} /api/gateways Get All Global External Gateways
    * @apiName GetAllGlobalExternalGateways
    * @apiGroup GlobalGateways
-   * @apiDescription Retrieves a list of all globally configured external SIP gateways (trunks).
+   * @apiPermission global_admin
+   * @apiDescription Retrieves a list of all globally configured external SIP gateways (trunks). Passwords are redacted.
    * @apiSuccess {Object[]} gateways Array of external gateway objects.
    * @apiSuccessExample {json} Success-Response:
    * HTTP/1.1 200 OK
@@ -16,7 +19,7 @@ const globalConfigApiController = {
    * "name": "signalwire_us_east",
    * "realm": "gw.signalwire.com",
    * "username": "...",
-   * "password": "...",
+   * "password": "********",
    * "from_domain": "gw.signalwire.com",
    * "register": true,
    * "context": "public",
@@ -46,6 +49,7 @@ const globalConfigApiController = {
    * @api {get} /api/gateways/:gateway_name Get Specific Global External Gateway
    * @apiName GetGlobalExternalGateway
    * @apiGroup GlobalGateways
+   * @apiPermission global_admin
    * @apiDescription Retrieves a single globally configured external SIP gateway by its name.
    * @apiParam {String} gateway_name The unique name of the gateway to retrieve.
    * @apiSuccess {Object} gateway The external gateway object.
@@ -82,14 +86,16 @@ const globalConfigApiController = {
    * @api {post} /api/gateways Add New Global External Gateway
    * @apiName AddGlobalExternalGateway
    * @apiGroup GlobalGateways
+   * @apiPermission global_admin
    * @apiDescription Adds a new globally configured external SIP gateway (trunk).
    * @apiParam {String} name Unique name for the gateway.
    * @apiParam {String} realm SIP domain/realm of the gateway.
    * @apiParam {String} username Username for registration/authentication.
-   * @apiParam {String} password Password for registration/authentication.
+   * @apiParam {String} password Password for registration/authentication. Stored encrypted with SECRETS_ENCRYPTION_KEY.
    * @apiParam {String} from_domain What to send in From: header.
    * @apiParam {Boolean} [register=false] Whether FreeSWITCH should register to this gateway.
    * @apiParam {String} [context=default] Inbound context for calls coming from this gateway.
+   * @apiParam {String} [rate_deck] Rate deck with the carrier's prices, used as the cost of calls through this gateway.
    * @apiParamExample {json} Request-Example:
    * {
    * "name": "signalwire_us_west",
@@ -110,6 +116,7 @@ const globalConfigApiController = {
    * "name": "signalwire_us_west",
    * // ... rest of gateway data ...
    * }
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
    * @apiError (409 Conflict) GatewayExists A gateway with the same `name` already exists.
    * @apiErrorExample {json} Error-Response:
    * HTTP/1.1 409 Conflict
@@ -135,6 +142,7 @@ const globalConfigApiController = {
    * @api {put} /api/gateways/:gateway_name Update Global External Gateway
    * @apiName UpdateGlobalExternalGateway
    * @apiGroup GlobalGateways
+   * @apiPermission global_admin
    * @apiDescription Updates an existing globally configured external SIP gateway by its name.
    * @apiParam {String} gateway_name The unique name of the gateway to update.
    * @apiParam {Object} updateData Data to update the gateway with. Only provided fields will be updated.
@@ -152,6 +160,7 @@ const globalConfigApiController = {
    * "register": false,
    * // ... rest of updated gateway data ...
    * }
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
    * @apiError (404 Not Found) GatewayNotFound The gateway with the specified `gateway_name` was not found.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during gateway update.
    */
@@ -172,6 +181,7 @@ const globalConfigApiController = {
    * @api {delete} /api/gateways/:gateway_name Delete Global External Gateway
    * @apiName DeleteGlobalExternalGateway
    * @apiGroup GlobalGateways
+   * @apiPermission global_admin
    * @apiDescription Deletes a globally configured external SIP gateway by its name.
    * @apiParam {String} gateway_name The unique name of the gateway to delete.
    * @apiSuccess (204 No Content) NoContent Gateway successfully deleted.
@@ -191,6 +201,266 @@ const globalConfigApiController = {
     }
   },
 
+  // --- Outbound Route Management ---
+  /**
+   * @api {get} /api/gateways/status Get Gateway Registration States
+   * @apiName GetExternalGatewayStatuses
+   * @apiGroup GlobalGateways
+   * @apiPermission global_admin
+   * @apiDescription Shows the live state of every external gateway on each FreeSWITCH node (`sofia status gateway <name>`).
+   * `found` is false on a node that has not loaded the gateway. Requires FREESWITCH_ESL_NODES; nodes that could not be
+   * asked are listed in `unreachable_nodes`.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "gateways": [
+   * { "gateway": "signalwire_us_east", "register": true, "nodes": [
+   * { "node": "10.0.0.5:8021", "found": true, "name": "signalwire_us_east", "profile": "signal", "state": "REGED", "status": "UP",
+   * "registered": true, "ping_state": "0/0/0", "uptime_seconds": 86400, "calls_in": 812, "calls_out": 530, "failed_calls_in": 3, "failed_calls_out": 41 }
+   * ] }
+   * ],
+   * "unreachable_nodes": []
+   * }
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   * @apiError (502 Bad Gateway) NoFreeswitchNode No FreeSWITCH node answered.
+   * @apiError (503 Service Unavailable) EslNotConfigured The Event Socket is not configured.
+   */
+  getExternalGatewayStatuses: async (req, res) => {
+    try {
+      const statuses = await registrationService.getGatewayStatuses();
+      res.status(200).json(statuses);
+    } catch (error) {
+      console.error('API Error: Get External Gateway Statuses', error);
+      if (error.message.includes('not configured')) {
+        return res.status(503).json({ error: error.message });
+      } else if (error.message.includes('No FreeSWITCH node answered')) {
+        return res.status(502).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve external gateway states' });
+    }
+  },
+
+  /**
+   * @api {get} /api/gateways/:gateway_name/status Get Gateway Registration State
+   * @apiName GetExternalGatewayStatus
+   * @apiGroup GlobalGateways
+   * @apiPermission global_admin
+   * @apiDescription Shows the live state of one external gateway on each FreeSWITCH node (see Get Gateway Registration States).
+   * @apiParam {String} gateway_name The unique name of the gateway.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * { "gateway": "signalwire_us_east", "register": true, "nodes": [ { "node": "10.0.0.5:8021", "found": true, "state": "REGED", ... } ], "unreachable_nodes": [] }
+   * @apiError (404 Not Found) GatewayNotFound The gateway with the specified `gateway_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   * @apiError (502 Bad Gateway) NoFreeswitchNode No FreeSWITCH node answered.
+   * @apiError (503 Service Unavailable) EslNotConfigured The Event Socket is not configured.
+   */
+  getExternalGatewayStatus: async (req, res) => {
+    try {
+      const status = await registrationService.getGatewayStatus(req.params.gateway_name);
+      if (!status) {
+        return res.status(404).json({ error: 'External gateway not found' });
+      }
+      res.status(200).json(status);
+    } catch (error) {
+      console.error('API Error: Get External Gateway Status', error);
+      if (error.message.includes('not configured')) {
+        return res.status(503).json({ error: error.message });
+      } else if (error.message.includes('No FreeSWITCH node answered')) {
+        return res.status(502).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve external gateway state' });
+    }
+  },
+
+  /**
+   * @api {get} /api/outbound-routes Get All Outbound Routes
+   * @apiName GetAllOutboundRoutes
+   * @apiGroup OutboundRoutes
+   * @apiPermission global_admin
+   * @apiDescription Retrieves all outbound routes. Each route sends dialed numbers matching its prefix through an ordered list of gateways.
+   * @apiSuccess {Object[]} routes Array of outbound route objects.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * [
+   * {
+   * "name": "us_domestic",
+   * "prefix": "1",
+   * "enabled": true,
+   * "gateways": [
+   * { "gateway_name": "signalwire_us_east", "priority": 1, "weight": 1, "cost_per_minute": 0.007 },
+   * { "gateway_name": "signalwire_us_west", "priority": 2, "weight": 1, "cost_per_minute": 0.009 }
+   * ]
+   * }
+   * ]
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server while retrieving outbound routes.
+   */
+  getAllOutboundRoutes: async (req, res) => {
+    try {
+      const routes = await globalConfigService.getAllOutboundRoutes();
+      res.status(200).json(routes);
+    } catch (error) {
+      console.error('API Error: Get All Outbound Routes', error);
+      res.status(500).json({ error: 'Failed to retrieve outbound routes' });
+    }
+  },
+
+  /**
+   * @api {get} /api/outbound-routes/:route_name Get Specific Outbound Route
+   * @apiName GetOutboundRoute
+   * @apiGroup OutboundRoutes
+   * @apiPermission global_admin
+   * @apiDescription Retrieves a single outbound route by its name.
+   * @apiParam {String} route_name The unique name of the route to retrieve.
+   * @apiSuccess {Object} route The outbound route object.
+   * @apiError (404 Not Found) RouteNotFound The route with the specified `route_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getOutboundRoute: async (req, res) => {
+    try {
+      const route = await globalConfigService.getOutboundRoute(req.params.route_name);
+      if (!route) {
+        return res.status(404).json({ error: 'Outbound route not found' });
+      }
+      res.status(200).json(route);
+    } catch (error) {
+      console.error('API Error: Get Specific Outbound Route', error);
+      res.status(500).json({ error: 'Failed to retrieve outbound route' });
+    }
+  },
+
+  /**
+   * @api {post} /api/outbound-routes Add New Outbound Route
+   * @apiName AddOutboundRoute
+   * @apiGroup OutboundRoutes
+   * @apiPermission global_admin
+   * @apiDescription Adds a new outbound route. Calls use the enabled route with the longest matching prefix; gateways are tried
+   * by priority, then lowest cost per minute, with weight spreading calls between otherwise equal gateways.
+   * Numbers matching no route are tried on every external gateway.
+   * @apiParam {String} name Unique name for the route.
+   * @apiParam {String} [prefix] Digits the dialed E.164 number (without '+') must start with. Empty matches every number.
+   * @apiParam {Boolean} [enabled=true] Whether the route is used.
+   * @apiParam {Object[]} gateways Gateways the route uses.
+   * @apiParam {String} gateways.gateway_name Name of an external gateway.
+   * @apiParam {Number} [gateways.priority=1] Lower priorities are tried first.
+   * @apiParam {Number} [gateways.weight=1] Relative share of calls among gateways with the same priority and cost.
+   * @apiParam {Number} [gateways.cost_per_minute=0] Per-minute cost of the gateway for this route.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "name": "us_domestic",
+   * "prefix": "1",
+   * "gateways": [
+   * { "gateway_name": "signalwire_us_east", "priority": 1, "weight": 3, "cost_per_minute": 0.007 },
+   * { "gateway_name": "signalwire_us_west", "priority": 1, "weight": 1, "cost_per_minute": 0.007 },
+   * { "gateway_name": "backup_trunk", "priority": 2, "cost_per_minute": 0.012 }
+   * ]
+   * }
+   * @apiSuccess (201 Created) {Object} route The newly created outbound route object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (409 Conflict) RouteExists A route with the same `name` already exists.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during route creation.
+   */
+  addOutboundRoute: async (req, res) => {
+    try {
+      const newRoute = await globalConfigService.addOutboundRoute(req.body);
+      res.status(201).json(newRoute);
+    } catch (error) {
+      console.error('API Error: Add Outbound Route', error);
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to add outbound route' });
+    }
+  },
+
+  /**
+   * @api {put} /api/outbound-routes/:route_name Update Outbound Route
+   * @apiName UpdateOutboundRoute
+   * @apiGroup OutboundRoutes
+   * @apiPermission global_admin
+   * @apiDescription Updates an existing outbound route by its name.
+   * @apiParam {String} route_name The unique name of the route to update.
+   * @apiParam {Object} updateData Data to update the route with. Only provided fields will be updated.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "enabled": false
+   * }
+   * @apiSuccess {Object} route The updated outbound route object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) RouteNotFound The route with the specified `route_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during route update.
+   */
+  updateOutboundRoute: async (req, res) => {
+    try {
+      const updatedRoute = await globalConfigService.updateOutboundRoute(req.params.route_name, req.body);
+      if (!updatedRoute) {
+        return res.status(404).json({ error: 'Outbound route not found' });
+      }
+      res.status(200).json(updatedRoute);
+    } catch (error) {
+      console.error('API Error: Update Outbound Route', error);
+      res.status(500).json({ error: 'Failed to update outbound route' });
+    }
+  },
+
+  /**
+   * @api {delete} /api/outbound-routes/:route_name Delete Outbound Route
+   * @apiName DeleteOutboundRoute
+   * @apiGroup OutboundRoutes
+   * @apiPermission global_admin
+   * @apiDescription Deletes an outbound route by its name.
+   * @apiParam {String} route_name The unique name of the route to delete.
+   * @apiSuccess (204 No Content) NoContent Route successfully deleted.
+   * @apiError (404 Not Found) RouteNotFound The route with the specified `route_name` was not found for deletion.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during route deletion.
+   */
+  deleteOutboundRoute: async (req, res) => {
+    try {
+      const deleted = await globalConfigService.deleteOutboundRoute(req.params.route_name);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Outbound route not found for deletion' });
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error('API Error: Delete Outbound Route', error);
+      res.status(500).json({ error: 'Failed to delete outbound route' });
+    }
+  },
+
+  /**
+   * @api {get} /api/usage/gateways Get Trunk Minutes by Gateway
+   * @apiName GetGatewayUsage
+   * @apiGroup Usage
+   * @apiPermission global_admin
+   * @apiDescription Calls and talk minutes through each external gateway, across all tenants, split by direction.
+   * Configured gateways without calls are listed with zeros.
+   * @apiQuery {String} [from] Start of the period (ISO 8601). Defaults to 30 days before `to`.
+   * @apiQuery {String} [to] End of the period (ISO 8601). Defaults to now.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "from": "2025-06-01T00:00:00.000Z", "to": "2025-07-01T00:00:00.000Z",
+   * "gateways": [
+   * { "gateway": "signalwire_us_east", "inbound": { "calls": 812, "answered": 760, "minutes": 2410.25 },
+   * "outbound": { "calls": 530, "answered": 402, "minutes": 1290.5 }, "total_minutes": 3700.75 }
+   * ]
+   * }
+   * @apiError (400 Bad Request) InvalidQuery A query parameter is invalid.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getGatewayUsage: async (req, res) => {
+    try {
+      const usage = await callHistoryService.getGatewayUsage(req.query);
+      res.status(200).json(usage);
+    } catch (error) {
+      console.error('API Error: Get Gateway Usage', error);
+      if (error.message.includes('Invalid')) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve gateway usage' });
+    }
+  },
+
   /**
    * Handles FreeSWITCH XML-Curl configuration lookup requests.
    * This method is specifically for FreeSWITCH's `sofia.conf` requests.
@@ -215,7 +485,10 @@ const globalConfigApiController = {
     }
 
     try {
-      const globalGateways = await globalConfigService.getAllExternalGateways();
+      const includeSecrets = req.xmlCurlAuthenticated === true; // See middleware/xmlCurlAuth.js
+      const globalGateways = includeSecrets
+        ? await globalConfigService.getExternalGatewaysWithCredentials()
+        : await globalConfigService.getAllExternalGateways();
 
       // Define default values for FreeSWITCH variables that are hardcoded in the XML
       // These replace variables like ${global_codec_prefs} that FreeSWITCH expects to be resolved.
@@ -293,7 +566,7 @@ const globalConfigApiController = {
             <gateway name="${gateway.name}">
               <param name="realm" value="${gateway.realm}"/>
               <param name="username" value="${gateway.username}"/>
-              <param name="password" value="${gateway.password}"/>
+              ${includeSecrets ? `<param name="password" value="${gateway.password}"/>` : ''}
               <param name="from-domain" value="${gateway.from_domain}"/>
               ${gateway.extension ? `<param name="extension" value="${gateway.extension}"/>` : ''}
               <param name="ext-sip-ip" value="${gateway.ext_sip_ip || 'auto-nat'}"/>
@@ -0,0 +1,256 @@
+// controllers/ratingApiController.js
+const ratingService = require('../services/ratingService');
+
+const ratingApiController = {
+  // --- Rate Decks ---
+  /**
+   * @api {get} /api/rate-decks Get All Rate Decks
+   * @apiName GetAllRateDecks
+   * @apiGroup RateDecks
+   * @apiPermission global_admin
+   * @apiDescription Retrieves all rate decks, with the number of rates in each. Decks price calls per destination prefix:
+   * a gateway's `rate_deck` is the carrier's cost, a tenant's billing `rate_deck` is what the tenant pays.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * [
+   * { "_id": "...", "name": "retail_us", "description": "Retail prices", "initial_increment": 6, "subsequent_increment": 6, "rate_count": 2410, ... }
+   * ]
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getRateDecks: async (req, res) => {
+    try {
+      const decks = await ratingService.getRateDecks();
+      res.status(200).json(decks);
+    } catch (error) {
+      console.error('API Error: Get All Rate Decks', error);
+      res.status(500).json({ error: 'Failed to retrieve rate decks' });
+    }
+  },
+
+  /**
+   * @api {get} /api/rate-decks/:deck_name Get Specific Rate Deck
+   * @apiName GetRateDeck
+   * @apiGroup RateDecks
+   * @apiPermission global_admin
+   * @apiDescription Retrieves a rate deck by its name, with the number of rates in it.
+   * @apiParam {String} deck_name The deck's name.
+   * @apiSuccess {Object} deck The rate deck.
+   * @apiError (404 Not Found) RateDeckNotFound The deck was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getRateDeck: async (req, res) => {
+    try {
+      const deck = await ratingService.getRateDeck(req.params.deck_name);
+      if (!deck) {
+        return res.status(404).json({ error: 'Rate deck not found' });
+      }
+      res.status(200).json(deck);
+    } catch (error) {
+      console.error('API Error: Get Specific Rate Deck', error);
+      res.status(500).json({ error: 'Failed to retrieve rate deck' });
+    }
+  },
+
+  /**
+   * @api {post} /api/rate-decks Add Rate Deck
+   * @apiName AddRateDeck
+   * @apiGroup RateDecks
+   * @apiPermission global_admin
+   * @apiDescription Adds an empty rate deck; its rates are imported from CSV.
+   * @apiParam {String} name Unique name for the deck.
+   * @apiParam {String} [description] Description of the deck.
+   * @apiParam {Number} [initial_increment=60] Seconds billed for the first block of a call, for rates that do not set their own.
+   * @apiParam {Number} [subsequent_increment=60] Seconds of each following block (60/60 bills whole minutes, 6/6 tenths of a minute).
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "name": "retail_us",
+   * "description": "Retail prices",
+   * "initial_increment": 6,
+   * "subsequent_increment": 6
+   * }
+   * @apiSuccess (201 Created) {Object} deck The newly created deck.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (409 Conflict) RateDeckExists A deck with the same name already exists.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  addRateDeck: async (req, res) => {
+    try {
+      const deck = await ratingService.addRateDeck(req.body);
+      res.status(201).json(deck);
+    } catch (error) {
+      console.error('API Error: Add Rate Deck', error);
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to add rate deck' });
+    }
+  },
+
+  /**
+   * @api {put} /api/rate-decks/:deck_name Update Rate Deck
+   * @apiName UpdateRateDeck
+   * @apiGroup RateDecks
+   * @apiPermission global_admin
+   * @apiDescription Updates a rate deck's description or default increments. The name cannot be changed.
+   * Calls already rated keep their price; see Rate Calls Again.
+   * @apiParam {String} deck_name The deck's name.
+   * @apiParam {Object} updateData Data to update the deck with. Only provided fields will be updated.
+   * @apiSuccess {Object} deck The updated deck.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) RateDeckNotFound The deck was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  updateRateDeck: async (req, res) => {
+    try {
+      const deck = await ratingService.updateRateDeck(req.params.deck_name, req.body);
+      if (!deck) {
+        return res.status(404).json({ error: 'Rate deck not found' });
+      }
+      res.status(200).json(deck);
+    } catch (error) {
+      console.error('API Error: Update Rate Deck', error);
+      res.status(500).json({ error: 'Failed to update rate deck' });
+    }
+  },
+
+  /**
+   * @api {delete} /api/rate-decks/:deck_name Delete Rate Deck
+   * @apiName DeleteRateDeck
+   * @apiGroup RateDecks
+   * @apiPermission global_admin
+   * @apiDescription Deletes a rate deck and its rates. Decks used by a gateway or a tenant cannot be deleted.
+   * @apiParam {String} deck_name The deck's name.
+   * @apiSuccess (204 No Content) NoContent Deck successfully deleted.
+   * @apiError (404 Not Found) RateDeckNotFound The deck was not found for deletion.
+   * @apiError (409 Conflict) RateDeckInUse A gateway or a tenant uses the deck.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  deleteRateDeck: async (req, res) => {
+    try {
+      const deleted = await ratingService.deleteRateDeck(req.params.deck_name);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Rate deck not found for deletion' });
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error('API Error: Delete Rate Deck', error);
+      if (error.message.includes('is in use')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to delete rate deck' });
+    }
+  },
+
+  // --- Rates ---
+  /**
+   * @api {get} /api/rate-decks/:deck_name/rates Get Rates
+   * @apiName GetRates
+   * @apiGroup RateDecks
+   * @apiPermission global_admin
+   * @apiDescription Lists a deck's rates by prefix, or finds the rate that applies to a number.
+   * @apiParam {String} deck_name The deck's name.
+   * @apiQuery {String} [prefix] Only prefixes starting with these digits.
+   * @apiQuery {String} [number] Only the rate applying to this number (longest matching prefix).
+   * @apiQuery {Number} [limit=100] Rates per page (at most 1000).
+   * @apiQuery {Number} [skip=0] Rates to skip.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "total": 2410,
+   * "rates": [ { "deck": "retail_us", "prefix": "1", "description": "United States", "rate": 0.012, "connect_fee": 0,
+   * "initial_increment": null, "subsequent_increment": null, ... } ]
+   * }
+   * @apiError (404 Not Found) RateDeckNotFound The deck was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getRates: async (req, res) => {
+    try {
+      const rates = await ratingService.getRates(req.params.deck_name, req.query);
+      if (!rates) {
+        return res.status(404).json({ error: 'Rate deck not found' });
+      }
+      res.status(200).json(rates);
+    } catch (error) {
+      console.error('API Error: Get Rates', error);
+      res.status(500).json({ error: 'Failed to retrieve rates' });
+    }
+  },
+
+  /**
+   * @api {post} /api/rate-decks/:deck_name/rates/import Import Rates from CSV
+   * @apiName ImportRates
+   * @apiGroup RateDecks
+   * @apiPermission global_admin
+   * @apiDescription Imports a deck's rates from a CSV file sent as the request body (Content-Type text/csv).
+   * The header row names the columns: `prefix` and `rate` (per minute) are required; `description`, `connect_fee`,
+   * `initial_increment` and `subsequent_increment` are optional (empty increments use the deck's).
+   * Prefixes already in the deck are updated. Nothing is imported if any row is invalid.
+   * @apiParam {String} deck_name The deck's name.
+   * @apiQuery {Boolean} [replace=false] "true" also deletes the deck's rates that are not in the file.
+   * @apiParamExample {text} Request-Example:
+   * prefix,description,rate,connect_fee,initial_increment,subsequent_increment
+   * 1,United States,0.012,,6,6
+   * 44,United Kingdom,0.02,,60,60
+   * 447,United Kingdom - Mobile,0.09,0.01,60,60
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * { "imported": 3, "created": 2, "updated": 1, "deleted": 0 }
+   * @apiError (400 Bad Request) InvalidCsv The CSV is invalid; `details` lists the problems by line.
+   * @apiError (404 Not Found) RateDeckNotFound The deck was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  importRates: async (req, res) => {
+    try {
+      const text = typeof req.body === 'string' ? req.body : req.body?.csv;
+      const result = await ratingService.importRates(req.params.deck_name, text, { replace: req.query.replace === 'true' });
+      if (!result) {
+        return res.status(404).json({ error: 'Rate deck not found' });
+      }
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('API Error: Import Rates', error);
+      if (error.message.includes('Invalid rate CSV')) {
+        return res.status(400).json({ error: error.message, details: error.details });
+      }
+      res.status(500).json({ error: 'Failed to import rates' });
+    }
+  },
+
+  /**
+   * @api {post} /api/billing/rerate Rate Calls Again
+   * @apiName RerateCalls
+   * @apiGroup RateDecks
+   * @apiPermission global_admin
+   * @apiDescription Rates stored answered outbound calls again with the current decks and tenant billing settings,
+   * e.g. after importing a deck. Calls are otherwise rated once, when their CDR is stored.
+   * @apiParam {String} [domain_name] Only calls of this tenant (all tenants if not set).
+   * @apiParam {String} [from] Calls started at or after this ISO 8601 date.
+   * @apiParam {String} [to] Calls started before this ISO 8601 date.
+   * @apiParam {Boolean} [unrated_only=false] Leave calls that were already rated as they are.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "domain_name": "tenant1.example.com",
+   * "from": "2025-07-01",
+   * "unrated_only": true
+   * }
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * { "rated": 1204, "unrated": 3 }
+   * @apiError (400 Bad Request) InvalidDate A date is invalid.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  rerateCalls: async (req, res) => {
+    try {
+      const result = await ratingService.rerateCalls(req.body || {});
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('API Error: Rerate Calls', error);
+      if (error.message.includes('Invalid')) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to rate calls' });
+    }
+  },
+};
+
+module.exports = ratingApiController;
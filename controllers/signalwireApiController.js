@@ -49,6 +49,68 @@ const signalwireApiController = {
             });
         }
     },
+
+    /**
+     * Lists cached CNAM results used by inbound calls, most recently updated first.
+     * Optional query parameters: 'phoneNumber' (a single number) and 'limit' (default 100, at most 1000).
+     * Responds with { total, entries }.
+     *
+     * @param {object} req - The Express request object.
+     * @param {object} res - The Express response object.
+     */
+    getCnamCache: async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+        try {
+            const cache = await signalwireService.getCnamCacheEntries({ phoneNumber: req.query.phoneNumber, limit });
+            return res.json(cache);
+        } catch (error) {
+            console.error('ERROR: Failed to list the CNAM cache:', error.message);
+            return res.status(500).json({ error: 'Failed to retrieve CNAM cache.' });
+        }
+    },
+
+    /**
+     * Removes a number from the CNAM cache (e.g., after the caller's name changed), so the next call looks it up again.
+     * Responds 204, or 404 if the number is not cached.
+     *
+     * @param {object} req - The Express request object.
+     * @param {object} res - The Express response object.
+     */
+    deleteCnamCacheEntry: async (req, res) => {
+        try {
+            const deleted = await signalwireService.deleteCnamCacheEntry(req.params.phone_number);
+            if (!deleted) {
+                return res.status(404).json({ error: 'Phone number not found in CNAM cache.' });
+            }
+            return res.status(204).send();
+        } catch (error) {
+            console.error(`ERROR: Failed to remove ${req.params.phone_number} from the CNAM cache:`, error.message);
+            return res.status(500).json({ error: 'Failed to remove CNAM cache entry.' });
+        }
+    },
+
+    /**
+     * Returns the CNAM lookup settings, counters (cache hits, API lookups, lookups skipped by the breaker, failures)
+     * and the circuit breaker state ("closed", "open" or "half_open").
+     *
+     * @param {object} req - The Express request object.
+     * @param {object} res - The Express response object.
+     */
+    getCnamStatus: (req, res) => {
+        return res.json(signalwireService.getCnamStatus());
+    },
+
+    /**
+     * Closes the CNAM circuit breaker so inbound calls use the SignalWire API again right away.
+     *
+     * @param {object} req - The Express request object.
+     * @param {object} res - The Express response object.
+     */
+    resetCnamBreaker: (req, res) => {
+        console.log(`INFO: CNAM circuit breaker reset by API token "${req.apiToken ? req.apiToken.name : 'unknown'}".`);
+        return res.json(signalwireService.resetCnamBreaker());
+    },
 };
 
 module.exports = signalwireApiController;
\ No newline at end of file
@@ -1,5 +1,13 @@
 // controllers/tenantApiController.js
 const tenantService = require('../services/tenantService');
+const emergencyService = require('../services/emergencyService');
+const numberPlanService = require('../services/numberPlanService');
+const callerFilterService = require('../services/callerFilterService');
+const callHistoryService = require('../services/callHistoryService');
+const ratingService = require('../services/ratingService');
+const registrationService = require('../services/registrationService');
+const csv = require('../utils/csv');
+const dialplanController = require('./dialplanController');
 
 const tenantApiController = {
   // --- Tenant CRUD ---
@@ -7,7 +15,8 @@ const tenantApiController = {
    * @api {get} /api/tenants Get All Tenants
    * @apiName GetAllTenants
    * @apiGroup Tenants
-   * @apiDescription Retrieves a list of all tenants.
+   * @apiPermission read_only
+   * @apiDescription Retrieves a list of all tenants. Tokens limited to one tenant only receive that tenant.
    * @apiSuccess {Object[]} tenants Array of tenant objects.
    * @apiSuccessExample {json} Success-Response:
    * HTTP/1.1 200 OK
@@ -34,17 +43,50 @@ const tenantApiController = {
   getAllTenants: async (req, res) => {
     try {
       const tenants = await tenantService.getAllTenants();
-      res.status(200).json(tenants);
+      const scopedDomain = req.apiToken?.role === 'global_admin' ? '' : req.apiToken?.domain_name;
+      res.status(200).json(scopedDomain ? tenants.filter(tenant => tenant.domain_name === scopedDomain) : tenants);
     } catch (error) {
       console.error('API Error: Get All Tenants', error);
       res.status(500).json({ error: 'Failed to retrieve tenants' });
     }
   },
 
+  /**
+   * @api {get} /api/cache/tenants Get Tenant Cache Statistics
+   * @apiName GetTenantCacheStats
+   * @apiGroup Tenants
+   * @apiPermission global_admin
+   * @apiDescription Statistics of the in-memory tenant cache used by the xml_curl handlers. `invalidation` is "change_stream"
+   * when changes are picked up through a MongoDB change stream, or "ttl" when entries expire after `ttl_ms`.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "enabled": true,
+   * "invalidation": "change_stream",
+   * "ttl_ms": null,
+   * "size": 12,
+   * "dids": 30,
+   * "hits": 5230,
+   * "misses": 48,
+   * "hit_rate": 0.991,
+   * "invalidations": 17
+   * }
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getTenantCacheStats: async (req, res) => {
+    try {
+      res.status(200).json(tenantService.getCacheStats());
+    } catch (error) {
+      console.error('API Error: Get Tenant Cache Stats', error);
+      res.status(500).json({ error: 'Failed to retrieve tenant cache statistics' });
+    }
+  },
+
   /**
    * @api {get} /api/tenants/:domain_name Get Tenant by Domain Name
    * @apiName GetTenantByDomain
    * @apiGroup Tenants
+   * @apiPermission read_only
    * @apiDescription Retrieves a single tenant by its domain name.
    * @apiParam {String} domain_name Domain name of the tenant to retrieve.
    * @apiSuccess {Object} tenant The tenant object.
@@ -86,6 +128,7 @@ const tenantApiController = {
    * @api {post} /api/tenants Create New Tenant
    * @apiName CreateTenant
    * @apiGroup Tenants
+   * @apiPermission global_admin
    * @apiDescription Creates a new tenant. Requires `domain_name` and a complete `profile` object.
    * @apiParam {String} domain_name Unique domain name for the tenant.
    * @apiParam {String} [description] Optional description for the tenant.
@@ -93,6 +136,11 @@ const tenantApiController = {
    * @apiParam {Object[]} [sip_clients] Optional array of SIP client objects.
    * @apiParam {Object} [dialplan] Optional dialplan configuration object.
    * @apiParam {Object[]} [groups] Optional array of group objects.
+   * @apiParam {String="internal_only","emergency_only","local","national","international","unrestricted"} [class_of_service=national] Which external numbers the tenant's SIP clients may dial.
+   * @apiParam {String[]} [local_area_codes] Area codes treated as local calls by the `local` class of service.
+   * @apiParam {Object} [emergency] Emergency calling settings.
+   * @apiParam {String[]} [emergency.numbers=["911","933"]] Numbers that always route out as emergency calls.
+   * @apiParam {String} [emergency.webhook_url] URL notified (POST, JSON) whenever an emergency call is placed.
    * @apiParamExample {json} Request-Example:
    * {
    * "domain_name": "newtenant.example.com",
@@ -120,12 +168,14 @@ const tenantApiController = {
    * "createdAt": "...",
    * "updatedAt": "..."
    * }
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
    * @apiError (409 Conflict) TenantExists A tenant with the provided `domain_name` already exists.
    * @apiErrorExample {json} Error-Response:
    * HTTP/1.1 409 Conflict
    * {
    * "error": "Tenant with this domain name already exists."
    * }
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during tenant creation.
    * @apiErrorExample {json} Error-Response:
    * HTTP/1.1 500 Internal Server Error
@@ -141,6 +191,8 @@ const tenantApiController = {
       console.error('API Error: Create Tenant', error);
       if (error.code === 11000) { // MongoDB duplicate key error code
           return res.status(409).json({ error: 'Tenant with this domain name already exists.' });
+      } else if (error.message.includes('Number plan conflict')) {
+          return res.status(409).json({ error: error.message });
       }
       res.status(500).json({ error: 'Failed to create tenant' });
     }
@@ -150,9 +202,11 @@ const tenantApiController = {
    * @api {put} /api/tenants/:domain_name Update Tenant
    * @apiName UpdateTenant
    * @apiGroup Tenants
+   * @apiPermission global_admin
    * @apiDescription Updates an existing tenant identified by its domain name.
    * @apiParam {String} domain_name Domain name of the tenant to update.
    * @apiParam {Object} updateData Data to update the tenant with. Only provided fields will be updated.
+   * Redacted secrets ("********") sent back from a GET are left unchanged. Changing `domain_name` requires a new `password` for every SIP client.
    * @apiParamExample {json} Request-Example:
    * {
    * "description": "Updated description for tenant1",
@@ -174,6 +228,8 @@ const tenantApiController = {
    * {
    * "error": "Tenant not found"
    * }
+   * @apiError (400 Bad Request) PasswordRequired `domain_name` is changed without new SIP client passwords.
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during tenant update.
    */
   updateTenant: async (req, res) => {
@@ -185,6 +241,11 @@ const tenantApiController = {
       res.status(200).json(updatedTenant);
     } catch (error) {
       console.error('API Error: Update Tenant', error);
+      if (error.message.includes('requires a new password')) {
+          return res.status(400).json({ error: error.message });
+      } else if (error.message.includes('Number plan conflict')) {
+          return res.status(409).json({ error: error.message });
+      }
       res.status(500).json({ error: 'Failed to update tenant' });
     }
   },
@@ -193,6 +254,7 @@ const tenantApiController = {
    * @api {delete} /api/tenants/:domain_name Delete Tenant
    * @apiName DeleteTenant
    * @apiGroup Tenants
+   * @apiPermission global_admin
    * @apiDescription Deletes a tenant by its domain name.
    * @apiParam {String} domain_name Domain name of the tenant to delete.
    * @apiSuccess (204 No Content) NoContent Tenant successfully deleted.
@@ -222,14 +284,15 @@ const tenantApiController = {
    * @api {get} /api/tenants/:domain_name/users Get All SIP Clients for a Tenant
    * @apiName GetSipClients
    * @apiGroup SIPClients
+   * @apiPermission read_only
    * @apiDescription Retrieves all SIP clients (users) associated with a specific tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
-   * @apiSuccess {Object[]} users Array of SIP client objects.
+   * @apiSuccess {Object[]} users Array of SIP client objects. Secrets (`a1_hash`, `voicemail_pin`) are redacted as "********".
    * @apiSuccessExample {json} Success-Response:
    * HTTP/1.1 200 OK
    * [
-   * { "user_id": "1001", "password": "...", "user_context": "tenant1", ... },
-   * { "user_id": "1002", "password": "...", "user_context": "tenant1", ... }
+   * { "user_id": "1001", "a1_hash": "********", "voicemail_pin": "********", "user_context": "tenant1", ... },
+   * { "user_id": "1002", "a1_hash": "********", "voicemail_pin": "********", "user_context": "tenant1", ... }
    * ]
    * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
@@ -249,13 +312,14 @@ const tenantApiController = {
    * @api {get} /api/tenants/:domain_name/users/:user_id Get Specific SIP Client
    * @apiName GetSipClient
    * @apiGroup SIPClients
+   * @apiPermission read_only
    * @apiDescription Retrieves a single SIP client by `user_id` for a given tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} user_id The ID of the SIP client to retrieve.
    * @apiSuccess {Object} user The SIP client object.
    * @apiSuccessExample {json} Success-Response:
    * HTTP/1.1 200 OK
-   * { "user_id": "1001", "password": "...", "user_context": "tenant1", ... }
+   * { "user_id": "1001", "a1_hash": "********", "voicemail_pin": "********", "user_context": "tenant1", ... }
    * @apiError (404 Not Found) NotFound The tenant or SIP client was not found.
    * @apiErrorExample {json} Error-Response:
    * HTTP/1.1 404 Not Found
@@ -279,12 +343,25 @@ const tenantApiController = {
    * @api {post} /api/tenants/:domain_name/users Add New SIP Client
    * @apiName AddSipClient
    * @apiGroup SIPClients
+   * @apiPermission tenant_admin
    * @apiDescription Adds a new SIP client to a specified tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {Object} clientData SIP client data to add.
    * @apiParam {String} clientData.user_id Unique user ID for the SIP client.
-   * @apiParam {String} clientData.password Password for the SIP client.
+   * @apiParam {String} clientData.password Password for the SIP client. Only its a1-hash (MD5 of "user_id:domain_name:password") is stored.
    * @apiParam {String} clientData.user_context Context for the user (e.g., tenant's domain).
+   * @apiParam {Object} [clientData.call_center_agent] mod_callcenter agent settings used when the client is a queue tier member.
+   * @apiParam {String="Logged Out","Available","Available (On Demand)","On Break"} [clientData.call_center_agent.status=Available] Initial agent status.
+   * @apiParam {Number} [clientData.call_center_agent.call_timeout=20] Seconds to ring the agent per offered call.
+   * @apiParam {Number} [clientData.call_center_agent.wrap_up_time=10] Seconds between calls offered to the agent.
+   * @apiParam {String="internal_only","emergency_only","local","national","international","unrestricted"} [clientData.class_of_service] Restricts this client below the tenant's class of service (a broader profile is capped at the tenant's).
+   * @apiParam {Object} [clientData.emergency_address] Dispatchable location sent as the caller ID name on emergency calls.
+   * @apiParam {String} [clientData.emergency_address.street] Street address.
+   * @apiParam {String} [clientData.emergency_address.location] Floor, suite or room.
+   * @apiParam {String} [clientData.emergency_address.city] City.
+   * @apiParam {String} [clientData.emergency_address.state] State.
+   * @apiParam {String} [clientData.emergency_address.postal_code] Postal code.
+   * @apiParam {String} [clientData.emergency_callback_number] Number emergency services can call back (E.164).
    * @apiParamExample {json} Request-Example:
    * {
    * "user_id": "1003",
@@ -294,9 +371,11 @@ const tenantApiController = {
    * @apiSuccess (201 Created) {Object} user The newly created SIP client object.
    * @apiSuccessExample {json} Success-Response:
    * HTTP/1.1 201 Created
-   * { "user_id": "1003", "password": "...", "user_context": "tenant1", ... }
+   * { "user_id": "1003", "a1_hash": "********", "user_context": "tenant1", ... }
+   * @apiError (400 Bad Request) ValidationError The password is missing or the data is invalid.
    * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
    * @apiError (409 Conflict) UserExists A SIP client with the same `user_id` already exists for this tenant.
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during SIP client addition.
    */
   addSipClient: async (req, res) => {
@@ -309,6 +388,10 @@ const tenantApiController = {
           return res.status(409).json({ error: error.message });
       } else if (error.message.includes('Tenant not found')) {
           return res.status(404).json({ error: error.message });
+      } else if (error.name === 'ValidationError') {
+          return res.status(400).json({ error: error.message });
+      } else if (error.message.includes('Number plan conflict')) {
+          return res.status(409).json({ error: error.message });
       }
       res.status(500).json({ error: 'Failed to add SIP client' });
     }
@@ -318,10 +401,12 @@ const tenantApiController = {
    * @api {put} /api/tenants/:domain_name/users/:user_id Update SIP Client
    * @apiName UpdateSipClient
    * @apiGroup SIPClients
+   * @apiPermission tenant_admin
    * @apiDescription Updates an existing SIP client identified by `user_id` for a given tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} user_id The ID of the SIP client to update.
    * @apiParam {Object} updateData Data to update the SIP client with. Only provided fields will be updated.
+   * A new `password` is needed to change `user_id`, since the a1-hash includes it.
    * @apiParamExample {json} Request-Example:
    * {
    * "password": "new_password",
@@ -330,8 +415,10 @@ const tenantApiController = {
    * @apiSuccess {Object} user The updated SIP client object.
    * @apiSuccessExample {json} Success-Response:
    * HTTP/1.1 200 OK
-   * { "user_id": "1001", "password": "new_password", "vm_enabled": false, ... }
+   * { "user_id": "1001", "a1_hash": "********", "vm_enabled": false, ... }
+   * @apiError (400 Bad Request) PasswordRequired `user_id` is changed without a new password.
    * @apiError (404 Not Found) NotFound The tenant or SIP client was not found.
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during SIP client update.
    */
   updateSipClient: async (req, res) => {
@@ -342,6 +429,10 @@ const tenantApiController = {
       console.error('API Error: Update SIP Client', error);
       if (error.message.includes('Tenant not found') || error.message.includes('SIP client not found')) {
           return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('requires a new password')) {
+          return res.status(400).json({ error: error.message });
+      } else if (error.message.includes('Number plan conflict')) {
+          return res.status(409).json({ error: error.message });
       }
       res.status(500).json({ error: 'Failed to update SIP client' });
     }
@@ -351,6 +442,7 @@ const tenantApiController = {
    * @api {delete} /api/tenants/:domain_name/users/:user_id Delete SIP Client
    * @apiName DeleteSipClient
    * @apiGroup SIPClients
+   * @apiPermission tenant_admin
    * @apiDescription Deletes a SIP client by `user_id` from a tenant. Also removes the client from any groups.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} user_id The ID of the SIP client to delete.
@@ -374,11 +466,94 @@ const tenantApiController = {
     }
   },
 
+  // --- Registration Operations ---
+  /**
+   * @api {get} /api/tenants/:domain_name/registrations Get Tenant Registrations
+   * @apiName GetRegistrations
+   * @apiGroup Registrations
+   * @apiPermission read_only
+   * @apiDescription Lists the live SIP registrations of the tenant's phones, as reported by every FreeSWITCH node
+   * (`sofia status profile internal reg`). Only registrations to the tenant's own domain are listed.
+   * Requires FREESWITCH_ESL_NODES. Nodes that could not be asked are listed in `unreachable_nodes`.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "domain_name": "tenant1.example.com",
+   * "registrations": [
+   * { "node": "10.0.0.5:8021", "user_id": "1001", "domain": "tenant1.example.com", "contact": "sip:1001@192.168.1.10:5060;fs_nat=yes",
+   * "user_agent": "Yealink SIP-T46S 66.86.0.15", "network_ip": "203.0.113.5", "network_port": 5060,
+   * "status": "Registered(UDP-NAT)(unknown)", "nat": true, "expires_in": 3599, "ping_status": "Reachable", "call_id": "a84b4c76e66710@192.168.1.10" }
+   * ],
+   * "unreachable_nodes": []
+   * }
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   * @apiError (502 Bad Gateway) NoFreeswitchNode No FreeSWITCH node answered.
+   * @apiError (503 Service Unavailable) EslNotConfigured The Event Socket is not configured.
+   */
+  getRegistrations: async (req, res) => {
+    try {
+      const result = await registrationService.getRegistrations(req.params.domain_name);
+      if (!result) return res.status(404).json({ error: 'Tenant not found' });
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('API Error: Get Registrations', error);
+      if (error.message.includes('not configured')) {
+        return res.status(503).json({ error: error.message });
+      } else if (error.message.includes('No FreeSWITCH node answered')) {
+        return res.status(502).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve registrations' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/users/:user_id/registrations Get SIP Client Registrations
+   * @apiName GetSipClientRegistrations
+   * @apiGroup Registrations
+   * @apiPermission read_only
+   * @apiDescription Shows whether a SIP client is registered, with each device it is registered from
+   * (see Get Tenant Registrations for the fields).
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} user_id The ID of the SIP client.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "user_id": "1001",
+   * "registered": true,
+   * "registrations": [ { "node": "10.0.0.5:8021", "user_id": "1001", "contact": "sip:1001@192.168.1.10:5060;fs_nat=yes", "expires_in": 3599, ... } ],
+   * "unreachable_nodes": []
+   * }
+   * @apiError (404 Not Found) NotFound The tenant or SIP client was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   * @apiError (502 Bad Gateway) NoFreeswitchNode No FreeSWITCH node answered.
+   * @apiError (503 Service Unavailable) EslNotConfigured The Event Socket is not configured.
+   */
+  getSipClientRegistrations: async (req, res) => {
+    try {
+      const result = await registrationService.getSipClientRegistrations(req.params.domain_name, req.params.user_id);
+      if (!result) return res.status(404).json({ error: 'Tenant not found' });
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('API Error: Get SIP Client Registrations', error);
+      if (error.message.includes('SIP client not found')) {
+        return res.status(404).json({ error: 'User not found' });
+      } else if (error.message.includes('not configured')) {
+        return res.status(503).json({ error: error.message });
+      } else if (error.message.includes('No FreeSWITCH node answered')) {
+        return res.status(502).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve registrations' });
+    }
+  },
+
   // --- Dialplan Extension Operations ---
   /**
    * @api {get} /api/tenants/:domain_name/extensions Get All Dialplan Extensions for a Tenant
    * @apiName GetDialplanExtensions
    * @apiGroup DialplanExtensions
+   * @apiPermission read_only
    * @apiDescription Retrieves all dialplan extensions associated with a specific tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiSuccess {Object[]} extensions Array of dialplan extension objects.
@@ -406,6 +581,7 @@ const tenantApiController = {
    * @api {get} /api/tenants/:domain_name/extensions/:extension_name Get Specific Dialplan Extension
    * @apiName GetDialplanExtension
    * @apiGroup DialplanExtensions
+   * @apiPermission read_only
    * @apiDescription Retrieves a single dialplan extension by `extension_name` for a given tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} extension_name The name of the dialplan extension to retrieve.
@@ -431,24 +607,45 @@ const tenantApiController = {
    * @api {post} /api/tenants/:domain_name/extensions Add New Dialplan Extension
    * @apiName AddDialplanExtension
    * @apiGroup DialplanExtensions
+   * @apiPermission tenant_admin
    * @apiDescription Adds a new dialplan extension to a specified tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {Object} extensionData Dialplan extension data to add.
    * @apiParam {String} extensionData.name Unique name for the extension within the tenant's dialplan.
-   * @apiParam {String} extensionData.condition_field Field to match (e.g., "destination_number").
-   * @apiParam {String} extensionData.condition_expression Regular expression for the condition.
+   * @apiParam {String} extensionData.condition_field Field to match (e.g., "destination_number"). Required unless `conditions` is set.
+   * @apiParam {String} extensionData.condition_expression Regular expression for the condition. Required unless `conditions` is set.
    * @apiParam {Object[]} extensionData.actions Array of action objects ({application: String, data: String}).
+   * Tenant admins may use `answer`, `pre_answer`, `ring_ready`, `sleep`, `hangup`, `log`, `playback` (a sound file), `transfer` (within the tenant's context),
+   * `voicemail` and `bridge` (to the tenant's own mailboxes and users) and `ivr` (the tenant's menus), without variables or API calls in their data; global admins may use any application.
+   * @apiParam {Object[]} [extensionData.conditions] Multiple conditions, evaluated in order as FreeSWITCH does. Replaces `condition_field`/`condition_expression`/`actions`.
+   * @apiParam {String} [extensionData.conditions.field] Field to match (e.g., "destination_number", "${sip_from_user}"). Omit for time-only conditions.
+   * @apiParam {String} [extensionData.conditions.expression] Regular expression; captures are available to actions as $1, $2, ...
+   * @apiParam {String="on-false","on-true","always","never"} [extensionData.conditions.break="on-false"] When to stop evaluating further conditions.
+   * @apiParam {String} [extensionData.conditions.wday] Time attributes in FreeSWITCH syntax: `year`, `yday`, `mon`, `mday`, `week`, `mweek`, `wday` (e.g., "mon-fri"), `hour` (e.g., "9-16"), `minute`, `minute_of_day`, `time_of_day` ("08:00-17:00") and `date_time`.
+   * @apiParam {Object[]} [extensionData.conditions.actions] Actions run when the condition matches.
+   * @apiParam {Object[]} [extensionData.conditions.anti_actions] Actions run when the condition does not match.
+   * @apiParam {Boolean} [extensionData.continue=false] Keep hunting the following extensions after this one matches.
    * @apiParamExample {json} Request-Example:
    * {
    * "name": "new_local_extension",
    * "condition_field": "destination_number",
    * "condition_expression": "^(1234)$",
    * "actions": [
-   * { "application": "set", "data": "domain_name=${tenant.domain_name}" },
-   * { "application": "bridge", "data": "user/$1@${tenant.domain_name}" }
+   * { "application": "bridge", "data": "user/$1@${domain_name}" }
+   * ]
+   * }
+   * @apiParamExample {json} Multi-Condition-Example:
+   * {
+   * "name": "sales_hours",
+   * "conditions": [
+   * { "field": "destination_number", "expression": "^(5000)$" },
+   * { "wday": "mon-fri", "hour": "9-16",
+   * "actions": [{ "application": "bridge", "data": "user/1001@${domain_name}" }],
+   * "anti_actions": [{ "application": "voicemail", "data": "default ${domain_name} 1001" }] }
    * ]
    * }
    * @apiSuccess (201 Created) {Object} extension The newly created dialplan extension object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
    * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
    * @apiError (409 Conflict) ExtensionExists An extension with the same `name` already exists for this tenant.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during extension addition.
@@ -472,6 +669,7 @@ const tenantApiController = {
    * @api {put} /api/tenants/:domain_name/extensions/:extension_name Update Dialplan Extension
    * @apiName UpdateDialplanExtension
    * @apiGroup DialplanExtensions
+   * @apiPermission tenant_admin
    * @apiDescription Updates an existing dialplan extension identified by `extension_name` for a given tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} extension_name The name of the dialplan extension to update.
@@ -483,6 +681,7 @@ const tenantApiController = {
    * ]
    * }
    * @apiSuccess {Object} extension The updated dialplan extension object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
    * @apiError (404 Not Found) NotFound The tenant or dialplan extension was not found.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during extension update.
    */
@@ -503,6 +702,7 @@ const tenantApiController = {
    * @api {delete} /api/tenants/:domain_name/extensions/:extension_name Delete Dialplan Extension
    * @apiName DeleteDialplanExtension
    * @apiGroup DialplanExtensions
+   * @apiPermission tenant_admin
    * @apiDescription Deletes a dialplan extension by `extension_name` from a tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} extension_name The name of the dialplan extension to delete.
@@ -526,11 +726,95 @@ const tenantApiController = {
     }
   },
 
+  /**
+   * @api {post} /api/tenants/:domain_name/dialplan/simulate Simulate a Dialplan Lookup
+   * @apiName SimulateDialplan
+   * @apiGroup DialplanExtensions
+   * @apiPermission read_only
+   * @apiDescription Runs the dialplan lookup FreeSWITCH would trigger for a call, without side effects:
+   * SIP clients are not updated by feature codes, emergency calls are not recorded or notified, and no CNAM lookup is made.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} destination The dialed number.
+   * @apiParam {String} [caller] Caller ID number (a SIP client user_id for internal calls).
+   * @apiParam {String} [caller_name] Caller ID name.
+   * @apiParam {String="default","public"} [context="default"] Dialplan context.
+   * @apiParam {Object} [variables] Channel variables without the "variable_" prefix (e.g., { "sip_to_user": "+15125550100" } for inbound calls).
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "caller": "1001",
+   * "destination": "5125550100",
+   * "context": "default"
+   * }
+   * @apiSuccess {String} matched_rule The rule that took the call (e.g., "feature_code", "group", "queue", "conference", "dialplan_extension", "sip_client", "external", "outbound", "emergency", "inbound_did", "fallback").
+   * @apiSuccess {String} reason Why that rule matched.
+   * @apiSuccess {Object[]} steps Every rule evaluated, in order ({ rule, matched, reason }), including why earlier rules were skipped.
+   * @apiSuccess {String} xml The exact XML FreeSWITCH would receive.
+   * @apiError (400 Bad Request) ValidationError The destination is missing.
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during the simulation.
+   */
+  simulateDialplan: async (req, res) => {
+    try {
+      const simulation = await dialplanController.simulate(req.params.domain_name, req.body);
+      res.status(200).json(simulation);
+    } catch (error) {
+      console.error('API Error: Simulate Dialplan', error);
+      if (error.message.includes('is required')) {
+          return res.status(400).json({ error: error.message });
+      } else if (error.message.includes('Tenant not found')) {
+          return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to simulate dialplan' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/numberplan Get Number Plan
+   * @apiName GetNumberPlan
+   * @apiGroup DialplanExtensions
+   * @apiPermission read_only
+   * @apiDescription Lists every number a SIP client of the tenant can dial locally (feature codes, groups, queues,
+   * conference rooms, dialplan extension patterns and SIP clients), in the order calls are matched, and what each one reaches.
+   * `conflicts` lists the numbers taken by another resource: "error" for two resources claiming the same number,
+   * "warning" for a dialplan extension pattern catching it.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiSuccess {String} domain_name Domain name of the tenant.
+   * @apiSuccess {Object[]} entries Dialable identifiers ({ identifier, type, name, match, precedence, resolves_to }).
+   * @apiSuccess {Object[]} conflicts Conflicts ({ severity, identifier, shadowed, resolves_to, message }).
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "domain_name": "tenant1.example.com",
+   * "entries": [
+   * { "identifier": "1001", "type": "group", "name": "1001", "match": "exact", "precedence": 2, "resolves_to": { "type": "group", "name": "1001" } },
+   * { "identifier": "1001", "type": "sip_client", "name": "1001", "match": "exact", "precedence": 6, "resolves_to": { "type": "group", "name": "1001" } }
+   * ],
+   * "conflicts": [
+   * { "severity": "error", "identifier": "1001", "shadowed": { "type": "sip_client", "name": "1001" }, "resolves_to": { "type": "group", "name": "1001" }, "message": "1001 is sip client '1001', but calls to it are taken by group '1001'" }
+   * ]
+   * }
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getNumberPlan: async (req, res) => {
+    try {
+      const numberPlan = await numberPlanService.getNumberPlan(req.params.domain_name);
+      if (!numberPlan) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(numberPlan);
+    } catch (error) {
+      console.error('API Error: Get Number Plan', error);
+      res.status(500).json({ error: 'Failed to retrieve number plan' });
+    }
+  },
+
   // --- Group Operations ---
   /**
    * @api {get} /api/tenants/:domain_name/groups Get All Groups for a Tenant
    * @apiName GetGroups
    * @apiGroup Groups
+   * @apiPermission read_only
    * @apiDescription Retrieves all hunt and ring groups associated with a specific tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiSuccess {Object[]} groups Array of group objects.
@@ -560,6 +844,7 @@ const tenantApiController = {
    * @api {get} /api/tenants/:domain_name/groups/:group_name Get Specific Group
    * @apiName GetGroup
    * @apiGroup Groups
+   * @apiPermission read_only
    * @apiDescription Retrieves a single hunt or ring group by `group_name` for a given tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} group_name The name of the group to retrieve.
@@ -587,6 +872,7 @@ const tenantApiController = {
    * @api {post} /api/tenants/:domain_name/groups Add New Group
    * @apiName AddGroup
    * @apiGroup Groups
+   * @apiPermission tenant_admin
    * @apiDescription Adds a new hunt or ring group to a specified tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {Object} groupData Group data to add.
@@ -595,7 +881,7 @@ const tenantApiController = {
    * @apiParam {Number} [groupData.timeout=60] Overall timeout for the group in seconds.
    * @apiParam {Object[]} [groupData.members=[]] Array of group members.
    * @apiParam {String="sequential","simultaneous","random"} [groupData.strategy] Strategy for hunt groups (required if type is 'hunt').
-   * @apiParam {Object} [groupData.no_answer_action] Optional action to take if no member answers.
+   * @apiParam {Object} [groupData.no_answer_action] Optional action to take if no member answers; tenant admins are limited to the applications of dialplan extensions.
    * @apiParamExample {json} Request-Example:
    * {
    * "name": "support_ring",
@@ -611,8 +897,10 @@ const tenantApiController = {
    * }
    * }
    * @apiSuccess (201 Created) {Object} group The newly created group object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
    * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
    * @apiError (409 Conflict) GroupExists A group with the same `name` already exists for this tenant.
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during group addition.
    */
   addGroup: async (req, res) => {
@@ -625,6 +913,8 @@ const tenantApiController = {
           return res.status(409).json({ error: error.message });
       } else if (error.message.includes('Tenant not found')) {
           return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Number plan conflict')) {
+          return res.status(409).json({ error: error.message });
       }
       res.status(500).json({ error: 'Failed to add group' });
     }
@@ -634,6 +924,7 @@ const tenantApiController = {
    * @api {put} /api/tenants/:domain_name/groups/:group_name Update Group
    * @apiName UpdateGroup
    * @apiGroup Groups
+   * @apiPermission tenant_admin
    * @apiDescription Updates an existing hunt or ring group identified by `group_name` for a given tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} group_name The name of the group to update.
@@ -646,7 +937,9 @@ const tenantApiController = {
    * ]
    * }
    * @apiSuccess {Object} group The updated group object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
    * @apiError (404 Not Found) NotFound The tenant or group was not found.
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during group update.
    */
   updateGroup: async (req, res) => {
@@ -657,6 +950,8 @@ const tenantApiController = {
       console.error('API Error: Update Group', error);
       if (error.message.includes('Tenant not found') || error.message.includes('Group not found')) {
           return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Number plan conflict')) {
+          return res.status(409).json({ error: error.message });
       }
       res.status(500).json({ error: 'Failed to update group' });
     }
@@ -666,6 +961,7 @@ const tenantApiController = {
    * @api {delete} /api/tenants/:domain_name/groups/:group_name Delete Group
    * @apiName DeleteGroup
    * @apiGroup Groups
+   * @apiPermission tenant_admin
    * @apiDescription Deletes a hunt or ring group by `group_name` from a tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} group_name The name of the group to delete.
@@ -693,6 +989,7 @@ const tenantApiController = {
    * @api {get} /api/tenants/:domain_name/dids Get All DIDs for a Tenant
    * @apiName GetDids
    * @apiGroup DIDs
+   * @apiPermission read_only
    * @apiDescription Retrieves all DIDs associated with a specific tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiSuccess {Object[]} dids Array of DID objects.
@@ -722,6 +1019,7 @@ const tenantApiController = {
    * @api {get} /api/tenants/:domain_name/dids/:did_number Get Specific DID
    * @apiName GetDid
    * @apiGroup DIDs
+   * @apiPermission read_only
    * @apiDescription Retrieves a single DID by `did_number` for a given tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} did_number The DID number to retrieve.
@@ -749,12 +1047,18 @@ const tenantApiController = {
    * @api {post} /api/tenants/:domain_name/dids Add New DID
    * @apiName AddDid
    * @apiGroup DIDs
+   * @apiPermission tenant_admin
    * @apiDescription Adds a new DID to a specified tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {Object} didData DID data to add.
    * @apiParam {String} didData.did_number Unique phone number for the DID.
    * @apiParam {String} didData.destination The internal extension, group name, or other target for the DID.
    * @apiParam {String} [didData.description] Optional description for the DID.
+   * @apiParam {String} [didData.schedule] Name of a tenant schedule; the regular route then only applies while the schedule is open.
+   * @apiParam {String} [didData.closed_routing_type] Route type used outside business hours (`none` keeps the regular route).
+   * @apiParam {String} [didData.closed_routing_target] Route target used outside business hours.
+   * @apiParam {String} [didData.holiday_routing_type] Route type used on holidays (`none` falls back to the closed route).
+   * @apiParam {String} [didData.holiday_routing_target] Route target used on holidays.
    * @apiParamExample {json} Request-Example:
    * {
    * "did_number": "18005559999",
@@ -762,6 +1066,7 @@ const tenantApiController = {
    * "description": "DID for extension 1005"
    * }
    * @apiSuccess (201 Created) {Object} did The newly created DID object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
    * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
    * @apiError (409 Conflict) DIDExists A DID with the same `did_number` already exists for this tenant.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during DID addition.
@@ -785,6 +1090,7 @@ const tenantApiController = {
    * @api {put} /api/tenants/:domain_name/dids/:did_number Update DID
    * @apiName UpdateDid
    * @apiGroup DIDs
+   * @apiPermission tenant_admin
    * @apiDescription Updates an existing DID identified by `did_number` for a given tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} did_number The DID number to update.
@@ -798,6 +1104,7 @@ const tenantApiController = {
    * @apiSuccessExample {json} Success-Response:
    * HTTP/1.1 200 OK
    * { "did_number": "18005551212", "destination": "sales_group", "description": "Updated sales line DID", ... }
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
    * @apiError (404 Not Found) NotFound The tenant or DID was not found.
    * @apiError (500 Internal Server Error) ServerError An error occurred on the server during DID update.
    */
@@ -818,6 +1125,7 @@ const tenantApiController = {
    * @api {delete} /api/tenants/:domain_name/dids/:did_number Delete DID
    * @apiName DeleteDid
    * @apiGroup DIDs
+   * @apiPermission tenant_admin
    * @apiDescription Deletes a DID by `did_number` from a tenant.
    * @apiParam {String} domain_name Domain name of the tenant.
    * @apiParam {String} did_number The DID number to delete.
@@ -839,6 +1147,1593 @@ const tenantApiController = {
       }
       res.status(500).json({ error: 'Failed to delete DID' });
     }
+  },
+
+  // --- Schedule Operations ---
+  /**
+   * @api {get} /api/tenants/:domain_name/schedules Get All Schedules for a Tenant
+   * @apiName GetSchedules
+   * @apiGroup Schedules
+   * @apiPermission read_only
+   * @apiDescription Retrieves all time-of-day schedules associated with a specific tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiSuccess {Object[]} schedules Array of schedule objects.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * [
+   * { "name": "office_hours", "timezone": "America/Chicago", "business_hours": [ ... ], "holidays": [ ... ] }
+   * ]
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getSchedules: async (req, res) => {
+    try {
+      const schedules = await tenantService.getSchedules(req.params.domain_name);
+      if (schedules === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(schedules);
+    } catch (error) {
+      console.error('API Error: Get Tenant Schedules', error);
+      res.status(500).json({ error: 'Failed to retrieve schedules' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/schedules/:schedule_name Get Specific Schedule
+   * @apiName GetSchedule
+   * @apiGroup Schedules
+   * @apiPermission read_only
+   * @apiDescription Retrieves a single schedule by `schedule_name` for a given tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} schedule_name The name of the schedule to retrieve.
+   * @apiSuccess {Object} schedule The schedule object.
+   * @apiError (404 Not Found) NotFound The tenant or schedule was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getSchedule: async (req, res) => {
+    try {
+      const schedule = await tenantService.getSchedule(req.params.domain_name, req.params.schedule_name);
+      if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      res.status(200).json(schedule);
+    } catch (error) {
+      console.error('API Error: Get Specific Schedule', error);
+      if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve schedule' });
+    }
+  },
+
+  /**
+   * @api {post} /api/tenants/:domain_name/schedules Add New Schedule
+   * @apiName AddSchedule
+   * @apiGroup Schedules
+   * @apiPermission tenant_admin
+   * @apiDescription Adds a new time-of-day schedule to a specified tenant. DIDs reference schedules by name
+   * and pick their open, closed or holiday route from it.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {Object} scheduleData Schedule data to add.
+   * @apiParam {String} scheduleData.name Unique name for the schedule within the tenant.
+   * @apiParam {String} [scheduleData.timezone=UTC] IANA timezone the hours and holidays are expressed in.
+   * @apiParam {Object[]} [scheduleData.business_hours=[]] Weekly open windows (`day` 0 = Sunday, `open`/`close` as "HH:MM").
+   * @apiParam {Object[]} [scheduleData.holidays=[]] Holiday dates (`date` as "YYYY-MM-DD", optional `name`).
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "name": "office_hours",
+   * "timezone": "America/Chicago",
+   * "business_hours": [
+   * { "day": 1, "open": "08:00", "close": "17:00" },
+   * { "day": 2, "open": "08:00", "close": "17:00" }
+   * ],
+   * "holidays": [
+   * { "date": "2025-12-25", "name": "Christmas Day" }
+   * ]
+   * }
+   * @apiSuccess (201 Created) {Object} schedule The newly created schedule object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (409 Conflict) ScheduleExists A schedule with the same `name` already exists for this tenant.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during schedule addition.
+   */
+  addSchedule: async (req, res) => {
+    try {
+      const newSchedule = await tenantService.addSchedule(req.params.domain_name, req.body);
+      res.status(201).json(newSchedule);
+    } catch (error) {
+      console.error('API Error: Add Schedule', error);
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      } else if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to add schedule' });
+    }
+  },
+
+  /**
+   * @api {put} /api/tenants/:domain_name/schedules/:schedule_name Update Schedule
+   * @apiName UpdateSchedule
+   * @apiGroup Schedules
+   * @apiPermission tenant_admin
+   * @apiDescription Updates an existing schedule identified by `schedule_name` for a given tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} schedule_name The name of the schedule to update.
+   * @apiParam {Object} updateData Data to update the schedule with. Only provided fields will be updated.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "holidays": [
+   * { "date": "2026-01-01", "name": "New Year's Day" }
+   * ]
+   * }
+   * @apiSuccess {Object} schedule The updated schedule object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) NotFound The tenant or schedule was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during schedule update.
+   */
+  updateSchedule: async (req, res) => {
+    try {
+      const updatedSchedule = await tenantService.updateSchedule(req.params.domain_name, req.params.schedule_name, req.body);
+      res.status(200).json(updatedSchedule);
+    } catch (error) {
+      console.error('API Error: Update Schedule', error);
+      if (error.message.includes('Tenant not found') || error.message.includes('Schedule not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to update schedule' });
+    }
+  },
+
+  /**
+   * @api {delete} /api/tenants/:domain_name/schedules/:schedule_name Delete Schedule
+   * @apiName DeleteSchedule
+   * @apiGroup Schedules
+   * @apiPermission tenant_admin
+   * @apiDescription Deletes a schedule by `schedule_name` from a tenant. DIDs using it revert to their regular routing.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} schedule_name The name of the schedule to delete.
+   * @apiSuccess (204 No Content) NoContent Schedule successfully deleted.
+   * @apiError (404 Not Found) NotFound The tenant or schedule was not found for deletion.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during schedule deletion.
+   */
+  deleteSchedule: async (req, res) => {
+    try {
+      const deleted = await tenantService.deleteSchedule(req.params.domain_name, req.params.schedule_name);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Schedule not found for deletion' });
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error('API Error: Delete Schedule', error);
+      if (error.message.includes('Tenant not found') || error.message.includes('Schedule not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to delete schedule' });
+    }
+  },
+
+  // --- IVR Menu Management ---
+  /**
+   * @api {get} /api/tenants/:domain_name/ivrs Get All IVR Menus for a Tenant
+   * @apiName GetIvrMenus
+   * @apiGroup IVRMenus
+   * @apiPermission read_only
+   * @apiDescription Retrieves all IVR menus associated with a specific tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiSuccess {Object[]} ivrMenus Array of IVR menu objects.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * [
+   * { "name": "main_menu", "greet_long": "ivr/main_menu.wav", "entries": [{ "digits": "1", "destination_type": "group", "destination_target": "sales" }] }
+   * ]
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getIvrMenus: async (req, res) => {
+    try {
+      const ivrMenus = await tenantService.getIvrMenus(req.params.domain_name);
+      if (ivrMenus === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(ivrMenus);
+    } catch (error) {
+      console.error('API Error: Get Tenant IVR Menus', error);
+      res.status(500).json({ error: 'Failed to retrieve IVR menus' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/ivrs/:ivr_name Get Specific IVR Menu
+   * @apiName GetIvrMenu
+   * @apiGroup IVRMenus
+   * @apiPermission read_only
+   * @apiDescription Retrieves a single IVR menu by `ivr_name` for a given tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} ivr_name The name of the IVR menu.
+   * @apiSuccess {Object} ivrMenu The IVR menu object.
+   * @apiError (404 Not Found) NotFound The tenant or IVR menu was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getIvrMenu: async (req, res) => {
+    try {
+      const ivrMenu = await tenantService.getIvrMenu(req.params.domain_name, req.params.ivr_name);
+      if (!ivrMenu) {
+        return res.status(404).json({ error: 'IVR menu not found' });
+      }
+      res.status(200).json(ivrMenu);
+    } catch (error) {
+      console.error('API Error: Get Specific IVR Menu', error);
+      if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve IVR menu' });
+    }
+  },
+
+  /**
+   * @api {post} /api/tenants/:domain_name/ivrs Add New IVR Menu
+   * @apiName AddIvrMenu
+   * @apiGroup IVRMenus
+   * @apiPermission tenant_admin
+   * @apiDescription Adds a new IVR menu to the specified tenant. Entries map digits to extensions, groups, submenus, voicemail boxes or external numbers.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} name Unique name of the menu within the tenant.
+   * @apiParam {String} greet_long Sound played when the menu is entered.
+   * @apiParam {String} [greet_short] Sound played when the menu repeats.
+   * @apiParam {String} [invalid_sound] Sound played on an invalid selection.
+   * @apiParam {String} [timeout_sound] Sound played when the caller enters nothing before `timeout`.
+   * @apiParam {String} [exit_sound] Sound played when the caller exceeds `max_failures` or `max_timeouts`.
+   * @apiParam {Number} [timeout=10000] Milliseconds to wait for input.
+   * @apiParam {Number} [inter_digit_timeout=2000] Milliseconds to wait between digits.
+   * @apiParam {Number} [max_failures=3] Invalid selections before exiting.
+   * @apiParam {Number} [max_timeouts=3] Timeouts before exiting.
+   * @apiParam {Number} [digit_len=4] Maximum digits collected.
+   * @apiParam {Object[]} [entries] Menu options.
+   * @apiParam {String} entries.digits Digit(s) selecting the option.
+   * @apiParam {String="extension","group","ivr","voicemail","external_number","custom","hangup"} entries.destination_type Destination kind.
+   * @apiParam {String} [entries.destination_target] Destination (user ID, group name, submenu name, number or, for `custom`, a transfer destination; tenant admins may only transfer within the tenant's context, e.g. "1001" or "1001 XML default").
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "name": "main_menu",
+   * "greet_long": "ivr/main_menu.wav",
+   * "greet_short": "ivr/main_menu_short.wav",
+   * "invalid_sound": "ivr/ivr-that_was_an_invalid_entry.wav",
+   * "entries": [
+   * { "digits": "1", "destination_type": "group", "destination_target": "sales" },
+   * { "digits": "2", "destination_type": "ivr", "destination_target": "support_menu" },
+   * { "digits": "0", "destination_type": "extension", "destination_target": "1001" }
+   * ]
+   * }
+   * @apiSuccess (201 Created) {Object} ivrMenu The newly created IVR menu object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (409 Conflict) IvrMenuExists A IVR menu with the same `name` already exists for this tenant.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during IVR menu addition.
+   */
+  addIvrMenu: async (req, res) => {
+    try {
+      const newIvrMenu = await tenantService.addIvrMenu(req.params.domain_name, req.body);
+      res.status(201).json(newIvrMenu);
+    } catch (error) {
+      console.error('API Error: Add IVR Menu', error);
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      } else if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to add IVR menu' });
+    }
+  },
+
+  /**
+   * @api {put} /api/tenants/:domain_name/ivrs/:ivr_name Update IVR Menu
+   * @apiName UpdateIvrMenu
+   * @apiGroup IVRMenus
+   * @apiPermission tenant_admin
+   * @apiDescription Updates an existing IVR menu identified by `ivr_name` for a given tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} ivr_name The name of the IVR menu.
+   * @apiParam {Object} updateData Data to update the IVR menu with. Only provided fields will be updated.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "timeout": 5000,
+   * "max_failures": 2
+   * }
+   * @apiSuccess {Object} ivrMenu The updated IVR menu object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) NotFound The tenant or IVR menu was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during IVR menu update.
+   */
+  updateIvrMenu: async (req, res) => {
+    try {
+      const updatedIvrMenu = await tenantService.updateIvrMenu(req.params.domain_name, req.params.ivr_name, req.body);
+      res.status(200).json(updatedIvrMenu);
+    } catch (error) {
+      console.error('API Error: Update IVR Menu', error);
+      if (error.message.includes('Tenant not found') || error.message.includes('IVR menu not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to update IVR menu' });
+    }
+  },
+
+  /**
+   * @api {delete} /api/tenants/:domain_name/ivrs/:ivr_name Delete IVR Menu
+   * @apiName DeleteIvrMenu
+   * @apiGroup IVRMenus
+   * @apiPermission tenant_admin
+   * @apiDescription Deletes an IVR menu by `ivr_name` from a tenant. DIDs routed to it become unassigned and submenu entries pointing at it are removed.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} ivr_name The name of the IVR menu.
+   * @apiSuccess (204 No Content) NoContent IVR Menu successfully deleted.
+   * @apiError (404 Not Found) NotFound The tenant or IVR menu was not found for deletion.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during IVR menu deletion.
+   */
+  deleteIvrMenu: async (req, res) => {
+    try {
+      const deleted = await tenantService.deleteIvrMenu(req.params.domain_name, req.params.ivr_name);
+      if (!deleted) {
+        return res.status(404).json({ error: 'IVR menu not found for deletion' });
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error('API Error: Delete IVR Menu', error);
+      if (error.message.includes('Tenant not found') || error.message.includes('IVR menu not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to delete IVR menu' });
+    }
+  },
+
+  // --- Call Center Queue Management ---
+  /**
+   * @api {get} /api/tenants/:domain_name/queues Get All Call Center Queues for a Tenant
+   * @apiName GetCallCenterQueues
+   * @apiGroup CallCenterQueues
+   * @apiPermission read_only
+   * @apiDescription Retrieves all call center queues associated with a specific tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiSuccess {Object[]} queues Array of call center queue objects.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * [
+   * { "name": "support", "extension": "7000", "strategy": "longest-idle-agent", "tiers": [{ "user_id": "1001", "level": 1, "position": 1 }] }
+   * ]
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getCallCenterQueues: async (req, res) => {
+    try {
+      const queues = await tenantService.getCallCenterQueues(req.params.domain_name);
+      if (queues === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(queues);
+    } catch (error) {
+      console.error('API Error: Get Tenant Call Center Queues', error);
+      res.status(500).json({ error: 'Failed to retrieve call center queues' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/queues/:queue_name Get Specific Call Center Queue
+   * @apiName GetCallCenterQueue
+   * @apiGroup CallCenterQueues
+   * @apiPermission read_only
+   * @apiDescription Retrieves a single call center queue by `queue_name` for a given tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} queue_name The name of the queue.
+   * @apiSuccess {Object} queue The call center queue object.
+   * @apiError (404 Not Found) NotFound The tenant or call center queue was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getCallCenterQueue: async (req, res) => {
+    try {
+      const queue = await tenantService.getCallCenterQueue(req.params.domain_name, req.params.queue_name);
+      if (!queue) {
+        return res.status(404).json({ error: 'Call center queue not found' });
+      }
+      res.status(200).json(queue);
+    } catch (error) {
+      console.error('API Error: Get Specific Call Center Queue', error);
+      if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve call center queue' });
+    }
+  },
+
+  /**
+   * @api {post} /api/tenants/:domain_name/queues Add New Call Center Queue
+   * @apiName AddCallCenterQueue
+   * @apiGroup CallCenterQueues
+   * @apiPermission tenant_admin
+   * @apiDescription Adds a new mod_callcenter queue to the specified tenant. Tier members must be existing SIP clients; their agent settings come from the SIP client's `call_center_agent`.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} name Unique name of the queue within the tenant.
+   * @apiParam {String} [extension] Local number that dials the queue.
+   * @apiParam {String="ring-all","longest-idle-agent","round-robin","top-down","agent-with-least-talk-time","agent-with-fewest-calls","sequentially-by-agent-order","random","ring-progressively"} [strategy=longest-idle-agent] How calls are offered to agents.
+   * @apiParam {String} [moh_sound=local_stream://moh] Hold music for waiting callers.
+   * @apiParam {String} [announce_sound] Periodic announcement played to waiting callers.
+   * @apiParam {Number} [announce_frequency=0] Seconds between announcements.
+   * @apiParam {Number} [max_wait_time=0] Seconds a caller waits before exiting the queue (0 = no limit).
+   * @apiParam {Number} [max_wait_time_with_no_agent=90] Seconds a caller waits while no agent is logged in.
+   * @apiParam {Boolean} [tier_rules_apply=false] Offer calls to higher tier levels only after `tier_rule_wait_second`.
+   * @apiParam {Number} [discard_abandoned_after=60] Seconds before an abandoned caller loses their position.
+   * @apiParam {String="extension","group","ivr","voicemail","external_number","custom","hangup"} [exit_destination_type=hangup] Where callers go when they leave the queue unanswered.
+   * @apiParam {String} [exit_destination_target] The exit destination (user ID, group name, menu name, voicemail box, number or transfer target).
+   * @apiParam {Object[]} [tiers] Agents answering the queue.
+   * @apiParam {String} tiers.user_id SIP client user ID of the agent.
+   * @apiParam {Number} [tiers.level=1] Tier level (lower levels are offered calls first).
+   * @apiParam {Number} [tiers.position=1] Position within the level.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "name": "support",
+   * "extension": "7000",
+   * "strategy": "round-robin",
+   * "moh_sound": "local_stream://moh",
+   * "max_wait_time": 300,
+   * "exit_destination_type": "voicemail",
+   * "exit_destination_target": "1001",
+   * "tiers": [
+   * { "user_id": "1001", "level": 1, "position": 1 },
+   * { "user_id": "1002", "level": 2, "position": 1 }
+   * ]
+   * }
+   * @apiSuccess (201 Created) {Object} queue The newly created call center queue object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (409 Conflict) CallCenterQueueExists A call center queue with the same `name` already exists for this tenant.
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during call center queue addition.
+   */
+  addCallCenterQueue: async (req, res) => {
+    try {
+      const newCallCenterQueue = await tenantService.addCallCenterQueue(req.params.domain_name, req.body);
+      res.status(201).json(newCallCenterQueue);
+    } catch (error) {
+      console.error('API Error: Add Call Center Queue', error);
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      } else if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Number plan conflict')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to add call center queue' });
+    }
+  },
+
+  /**
+   * @api {put} /api/tenants/:domain_name/queues/:queue_name Update Call Center Queue
+   * @apiName UpdateCallCenterQueue
+   * @apiGroup CallCenterQueues
+   * @apiPermission tenant_admin
+   * @apiDescription Updates an existing call center queue identified by `queue_name` for a given tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} queue_name The name of the queue.
+   * @apiParam {Object} updateData Data to update the call center queue with. Only provided fields will be updated.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "strategy": "ring-all",
+   * "max_wait_time": 120
+   * }
+   * @apiSuccess {Object} queue The updated call center queue object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) NotFound The tenant or call center queue was not found.
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during call center queue update.
+   */
+  updateCallCenterQueue: async (req, res) => {
+    try {
+      const updatedCallCenterQueue = await tenantService.updateCallCenterQueue(req.params.domain_name, req.params.queue_name, req.body);
+      res.status(200).json(updatedCallCenterQueue);
+    } catch (error) {
+      console.error('API Error: Update Call Center Queue', error);
+      if (error.message.includes('Tenant not found') || error.message.includes('Call center queue not found')) {
+        return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Number plan conflict')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to update call center queue' });
+    }
+  },
+
+  /**
+   * @api {delete} /api/tenants/:domain_name/queues/:queue_name Delete Call Center Queue
+   * @apiName DeleteCallCenterQueue
+   * @apiGroup CallCenterQueues
+   * @apiPermission tenant_admin
+   * @apiDescription Deletes a call center queue by `queue_name` from a tenant. DIDs routed to it become unassigned.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} queue_name The name of the queue.
+   * @apiSuccess (204 No Content) NoContent Call Center Queue successfully deleted.
+   * @apiError (404 Not Found) NotFound The tenant or call center queue was not found for deletion.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during call center queue deletion.
+   */
+  deleteCallCenterQueue: async (req, res) => {
+    try {
+      const deleted = await tenantService.deleteCallCenterQueue(req.params.domain_name, req.params.queue_name);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Call center queue not found for deletion' });
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error('API Error: Delete Call Center Queue', error);
+      if (error.message.includes('Tenant not found') || error.message.includes('Call center queue not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to delete call center queue' });
+    }
+  },
+
+  // --- Conference Room Management ---
+  /**
+   * @api {get} /api/tenants/:domain_name/conferences Get All Conference Rooms for a Tenant
+   * @apiName GetConferenceRooms
+   * @apiGroup ConferenceRooms
+   * @apiPermission read_only
+   * @apiDescription Retrieves all conference rooms associated with a specific tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiSuccess {Object[]} conferenceRooms Array of conference room objects.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * [
+   * { "name": "standup", "extension": "3000", "participant_pin": "1234", "moderator_pin": "9876", "max_members": 20, "record": false, "profile": "wideband" }
+   * ]
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getConferenceRooms: async (req, res) => {
+    try {
+      const conferenceRooms = await tenantService.getConferenceRooms(req.params.domain_name);
+      if (conferenceRooms === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(conferenceRooms);
+    } catch (error) {
+      console.error('API Error: Get Tenant Conference Rooms', error);
+      res.status(500).json({ error: 'Failed to retrieve conference rooms' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/conferences/:conference_name Get Specific Conference Room
+   * @apiName GetConferenceRoom
+   * @apiGroup ConferenceRooms
+   * @apiPermission read_only
+   * @apiDescription Retrieves a single conference room by `conference_name` for a given tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} conference_name The name of the conference room.
+   * @apiSuccess {Object} conferenceRoom The conference room object.
+   * @apiError (404 Not Found) NotFound The tenant or conference room was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getConferenceRoom: async (req, res) => {
+    try {
+      const conferenceRoom = await tenantService.getConferenceRoom(req.params.domain_name, req.params.conference_name);
+      if (!conferenceRoom) {
+        return res.status(404).json({ error: 'Conference room not found' });
+      }
+      res.status(200).json(conferenceRoom);
+    } catch (error) {
+      console.error('API Error: Get Specific Conference Room', error);
+      if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve conference room' });
+    }
+  },
+
+  /**
+   * @api {post} /api/tenants/:domain_name/conferences Add New Conference Room
+   * @apiName AddConferenceRoom
+   * @apiGroup ConferenceRooms
+   * @apiPermission tenant_admin
+   * @apiDescription Adds a new conference room to the specified tenant. Dialing the room's extension joins the conference.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} name Unique name of the room within the tenant.
+   * @apiParam {String} extension Local number that joins the room.
+   * @apiParam {String} [participant_pin] PIN participants must enter.
+   * @apiParam {String} [moderator_pin] PIN that joins the caller as moderator.
+   * @apiParam {Number} [max_members=0] Maximum number of members (0 = unlimited).
+   * @apiParam {Boolean} [record=false] Record the conference automatically.
+   * @apiParam {String="default","wideband","ultrawideband","video"} [profile=default] Audio/video profile of the room.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "name": "standup",
+   * "extension": "3000",
+   * "participant_pin": "1234",
+   * "moderator_pin": "9876",
+   * "max_members": 20,
+   * "record": true,
+   * "profile": "wideband"
+   * }
+   * @apiSuccess (201 Created) {Object} conferenceRoom The newly created conference room object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (409 Conflict) ConferenceRoomExists A conference room with the same `name` already exists for this tenant.
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during conference room addition.
+   */
+  addConferenceRoom: async (req, res) => {
+    try {
+      const newConferenceRoom = await tenantService.addConferenceRoom(req.params.domain_name, req.body);
+      res.status(201).json(newConferenceRoom);
+    } catch (error) {
+      console.error('API Error: Add Conference Room', error);
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      } else if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Number plan conflict')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to add conference room' });
+    }
+  },
+
+  /**
+   * @api {put} /api/tenants/:domain_name/conferences/:conference_name Update Conference Room
+   * @apiName UpdateConferenceRoom
+   * @apiGroup ConferenceRooms
+   * @apiPermission tenant_admin
+   * @apiDescription Updates an existing conference room identified by `conference_name` for a given tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} conference_name The name of the conference room.
+   * @apiParam {Object} updateData Data to update the conference room with. Only provided fields will be updated.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "participant_pin": "4321",
+   * "max_members": 50
+   * }
+   * @apiSuccess {Object} conferenceRoom The updated conference room object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) NotFound The tenant or conference room was not found.
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during conference room update.
+   */
+  updateConferenceRoom: async (req, res) => {
+    try {
+      const updatedConferenceRoom = await tenantService.updateConferenceRoom(req.params.domain_name, req.params.conference_name, req.body);
+      res.status(200).json(updatedConferenceRoom);
+    } catch (error) {
+      console.error('API Error: Update Conference Room', error);
+      if (error.message.includes('Tenant not found') || error.message.includes('Conference room not found')) {
+        return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Number plan conflict')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to update conference room' });
+    }
+  },
+
+  /**
+   * @api {delete} /api/tenants/:domain_name/conferences/:conference_name Delete Conference Room
+   * @apiName DeleteConferenceRoom
+   * @apiGroup ConferenceRooms
+   * @apiPermission tenant_admin
+   * @apiDescription Deletes a conference room by `conference_name` from a tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} conference_name The name of the conference room.
+   * @apiSuccess (204 No Content) NoContent Conference Room successfully deleted.
+   * @apiError (404 Not Found) NotFound The tenant or conference room was not found for deletion.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during conference room deletion.
+   */
+  deleteConferenceRoom: async (req, res) => {
+    try {
+      const deleted = await tenantService.deleteConferenceRoom(req.params.domain_name, req.params.conference_name);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Conference room not found for deletion' });
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error('API Error: Delete Conference Room', error);
+      if (error.message.includes('Tenant not found') || error.message.includes('Conference room not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to delete conference room' });
+    }
+  },
+
+  // --- Emergency Calls ---
+  /**
+   * @api {get} /api/tenants/:domain_name/emergency-calls Get Emergency Calls for a Tenant
+   * @apiName GetEmergencyCalls
+   * @apiGroup EmergencyCalls
+   * @apiPermission read_only
+   * @apiDescription Retrieves the emergency calls placed by a tenant's SIP clients, most recent first, with the status of the webhook notification.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {Number} [limit=100] Maximum number of records to return (query string).
+   * @apiSuccess {Object[]} emergencyCalls Array of emergency call records.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * [
+   * { "domain_name": "tenant1.example.com", "user_id": "1001", "dialed_number": "911", "caller_id_number": "+15125550100", "webhook_status": "sent", "createdAt": "2025-07-01T..." }
+   * ]
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getEmergencyCalls: async (req, res) => {
+    try {
+      const tenant = await tenantService.getTenantByDomain(req.params.domain_name);
+      if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      const emergencyCalls = await emergencyService.getEmergencyNotifications(tenant.domain_name, limit);
+      res.status(200).json(emergencyCalls);
+    } catch (error) {
+      console.error('API Error: Get Emergency Calls', error);
+      res.status(500).json({ error: 'Failed to retrieve emergency calls' });
+    }
+  },
+
+  // --- Feature Codes ---
+  /**
+   * @api {get} /api/tenants/:domain_name/feature-codes Get Feature Codes
+   * @apiName GetFeatureCodes
+   * @apiGroup FeatureCodes
+   * @apiPermission read_only
+   * @apiDescription Retrieves the feature codes a tenant's SIP clients can dial (defaults merged with the tenant's overrides).
+   * Disabled features are omitted.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiSuccess {Object} featureCodes Map of feature name to dial code.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "voicemail": "*98",
+   * "call_forward_on": "*72",
+   * "call_forward_off": "*73",
+   * "dnd_on": "*78",
+   * "dnd_off": "*79",
+   * "call_return": "*69",
+   * "redial": "*870",
+   * "group_pickup": "*8",
+   * "intercom": "*80",
+   * "directed_pickup": "**"
+   * }
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getFeatureCodes: async (req, res) => {
+    try {
+      const codes = await tenantService.getFeatureCodes(req.params.domain_name);
+      if (codes === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(codes);
+    } catch (error) {
+      console.error('API Error: Get Feature Codes', error);
+      res.status(500).json({ error: 'Failed to retrieve feature codes' });
+    }
+  },
+
+  /**
+   * @api {put} /api/tenants/:domain_name/feature-codes Update Feature Codes
+   * @apiName UpdateFeatureCodes
+   * @apiGroup FeatureCodes
+   * @apiPermission tenant_admin
+   * @apiDescription Overrides feature codes for a tenant. Only provided features are changed; an empty string disables
+   * a feature and `null` restores its default. `call_forward_on`, `intercom` and `directed_pickup` are dialed followed by a number or extension.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "redial": "*66",
+   * "intercom": ""
+   * }
+   * @apiSuccess {Object} featureCodes The effective feature codes after the update.
+   * @apiError (400 Bad Request) UnknownFeature A provided feature name is not a known feature.
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (409 Conflict) DuplicateCode The update would assign the same code to two features.
+   * @apiError (409 Conflict) NumberPlanConflict The change would make a number of the tenant unreachable.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  updateFeatureCodes: async (req, res) => {
+    try {
+      const codes = await tenantService.updateFeatureCodes(req.params.domain_name, req.body);
+      res.status(200).json(codes);
+    } catch (error) {
+      console.error('API Error: Update Feature Codes', error);
+      if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Unknown feature code')) {
+        return res.status(400).json({ error: error.message });
+      } else if (error.message.includes('Duplicate feature code')) {
+        return res.status(409).json({ error: error.message });
+      } else if (error.message.includes('Number plan conflict')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to update feature codes' });
+    }
+  },
+
+  // --- Phonebook Contacts ---
+  /**
+   * @api {get} /api/tenants/:domain_name/contacts Get All Phonebook Contacts for a Tenant
+   * @apiName GetContacts
+   * @apiGroup Contacts
+   * @apiPermission read_only
+   * @apiDescription Retrieves the tenant's phonebook contacts. Contacts are listed in the phone directory and name inbound
+   * callers when the "phonebook" caller name provider is enabled.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiSuccess {Object[]} contacts Array of contact objects.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * [
+   * { "number": "+15125550100", "name": "Jane Smith", "company": "Acme Supplies" }
+   * ]
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getContacts: async (req, res) => {
+    try {
+      const contacts = await tenantService.getContacts(req.params.domain_name);
+      if (contacts === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(contacts);
+    } catch (error) {
+      console.error('API Error: Get Tenant Contacts', error);
+      res.status(500).json({ error: 'Failed to retrieve contacts' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/contacts/:number Get Specific Phonebook Contact
+   * @apiName GetContact
+   * @apiGroup Contacts
+   * @apiPermission read_only
+   * @apiDescription Retrieves a phonebook contact by number, in any format ("5125550100" finds "+15125550100").
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} number The contact's number.
+   * @apiSuccess {Object} contact The contact object.
+   * @apiError (404 Not Found) NotFound The tenant or contact was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getContact: async (req, res) => {
+    try {
+      const contact = await tenantService.getContact(req.params.domain_name, req.params.number);
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+      res.status(200).json(contact);
+    } catch (error) {
+      console.error('API Error: Get Specific Contact', error);
+      if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve contact' });
+    }
+  },
+
+  /**
+   * @api {post} /api/tenants/:domain_name/contacts Add New Phonebook Contact
+   * @apiName AddContact
+   * @apiGroup Contacts
+   * @apiPermission tenant_admin
+   * @apiDescription Adds a phonebook contact to the specified tenant.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} number The contact's phone number (unique within the tenant).
+   * @apiParam {String} name Name shown in the directory and as caller name.
+   * @apiParam {String} [company] Company, available as {location} in the caller name display format.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "number": "+15125550100",
+   * "name": "Jane Smith",
+   * "company": "Acme Supplies"
+   * }
+   * @apiSuccess (201 Created) {Object} contact The newly created contact object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (409 Conflict) ContactExists A contact with the same number already exists for this tenant.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during contact addition.
+   */
+  addContact: async (req, res) => {
+    try {
+      const newContact = await tenantService.addContact(req.params.domain_name, req.body);
+      res.status(201).json(newContact);
+    } catch (error) {
+      console.error('API Error: Add Contact', error);
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      } else if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to add contact' });
+    }
+  },
+
+  /**
+   * @api {put} /api/tenants/:domain_name/contacts/:number Update Phonebook Contact
+   * @apiName UpdateContact
+   * @apiGroup Contacts
+   * @apiPermission tenant_admin
+   * @apiDescription Updates a phonebook contact identified by its number.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} number The contact's current number.
+   * @apiParam {Object} updateData Data to update the contact with. Only provided fields will be updated.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "name": "Jane Smith-Jones"
+   * }
+   * @apiSuccess {Object} contact The updated contact object.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) NotFound The tenant or contact was not found.
+   * @apiError (409 Conflict) ContactExists The new number belongs to another contact.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server during contact update.
+   */
+  updateContact: async (req, res) => {
+    try {
+      const updatedContact = await tenantService.updateContact(req.params.domain_name, req.params.number, req.body);
+      res.status(200).json(updatedContact);
+    } catch (error) {
+      console.error('API Error: Update Contact', error);
+      if (error.message.includes('Tenant not found') || error.message.includes('Contact not found')) {
+        return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to update contact' });
+    }
+  },
+
+  /**
+   * @api {delete} /api/tenants/:domain_name/contacts/:number Delete Phonebook Contact
+   * @apiName DeleteContact
+   * @apiGroup Contacts
+   * @apiPermission tenant_admin
+   * @apiDescription Deletes a phonebook contact identified by its number.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} number The contact's number.
+   * @apiSuccess (204 No Content) -
+   * @apiError (404 Not Found) NotFound The tenant or contact was not found for deletion.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  deleteContact: async (req, res) => {
+    try {
+      await tenantService.deleteContact(req.params.domain_name, req.params.number);
+      res.status(204).send();
+    } catch (error) {
+      console.error('API Error: Delete Contact', error);
+      if (error.message.includes('Tenant not found') || error.message.includes('Contact not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to delete contact' });
+    }
+  },
+
+  // --- Caller Name Lookup ---
+  /**
+   * @api {get} /api/tenants/:domain_name/caller-name Get Caller Name Settings
+   * @apiName GetCallerNameSettings
+   * @apiGroup CallerName
+   * @apiPermission read_only
+   * @apiDescription Retrieves how inbound callers are named: the providers asked, in order (the first name found wins),
+   * and the caller ID name format. Placeholders: {name}, {number}, {number_formatted}, {location}, {provider}.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "providers": ["phonebook", "signalwire"],
+   * "display_format": "{number_formatted}, {name}, {location}",
+   * "available_providers": [
+   * { "name": "signalwire", "description": "SignalWire CNAM lookup (billed per lookup, results cached)" },
+   * { "name": "phonebook", "description": "The tenant's phonebook contacts" },
+   * { "name": "static", "description": "Static JSON or CSV file (CALLER_NAME_STATIC_FILE), for offline testing" }
+   * ]
+   * }
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getCallerNameSettings: async (req, res) => {
+    try {
+      const settings = await tenantService.getCallerNameSettings(req.params.domain_name);
+      if (settings === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(settings);
+    } catch (error) {
+      console.error('API Error: Get Caller Name Settings', error);
+      res.status(500).json({ error: 'Failed to retrieve caller name settings' });
+    }
+  },
+
+  /**
+   * @api {put} /api/tenants/:domain_name/caller-name Update Caller Name Settings
+   * @apiName UpdateCallerNameSettings
+   * @apiGroup CallerName
+   * @apiPermission tenant_admin
+   * @apiDescription Changes the caller name providers and display format. Only provided settings are changed;
+   * `null` restores a setting's default (providers ["signalwire"], format "{number_formatted}, {name}, {location}").
+   * An empty `providers` list disables lookups, so inbound calls keep the carrier's caller name.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String[]} [providers] Providers to ask, in order.
+   * @apiParam {String} [display_format] Caller ID name format.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "providers": ["phonebook", "signalwire"],
+   * "display_format": "{name} ({location})"
+   * }
+   * @apiSuccess {Object} settings The effective settings after the update.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid (e.g. an unknown provider or placeholder).
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  updateCallerNameSettings: async (req, res) => {
+    try {
+      const settings = await tenantService.updateCallerNameSettings(req.params.domain_name, req.body);
+      res.status(200).json(settings);
+    } catch (error) {
+      console.error('API Error: Update Caller Name Settings', error);
+      if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to update caller name settings' });
+    }
+  },
+
+  /**
+   * @api {post} /api/tenants/:domain_name/caller-name/lookup Test a Caller Name Lookup
+   * @apiName LookupCallerName
+   * @apiGroup CallerName
+   * @apiPermission tenant_admin
+   * @apiDescription Looks up a number with the tenant's providers, as for an inbound call, and shows the resulting caller ID name.
+   * Lookups through billed providers (signalwire) are billed and cached as usual.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} number The caller's number.
+   * @apiParamExample {json} Request-Example:
+   * { "number": "+15125550100" }
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "found": true,
+   * "provider": "phonebook",
+   * "name": "Jane Smith",
+   * "number": "+15125550100",
+   * "number_formatted": "+15125550100",
+   * "location": "Acme Supplies",
+   * "providers": ["phonebook", "signalwire"],
+   * "caller_id_name": "+15125550100, Jane Smith, Acme Supplies"
+   * }
+   * @apiError (400 Bad Request) ValidationError The number is missing.
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  lookupCallerName: async (req, res) => {
+    if (!req.body || !req.body.number) {
+      return res.status(400).json({ error: 'number is required' });
+    }
+    try {
+      const result = await tenantService.lookupCallerName(req.params.domain_name, String(req.body.number));
+      if (result === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('API Error: Lookup Caller Name', error);
+      res.status(500).json({ error: 'Failed to look up caller name' });
+    }
+  },
+
+  // --- Caller Blocklists and Allowlists ---
+  /**
+   * @api {get} /api/tenants/:domain_name/caller-filters Get Caller Filter Entries for a Tenant
+   * @apiName GetCallerFilters
+   * @apiGroup CallerFilters
+   * @apiPermission read_only
+   * @apiDescription Retrieves the tenant's blocklist and allowlist entries, with their hit counters.
+   * Inbound callers on an allowlist get through; callers on a blocklist are rejected, sent to voicemail or played a prompt.
+   * Entries of the called DID are checked before entries of the whole tenant, so a DID's blocklist overrides the tenant's allowlist.
+   * DIDs with `allowlist_only` reject every caller that is not on an allowlist.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiQuery {String} [did_number] Only entries of this DID ("" for entries applying to the whole tenant).
+   * @apiQuery {String="block","allow"} [list] Only entries of this list.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * [
+   * { "_id": "66a1...", "domain_name": "tenant1.example.com", "did_number": "", "list": "block", "match_type": "prefix", "value": "1800",
+   * "action": "reject", "voicemail_box": "", "prompt": "", "description": "Toll-free robocalls", "enabled": true, "hits": 42, "last_hit_at": "2025-07-01T..." }
+   * ]
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getCallerFilters: async (req, res) => {
+    try {
+      const filters = await callerFilterService.getFilters(req.params.domain_name, {
+        did_number: typeof req.query.did_number === 'string' ? req.query.did_number : undefined,
+        list: typeof req.query.list === 'string' ? req.query.list : undefined,
+      });
+      if (filters === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(filters);
+    } catch (error) {
+      console.error('API Error: Get Caller Filters', error);
+      res.status(500).json({ error: 'Failed to retrieve caller filters' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/caller-filters/:filter_id Get Specific Caller Filter Entry
+   * @apiName GetCallerFilter
+   * @apiGroup CallerFilters
+   * @apiPermission read_only
+   * @apiDescription Retrieves a blocklist or allowlist entry by its id.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} filter_id The entry's `_id`.
+   * @apiSuccess {Object} filter The entry.
+   * @apiError (404 Not Found) NotFound The entry was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getCallerFilter: async (req, res) => {
+    try {
+      const filter = await callerFilterService.getFilter(req.params.domain_name, req.params.filter_id);
+      if (!filter) {
+        return res.status(404).json({ error: 'Caller filter not found' });
+      }
+      res.status(200).json(filter);
+    } catch (error) {
+      console.error('API Error: Get Specific Caller Filter', error);
+      res.status(500).json({ error: 'Failed to retrieve caller filter' });
+    }
+  },
+
+  /**
+   * @api {post} /api/tenants/:domain_name/caller-filters Add Caller Filter Entry
+   * @apiName AddCallerFilter
+   * @apiGroup CallerFilters
+   * @apiPermission tenant_admin
+   * @apiDescription Adds a blocklist or allowlist entry to the tenant, or to one of its DIDs.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} [did_number] DID the entry applies to. Empty (default) applies to every DID of the tenant.
+   * @apiParam {String="block","allow"} list The list the entry belongs to.
+   * @apiParam {String="exact","prefix","pattern"} [match_type="exact"] How `value` matches the caller ID number.
+   * @apiParam {String} value A number in any format or a caller ID such as "anonymous" (exact), leading digits (prefix), or a number pattern (pattern): digits, X (any digit), N (2-9), Z (1-9), digit classes such as [2-5] and a final "." (one or more digits), e.g. "NXX555XXXX", at most 32 characters.
+   * @apiParam {String="reject","voicemail","prompt"} [action="reject"] What happens to blocked callers.
+   * @apiParam {String} [voicemail_box] Voicemail box for action "voicemail".
+   * @apiParam {String} [prompt] Sound file played before hanging up, for action "prompt": a path below the sounds directory (letters, digits, "_", "-", "." and "/", no "..").
+   * @apiParam {String} [description] Description of the entry.
+   * @apiParam {Boolean} [enabled=true] Whether the entry is applied.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "list": "block",
+   * "match_type": "exact",
+   * "value": "+15125550199",
+   * "action": "prompt",
+   * "prompt": "ivr/ivr-call_rejected.wav",
+   * "description": "Known abusive caller"
+   * }
+   * @apiSuccess (201 Created) {Object} filter The newly created entry.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (409 Conflict) CallerFilterExists The same entry already exists in this list.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  addCallerFilter: async (req, res) => {
+    try {
+      const newFilter = await callerFilterService.addFilter(req.params.domain_name, req.body);
+      res.status(201).json(newFilter);
+    } catch (error) {
+      console.error('API Error: Add Caller Filter', error);
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      } else if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to add caller filter' });
+    }
+  },
+
+  /**
+   * @api {post} /api/tenants/:domain_name/caller-filters/import Import Caller Filter Entries
+   * @apiName ImportCallerFilters
+   * @apiGroup CallerFilters
+   * @apiPermission tenant_admin
+   * @apiDescription Adds many blocklist or allowlist entries at once (fields as for Add Caller Filter Entry).
+   * Nothing is imported if any entry is invalid. Entries that already exist are skipped.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {Object[]} entries The entries to add.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "entries": [
+   * { "list": "block", "value": "+15125550199" },
+   * { "list": "block", "match_type": "prefix", "value": "1900", "description": "Premium-rate numbers" }
+   * ]
+   * }
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 201 Created
+   * { "created": 2, "skipped": 0, "entries": [ ... ] }
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (e.g. "entries[3].value").
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  importCallerFilters: async (req, res) => {
+    try {
+      const result = await callerFilterService.importFilters(req.params.domain_name, req.body.entries);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('API Error: Import Caller Filters', error);
+      if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to import caller filters' });
+    }
+  },
+
+  /**
+   * @api {put} /api/tenants/:domain_name/caller-filters/:filter_id Update Caller Filter Entry
+   * @apiName UpdateCallerFilter
+   * @apiGroup CallerFilters
+   * @apiPermission tenant_admin
+   * @apiDescription Updates a blocklist or allowlist entry. Hit counters cannot be changed.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} filter_id The entry's `_id`.
+   * @apiParam {Object} updateData Data to update the entry with. Only provided fields will be updated.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "enabled": false
+   * }
+   * @apiSuccess {Object} filter The updated entry.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid; `details` lists every field error (field and message).
+   * @apiError (404 Not Found) NotFound The entry was not found.
+   * @apiError (409 Conflict) CallerFilterExists The change would duplicate another entry.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  updateCallerFilter: async (req, res) => {
+    try {
+      const updatedFilter = await callerFilterService.updateFilter(req.params.domain_name, req.params.filter_id, req.body);
+      res.status(200).json(updatedFilter);
+    } catch (error) {
+      console.error('API Error: Update Caller Filter', error);
+      if (error.message.includes('Caller filter not found')) {
+        return res.status(404).json({ error: error.message });
+      } else if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to update caller filter' });
+    }
+  },
+
+  /**
+   * @api {delete} /api/tenants/:domain_name/caller-filters/:filter_id Delete Caller Filter Entry
+   * @apiName DeleteCallerFilter
+   * @apiGroup CallerFilters
+   * @apiPermission tenant_admin
+   * @apiDescription Deletes a blocklist or allowlist entry.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} filter_id The entry's `_id`.
+   * @apiSuccess (204 No Content) -
+   * @apiError (404 Not Found) NotFound The entry was not found for deletion.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  deleteCallerFilter: async (req, res) => {
+    try {
+      await callerFilterService.deleteFilter(req.params.domain_name, req.params.filter_id);
+      res.status(204).send();
+    } catch (error) {
+      console.error('API Error: Delete Caller Filter', error);
+      if (error.message.includes('Caller filter not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to delete caller filter' });
+    }
+  },
+
+  // --- Call History and Usage Reports ---
+  /**
+   * @api {get} /api/tenants/:domain_name/calls Get Call History
+   * @apiName GetCalls
+   * @apiGroup CallHistory
+   * @apiPermission read_only
+   * @apiDescription Lists the tenant's calls from the call detail records FreeSWITCH posts to /cdr, newest first.
+   * Pages are fetched by passing the previous page's `next_cursor` as `cursor`, until it is null.
+   * With `format=csv` every matching call is downloaded as a CSV file instead (no paging).
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiQuery {String} [from] Calls started at or after this ISO 8601 date.
+   * @apiQuery {String} [to] Calls started before this ISO 8601 date.
+   * @apiQuery {String="inbound","outbound","local"} [direction] Only calls in this direction.
+   * @apiQuery {String="answered","busy","no_answer","cancelled","failed"} [disposition] Only calls that ended this way.
+   * @apiQuery {String} [extension] Only calls placed or received by this SIP client `user_id`.
+   * @apiQuery {String} [did] Only inbound calls to this DID.
+   * @apiQuery {String} [group] Only calls sent to this hunt or ring group.
+   * @apiQuery {String="a","all"} [leg="a"] "all" also lists the b-legs FreeSWITCH originated for bridges.
+   * @apiQuery {Number} [limit=50] Calls per page (at most 500).
+   * @apiQuery {String} [cursor] `next_cursor` of the previous page.
+   * @apiQuery {String="json","csv"} [format="json"] Response format. In CSV, text fields starting with "=", "+", "-" or "@"
+   * (e.g., "+15125550100") are prefixed with "'" so that spreadsheets do not run them as formulas.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "calls": [
+   * { "uuid": "8c6f...", "start_time": "2025-07-01T14:03:12.000Z", "direction": "inbound", "disposition": "answered",
+   * "caller_id_number": "+15125550100", "did_number": "+15125550123", "callee_extension": "1001", "group": "", "duration": 95, "billsec": 88, ... }
+   * ],
+   * "next_cursor": "WyIyMDI1LTA3LTAxVDE0OjAzOjEyLjAwMFoiLCI2NmEx..."
+   * }
+   * @apiError (400 Bad Request) InvalidQuery A query parameter or the cursor is invalid.
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getCalls: async (req, res) => {
+    try {
+      if (req.query.format === 'csv') {
+        const cursor = await callHistoryService.streamCalls(req.params.domain_name, req.query);
+        if (!cursor) {
+          return res.status(404).json({ error: 'Tenant not found' });
+        }
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(`calls-${req.params.domain_name}.csv`);
+        res.write(csv.formatRow(callHistoryService.CALL_FIELDS));
+        for await (const call of cursor) {
+          res.write(csv.formatRow(callHistoryService.CALL_FIELDS.map(field => call[field])));
+        }
+        return res.end();
+      }
+
+      const page = await callHistoryService.getCalls(req.params.domain_name, req.query);
+      if (page === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(page);
+    } catch (error) {
+      console.error('API Error: Get Calls', error);
+      if (res.headersSent) {
+        // The CSV download already started; cut it short so the client sees an incomplete file
+        return res.destroy(error);
+      }
+      if (error.message.includes('Invalid')) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve calls' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/calls/:uuid Get Specific Call
+   * @apiName GetCall
+   * @apiGroup CallHistory
+   * @apiPermission read_only
+   * @apiDescription Retrieves a call leg's record by its channel UUID, including every channel variable FreeSWITCH reported.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} uuid The call leg's channel UUID.
+   * @apiSuccess {Object} call The call detail record.
+   * @apiError (404 Not Found) NotFound The call was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getCall: async (req, res) => {
+    try {
+      const call = await callHistoryService.getCall(req.params.domain_name, req.params.uuid);
+      if (!call) {
+        return res.status(404).json({ error: 'Call not found' });
+      }
+      res.status(200).json(call);
+    } catch (error) {
+      console.error('API Error: Get Specific Call', error);
+      res.status(500).json({ error: 'Failed to retrieve call' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/calls/summary/dids Get Minutes by DID
+   * @apiName GetDidCallSummary
+   * @apiGroup CallHistory
+   * @apiPermission read_only
+   * @apiDescription Inbound calls and talk minutes per DID, busiest first. DIDs that received no calls are listed with zeros.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiQuery {String} [from] Start of the period (ISO 8601). Defaults to 30 days before `to`.
+   * @apiQuery {String} [to] End of the period (ISO 8601). Defaults to now.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "from": "2025-06-01T00:00:00.000Z", "to": "2025-07-01T00:00:00.000Z",
+   * "dids": [ { "did_number": "+15125550123", "calls": 412, "answered": 388, "minutes": 1207.5 } ]
+   * }
+   * @apiError (400 Bad Request) InvalidQuery A query parameter is invalid.
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getDidCallSummary: async (req, res) => {
+    try {
+      const summary = await callHistoryService.getDidSummary(req.params.domain_name, req.query);
+      if (summary === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(summary);
+    } catch (error) {
+      console.error('API Error: Get DID Call Summary', error);
+      if (error.message.includes('Invalid')) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve DID call summary' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/calls/summary/hours Get Busiest Hours
+   * @apiName GetHourlyCallSummary
+   * @apiGroup CallHistory
+   * @apiPermission read_only
+   * @apiDescription Calls per hour of the day over a period, and the three busiest hours.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiQuery {String} [from] Start of the period (ISO 8601). Defaults to 30 days before `to`.
+   * @apiQuery {String} [to] End of the period (ISO 8601). Defaults to now.
+   * @apiQuery {String="inbound","outbound","local"} [direction] Only calls in this direction.
+   * @apiQuery {String} [timezone="UTC"] IANA time zone the hours are counted in (e.g. "America/Chicago").
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "from": "...", "to": "...", "timezone": "America/Chicago",
+   * "hours": [ { "hour": 0, "calls": 3, "answered": 1, "minutes": 2.5 }, ... ],
+   * "busiest": [10, 14, 9]
+   * }
+   * @apiError (400 Bad Request) InvalidQuery A query parameter is invalid.
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getHourlyCallSummary: async (req, res) => {
+    try {
+      const summary = await callHistoryService.getHourlySummary(req.params.domain_name, req.query);
+      if (summary === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(summary);
+    } catch (error) {
+      console.error('API Error: Get Hourly Call Summary', error);
+      if (error.message.includes('Invalid')) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve hourly call summary' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/calls/summary/groups Get Group Answer Rates
+   * @apiName GetGroupCallSummary
+   * @apiGroup CallHistory
+   * @apiPermission read_only
+   * @apiDescription Answer and abandon rates of the tenant's hunt and ring groups. A call is answered when a member picked it up
+   * and abandoned when the caller hung up while it rang; `unanswered` calls went to the group's no-answer handling.
+   * Rates are null for groups that were offered no calls.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiQuery {String} [from] Start of the period (ISO 8601). Defaults to 30 days before `to`.
+   * @apiQuery {String} [to] End of the period (ISO 8601). Defaults to now.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "from": "...", "to": "...",
+   * "groups": [ { "group": "sales", "type": "hunt", "offered": 120, "answered": 101, "abandoned": 12, "unanswered": 7,
+   * "answer_rate": 0.842, "abandon_rate": 0.1, "average_talk_seconds": 184 } ]
+   * }
+   * @apiError (400 Bad Request) InvalidQuery A query parameter is invalid.
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getGroupCallSummary: async (req, res) => {
+    try {
+      const summary = await callHistoryService.getGroupSummary(req.params.domain_name, req.query);
+      if (summary === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(summary);
+    } catch (error) {
+      console.error('API Error: Get Group Call Summary', error);
+      if (error.message.includes('Invalid')) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve group call summary' });
+    }
+  },
+
+  // --- Billing ---
+  /**
+   * @api {get} /api/tenants/:domain_name/billing Get Billing Settings
+   * @apiName GetBillingSettings
+   * @apiGroup Billing
+   * @apiPermission read_only
+   * @apiDescription Retrieves what the tenant is billed: its rate deck, the markup over gateway cost for destinations
+   * the deck does not list (or for every call without a deck), and the monthly DID rental.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "rate_deck": "retail_us",
+   * "markup_percent": 20,
+   * "did_monthly_price": 1.5,
+   * "did_prices": [ { "did_number": "+18005550100", "monthly_price": 4 } ]
+   * }
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getBillingSettings: async (req, res) => {
+    try {
+      const settings = await tenantService.getBillingSettings(req.params.domain_name);
+      if (settings === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(settings);
+    } catch (error) {
+      console.error('API Error: Get Billing Settings', error);
+      res.status(500).json({ error: 'Failed to retrieve billing settings' });
+    }
+  },
+
+  /**
+   * @api {put} /api/tenants/:domain_name/billing Update Billing Settings
+   * @apiName UpdateBillingSettings
+   * @apiGroup Billing
+   * @apiPermission global_admin
+   * @apiDescription Changes what the tenant is billed. Only provided settings are changed; `did_prices` replaces the whole list.
+   * Calls already rated keep their price (see Rate Calls Again).
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} [rate_deck] Rate deck of the tenant's prices; "" prices every call at gateway cost plus markup.
+   * @apiParam {Number} [markup_percent] Percentage added to the gateway cost of destinations the tenant's deck does not list.
+   * @apiParam {Number} [did_monthly_price] Monthly rental of each DID.
+   * @apiParam {Object[]} [did_prices] Monthly rental of specific DIDs ({ did_number, monthly_price }), instead of did_monthly_price.
+   * @apiParamExample {json} Request-Example:
+   * {
+   * "rate_deck": "retail_us",
+   * "markup_percent": 20,
+   * "did_monthly_price": 1.5
+   * }
+   * @apiSuccess {Object} settings The settings after the update.
+   * @apiError (400 Bad Request) ValidationError The payload is invalid (e.g. an unknown rate deck or DID).
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  updateBillingSettings: async (req, res) => {
+    try {
+      const settings = await tenantService.updateBillingSettings(req.params.domain_name, req.body);
+      res.status(200).json(settings);
+    } catch (error) {
+      console.error('API Error: Update Billing Settings', error);
+      if (error.message.includes('Tenant not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to update billing settings' });
+    }
+  },
+
+  /**
+   * @api {get} /api/tenants/:domain_name/invoices/:month Get Monthly Invoice
+   * @apiName GetInvoice
+   * @apiGroup Billing
+   * @apiPermission read_only
+   * @apiDescription Invoice summary of a calendar month (UTC): rated outbound calls per destination, and the monthly rental
+   * of the tenant's current DIDs. `unrated_calls` counts answered outbound calls no price was found for; they are not billed.
+   * @apiParam {String} domain_name Domain name of the tenant.
+   * @apiParam {String} month The month, as YYYY-MM.
+   * @apiSuccessExample {json} Success-Response:
+   * HTTP/1.1 200 OK
+   * {
+   * "domain_name": "tenant1.example.com", "month": "2025-07", "from": "2025-07-01T00:00:00.000Z", "to": "2025-08-01T00:00:00.000Z",
+   * "currency": "USD",
+   * "line_items": [
+   * { "type": "usage", "description": "United States", "prefix": "1", "calls": 412, "minutes": 1207.5, "amount": 14.49 },
+   * { "type": "did_rental", "description": "DID +15125550123 (Main line)", "did_number": "+15125550123", "amount": 1.5 }
+   * ],
+   * "usage_total": 14.49, "did_rental_total": 1.5, "total": 15.99, "unrated_calls": 0
+   * }
+   * @apiError (400 Bad Request) InvalidMonth The month is not YYYY-MM.
+   * @apiError (404 Not Found) TenantNotFound The tenant with the specified `domain_name` was not found.
+   * @apiError (500 Internal Server Error) ServerError An error occurred on the server.
+   */
+  getInvoice: async (req, res) => {
+    try {
+      const invoice = await ratingService.getInvoice(req.params.domain_name, req.params.month);
+      if (invoice === null) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.status(200).json(invoice);
+    } catch (error) {
+      console.error('API Error: Get Invoice', error);
+      if (error.message.includes('Invalid month')) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to retrieve invoice' });
+    }
   }
 };
 
@@ -1,4 +1,5 @@
 const tenantService = require('../services/tenantService');
+const xmlGenerator = require('../utils/xmlGenerator');
 
 /**
  * Handles FreeSWITCH voicemail lookups via mod_xml_curl.
@@ -10,9 +11,12 @@ const tenantService = require('../services/tenantService');
  * - user: The mailbox ID being looked up (e.g., '1001', 'sales_vm', '5125471930').
  *
  * @param {Object} body - The request body from FreeSWITCH.
+ * @param {Object} [options={}] - Lookup options.
+ * @param {boolean} [options.includeSecrets=false] - Set for authenticated FreeSWITCH nodes. Without it the lookup is answered
+ *   with "not found", as a mailbox without its PIN would be open to anyone.
  * @returns {string} The XML document containing voicemail parameters.
  */
-const lookup = async (body) => {
+const lookup = async (body, options = {}) => {
     const { domain, user: mailboxId } = body; // Rename 'user' to 'mailboxId' for clarity
 
     console.log(`INFO: Voicemail lookup request for mailbox ID: "${mailboxId}" in domain: "${domain}"`);
@@ -23,6 +27,11 @@ const lookup = async (body) => {
         return `<document type="freeswitch/xml"></document>`;
     }
 
+    if (options.includeSecrets !== true) {
+        console.warn(`WARN: Voicemail lookup for "${mailboxId}" in "${domain}" is not from an authenticated node (see middleware/xmlCurlAuth.js). Returning not found.`);
+        return xmlGenerator.generateNotFoundXml();
+    }
+
     // Fetch the tenant and all its associated data (SIP clients, groups, DIDs).
     // This relies on tenantService.getTenantByDomain populating these arrays.
     const tenant = await tenantService.getTenantByDomain(domain);
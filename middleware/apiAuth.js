@@ -0,0 +1,103 @@
+// middleware/apiAuth.js
+// Authentication and role checks for the /api routes.
+//
+// Requests carry an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>" (see services/apiTokenService.js).
+// Roles:
+// - global_admin: everything, including gateways, outbound routes and creating or deleting tenants.
+// - tenant_admin: manage the resources of their own tenant (/api/tenants/<their domain>/...).
+// - read_only: GET requests only, for one tenant or (without a domain_name) for all tenants.
+const apiTokenService = require('../services/apiTokenService');
+
+const READ_METHODS = ['GET', 'HEAD'];
+// POST endpoints that do not change anything, and are therefore open to read-only tokens
+const READ_ONLY_OPERATIONS = [/^\/dialplan\/simulate\/?$/];
+
+/**
+ * Extracts the API key from a request.
+ * @param {Object} req - Express request.
+ * @returns {string} The API key, or '' if none was sent.
+ */
+const getRequestToken = (req) => {
+  const bearer = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : String(req.headers['x-api-key'] || '').trim();
+};
+
+/**
+ * Rejects a request with 403 and logs it.
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @param {string} reason - Why the token may not perform the request.
+ */
+const forbid = (req, res, reason) => {
+  console.warn(`WARN: API token "${req.apiToken.name}" (${req.apiToken.role}) denied ${req.method} ${req.originalUrl}: ${reason}`);
+  return res.status(403).json({ error: `Forbidden: ${reason}` });
+};
+
+const apiAuth = {
+  /**
+   * Checks whether a token may access a tenant's resources.
+   * @param {Object} token - The authenticated token ({ role, domain_name }).
+   * @param {string} domainName - The tenant's domain name.
+   * @param {boolean} write - Whether the request changes data.
+   * @returns {boolean} True if access is allowed.
+   */
+  canAccessTenant: (token, domainName, write) => {
+    if (token.role === 'global_admin') return true;
+    if (token.role === 'tenant_admin') return token.domain_name === domainName;
+    return !write && (!token.domain_name || token.domain_name === domainName);
+  },
+
+  /**
+   * Authenticates every /api request. Responds 401 if the API key is missing, unknown, revoked or expired.
+   * Sets `req.apiToken` ({ name, role, domain_name }) for the following handlers.
+   */
+  authenticate: async (req, res, next) => {
+    try {
+      const token = await apiTokenService.authenticate(getRequestToken(req));
+      if (!token) {
+        console.warn(`WARN: Rejected unauthenticated API request ${req.method} ${req.originalUrl} from ${req.ip}.`);
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      req.apiToken = token;
+      next();
+    } catch (error) {
+      console.error('API Error: Authenticate', error);
+      res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+  },
+
+  /**
+   * Allows only global admins (gateways, outbound routes, creating tenants, ...).
+   */
+  requireGlobalAdmin: (req, res, next) => {
+    if (req.apiToken.role !== 'global_admin') return forbid(req, res, 'global admin role required');
+    next();
+  },
+
+  /**
+   * Allows tenant-scoped tokens on /tenants/:domain_name and everything below it.
+   * Changing or deleting the tenant document itself requires a global admin.
+   */
+  requireTenantAccess: (req, res, next) => {
+    const domainName = req.params.domain_name;
+    const write = !READ_METHODS.includes(req.method) && !READ_ONLY_OPERATIONS.some(operation => operation.test(req.path));
+
+    if (write && req.path === '/' && req.apiToken.role !== 'global_admin') {
+      return forbid(req, res, 'global admin role required to change or delete a tenant');
+    }
+    if (!apiAuth.canAccessTenant(req.apiToken, domainName, write)) {
+      return forbid(req, res, write ? `no write access to tenant ${domainName}` : `no access to tenant ${domainName}`);
+    }
+    next();
+  },
+
+  /**
+   * Allows any role except read_only (token management).
+   */
+  requireAdmin: (req, res, next) => {
+    if (req.apiToken.role === 'read_only') return forbid(req, res, 'admin role required');
+    next();
+  },
+};
+
+module.exports = apiAuth;
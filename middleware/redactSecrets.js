@@ -0,0 +1,18 @@
+// middleware/redactSecrets.js
+// Keeps secrets (SIP a1-hashes, gateway passwords, voicemail and conference PINs) out of /api responses.
+// Secrets can still be set through the API; they are just never returned (see utils/secrets.js).
+const secrets = require('../utils/secrets');
+
+/**
+ * Express middleware: redacts secret fields in JSON responses, and drops redacted placeholders
+ * sent back in request bodies so they do not overwrite the stored values.
+ */
+const redactSecrets = (req, res, next) => {
+  if (req.body) secrets.stripRedacted(req.body);
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(secrets.redact(body));
+  next();
+};
+
+module.exports = redactSecrets;
@@ -0,0 +1,64 @@
+// middleware/validateRequest.js
+// Validates /api request bodies against the resource schemas in utils/validationSchemas.js.
+//
+// Invalid requests are rejected with 400 and every problem found:
+//   { "error": "Validation failed", "details": [{ "field": "members[0].user_id", "message": "SIP client '1009' does not exist" }] }
+// Field rules are checked first; cross-reference checks (e.g. a DID's routing_target exists) run once the fields are valid.
+// POST bodies must be complete. PUT bodies are partial: they are merged into the stored item before the
+// cross-reference checks, and only errors about the fields being changed are reported.
+const tenantService = require('../services/tenantService');
+const validation = require('../utils/validation');
+const validationSchemas = require('../utils/validationSchemas');
+
+/**
+ * Returns the top-level field of an error path ("members[0].user_id" -> "members").
+ * @param {string} field - Error field path.
+ * @returns {string} The top-level field name.
+ */
+const rootField = (field) => field.split(/[.[]/)[0];
+
+/**
+ * Creates a middleware validating the request body as the given resource.
+ * @param {string} resourceName - Key in utils/validationSchemas.js (e.g., "did", "group").
+ * @returns {Function} Express middleware.
+ */
+const validateRequest = (resourceName) => {
+  const resource = validationSchemas[resourceName];
+  if (!resource) throw new Error(`Unknown validation schema '${resourceName}'`);
+
+  return async (req, res, next) => {
+    const partial = req.method === 'PUT';
+    try {
+      let errors = validation.validate(resource.fields, req.body, { partial });
+
+      if (errors.length === 0) {
+        const context = { partial, tenant: null, role: req.apiToken?.role };
+        let data = req.body;
+
+        if (req.params.domain_name) {
+          context.tenant = await tenantService.getTenantByDomain(req.params.domain_name);
+          if (!context.tenant) return next(); // The handler responds 404
+        }
+        if (partial && resource.getExisting) {
+          const existing = await resource.getExisting(context.tenant, req.params);
+          if (!existing) return next(); // The handler responds 404
+          data = { ...existing, ...req.body };
+        }
+
+        errors = await resource.check(data, context);
+        if (partial) errors = errors.filter(error => rootField(error.field) in req.body);
+      }
+
+      if (errors.length > 0) {
+        console.warn(`WARN: Rejected ${req.method} ${req.originalUrl}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+        return res.status(400).json({ error: 'Validation failed', details: errors });
+      }
+      next();
+    } catch (error) {
+      console.error('API Error: Validate Request', error);
+      res.status(500).json({ error: 'Failed to validate request' });
+    }
+  };
+};
+
+module.exports = validateRequest;
@@ -0,0 +1,131 @@
+// middleware/xmlCurlAuth.js
+// Protects the mod_xml_curl endpoint, which serves SIP credentials and voicemail PINs.
+//
+// Configuration (environment variables):
+// - XML_CURL_USERNAME / XML_CURL_PASSWORD: HTTP Basic credentials, matching the `gateway-credentials`
+//   param ("username:password") of each FreeSWITCH node's xml_curl.conf binding.
+// - XML_CURL_ALLOWED_CIDRS: Comma separated source networks FreeSWITCH nodes connect from
+//   (e.g., "10.0.0.0/24,192.168.1.15/32,fd00::/8"). When empty, any source address is accepted.
+//
+// Requests from an allowed address with valid credentials are marked with `req.xmlCurlAuthenticated`;
+// only those receive secrets. Directory lookups of other requests are answered with "not found", since sofia
+// would accept any credentials for a user served without them.
+const crypto = require('crypto');
+const net = require('net');
+
+/**
+ * Parses XML_CURL_ALLOWED_CIDRS into a BlockList. Invalid entries are logged and ignored.
+ * @param {string} value - Comma separated CIDRs or single addresses.
+ * @returns {{blockList: net.BlockList, size: number}} The allowed networks and how many were configured.
+ */
+const parseAllowedCidrs = (value) => {
+  const blockList = new net.BlockList();
+  let size = 0;
+
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+    const prefixLength = prefix === undefined ? (family === 6 ? 128 : 32) : Number(prefix);
+    if (!family || !Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > (family === 6 ? 128 : 32)) {
+      console.error(`ERROR: Ignoring invalid entry "${entry}" in XML_CURL_ALLOWED_CIDRS.`);
+      return;
+    }
+    blockList.addSubnet(address, prefixLength, family === 6 ? 'ipv6' : 'ipv4');
+    size++;
+  });
+
+  return { blockList, size };
+};
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {boolean} True if the strings are equal.
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const USERNAME = process.env.XML_CURL_USERNAME || '';
+const PASSWORD = process.env.XML_CURL_PASSWORD || '';
+const CREDENTIALS_CONFIGURED = Boolean(USERNAME && PASSWORD);
+const ALLOWED = parseAllowedCidrs(process.env.XML_CURL_ALLOWED_CIDRS);
+
+if (!CREDENTIALS_CONFIGURED) {
+  console.warn('WARN: XML_CURL_USERNAME and XML_CURL_PASSWORD are not set. xml_curl requests are not authenticated, and directory lookups (SIP registration, voicemail) will be answered with "not found".');
+}
+if (ALLOWED.size === 0) {
+  console.warn('WARN: XML_CURL_ALLOWED_CIDRS is not set. xml_curl requests are accepted from any address.');
+}
+
+const xmlCurlAuth = {
+  /**
+   * Returns the client address of a request, with IPv4-mapped IPv6 addresses ("::ffff:10.0.0.5") unwrapped.
+   * Honors Express's `trust proxy` setting through req.ip.
+   * @param {Object} req - Express request.
+   * @returns {string} The client IP address.
+   */
+  getClientAddress: (req) => {
+    const address = req.ip || req.socket?.remoteAddress || '';
+    return address.startsWith('::ffff:') && net.isIP(address.substring(7)) === 4 ? address.substring(7) : address;
+  },
+
+  /**
+   * Checks whether an address is in XML_CURL_ALLOWED_CIDRS (always true when no networks are configured).
+   * @param {string} address - Client IP address.
+   * @returns {boolean} True if the address may call the endpoint.
+   */
+  isAllowedAddress: (address) => {
+    if (ALLOWED.size === 0) return true;
+    const family = net.isIP(address);
+    return Boolean(family) && ALLOWED.blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  },
+
+  /**
+   * Validates HTTP Basic credentials against XML_CURL_USERNAME / XML_CURL_PASSWORD.
+   * @param {string} authorizationHeader - The request's Authorization header.
+   * @returns {boolean} True if the credentials match.
+   */
+  hasValidCredentials: (authorizationHeader) => {
+    const match = String(authorizationHeader || '').match(/^Basic\s+(.+)$/i);
+    if (!match) return false;
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return false;
+    // Evaluate both comparisons so the response time does not reveal which one failed
+    const usernameMatches = safeEqual(decoded.substring(0, separator), USERNAME);
+    const passwordMatches = safeEqual(decoded.substring(separator + 1), PASSWORD);
+    return usernameMatches && passwordMatches;
+  },
+
+  /**
+   * Express middleware for the xml_curl router. Rejects requests from addresses outside XML_CURL_ALLOWED_CIDRS (403)
+   * and, when credentials are configured, requests without valid Basic credentials (401).
+   * Sets `req.xmlCurlAuthenticated` for requests that passed authentication.
+   */
+  middleware: (req, res, next) => {
+    const address = xmlCurlAuth.getClientAddress(req);
+    req.xmlCurlAuthenticated = false;
+
+    if (!xmlCurlAuth.isAllowedAddress(address)) {
+      console.warn(`WARN: Rejected xml_curl request from ${address}: address is not in XML_CURL_ALLOWED_CIDRS.`);
+      return res.status(403).send('Forbidden');
+    }
+
+    if (CREDENTIALS_CONFIGURED) {
+      if (!xmlCurlAuth.hasValidCredentials(req.headers.authorization)) {
+        console.warn(`WARN: Rejected xml_curl request from ${address}: ${req.headers.authorization ? 'invalid' : 'missing'} credentials.`);
+        res.set('WWW-Authenticate', 'Basic realm="xml_curl"');
+        return res.status(401).send('Unauthorized');
+      }
+      req.xmlCurlAuthenticated = true;
+    }
+
+    next();
+  },
+};
+
+module.exports = xmlCurlAuth;
@@ -0,0 +1,27 @@
+// models/ApiToken.js
+const mongoose = require('mongoose');
+
+const API_TOKEN_ROLES = ['global_admin', 'tenant_admin', 'read_only'];
+
+// API key for the /api routes. Only a SHA-256 hash of the key is stored; the key itself is shown once, on creation.
+const ApiTokenSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true }, // e.g., "billing-sync", "acme-portal"
+  role: { type: String, enum: API_TOKEN_ROLES, required: true },
+  // Tenant the token is limited to. Required for tenant_admin; empty for global_admin and for read-only access to all tenants.
+  domain_name: {
+    type: String,
+    trim: true,
+    default: '',
+    required: function () { return this.role === 'tenant_admin'; },
+  },
+  token_hash: { type: String, required: true, unique: true },
+  token_prefix: { type: String, required: true }, // First characters of the key, to recognise it in listings
+  created_by: { type: String, default: '' }, // Name of the token that created this one
+  expires_at: { type: Date, default: null },
+  last_used_at: { type: Date, default: null },
+  revoked_at: { type: Date, default: null },
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps
+
+ApiTokenSchema.statics.ROLES = API_TOKEN_ROLES;
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema);
@@ -0,0 +1,64 @@
+// models/CallDetailRecord.js
+const mongoose = require('mongoose');
+
+const CDR_DIRECTIONS = ['inbound', 'outbound', 'local'];
+const CDR_DISPOSITIONS = ['answered', 'busy', 'no_answer', 'cancelled', 'failed'];
+
+// Price of an answered outbound call, worked out when the record is stored (see services/ratingService.js)
+const CallRatingSchema = new mongoose.Schema({
+  status: { type: String, enum: ['rated', 'unrated'], required: true },
+  reason: { type: String, default: '' }, // Why the call could not be rated
+  number: { type: String, default: '' }, // E.164 digits the call was rated for
+  prefix: { type: String, default: '' }, // Matched prefix of the tenant's price
+  description: { type: String, default: '' }, // Destination name of the matched rate
+  billed_seconds: { type: Number, default: 0 }, // billsec rounded up to the billing increments
+  rate_deck: { type: String, default: '' }, // Tenant deck of the price; '' when priced at gateway cost plus markup
+  rate: { type: Number, default: 0 }, // Price per minute
+  price: { type: Number, default: 0 }, // What the tenant is charged
+  cost_deck: { type: String, default: '' }, // Gateway deck of the cost
+  cost: { type: Number, default: null }, // What the carrier charges; null if the gateway has no rate for the destination
+  rated_at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Call detail record of one call leg, as posted by FreeSWITCH's mod_json_cdr or mod_xml_cdr (see services/cdrService.js).
+const CallDetailRecordSchema = new mongoose.Schema({
+  uuid: { type: String, required: true, unique: true }, // FreeSWITCH channel UUID; FreeSWITCH retries reuse it
+  core_uuid: { type: String, default: '' }, // UUID of the FreeSWITCH instance
+  switchname: { type: String, default: '' },
+  leg: { type: String, enum: ['a', 'b'], default: 'a' }, // 'b' for legs originated by a bridge (mod_*_cdr log-b-leg)
+  bleg_uuid: { type: String, default: '' }, // The other leg of a bridged call
+  domain_name: { type: String, default: '' }, // Tenant of the call; '' if it could not be determined
+  tenant_matched_by: { type: String, enum: ['domain_name', 'sip_invite_domain', 'did', ''], default: '' },
+  direction: { type: String, enum: CDR_DIRECTIONS, required: true },
+  context: { type: String, default: '' }, // Dialplan context the call started in
+  caller_id_name: { type: String, default: '' },
+  caller_id_number: { type: String, default: '' },
+  destination_number: { type: String, default: '' }, // Number dialed (for inbound calls, as received from the trunk)
+  did_number: { type: String, default: '' }, // Tenant DID an inbound call came in on
+  caller_extension: { type: String, default: '' }, // SIP client user_id that placed the call
+  callee_extension: { type: String, default: '' }, // SIP client user_id the call was bridged to
+  gateway: { type: String, default: '' }, // ExternalGateway name for calls through the trunk
+  group: { type: String, default: '' }, // Hunt or ring group the call was sent to (call_group variable set by the dialplan)
+  bridged: { type: Boolean, default: false }, // Whether the call was connected to another leg (a SIP client, group member or the trunk)
+  start_time: { type: Date, required: true },
+  answer_time: { type: Date, default: null },
+  end_time: { type: Date, default: null },
+  duration: { type: Number, default: 0 }, // Seconds from start to end
+  billsec: { type: Number, default: 0 }, // Seconds from answer to end
+  hangup_cause: { type: String, default: '' }, // e.g., "NORMAL_CLEARING", "USER_BUSY"
+  disposition: { type: String, enum: CDR_DISPOSITIONS, required: true },
+  rating: { type: CallRatingSchema, default: null }, // Answered outbound a-legs only
+  variables: { type: mongoose.Schema.Types.Mixed, default: {} }, // Every channel variable of the record
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps
+
+CallDetailRecordSchema.index({ start_time: -1 });
+CallDetailRecordSchema.index({ domain_name: 1, start_time: -1 });
+CallDetailRecordSchema.index({ domain_name: 1, direction: 1, start_time: -1 });
+CallDetailRecordSchema.index({ domain_name: 1, disposition: 1, start_time: -1 });
+CallDetailRecordSchema.index({ domain_name: 1, did_number: 1, start_time: -1 });
+CallDetailRecordSchema.index({ domain_name: 1, group: 1, start_time: -1 });
+
+CallDetailRecordSchema.statics.DIRECTIONS = CDR_DIRECTIONS;
+CallDetailRecordSchema.statics.DISPOSITIONS = CDR_DISPOSITIONS;
+
+module.exports = mongoose.model('CallDetailRecord', CallDetailRecordSchema);
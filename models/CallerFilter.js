@@ -0,0 +1,35 @@
+// models/CallerFilter.js
+const mongoose = require('mongoose');
+
+const CALLER_FILTER_LISTS = ['block', 'allow'];
+const CALLER_FILTER_MATCH_TYPES = ['exact', 'prefix', 'pattern'];
+const CALLER_FILTER_ACTIONS = ['reject', 'voicemail', 'prompt'];
+
+// Blocklist or allowlist entry for inbound callers of a tenant, or of one of its DIDs.
+// Kept out of the Tenant document so that counting hits does not invalidate the tenant cache on every filtered call.
+const CallerFilterSchema = new mongoose.Schema({
+  domain_name: { type: String, required: true }, // Tenant the entry belongs to
+  did_number: { type: String, trim: true, default: '' }, // DID the entry applies to; '' applies to every DID of the tenant
+  list: { type: String, enum: CALLER_FILTER_LISTS, required: true },
+  match_type: { type: String, enum: CALLER_FILTER_MATCH_TYPES, default: 'exact' },
+  // exact: a phone number in any format, or a caller ID such as "anonymous"; prefix: leading digits (e.g., "1800");
+  // pattern: a number pattern with X/N/Z wildcards (e.g., "NXX555XXXX", see utils/phoneNumbers.js)
+  value: { type: String, required: true, trim: true },
+  // What happens to blocked callers (ignored for allowlist entries)
+  action: { type: String, enum: CALLER_FILTER_ACTIONS, default: 'reject' },
+  voicemail_box: { type: String, trim: true, default: '', match: /^[A-Za-z0-9_.@-]+$/ }, // For action "voicemail"
+  // Sound file played for action "prompt", below FreeSWITCH's sounds directory (e.g., "ivr/ivr-call-rejected.wav")
+  prompt: { type: String, trim: true, default: '', match: /^(?!.*\.\.)[A-Za-z0-9_-][A-Za-z0-9_./-]*$/ },
+  description: { type: String, default: '' },
+  enabled: { type: Boolean, default: true },
+  hits: { type: Number, default: 0 }, // Calls the entry has decided
+  last_hit_at: { type: Date, default: null },
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps
+
+CallerFilterSchema.index({ domain_name: 1, did_number: 1, list: 1, match_type: 1, value: 1 }, { unique: true });
+
+CallerFilterSchema.statics.LISTS = CALLER_FILTER_LISTS;
+CallerFilterSchema.statics.MATCH_TYPES = CALLER_FILTER_MATCH_TYPES;
+CallerFilterSchema.statics.ACTIONS = CALLER_FILTER_ACTIONS;
+
+module.exports = mongoose.model('CallerFilter', CallerFilterSchema);
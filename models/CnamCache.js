@@ -0,0 +1,15 @@
+// models/CnamCache.js
+const mongoose = require('mongoose');
+
+// Cached SignalWire CNAM lookup result for a caller number. MongoDB removes entries once `expires_at` has passed.
+const CnamCacheSchema = new mongoose.Schema({
+  phone_number: { type: String, required: true, unique: true }, // E.164, as sent to SignalWire (e.g., "+15125550100")
+  found: { type: Boolean, default: false }, // False if SignalWire returned no caller name
+  caller_name: { type: String, default: '' }, // cnam.caller_id from the lookup
+  data: { type: mongoose.Schema.Types.Mixed, default: null }, // Full lookup response
+  expires_at: { type: Date, required: true },
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps
+
+CnamCacheSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CnamCache', CnamCacheSchema);
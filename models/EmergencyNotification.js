@@ -0,0 +1,19 @@
+// models/EmergencyNotification.js
+const mongoose = require('mongoose');
+
+// Record of an emergency call placed by a tenant's SIP client, and of the tenant webhook notification about it.
+const EmergencyNotificationSchema = new mongoose.Schema({
+  domain_name: { type: String, required: true, index: true }, // Tenant the caller belongs to
+  user_id: { type: String, default: '' }, // Originating SIP client ('' if the caller could not be identified)
+  dialed_number: { type: String, required: true }, // e.g., "911"
+  call_uuid: { type: String, default: '' }, // FreeSWITCH channel UUID
+  caller_id_name: { type: String, default: '' }, // Caller ID name sent to the trunk (the dispatchable address)
+  caller_id_number: { type: String, default: '' }, // Caller ID number sent to the trunk (the callback number)
+  emergency_address: { type: mongoose.Schema.Types.Mixed, default: {} }, // Snapshot of the SIP client's address at call time
+  webhook_url: { type: String, default: '' },
+  webhook_status: { type: String, enum: ['not_configured', 'pending', 'sent', 'failed'], default: 'pending' },
+  webhook_response_status: { type: Number }, // HTTP status returned by the webhook
+  webhook_error: { type: String, default: '' },
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps
+
+module.exports = mongoose.model('EmergencyNotification', EmergencyNotificationSchema);
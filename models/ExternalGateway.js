@@ -7,7 +7,7 @@ const ExternalGatewaySchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true }, // Unique name for the gateway (e.g., "signalwire_us_east", "twilio_trunk_1")
   realm: { type: String, required: true }, // SIP domain/realm of the gateway
   username: { type: String, required: true }, // Username for registration/authentication
-  password: { type: String, required: true }, // Password for registration/authentication **Hash this in production!**
+  password: { type: String, required: true }, // Password for registration/authentication, encrypted with SECRETS_ENCRYPTION_KEY (see utils/secrets.js)
   from_domain: { type: String, required: true }, // What to send in From: header
   extension: { type: String }, // Optional fallback extension if gateway doesn't route
   register: { type: Boolean, default: false }, // Whether FreeSWITCH should register to this gateway
@@ -28,7 +28,8 @@ const ExternalGatewaySchema = new mongoose.Schema({
   ext_sip_ip: { type: String, default: 'auto-nat' }, // For auto-nat or specific IPs
   ext_rtp_ip: { type: String, default: 'auto-nat' }, // For auto-nat or specific IPs
   force_register_domain: { type: Boolean, default: true }, // Force registration to specific domain
-  register_transport: { type: String, default: 'udp' } // Transport for registration
+  register_transport: { type: String, default: 'udp' }, // Transport for registration
+  rate_deck: { type: String, default: '' } // RateDeck with what the carrier charges per destination (see services/ratingService.js)
 }, { timestamps: true }); // Adds createdAt and updatedAt timestamps
 
 // Add a unique index to ensure gateway names are unique globally
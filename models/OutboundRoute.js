@@ -0,0 +1,22 @@
+// models/OutboundRoute.js
+const mongoose = require('mongoose');
+
+// Schema for a gateway used by an outbound route (embedded in OutboundRoute)
+const OutboundRouteGatewaySchema = new mongoose.Schema({
+  gateway_name: { type: String, required: true }, // Name of an ExternalGateway
+  priority: { type: Number, default: 1 }, // Lower priorities are tried first
+  weight: { type: Number, default: 1, min: 0 }, // Share of calls among gateways with the same priority and cost
+  cost_per_minute: { type: Number, default: 0, min: 0 }, // Cheaper gateways are tried first within a priority
+}, { _id: false });
+
+// Schema for an outbound route: dialed numbers starting with `prefix` are sent through its gateways.
+// This schema represents a global route shared by all tenants, like ExternalGateway.
+const OutboundRouteSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true }, // Unique name for the route (e.g., "us_domestic", "uk_mobile")
+  description: { type: String, default: '' },
+  prefix: { type: String, default: '', match: /^\d*$/ }, // Digits the E.164 number (without '+') must start with; '' matches everything
+  gateways: { type: [OutboundRouteGatewaySchema], default: [] },
+  enabled: { type: Boolean, default: true },
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps
+
+module.exports = mongoose.model('OutboundRoute', OutboundRouteSchema);
@@ -0,0 +1,18 @@
+// models/Rate.js
+const mongoose = require('mongoose');
+
+// Price of calls to one destination prefix in a rate deck (models/RateDeck.js).
+// Kept out of the deck document because carrier decks list tens of thousands of prefixes.
+const RateSchema = new mongoose.Schema({
+  deck: { type: String, required: true }, // Name of the RateDeck
+  prefix: { type: String, required: true, match: /^\d+$/ }, // Digits the E.164 number (without '+') starts with; the longest match applies
+  description: { type: String, default: '' }, // Destination name (e.g., "United Kingdom - Mobile")
+  rate: { type: Number, required: true, min: 0 }, // Price per minute
+  connect_fee: { type: Number, default: 0, min: 0 }, // Charged once per answered call
+  initial_increment: { type: Number, default: null, min: 1 }, // null uses the deck's increments
+  subsequent_increment: { type: Number, default: null, min: 1 },
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps
+
+RateSchema.index({ deck: 1, prefix: 1 }, { unique: true });
+
+module.exports = mongoose.model('Rate', RateSchema);
@@ -0,0 +1,16 @@
+// models/RateDeck.js
+const mongoose = require('mongoose');
+
+// A rate deck: per-minute prices by destination prefix (the prices are models/Rate.js documents).
+// Decks are global. An ExternalGateway's deck is what the carrier charges us (cost);
+// a tenant's deck is what the tenant pays (see services/ratingService.js).
+const RateDeckSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true }, // Unique name for the deck (e.g., "signalwire_2025", "retail_us")
+  description: { type: String, default: '' },
+  // Billing increments in seconds for rates that do not set their own: the first `initial_increment` seconds are billed
+  // as a block, then every started `subsequent_increment` (60/60 bills whole minutes, 6/6 tenths of a minute)
+  initial_increment: { type: Number, default: 60, min: 1 },
+  subsequent_increment: { type: Number, default: 60, min: 1 },
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps
+
+module.exports = mongoose.model('RateDeck', RateDeckSchema);
@@ -1,10 +1,44 @@
 // models/Tenant.js
 const mongoose = require("mongoose");
+const classOfService = require("../utils/classOfService");
+const featureCodes = require("../utils/featureCodes");
+const dialplanConditions = require("../utils/dialplanConditions");
+
+const CLASS_OF_SERVICE_PROFILES = Object.keys(classOfService.PROFILES);
+
+// mod_callcenter agent settings for a SIP client (used when the client is a tier member of a queue)
+const CallCenterAgentSchema = new mongoose.Schema(
+    {
+        status: { type: String, enum: ["Logged Out", "Available", "Available (On Demand)", "On Break"], default: "Available" },
+        call_timeout: { type: Number, default: 20 }, // Seconds to ring the agent before trying the next one
+        max_no_answer: { type: Number, default: 3 }, // Missed offers before the agent is put On Break
+        wrap_up_time: { type: Number, default: 10 }, // Seconds after a call before the agent is offered another
+        reject_delay_time: { type: Number, default: 10 },
+        busy_delay_time: { type: Number, default: 60 },
+        no_answer_delay_time: { type: Number, default: 60 },
+    },
+    { _id: false }
+);
+
+// Dispatchable location of a SIP client, sent with emergency calls
+const EmergencyAddressSchema = new mongoose.Schema(
+    {
+        street: { type: String, trim: true, default: "" }, // e.g., "500 W 2nd St"
+        location: { type: String, trim: true, default: "" }, // Floor, suite or room (e.g., "Floor 3, Suite 300")
+        city: { type: String, trim: true, default: "" },
+        state: { type: String, trim: true, default: "" },
+        postal_code: { type: String, trim: true, default: "" },
+        country: { type: String, trim: true, default: "US" },
+    },
+    { _id: false }
+);
 
 const SipClientSchema = new mongoose.Schema(
     {
         user_id: { type: String, required: true },
-        password: { type: String, required: true }, // **IMPORTANT: Hash this in a real application!**
+        // FreeSWITCH a1-hash: MD5 of "user_id:domain_name:password". The password itself is never stored;
+        // clients are created and updated with `password` and tenantService derives this (see utils/secrets.js).
+        a1_hash: { type: String, required: true },
         user_context: { type: String, default: "" },
         enable_voicemail: { type: Boolean, default: true },
         voicemail_pin: { type: String, default: "" },
@@ -12,9 +46,35 @@ const SipClientSchema = new mongoose.Schema(
         call_forward_unconditional: { type: String, default: "" },
         call_forward_busy: { type: String, default: "" },
         call_forward_noanswer: { type: String, default: "" },
+        do_not_disturb: { type: Boolean, default: false }, // Calls skip the phone and go to busy forwarding / voicemail
         no_answer_timeout: { type: Number, default: 30 },
         outbound_caller_id_name: { type: String, default: "" },
         outbound_caller_id_number: { type: String, default: "" },
+        call_center_agent: { type: CallCenterAgentSchema, default: () => ({}) },
+        class_of_service: { type: String, enum: [...CLASS_OF_SERVICE_PROFILES, ""], default: "" }, // "" inherits the tenant's profile
+        emergency_address: { type: EmergencyAddressSchema, default: () => ({}) },
+        emergency_callback_number: { type: String, trim: true, default: "" }, // Number a PSAP can call back (E.164)
+    },
+    { _id: false }
+);
+
+const DialplanApplicationSchema = new mongoose.Schema(
+    {
+        application: { type: String, required: true }, // e.g., "set", "bridge", "playback"
+        data: { type: String }, // e.g., "domain_name=${tenant.domain_name}", "user/${destination}@${tenant.domain_name}"
+    },
+    { _id: false }
+);
+
+// One <condition> of a multi-condition extension. Time attributes use FreeSWITCH's syntax (e.g., wday "mon-fri", hour "9-17").
+const DialplanConditionSchema = new mongoose.Schema(
+    {
+        field: { type: String, default: "" }, // e.g., "destination_number", "${sip_from_user}"; empty for time-only conditions
+        expression: { type: String, default: "" }, // Regular expression; captures are available to actions as $1, $2, ...
+        break: { type: String, enum: dialplanConditions.BREAK_VALUES, default: "on-false" },
+        ...Object.fromEntries(Object.keys(dialplanConditions.TIME_ATTRIBUTES).map((attribute) => [attribute, { type: String, trim: true, default: "" }])),
+        actions: { type: [DialplanApplicationSchema], default: [] },
+        anti_actions: { type: [DialplanApplicationSchema], default: [] }, // Run when the condition does not match
     },
     { _id: false }
 );
@@ -22,16 +82,12 @@ const SipClientSchema = new mongoose.Schema(
 const DialplanActionSchema = new mongoose.Schema(
     {
         name: { type: String, required: true }, // Name of the extension (e.g., "local_extension", "check_voicemail")
-        condition_field: { type: String, required: true }, // e.g., "destination_number"
-        condition_expression: { type: String, required: true }, // e.g., "^\\*98$", "^${destination}$"
-        actions: [
-            // Array of actions to perform
-            {
-                _id: false,
-                application: { type: String, required: true }, // e.g., "set", "bridge", "playback"
-                data: { type: String }, // e.g., "domain_name=${tenant.domain_name}", "user/${destination}@${tenant.domain_name}"
-            },
-        ],
+        // Single-condition extensions; ignored when `conditions` is set
+        condition_field: { type: String, required: function () { return !this.conditions?.length; } }, // e.g., "destination_number"
+        condition_expression: { type: String, required: function () { return !this.conditions?.length; } }, // e.g., "^\\*98$", "^${destination}$"
+        actions: { type: [DialplanApplicationSchema], default: [] },
+        conditions: { type: [DialplanConditionSchema], default: [] }, // Multi-condition extensions, evaluated in order
+        continue: { type: Boolean, default: false }, // Keep hunting the following extensions after this one matches
     },
     { _id: false }
 );
@@ -98,6 +154,150 @@ const GroupSchema = new mongoose.Schema({
     },
 });
 
+// Schema for a weekly business-hours window (embedded in Schedule)
+const BusinessHoursSchema = new mongoose.Schema(
+    {
+        day: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday ... 6 = Saturday
+        open: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ }, // "HH:MM", 24h clock
+        close: { type: String, required: true, match: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/ }, // "HH:MM"; earlier than open spans midnight
+    },
+    { _id: false }
+);
+
+// Schema for a holiday date (embedded in Schedule)
+const HolidaySchema = new mongoose.Schema(
+    {
+        date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // "YYYY-MM-DD" in the schedule's timezone
+        name: { type: String, trim: true, default: "" },
+    },
+    { _id: false }
+);
+
+// Schema for a time-of-day schedule used by DIDs to pick open/closed/holiday routes
+const ScheduleSchema = new mongoose.Schema(
+    {
+        name: { type: String, required: true, trim: true }, // Schedule name (e.g., "office_hours")
+        description: { type: String, trim: true, default: "" },
+        timezone: { type: String, default: "UTC" }, // IANA timezone (e.g., "America/Chicago")
+        business_hours: { type: [BusinessHoursSchema], default: [] },
+        holidays: { type: [HolidaySchema], default: [] },
+    },
+    { _id: false }
+);
+
+// Destination kinds an IVR option or a queue exit can send a caller to
+const DESTINATION_TYPES = ["extension", "group", "ivr", "voicemail", "external_number", "custom", "hangup"];
+
+// Schema for a single IVR menu option (embedded in IvrMenu)
+const IvrMenuEntrySchema = new mongoose.Schema(
+    {
+        digits: { type: String, required: true, trim: true }, // Key(s) the caller presses (e.g., "1", "0", "*")
+        destination_type: {
+            type: String,
+            required: true,
+            enum: DESTINATION_TYPES,
+        },
+        // Target for the destination type: user_id, group name, IVR menu name (submenu), voicemail box,
+        // external number, or a raw "application data" string for "custom".
+        destination_target: { type: String, trim: true, default: "" },
+    },
+    { _id: false }
+);
+
+// Schema for an IVR (auto attendant) menu, served to FreeSWITCH as ivr.conf
+const IvrMenuSchema = new mongoose.Schema(
+    {
+        name: { type: String, required: true, trim: true }, // Menu name, unique per tenant (e.g., "main_menu")
+        description: { type: String, trim: true, default: "" },
+        greet_long: { type: String, required: true }, // Greeting played when the menu is entered
+        greet_short: { type: String, default: "" }, // Shorter greeting replayed after an invalid entry or timeout
+        invalid_sound: { type: String, default: "ivr/ivr-that_was_an_invalid_entry.wav" },
+        timeout_sound: { type: String, default: "ivr/ivr-call_cannot_be_completed_as_dialed.wav" }, // Played once max_timeouts is reached
+        exit_sound: { type: String, default: "voicemail/vm-goodbye.wav" },
+        timeout: { type: Number, default: 10000 }, // Milliseconds to wait for the first digit
+        inter_digit_timeout: { type: Number, default: 2000 }, // Milliseconds to wait between digits
+        max_failures: { type: Number, default: 3 },
+        max_timeouts: { type: Number, default: 3 },
+        digit_len: { type: Number, default: 4 },
+        entries: { type: [IvrMenuEntrySchema], default: [] },
+    },
+    { _id: false }
+);
+
+// Schema for a queue tier: which agent (SIP client) answers a queue, and in which order
+const CallCenterTierSchema = new mongoose.Schema(
+    {
+        user_id: { type: String, required: true }, // SIP client user_id acting as the agent
+        level: { type: Number, default: 1 }, // Lower levels are offered calls first
+        position: { type: Number, default: 1 }, // Order within a level
+    },
+    { _id: false }
+);
+
+// Schema for a call center queue, served to FreeSWITCH as callcenter.conf
+const CallCenterQueueSchema = new mongoose.Schema(
+    {
+        name: { type: String, required: true, trim: true }, // Queue name, unique per tenant (e.g., "support")
+        description: { type: String, trim: true, default: "" },
+        extension: { type: String, trim: true, default: "" }, // Optional local number that dials the queue (e.g., "7000")
+        strategy: {
+            type: String,
+            enum: [
+                "ring-all",
+                "longest-idle-agent",
+                "round-robin",
+                "top-down",
+                "agent-with-least-talk-time",
+                "agent-with-fewest-calls",
+                "sequentially-by-agent-order",
+                "random",
+                "ring-progressively",
+            ],
+            default: "longest-idle-agent",
+        },
+        moh_sound: { type: String, default: "local_stream://moh" }, // Hold music played to waiting callers
+        announce_sound: { type: String, default: "" }, // Optional periodic announcement
+        announce_frequency: { type: Number, default: 0 }, // Seconds between announcements, 0 disables
+        record_template: { type: String, default: "" }, // Optional recording path template
+        max_wait_time: { type: Number, default: 0 }, // Seconds a caller may wait before exiting, 0 = forever
+        max_wait_time_with_no_agent: { type: Number, default: 90 }, // Seconds to wait while no agent is logged in
+        max_wait_time_with_no_agent_time_reached: { type: Number, default: 5 },
+        tier_rules_apply: { type: Boolean, default: false },
+        tier_rule_wait_second: { type: Number, default: 300 },
+        tier_rule_wait_multiply_level: { type: Boolean, default: true },
+        tier_rule_no_agent_no_wait: { type: Boolean, default: false },
+        discard_abandoned_after: { type: Number, default: 60 },
+        abandoned_resume_allowed: { type: Boolean, default: false },
+        // Where callers go once they leave the queue without being answered (e.g., max_wait_time reached)
+        exit_destination_type: {
+            type: String,
+            enum: DESTINATION_TYPES,
+            default: "hangup",
+        },
+        exit_destination_target: { type: String, trim: true, default: "" },
+        tiers: { type: [CallCenterTierSchema], default: [] },
+    },
+    { _id: false }
+);
+
+// Schema for a conference room; each room is served to FreeSWITCH as its own conference.conf profile
+const ConferenceRoomSchema = new mongoose.Schema(
+    {
+        name: { type: String, required: true, trim: true }, // Room name, unique per tenant (e.g., "standup")
+        description: { type: String, trim: true, default: "" },
+        extension: { type: String, required: true, trim: true }, // Local number that joins the room (e.g., "3000")
+        participant_pin: { type: String, trim: true, default: "" }, // Empty = no PIN required
+        moderator_pin: { type: String, trim: true, default: "" }, // Callers entering this PIN join as moderator
+        max_members: { type: Number, default: 0 }, // 0 = unlimited
+        record: { type: Boolean, default: false }, // Record the conference automatically
+        profile: { type: String, enum: ["default", "wideband", "ultrawideband", "video"], default: "default" },
+    },
+    { _id: false }
+);
+
+// Routing types a DID (or one of its scheduled/failover routes) can point at
+const DID_ROUTING_TYPES = ["extension", "group", "dialplan_extension", "external_number", "ivr", "queue", "custom"];
+
 // Define the DID Schema (this is what's nested inside Tenant.dids)
 const DIDSchema = new mongoose.Schema(
     {
@@ -119,7 +319,7 @@ const DIDSchema = new mongoose.Schema(
             // e.g., 'extension', 'group', 'dialplan_extension', 'external'
             type: String,
             required: true,
-            enum: ["extension", "group", "dialplan_extension", "external_number", "custom"],
+            enum: DID_ROUTING_TYPES,
             default: "extension", // A sensible default
         },
         routing_target: {
@@ -138,7 +338,7 @@ const DIDSchema = new mongoose.Schema(
         },
         failover_routing_type: {
             type: String,
-            enum: ["extension", "group", "dialplan_extension", "external_number", "custom", "none"],
+            enum: [...DID_ROUTING_TYPES, "none"],
             default: "none",
         },
         failover_routing_target: {
@@ -147,6 +347,25 @@ const DIDSchema = new mongoose.Schema(
             default: "",
         },
         failover_timeout: { type: Number, default: 30 },
+        // --- Time-of-day Routing ---
+        // When a schedule is set, routing_type/routing_target apply while the schedule is open.
+        schedule: { type: String, trim: true, default: "" }, // Name of a schedule in tenant.schedules
+        closed_routing_type: {
+            type: String,
+            enum: [...DID_ROUTING_TYPES, "none"],
+            default: "none",
+        },
+        closed_routing_target: { type: String, trim: true, default: "" },
+        holiday_routing_type: {
+            // Falls back to the closed route when "none"
+            type: String,
+            enum: [...DID_ROUTING_TYPES, "none"],
+            default: "none",
+        },
+        holiday_routing_target: { type: String, trim: true, default: "" },
+        // --- Caller Filtering (see services/callerFilterService.js) ---
+        // Restricted DID: only callers on an allowlist of the DID or the tenant get through; everyone else is rejected.
+        allowlist_only: { type: Boolean, default: false },
         active: {
             // To enable/disable a DID without deleting
             type: Boolean,
@@ -157,6 +376,55 @@ const DIDSchema = new mongoose.Schema(
     { _id: false }
 );
 
+// Emergency calling settings for a tenant
+const EmergencySettingsSchema = new mongoose.Schema(
+    {
+        numbers: { type: [String], default: ["911", "933"] }, // Always routed out, regardless of class of service ("933" is the test line)
+        webhook_url: { type: String, trim: true, default: "" }, // Notified (POST, JSON) whenever an emergency call is placed
+    },
+    { _id: false }
+);
+
+// Phonebook contact: an outside number with a name, listed in the phone directory and used to name inbound callers
+const ContactSchema = new mongoose.Schema(
+    {
+        number: { type: String, required: true, trim: true }, // e.g., "+15125550100"
+        name: { type: String, required: true, trim: true },
+        company: { type: String, trim: true, default: "" },
+    },
+    { _id: false }
+);
+
+// Caller name lookup for inbound calls (see services/callerNameService.js); unset fields use the defaults there
+const CallerNameSettingsSchema = new mongoose.Schema(
+    {
+        providers: { type: [String], default: undefined }, // Providers to ask, in order (e.g., ["phonebook", "signalwire"]); [] disables lookups
+        display_format: { type: String, trim: true }, // e.g., "{name} ({location})"
+    },
+    { _id: false }
+);
+
+// What the tenant is billed (see services/ratingService.js); changed by global admins only
+const BillingSettingsSchema = new mongoose.Schema(
+    {
+        rate_deck: { type: String, trim: true, default: "" }, // RateDeck of the tenant's prices; "" prices every call at cost plus markup
+        markup_percent: { type: Number, default: 0, min: 0 }, // Added to the gateway cost of destinations the tenant's deck does not list
+        did_monthly_price: { type: Number, default: 0, min: 0 }, // Monthly rental of each DID
+        did_prices: {
+            // Monthly rental of specific DIDs, instead of did_monthly_price
+            type: [new mongoose.Schema({ did_number: { type: String, required: true, trim: true }, monthly_price: { type: Number, required: true, min: 0 } }, { _id: false })],
+            default: [],
+        },
+    },
+    { _id: false }
+);
+
+// Per-tenant feature code overrides; unset codes use utils/featureCodes.js defaults, "" disables a feature
+const FeatureCodesSchema = new mongoose.Schema(
+    Object.fromEntries(Object.keys(featureCodes.DEFAULT_FEATURE_CODES).map((feature) => [feature, { type: String, trim: true }])),
+    { _id: false }
+);
+
 // Main Tenant Schema
 const TenantSchema = new mongoose.Schema(
     {
@@ -167,6 +435,18 @@ const TenantSchema = new mongoose.Schema(
         dialplan: { type: DialplanSchema, default: { default: [] } }, // Ensure dialplan.default is an array
         groups: { type: [GroupSchema], default: [] }, // Embedded array for hunt and ring groups
         dids: { type: [DIDSchema], default: [] }, // Embedded array for DIDs
+        schedules: { type: [ScheduleSchema], default: [] }, // Embedded array for time-of-day schedules
+        ivr_menus: { type: [IvrMenuSchema], default: [] }, // Embedded array for IVR menus
+        call_center_queues: { type: [CallCenterQueueSchema], default: [] }, // Embedded array for mod_callcenter queues
+        conference_rooms: { type: [ConferenceRoomSchema], default: [] }, // Embedded array for conference rooms
+        // Outbound dialing permissions for the tenant's SIP clients (see utils/classOfService.js)
+        class_of_service: { type: String, enum: CLASS_OF_SERVICE_PROFILES, default: classOfService.DEFAULT_PROFILE },
+        local_area_codes: { type: [String], default: [] }, // Area codes treated as local calls (e.g., ["512", "737"])
+        emergency: { type: EmergencySettingsSchema, default: () => ({}) },
+        feature_codes: { type: FeatureCodesSchema, default: () => ({}) },
+        contacts: { type: [ContactSchema], default: [] }, // Phonebook contacts
+        caller_name: { type: CallerNameSettingsSchema, default: () => ({}) },
+        billing: { type: BillingSettingsSchema, default: () => ({}) },
         // Removed external_gateways as it's now a global model
     },
     { timestamps: true }
@@ -179,4 +459,7 @@ TenantSchema.index({ domain_name: 1, "sip_clients.user_id": 1 }, { unique: true,
 // Add a compound unique index to ensure DID numbers are unique within a tenant
 TenantSchema.index({ domain_name: 1, "dids.number": 1 }, { unique: true, sparse: true });
 
+TenantSchema.statics.DESTINATION_TYPES = DESTINATION_TYPES;
+TenantSchema.statics.DID_ROUTING_TYPES = DID_ROUTING_TYPES;
+
 module.exports = mongoose.model("Tenant", TenantSchema);
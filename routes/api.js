@@ -5,49 +5,180 @@ const router = express.Router();
 const tenantApiController = require('../controllers/tenantApiController'); // NEW: Import the new API controller
 const globalConfigApiController = require('../controllers/globalConfigApiController')
 const signalwireApiController = require('../controllers/signalwireApiController')
+const apiTokenApiController = require('../controllers/apiTokenApiController');
+const ratingApiController = require('../controllers/ratingApiController');
+const apiAuth = require('../middleware/apiAuth');
+const redactSecrets = require('../middleware/redactSecrets');
+const validateRequest = require('../middleware/validateRequest');
+
+// --- Authentication ---
+// Every /api request needs an API key. Tenant-scoped tokens only reach their own /tenants/:domain_name,
+// and global configuration is reserved to global admins (see middleware/apiAuth.js for the roles).
+router.use(apiAuth.authenticate);
+router.use('/tenants/:domain_name', apiAuth.requireTenantAccess);
+router.use(['/gateways', '/outbound-routes', '/signalwire', '/cache', '/usage', '/rate-decks', '/billing'], apiAuth.requireGlobalAdmin);
+
+// Passwords, a1-hashes and PINs are write-only: responses carry "********" instead.
+router.use(redactSecrets);
+
+// POST and PUT bodies are checked with validateRequest('<resource>') (see utils/validationSchemas.js);
+// invalid payloads get a 400 listing every field error.
+
+// --- API Token Routes ---
+router.get('/tokens', apiAuth.requireAdmin, apiTokenApiController.listTokens);
+router.post('/tokens', apiAuth.requireAdmin, apiTokenApiController.createToken);
+router.delete('/tokens/:token_id', apiAuth.requireAdmin, apiTokenApiController.revokeToken);
+
+// --- Tenant Cache Routes ---
+router.get('/cache/tenants', tenantApiController.getTenantCacheStats);
 
 // --- Tenant Routes ---
 router.get('/tenants', tenantApiController.getAllTenants);
 router.get('/tenants/:domain_name', tenantApiController.getTenantByDomain);
-router.post('/tenants', tenantApiController.createTenant);
-router.put('/tenants/:domain_name', tenantApiController.updateTenant);
+router.post('/tenants', apiAuth.requireGlobalAdmin, validateRequest('tenant'), tenantApiController.createTenant);
+router.put('/tenants/:domain_name', validateRequest('tenant'), tenantApiController.updateTenant);
 router.delete('/tenants/:domain_name', tenantApiController.deleteTenant); // Updated to use controller method
 
 // // --- SIP Client (User) Routes ---
 router.get('/tenants/:domain_name/users', tenantApiController.getSipClients);
 router.get('/tenants/:domain_name/users/:user_id', tenantApiController.getSipClient);
-router.post('/tenants/:domain_name/users', tenantApiController.addSipClient);
-router.put('/tenants/:domain_name/users/:user_id', tenantApiController.updateSipClient);
+router.post('/tenants/:domain_name/users', validateRequest('sipClient'), tenantApiController.addSipClient);
+router.put('/tenants/:domain_name/users/:user_id', validateRequest('sipClient'), tenantApiController.updateSipClient);
 router.delete('/tenants/:domain_name/users/:user_id', tenantApiController.deleteSipClient);
 
+// --- Registration Routes (live state from FreeSWITCH) ---
+router.get('/tenants/:domain_name/registrations', tenantApiController.getRegistrations);
+router.get('/tenants/:domain_name/users/:user_id/registrations', tenantApiController.getSipClientRegistrations);
+
 // --- Dialplan Extension Routes ---
 router.get('/tenants/:domain_name/extensions', tenantApiController.getDialplanExtensions);
 router.get('/tenants/:domain_name/extensions/:extension_name', tenantApiController.getDialplanExtension);
-router.post('/tenants/:domain_name/extensions', tenantApiController.addDialplanExtension);
-router.put('/tenants/:domain_name/extensions/:extension_name', tenantApiController.updateDialplanExtension);
+router.post('/tenants/:domain_name/extensions', validateRequest('dialplanExtension'), tenantApiController.addDialplanExtension);
+router.put('/tenants/:domain_name/extensions/:extension_name', validateRequest('dialplanExtension'), tenantApiController.updateDialplanExtension);
 router.delete('/tenants/:domain_name/extensions/:extension_name', tenantApiController.deleteDialplanExtension);
 
+// --- Dialplan Simulation Routes ---
+router.post('/tenants/:domain_name/dialplan/simulate', tenantApiController.simulateDialplan);
+
+// --- Number Plan Routes ---
+router.get('/tenants/:domain_name/numberplan', tenantApiController.getNumberPlan);
+
 // --- Group Routes ---
 router.get('/tenants/:domain_name/groups', tenantApiController.getGroups);
 router.get('/tenants/:domain_name/groups/:group_name', tenantApiController.getGroup);
-router.post('/tenants/:domain_name/groups', tenantApiController.addGroup);
-router.put('/tenants/:domain_name/groups/:group_name', tenantApiController.updateGroup);
+router.post('/tenants/:domain_name/groups', validateRequest('group'), tenantApiController.addGroup);
+router.put('/tenants/:domain_name/groups/:group_name', validateRequest('group'), tenantApiController.updateGroup);
 router.delete('/tenants/:domain_name/groups/:group_name', tenantApiController.deleteGroup);
 
 // --- Global External Gateway Routes ---
 router.get('/gateways', globalConfigApiController.getAllExternalGateways);
+router.get('/gateways/status', globalConfigApiController.getExternalGatewayStatuses); // Before /gateways/:gateway_name
 router.get('/gateways/:gateway_name', globalConfigApiController.getExternalGateway);
-router.post('/gateways', globalConfigApiController.addExternalGateway);
-router.put('/gateways/:gateway_name', globalConfigApiController.updateExternalGateway);
+router.get('/gateways/:gateway_name/status', globalConfigApiController.getExternalGatewayStatus);
+router.post('/gateways', validateRequest('gateway'), globalConfigApiController.addExternalGateway);
+router.put('/gateways/:gateway_name', validateRequest('gateway'), globalConfigApiController.updateExternalGateway);
 router.delete('/gateways/:gateway_name', globalConfigApiController.deleteExternalGateway);
 
+// --- Global Outbound Route Routes ---
+router.get('/outbound-routes', globalConfigApiController.getAllOutboundRoutes);
+router.get('/outbound-routes/:route_name', globalConfigApiController.getOutboundRoute);
+router.post('/outbound-routes', validateRequest('outboundRoute'), globalConfigApiController.addOutboundRoute);
+router.put('/outbound-routes/:route_name', validateRequest('outboundRoute'), globalConfigApiController.updateOutboundRoute);
+router.delete('/outbound-routes/:route_name', globalConfigApiController.deleteOutboundRoute);
+
+// --- Usage Report Routes ---
+router.get('/usage/gateways', globalConfigApiController.getGatewayUsage);
+
+// --- Rate Deck Routes ---
+router.get('/rate-decks', ratingApiController.getRateDecks);
+router.get('/rate-decks/:deck_name', ratingApiController.getRateDeck);
+router.post('/rate-decks', validateRequest('rateDeck'), ratingApiController.addRateDeck);
+router.put('/rate-decks/:deck_name', validateRequest('rateDeck'), ratingApiController.updateRateDeck);
+router.delete('/rate-decks/:deck_name', ratingApiController.deleteRateDeck);
+router.get('/rate-decks/:deck_name/rates', ratingApiController.getRates);
+// Rate files are CSV bodies, and carrier decks are much larger than the JSON parser's limit
+router.post('/rate-decks/:deck_name/rates/import', express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), ratingApiController.importRates);
+router.post('/billing/rerate', ratingApiController.rerateCalls);
+
 // --- DID Routes ---
 router.get('/tenants/:domain_name/dids', tenantApiController.getDids);
 router.get('/tenants/:domain_name/dids/:did_number', tenantApiController.getDid);
-router.post('/tenants/:domain_name/dids', tenantApiController.addDid);
-router.put('/tenants/:domain_name/dids/:did_number', tenantApiController.updateDid);
+router.post('/tenants/:domain_name/dids', validateRequest('did'), tenantApiController.addDid);
+router.put('/tenants/:domain_name/dids/:did_number', validateRequest('did'), tenantApiController.updateDid);
 router.delete('/tenants/:domain_name/dids/:did_number', tenantApiController.deleteDid);
 
+// --- Schedule Routes ---
+router.get('/tenants/:domain_name/schedules', tenantApiController.getSchedules);
+router.get('/tenants/:domain_name/schedules/:schedule_name', tenantApiController.getSchedule);
+router.post('/tenants/:domain_name/schedules', validateRequest('schedule'), tenantApiController.addSchedule);
+router.put('/tenants/:domain_name/schedules/:schedule_name', validateRequest('schedule'), tenantApiController.updateSchedule);
+router.delete('/tenants/:domain_name/schedules/:schedule_name', tenantApiController.deleteSchedule);
+
+// --- IVR Menu Routes ---
+router.get('/tenants/:domain_name/ivrs', tenantApiController.getIvrMenus);
+router.get('/tenants/:domain_name/ivrs/:ivr_name', tenantApiController.getIvrMenu);
+router.post('/tenants/:domain_name/ivrs', validateRequest('ivrMenu'), tenantApiController.addIvrMenu);
+router.put('/tenants/:domain_name/ivrs/:ivr_name', validateRequest('ivrMenu'), tenantApiController.updateIvrMenu);
+router.delete('/tenants/:domain_name/ivrs/:ivr_name', tenantApiController.deleteIvrMenu);
+
+// --- Call Center Queue Routes ---
+router.get('/tenants/:domain_name/queues', tenantApiController.getCallCenterQueues);
+router.get('/tenants/:domain_name/queues/:queue_name', tenantApiController.getCallCenterQueue);
+router.post('/tenants/:domain_name/queues', validateRequest('callCenterQueue'), tenantApiController.addCallCenterQueue);
+router.put('/tenants/:domain_name/queues/:queue_name', validateRequest('callCenterQueue'), tenantApiController.updateCallCenterQueue);
+router.delete('/tenants/:domain_name/queues/:queue_name', tenantApiController.deleteCallCenterQueue);
+
+// --- Conference Room Routes ---
+router.get('/tenants/:domain_name/conferences', tenantApiController.getConferenceRooms);
+router.get('/tenants/:domain_name/conferences/:conference_name', tenantApiController.getConferenceRoom);
+router.post('/tenants/:domain_name/conferences', validateRequest('conferenceRoom'), tenantApiController.addConferenceRoom);
+router.put('/tenants/:domain_name/conferences/:conference_name', validateRequest('conferenceRoom'), tenantApiController.updateConferenceRoom);
+router.delete('/tenants/:domain_name/conferences/:conference_name', tenantApiController.deleteConferenceRoom);
+
+// --- Feature Code Routes ---
+router.get('/tenants/:domain_name/feature-codes', tenantApiController.getFeatureCodes);
+router.put('/tenants/:domain_name/feature-codes', validateRequest('featureCodeSettings'), tenantApiController.updateFeatureCodes);
+
+// --- Phonebook Contact Routes ---
+router.get('/tenants/:domain_name/contacts', tenantApiController.getContacts);
+router.get('/tenants/:domain_name/contacts/:number', tenantApiController.getContact);
+router.post('/tenants/:domain_name/contacts', validateRequest('contact'), tenantApiController.addContact);
+router.put('/tenants/:domain_name/contacts/:number', validateRequest('contact'), tenantApiController.updateContact);
+router.delete('/tenants/:domain_name/contacts/:number', tenantApiController.deleteContact);
+
+// --- Caller Blocklist and Allowlist Routes ---
+router.get('/tenants/:domain_name/caller-filters', tenantApiController.getCallerFilters);
+router.get('/tenants/:domain_name/caller-filters/:filter_id', tenantApiController.getCallerFilter);
+router.post('/tenants/:domain_name/caller-filters', validateRequest('callerFilter'), tenantApiController.addCallerFilter);
+router.post('/tenants/:domain_name/caller-filters/import', validateRequest('callerFilterImport'), tenantApiController.importCallerFilters);
+router.put('/tenants/:domain_name/caller-filters/:filter_id', validateRequest('callerFilter'), tenantApiController.updateCallerFilter);
+router.delete('/tenants/:domain_name/caller-filters/:filter_id', tenantApiController.deleteCallerFilter);
+
+// --- Call History Routes ---
+router.get('/tenants/:domain_name/calls', tenantApiController.getCalls);
+router.get('/tenants/:domain_name/calls/summary/dids', tenantApiController.getDidCallSummary);
+router.get('/tenants/:domain_name/calls/summary/hours', tenantApiController.getHourlyCallSummary);
+router.get('/tenants/:domain_name/calls/summary/groups', tenantApiController.getGroupCallSummary);
+router.get('/tenants/:domain_name/calls/:uuid', tenantApiController.getCall);
+
+// --- Billing Routes ---
+router.get('/tenants/:domain_name/billing', tenantApiController.getBillingSettings);
+router.put('/tenants/:domain_name/billing', apiAuth.requireGlobalAdmin, validateRequest('billingSettings'), tenantApiController.updateBillingSettings);
+router.get('/tenants/:domain_name/invoices/:month', tenantApiController.getInvoice);
+
+// --- Caller Name Routes ---
+router.get('/tenants/:domain_name/caller-name', tenantApiController.getCallerNameSettings);
+router.put('/tenants/:domain_name/caller-name', validateRequest('callerNameSettings'), tenantApiController.updateCallerNameSettings);
+router.post('/tenants/:domain_name/caller-name/lookup', tenantApiController.lookupCallerName);
+
+// --- Emergency Call Routes ---
+router.get('/tenants/:domain_name/emergency-calls', tenantApiController.getEmergencyCalls);
+
+// --- SignalWire CNAM Routes ---
 router.get('/signalwire/cnam-lookup', signalwireApiController.lookupCnam)
+router.get('/signalwire/cnam-cache', signalwireApiController.getCnamCache);
+router.delete('/signalwire/cnam-cache/:phone_number', signalwireApiController.deleteCnamCacheEntry);
+router.get('/signalwire/cnam-status', signalwireApiController.getCnamStatus);
+router.post('/signalwire/cnam-status/reset-breaker', signalwireApiController.resetCnamBreaker);
 
 module.exports = router;
\ No newline at end of file
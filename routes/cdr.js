@@ -0,0 +1,35 @@
+// routes/cdr.js
+const express = require("express");
+const router = express.Router();
+
+const cdrService = require("../services/cdrService.js");
+const xmlCurlAuth = require("../middleware/xmlCurlAuth.js");
+
+// Records carry every channel variable and the whole callflow, so they are larger than xml_curl requests
+const CDR_BODY_LIMIT = "5mb";
+
+// CDR Entry Point for mod_json_cdr and mod_xml_cdr (point their `url` setting here).
+// It uses the xml_curl credentials and allowed networks (see middleware/xmlCurlAuth.js).
+// FreeSWITCH keeps a record and retries it until it gets a 2xx response, so only failures worth retrying get a 5xx.
+router.post(
+    "/",
+    xmlCurlAuth.middleware,
+    express.json({ limit: CDR_BODY_LIMIT }),
+    express.urlencoded({ extended: false, limit: CDR_BODY_LIMIT }),
+    express.text({ type: ["text/*", "application/xml"], limit: CDR_BODY_LIMIT }),
+    async (req, res) => {
+        try {
+            const result = await cdrService.ingest(req.body);
+            res.status(200).json({ status: result.created ? "stored" : "duplicate", uuid: result.uuid });
+        } catch (err) {
+            if (err.message.startsWith("Invalid CDR")) {
+                console.warn(`WARN: Rejected CDR from ${xmlCurlAuth.getClientAddress(req)}: ${err.message}`);
+                return res.status(400).json({ error: err.message });
+            }
+            console.error("CDR error:", err);
+            res.status(500).send("Internal Server Error");
+        }
+    }
+);
+
+module.exports = router;
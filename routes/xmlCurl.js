@@ -6,10 +6,13 @@ const directoryController = require("../controllers/directoryController.js");
 const voicemailController = require("../controllers/voicemailController.js");
 const dialplanController = require("../controllers/dialplanController.js");
 const configurationController = require("../controllers/configurationController.js");
+const xmlCurlAuth = require("../middleware/xmlCurlAuth.js");
+const secrets = require("../utils/secrets.js");
 const { config } = require("dotenv");
 
 // XML Curl Entry Point
-router.post("/", async (req, res) => {
+// Only FreeSWITCH nodes from allowed networks with valid gateway-credentials may query it (see middleware/xmlCurlAuth.js)
+router.post("/", xmlCurlAuth.middleware, async (req, res) => {
     try {
         const { section, action } = req.body;
 
@@ -22,14 +25,14 @@ router.post("/", async (req, res) => {
         switch (section) {
             case "directory":
                 if (action === "voicemail-lookup") {
-                    xmlResponse = await voicemailController.lookup(req.body);
+                    xmlResponse = await voicemailController.lookup(req.body, { includeSecrets: req.xmlCurlAuthenticated });
                 } else {
-                    xmlResponse = await directoryController.lookup(req.body);
+                    xmlResponse = await directoryController.lookup(req.body, { includeSecrets: req.xmlCurlAuthenticated });
                 }
                 break;
             case "configuration":
                 console.log("CONFIGURATION REQUESTED");
-                xmlResponse = await configurationController.lookup(req.body);
+                xmlResponse = await configurationController.lookup(req.body, { includeSecrets: req.xmlCurlAuthenticated });
                 break;
 
             case "dialplan":
@@ -47,7 +50,7 @@ router.post("/", async (req, res) => {
 
         res.set("Content-Type", "application/xml");
         console.log("---------------------CONFIGURATION PARAMETERS-----------------------------------");
-        console.log(xmlResponse);
+        console.log(secrets.redactXml(xmlResponse)); // Never log credentials
         console.log("---------------------END CONFIGURATION PARAMETERS----------------------------");
         res.send(xmlResponse);
     } catch (err) {
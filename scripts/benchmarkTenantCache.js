@@ -0,0 +1,103 @@
+// scripts/benchmarkTenantCache.js
+// Measures what the tenant cache (services/tenantCache.js) saves on tenant lookups: the same tenant is looked up
+// through tenantService.getTenantByDomain with every lookup going to MongoDB, then served from the cache.
+// Lookups run `--concurrency` at a time, as concurrent xml_curl requests do. Nothing is written to the database.
+//
+// Usage: node scripts/benchmarkTenantCache.js <domain_name> [--lookups 2000] [--concurrency 20]
+require('dotenv').config();
+
+const { performance } = require('perf_hooks');
+const mongoose = require('mongoose');
+const tenantCache = require('../services/tenantCache');
+const tenantService = require('../services/tenantService');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/freeswitch';
+
+/**
+ * Reads a numeric option ("--lookups 500").
+ * @param {string} name - Option name, without "--".
+ * @param {number} defaultValue - Value when the option is not given.
+ * @returns {number} The value.
+ */
+const option = (name, defaultValue) => {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index === -1 ? NaN : parseInt(process.argv[index + 1], 10);
+  return Number.isInteger(value) && value > 0 ? value : defaultValue;
+};
+
+/**
+ * Returns a percentile of sorted durations.
+ * @param {Array<number>} sorted - Durations in ms, ascending.
+ * @param {number} percent - e.g. 95.
+ * @returns {number} The duration.
+ */
+const percentile = (sorted, percent) => sorted[Math.min(sorted.length - 1, Math.ceil((percent / 100) * sorted.length) - 1)];
+
+/**
+ * Looks the tenant up `lookups` times, `concurrency` at a time.
+ * @param {string} domainName - Tenant to look up.
+ * @param {number} lookups - Number of lookups.
+ * @param {number} concurrency - Lookups in flight at once.
+ * @param {boolean} cached - Whether lookups may be served from the cache.
+ * @returns {Promise<Object>} { mean, p50, p95, p99, perSecond }, durations in ms.
+ */
+const measure = async (domainName, lookups, concurrency, cached) => {
+  const durations = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < lookups) {
+      next++;
+      if (!cached) tenantCache.invalidate(domainName);
+      const started = performance.now();
+      await tenantService.getTenantByDomain(domainName);
+      durations.push(performance.now() - started);
+    }
+  };
+
+  const started = performance.now();
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  const elapsed = performance.now() - started;
+
+  durations.sort((a, b) => a - b);
+  return {
+    mean: durations.reduce((sum, duration) => sum + duration, 0) / durations.length,
+    p50: percentile(durations, 50),
+    p95: percentile(durations, 95),
+    p99: percentile(durations, 99),
+    perSecond: (lookups / elapsed) * 1000,
+  };
+};
+
+const format = (label, result) => `${label.padEnd(9)} mean ${result.mean.toFixed(3)} ms, p50 ${result.p50.toFixed(3)} ms, ` +
+  `p95 ${result.p95.toFixed(3)} ms, p99 ${result.p99.toFixed(3)} ms, ${Math.round(result.perSecond)} lookups/s`;
+
+const run = async () => {
+  const domainName = process.argv[2];
+  if (!domainName || domainName.startsWith('--')) {
+    throw new Error('Usage: node scripts/benchmarkTenantCache.js <domain_name> [--lookups 2000] [--concurrency 20]');
+  }
+  const lookups = option('lookups', 2000);
+  const concurrency = option('concurrency', 20);
+
+  await mongoose.connect(MONGO_URI);
+  try {
+    if (!await tenantService.getTenantByDomain(domainName)) throw new Error(`Tenant ${domainName} not found`);
+    if (!tenantService.getCacheStats().enabled) throw new Error('The tenant cache is disabled (TENANT_CACHE_ENABLED=false)');
+
+    console.log(`INFO: ${lookups} lookups of ${domainName}, ${concurrency} at a time.`);
+    const uncached = await measure(domainName, lookups, concurrency, false);
+    await tenantService.getTenantByDomain(domainName); // Warm the cache
+    const cached = await measure(domainName, lookups, concurrency, true);
+
+    console.log(format('MongoDB', uncached));
+    console.log(format('Cached', cached));
+    console.log(`INFO: The cache cuts the mean lookup latency ${(uncached.mean / cached.mean).toFixed(1)}x and the p95 ${(uncached.p95 / cached.p95).toFixed(1)}x.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('ERROR: Tenant cache benchmark failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+// scripts/fakeEslServer.js
+// Stand-in for FreeSWITCH's mod_event_socket, to try services/eslService.js without a FreeSWITCH box.
+// It asks for the password, prints every API command it receives and answers "+OK" (or "-ERR" for commands
+// starting with "fail"). Status commands get canned output instead:
+// - `sofia status profile <profile> reg`: registrations of 1001 and 1002@tenant1.example.com and 2001@tenant2.example.com;
+// - `sofia status gateway <name>`: a registered gateway, or "Invalid Gateway!" for names starting with "missing".
+//
+// Usage: node scripts/fakeEslServer.js [port] [password]
+// then start the API with FREESWITCH_ESL_NODES=<password>@127.0.0.1:<port>
+// Tests start it in-process with createServer(), which also records the API commands received (server.commands).
+const net = require('net');
+
+/**
+ * Builds an Event Socket message.
+ * @param {Object} headers - Message headers.
+ * @param {string} [body] - Message body.
+ * @returns {string} The message.
+ */
+const message = (headers, body = '') => {
+  const allHeaders = body ? { ...headers, 'Content-Length': Buffer.byteLength(body) } : headers;
+  return `${Object.entries(allHeaders).map(([name, value]) => `${name}: ${value}`).join('\n')}\n\n${body}`;
+};
+
+const REGISTRATIONS = [
+  ['1001@tenant1.example.com', '"1001" <sip:1001@192.168.1.10:5060;fs_nat=yes>', 'Yealink SIP-T46S 66.86.0.15', 'Registered(UDP-NAT)(unknown)', '203.0.113.5', 5060],
+  ['1002@tenant1.example.com', '<sip:1002@198.51.100.7:5062;transport=tcp>', 'Zoiper rv2.10.20.5', 'Registered(TCP)(unknown)', '198.51.100.7', 5062],
+  ['2001@tenant2.example.com', '<sip:2001@192.0.2.44:5060>', 'Grandstream GXP2170 1.0.11.23', 'Registered(UDP)(unknown)', '192.0.2.44', 5060],
+];
+
+/**
+ * Answers an API command the way FreeSWITCH would (see the list above).
+ * @param {string} command - The API command.
+ * @returns {string} The response body.
+ */
+const answer = (command) => {
+  if (command.startsWith('fail')) return '-ERR Command failed\n';
+  const profile = command.match(/^sofia status profile (\S+) reg$/);
+  if (profile) {
+    const blocks = REGISTRATIONS.map(([user, contact, agent, status, ip, port], index) => [
+      `Call-ID:    \t${index + 1}b4c76e66710@${ip}`,
+      `User:       \t${user}`,
+      `Contact:    \t${contact}`,
+      `Agent:      \t${agent}`,
+      `Status:     \t${status} EXP(2030-01-01 00:00:00) EXPSECS(${3600 - index * 600})`,
+      `Host:       \tfreeswitch`,
+      `IP:         \t${ip}`,
+      `Port:       \t${port}`,
+      `Auth-User:  \t${user.split('@')[0]}`,
+      `Auth-Realm: \t${user.split('@')[1]}`,
+      'MWI-Account:\t',
+      'Ping-Status:\tReachable',
+    ].join('\n'));
+    return `\nRegistrations:\n${'='.repeat(80)}\n${blocks.join('\n\n')}\n\nTotal items returned: ${blocks.length}\n${'='.repeat(80)}\n`;
+  }
+  const gateway = command.match(/^sofia status gateway (\S+)$/);
+  if (gateway) {
+    if (gateway[1].startsWith('missing')) return 'Invalid Gateway!\n';
+    return [
+      '='.repeat(80),
+      `Name    \t${gateway[1]}`,
+      'Profile \tsignal',
+      'Scheme  \tDigest',
+      `From    \t<sip:user@${gateway[1]}.example.net>`,
+      'PingState\t0/0/0',
+      'State   \tREGED',
+      'Status  \tUP',
+      'Uptime  \t86400s',
+      'CallsIN \t12',
+      'CallsOUT\t34',
+      'FailedCallsIN\t0',
+      'FailedCallsOUT\t2',
+      '='.repeat(80),
+      '',
+    ].join('\n');
+  }
+  return '+OK\n';
+};
+
+/**
+ * Creates the fake Event Socket server (not listening yet).
+ * @param {string} [password='ClueCon'] - Password clients must send.
+ * @returns {net.Server} The server; server.commands lists the API commands received, in order.
+ */
+const createServer = (password = 'ClueCon') => {
+  const server = net.createServer((socket) => {
+    const client = `${socket.remoteAddress}:${socket.remotePort}`;
+    let buffer = '';
+    let authenticated = false;
+    console.log(`INFO: ${client} connected`);
+    socket.write(message({ 'Content-Type': 'auth/request' }));
+
+    socket.on('data', (data) => {
+      buffer += data.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const command = buffer.substring(0, end).trim();
+        buffer = buffer.substring(end + 2);
+
+        if (command.startsWith('auth ')) {
+          authenticated = command.substring('auth '.length) === password;
+          socket.write(message({ 'Content-Type': 'command/reply', 'Reply-Text': authenticated ? '+OK accepted' : '-ERR invalid' }));
+          if (!authenticated) socket.end(message({ 'Content-Type': 'text/disconnect-notice' }, 'Disconnected, goodbye.\n'));
+        } else if (command === 'exit') {
+          socket.end(message({ 'Content-Type': 'command/reply', 'Reply-Text': '+OK bye' }));
+        } else if (authenticated && command.startsWith('api ')) {
+          const apiCommand = command.substring('api '.length);
+          console.log(`INFO: ${client} api ${apiCommand}`);
+          server.commands.push(apiCommand);
+          socket.write(message({ 'Content-Type': 'api/response' }, answer(apiCommand)));
+        } else {
+          socket.write(message({ 'Content-Type': 'command/reply', 'Reply-Text': '-ERR command not found' }));
+        }
+      }
+    });
+    socket.on('close', () => console.log(`INFO: ${client} disconnected`));
+    socket.on('error', (error) => console.warn(`WARN: ${client}: ${error.message}`));
+  });
+  server.commands = [];
+  return server;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 8021;
+  const password = process.argv[3] || 'ClueCon';
+  createServer(password).listen(port, () => console.log(`INFO: Fake ESL server listening on port ${port} (password "${password}")`));
+}
+
+module.exports = { createServer, answer };
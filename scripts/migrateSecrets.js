@@ -0,0 +1,77 @@
+// scripts/migrateSecrets.js
+// One-off migration of credentials stored before a1-hashes and gateway encryption:
+// - SIP clients: plaintext `password` is replaced by `a1_hash` (MD5 of "user_id:domain_name:password").
+// - External gateways: plaintext `password` is encrypted with SECRETS_ENCRYPTION_KEY.
+// Documents that are already migrated are left alone, so the script can be run more than once.
+//
+// Usage: node scripts/migrateSecrets.js [--dry-run]
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const ExternalGateway = require('../models/ExternalGateway');
+const secrets = require('../utils/secrets');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/freeswitch';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+/**
+ * Replaces plaintext SIP passwords with a1-hashes in every tenant.
+ * Works on the raw collection, since `password` is no longer part of the schema.
+ * @returns {Promise<number>} Number of SIP clients migrated.
+ */
+const migrateSipClients = async () => {
+  let migrated = 0;
+  const tenants = await Tenant.collection.find({ 'sip_clients.password': { $exists: true } }).toArray();
+
+  for (const tenant of tenants) {
+    const sipClients = tenant.sip_clients.map(client => {
+      if (client.password === undefined) return client;
+      const { password, ...rest } = client;
+      migrated++;
+      console.log(`INFO: ${DRY_RUN ? 'Would hash' : 'Hashing'} password of SIP client ${client.user_id}@${tenant.domain_name}.`);
+      return { ...rest, a1_hash: rest.a1_hash || secrets.computeA1Hash(client.user_id, tenant.domain_name, password) };
+    });
+    if (!DRY_RUN) {
+      await Tenant.collection.updateOne({ _id: tenant._id }, { $set: { sip_clients: sipClients } });
+    }
+  }
+  return migrated;
+};
+
+/**
+ * Encrypts plaintext external gateway passwords.
+ * @returns {Promise<number>} Number of gateways migrated.
+ */
+const migrateGateways = async () => {
+  let migrated = 0;
+  const gateways = await ExternalGateway.collection.find({}).toArray();
+
+  for (const gateway of gateways) {
+    if (!gateway.password || secrets.isEncrypted(gateway.password)) continue;
+    migrated++;
+    console.log(`INFO: ${DRY_RUN ? 'Would encrypt' : 'Encrypting'} password of gateway "${gateway.name}".`);
+    if (!DRY_RUN) {
+      await ExternalGateway.collection.updateOne({ _id: gateway._id }, { $set: { password: secrets.encrypt(gateway.password) } });
+    }
+  }
+  return migrated;
+};
+
+const run = async () => {
+  if (!DRY_RUN) secrets.encrypt('check'); // Fails early if SECRETS_ENCRYPTION_KEY is missing or invalid
+
+  await mongoose.connect(MONGO_URI);
+  try {
+    const sipClients = await migrateSipClients();
+    const gateways = await migrateGateways();
+    console.log(`INFO: ${DRY_RUN ? 'Dry run: would migrate' : 'Migrated'} ${sipClients} SIP client(s) and ${gateways} gateway(s).`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('ERROR: Secrets migration failed:', error);
+  process.exit(1);
+});
@@ -5,12 +5,17 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const mongoose = require('mongoose');
 const xmlCurlRouter = require('./routes/xmlCurl');
+const cdrRouter = require('./routes/cdr');
 const apiRouter = require('./routes/api')
+const tenantService = require('./services/tenantService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/freeswitch';
 
+// CDRs from mod_json_cdr / mod_xml_cdr are parsed by their router, which accepts larger bodies
+app.use('/cdr', cdrRouter);
+
 // Middleware
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
@@ -37,6 +42,7 @@ mongoose.connect(MONGO_URI, {
 })
 .then(() => {
   console.log('MongoDB connected successfully');
+  tenantService.watchTenantChanges();
   app.listen(PORT, () => {
     console.log(`FreeSWITCH XML Curl server listening on port ${PORT}`);
   });
@@ -0,0 +1,190 @@
+// services/apiTokenService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const Tenant = require('../models/Tenant');
+
+const TOKEN_PREFIX = 'fsk_';
+
+/**
+ * Hashes an API key for storage and lookup.
+ * @param {string} token - The API key.
+ * @returns {string} Hex-encoded SHA-256 hash.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Converts a token document into the object returned by the API (without the key hash).
+ * @param {Object} tokenDoc - ApiToken document.
+ * @returns {Object} The token without token_hash.
+ */
+const toPublicToken = (tokenDoc) => {
+  const { token_hash, ...token } = tokenDoc.toObject();
+  return token;
+};
+
+const apiTokenService = {
+  /**
+   * Authenticates an API key.
+   * The key in API_ADMIN_TOKEN (if set) is accepted as a global admin, so the first tokens can be created.
+   * @param {string} token - The API key from the request.
+   * @returns {Promise<Object|null>} The token (name, role, domain_name), or null if the key is unknown, revoked or expired.
+   */
+  authenticate: async (token) => {
+    if (!token) return null;
+
+    const bootstrapToken = process.env.API_ADMIN_TOKEN || '';
+    if (bootstrapToken) {
+      const given = Buffer.from(hashToken(token));
+      const expected = Buffer.from(hashToken(bootstrapToken));
+      if (crypto.timingSafeEqual(given, expected)) {
+        return { _id: null, name: 'API_ADMIN_TOKEN', role: 'global_admin', domain_name: '' };
+      }
+    }
+
+    try {
+      const tokenDoc = await ApiToken.findOne({ token_hash: hashToken(token), revoked_at: null });
+      if (!tokenDoc) return null;
+      if (tokenDoc.expires_at && tokenDoc.expires_at <= new Date()) return null;
+
+      // Usage tracking must not fail the request
+      ApiToken.updateOne({ _id: tokenDoc._id }, { last_used_at: new Date() }).catch(error => {
+        console.error('Error in apiTokenService.authenticate (last_used_at):', error);
+      });
+      return toPublicToken(tokenDoc);
+    } catch (error) {
+      console.error('Error in apiTokenService.authenticate:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create an API token. The key is only returned here; it cannot be retrieved later.
+   * Tenant admins can only create tenant_admin and read_only tokens for their own tenant.
+   * @param {Object} tokenData - { name, role, domain_name, expires_at }.
+   * @param {Object} requester - The token making the request.
+   * @returns {Promise<Object>} The created token, including `token` (the API key).
+   * @throws {Error} If the data is invalid, the tenant does not exist or the requester may not create such a token.
+   */
+  createToken: async (tokenData, requester) => {
+    try {
+      const role = tokenData.role;
+      if (!ApiToken.ROLES.includes(role)) {
+        throw new Error(`Invalid role '${role}'. Must be one of: ${ApiToken.ROLES.join(', ')}`);
+      }
+
+      let domainName = role === 'global_admin' ? '' : (tokenData.domain_name || '').trim();
+      if (requester.role !== 'global_admin') {
+        if (role === 'global_admin') throw new Error('Not allowed to create global_admin tokens');
+        if (domainName && domainName !== requester.domain_name) throw new Error(`Not allowed to create tokens for tenant '${domainName}'`);
+        domainName = requester.domain_name;
+      }
+      if (role === 'tenant_admin' && !domainName) {
+        throw new Error('domain_name is required for tenant_admin tokens');
+      }
+      if (domainName && !(await Tenant.exists({ domain_name: domainName }))) {
+        throw new Error('Tenant not found');
+      }
+
+      const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+      const tokenDoc = new ApiToken({
+        name: tokenData.name,
+        role,
+        domain_name: domainName,
+        token_hash: hashToken(token),
+        token_prefix: token.substring(0, TOKEN_PREFIX.length + 8),
+        created_by: requester.name,
+        expires_at: tokenData.expires_at || null,
+      });
+      await tokenDoc.save();
+      console.log(`INFO: API token "${tokenDoc.name}" (${role}${domainName ? ` for ${domainName}` : ''}) created by ${requester.name}.`);
+      return { ...toPublicToken(tokenDoc), token };
+    } catch (error) {
+      console.error('Error in apiTokenService.createToken:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List API tokens visible to the requester (all tokens for global admins, otherwise the requester's tenant only).
+   * @param {Object} requester - The token making the request.
+   * @returns {Promise<Array<Object>>} Array of tokens, without their keys.
+   */
+  listTokens: async (requester) => {
+    try {
+      const filter = requester.role === 'global_admin' ? {} : { domain_name: requester.domain_name };
+      const tokens = await ApiToken.find(filter).sort({ createdAt: -1 });
+      return tokens.map(toPublicToken);
+    } catch (error) {
+      console.error('Error in apiTokenService.listTokens:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke an API token. Revoked tokens stay listed, with revoked_at set.
+   * @param {string} tokenId - The token's _id.
+   * @param {Object} requester - The token making the request.
+   * @returns {Promise<Object>} The revoked token.
+   * @throws {Error} If the token is not found or belongs to another tenant.
+   */
+  revokeToken: async (tokenId, requester) => {
+    try {
+      const tokenDoc = mongoose.isValidObjectId(tokenId) ? await ApiToken.findById(tokenId) : null;
+      if (!tokenDoc) throw new Error('API token not found');
+      if (requester.role !== 'global_admin' && tokenDoc.domain_name !== requester.domain_name) {
+        throw new Error('API token not found');
+      }
+
+      if (!tokenDoc.revoked_at) {
+        tokenDoc.revoked_at = new Date();
+        await tokenDoc.save();
+        console.log(`INFO: API token "${tokenDoc.name}" revoked by ${requester.name}.`);
+      }
+      return toPublicToken(tokenDoc);
+    } catch (error) {
+      console.error('Error in apiTokenService.revokeToken:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Moves the tokens of a tenant to its new domain name, so they keep access to the renamed tenant
+   * (and do not grant access to a tenant created later under the previous name).
+   * @param {string} domainName - Previous domain name of the tenant.
+   * @param {string} newDomainName - New domain name of the tenant.
+   * @returns {Promise<void>}
+   * @throws {Error} If the update fails.
+   */
+  renameTenant: async (domainName, newDomainName) => {
+    try {
+      const result = await ApiToken.updateMany({ domain_name: domainName }, { $set: { domain_name: newDomainName } });
+      if (result.modifiedCount > 0) {
+        console.log(`INFO: Moved ${result.modifiedCount} API token(s) from ${domainName} to ${newDomainName}.`);
+      }
+    } catch (error) {
+      console.error('Error in apiTokenService.renameTenant:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revokes every token of a tenant, so a tenant created later under the same domain name is not reachable with them.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<void>}
+   * @throws {Error} If the update fails.
+   */
+  revokeTenantTokens: async (domainName) => {
+    try {
+      const result = await ApiToken.updateMany({ domain_name: domainName, revoked_at: null }, { $set: { revoked_at: new Date() } });
+      if (result.modifiedCount > 0) {
+        console.log(`INFO: Revoked ${result.modifiedCount} API token(s) of ${domainName}.`);
+      }
+    } catch (error) {
+      console.error('Error in apiTokenService.revokeTenantTokens:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = apiTokenService;
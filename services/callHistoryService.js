@@ -0,0 +1,370 @@
+// services/callHistoryService.js
+// Call history and usage reports, from the call detail records stored by services/cdrService.js.
+//
+// Reports count a-legs only (one record per call), unless the call list is asked for `leg=all`.
+// Query parameters shared by the call list and the reports:
+// - from, to: ISO 8601 dates (from inclusive, to exclusive). Reports default to the last 30 days.
+// - direction: inbound, outbound or local.
+// - disposition: answered, busy, no_answer, cancelled or failed.
+// - extension: SIP client user_id that placed or received the call.
+// - did: DID number, in any NANP format.
+// - group: hunt or ring group the call was sent to.
+// Invalid values are rejected with "Invalid ..." errors.
+const mongoose = require('mongoose');
+const CallDetailRecord = require('../models/CallDetailRecord');
+const Tenant = require('../models/Tenant');
+const globalConfigService = require('./globalConfigService');
+const phoneNumbers = require('../utils/phoneNumbers');
+
+const DEFAULT_REPORT_DAYS = 30;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Fields of the call list and CSV export, in CSV column order (the full record adds `variables`)
+const CALL_FIELDS = [
+  'uuid', 'start_time', 'answer_time', 'end_time', 'direction', 'disposition', 'caller_id_name', 'caller_id_number',
+  'destination_number', 'did_number', 'caller_extension', 'callee_extension', 'group', 'gateway', 'duration', 'billsec',
+  'hangup_cause', 'leg', 'bleg_uuid',
+];
+
+/**
+ * Parses a date query parameter.
+ * @param {string} value - The parameter value.
+ * @param {string} name - Parameter name, for the error message.
+ * @returns {Date|null} The date, or null if the parameter is not set.
+ * @throws {Error} "Invalid <name> date" if the value is not a date.
+ */
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date: ${value}`);
+  return date;
+};
+
+/**
+ * Builds the MongoDB conditions of a call query.
+ * @param {string} domainName - Domain name of the tenant ('' or null for every tenant).
+ * @param {Object} query - Query parameters (see the header of this file).
+ * @param {Object} [options={}] - { defaultRange: true } applies the report date range when `from` is not set.
+ * @returns {Object} { conditions, from, to }.
+ * @throws {Error} "Invalid ..." if a parameter is invalid.
+ */
+const buildConditions = (domainName, query = {}, options = {}) => {
+  const conditions = {};
+  if (domainName) conditions.domain_name = domainName;
+
+  const to = parseDate(query.to, 'to');
+  let from = parseDate(query.from, 'from');
+  if (!from && options.defaultRange) {
+    from = new Date((to || new Date()).getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  }
+  if (from || to) {
+    conditions.start_time = {};
+    if (from) conditions.start_time.$gte = from;
+    if (to) conditions.start_time.$lt = to;
+  }
+
+  if (query.leg !== 'all') conditions.leg = 'a';
+  if (query.direction) {
+    if (!CallDetailRecord.DIRECTIONS.includes(query.direction)) throw new Error(`Invalid direction: use ${CallDetailRecord.DIRECTIONS.join(', ')}`);
+    conditions.direction = query.direction;
+  }
+  if (query.disposition) {
+    if (!CallDetailRecord.DISPOSITIONS.includes(query.disposition)) throw new Error(`Invalid disposition: use ${CallDetailRecord.DISPOSITIONS.join(', ')}`);
+    conditions.disposition = query.disposition;
+  }
+  if (query.extension) conditions.$or = [{ caller_extension: String(query.extension) }, { callee_extension: String(query.extension) }];
+  if (query.did) conditions.did_number = phoneNumbers.toDidFormat(query.did);
+  if (query.group) conditions.group = String(query.group);
+
+  return { conditions, from, to };
+};
+
+/**
+ * Encodes the position after a call, for cursor pagination (calls are listed newest first).
+ * @param {Object} call - The last call of a page.
+ * @returns {string} The cursor.
+ */
+const encodeCursor = (call) => Buffer.from(JSON.stringify([call.start_time.toISOString(), String(call._id)])).toString('base64url');
+
+/**
+ * Decodes a cursor into the conditions selecting the calls after it.
+ * @param {string} cursor - Cursor from a previous page.
+ * @returns {Object} MongoDB conditions.
+ * @throws {Error} "Invalid cursor" if the cursor was not produced by encodeCursor.
+ */
+const cursorConditions = (cursor) => {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const startTime = new Date(time);
+    if (Number.isNaN(startTime.getTime()) || !mongoose.isValidObjectId(id)) throw new Error('bad cursor');
+    const objectId = new mongoose.Types.ObjectId(id);
+    return { $or: [{ start_time: { $lt: startTime } }, { start_time: startTime, _id: { $lt: objectId } }] };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+/**
+ * Rounds seconds to minutes with two decimals.
+ * @param {number} seconds - Seconds.
+ * @returns {number} Minutes.
+ */
+const toMinutes = (seconds) => Math.round((seconds / 60) * 100) / 100;
+
+/**
+ * Divides with three decimals, or null when there is nothing to divide.
+ * @param {number} count - Numerator.
+ * @param {number} total - Denominator.
+ * @returns {number|null} The rate.
+ */
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : null);
+
+const callHistoryService = {
+  CALL_FIELDS,
+
+  /**
+   * Lists a tenant's calls, newest first, one page at a time.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} query - Query parameters, plus `limit` (default 50, at most 500) and `cursor` (next_cursor of the previous page).
+   * @returns {Promise<Object|null>} { calls, next_cursor } (next_cursor is null on the last page), or null if the tenant is not found.
+   * @throws {Error} "Invalid ..." if a parameter is invalid, or if fetching the calls fails.
+   */
+  getCalls: async (domainName, query = {}) => {
+    try {
+      if (!await Tenant.exists({ domain_name: domainName })) return null;
+      const { conditions } = buildConditions(domainName, query);
+      const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      const filter = query.cursor ? { $and: [conditions, cursorConditions(query.cursor)] } : conditions;
+
+      const calls = await CallDetailRecord.find(filter)
+        .select(CALL_FIELDS.join(' '))
+        .sort({ start_time: -1, _id: -1 })
+        .limit(limit + 1)
+        .lean();
+      const hasMore = calls.length > limit;
+      const page = calls.slice(0, limit);
+      return { calls: page, next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null };
+    } catch (error) {
+      console.error('Error in callHistoryService.getCalls:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Opens a cursor over every call matching the query, newest first, for exports.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} query - Query parameters.
+   * @returns {Promise<Object|null>} A Mongoose query cursor of calls (CALL_FIELDS), or null if the tenant is not found.
+   * @throws {Error} "Invalid ..." if a parameter is invalid.
+   */
+  streamCalls: async (domainName, query = {}) => {
+    if (!await Tenant.exists({ domain_name: domainName })) return null;
+    const { conditions } = buildConditions(domainName, query);
+    return CallDetailRecord.find(conditions).select(CALL_FIELDS.join(' ')).sort({ start_time: -1, _id: -1 }).lean().cursor();
+  },
+
+  /**
+   * Get a call with all of its channel variables.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} uuid - The call leg's channel UUID.
+   * @returns {Promise<Object|null>} The call record, or null if not found.
+   * @throws {Error} If fetching the call fails.
+   */
+  getCall: async (domainName, uuid) => {
+    try {
+      return await CallDetailRecord.findOne({ domain_name: domainName, uuid }).lean();
+    } catch (error) {
+      console.error('Error in callHistoryService.getCall:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Inbound minutes per DID of a tenant, busiest DID first. DIDs without calls are listed too.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} query - Query parameters (from, to).
+   * @returns {Promise<Object|null>} { from, to, dids: [{ did_number, calls, answered, minutes }] }, or null if the tenant is not found.
+   * @throws {Error} "Invalid ..." if a parameter is invalid, or if the report fails.
+   */
+  getDidSummary: async (domainName, query = {}) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName }).lean();
+      if (!tenant) return null;
+      const { conditions, from, to } = buildConditions(domainName, { from: query.from, to: query.to, direction: 'inbound' }, { defaultRange: true });
+
+      const rows = await CallDetailRecord.aggregate([
+        { $match: { ...conditions, did_number: { $ne: '' } } },
+        {
+          $group: {
+            _id: '$did_number',
+            calls: { $sum: 1 },
+            answered: { $sum: { $cond: [{ $eq: ['$disposition', 'answered'] }, 1, 0] } },
+            billsec: { $sum: '$billsec' },
+          },
+        },
+      ]);
+
+      const byDid = new Map(rows.map(row => [row._id, row]));
+      (tenant.dids || []).forEach(did => {
+        if (!byDid.has(did.did_number)) byDid.set(did.did_number, { _id: did.did_number, calls: 0, answered: 0, billsec: 0 });
+      });
+      const dids = [...byDid.values()]
+        .map(row => ({ did_number: row._id, calls: row.calls, answered: row.answered, minutes: toMinutes(row.billsec) }))
+        .sort((a, b) => b.minutes - a.minutes || b.calls - a.calls);
+      return { from, to: to || new Date(), dids };
+    } catch (error) {
+      console.error('Error in callHistoryService.getDidSummary:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Calls per hour of the day, to find a tenant's busiest hours.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} query - Query parameters (from, to, direction), plus `timezone` (IANA name, default UTC).
+   * @returns {Promise<Object|null>} { from, to, timezone, hours: [{ hour, calls, answered, minutes }] (0-23), busiest: [hour, ...] (top 3) },
+   * or null if the tenant is not found.
+   * @throws {Error} "Invalid ..." if a parameter is invalid, or if the report fails.
+   */
+  getHourlySummary: async (domainName, query = {}) => {
+    try {
+      if (!await Tenant.exists({ domain_name: domainName })) return null;
+      const timezone = query.timezone || 'UTC';
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        throw new Error(`Invalid timezone: ${timezone}`);
+      }
+      const { conditions, from, to } = buildConditions(domainName, { from: query.from, to: query.to, direction: query.direction }, { defaultRange: true });
+
+      const rows = await CallDetailRecord.aggregate([
+        { $match: conditions },
+        {
+          $group: {
+            _id: { $hour: { date: '$start_time', timezone } },
+            calls: { $sum: 1 },
+            answered: { $sum: { $cond: [{ $eq: ['$disposition', 'answered'] }, 1, 0] } },
+            billsec: { $sum: '$billsec' },
+          },
+        },
+      ]);
+
+      const byHour = new Map(rows.map(row => [row._id, row]));
+      const hours = Array.from({ length: 24 }, (unused, hour) => {
+        const row = byHour.get(hour) || { calls: 0, answered: 0, billsec: 0 };
+        return { hour, calls: row.calls, answered: row.answered, minutes: toMinutes(row.billsec) };
+      });
+      const busiest = hours.filter(hour => hour.calls > 0).sort((a, b) => b.calls - a.calls).slice(0, 3).map(hour => hour.hour);
+      return { from, to: to || new Date(), timezone, hours, busiest };
+    } catch (error) {
+      console.error('Error in callHistoryService.getHourlySummary:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Answer and abandon rates of a tenant's hunt and ring groups. A call is answered when a member picked it up,
+   * and abandoned when the caller hung up while it was ringing; calls that ran into the group's no-answer handling
+   * (e.g. voicemail) are neither.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} query - Query parameters (from, to).
+   * @returns {Promise<Object|null>} { from, to, groups: [{ group, type, offered, answered, abandoned, unanswered, answer_rate,
+   * abandon_rate, average_talk_seconds }] }, or null if the tenant is not found.
+   * @throws {Error} "Invalid ..." if a parameter is invalid, or if the report fails.
+   */
+  getGroupSummary: async (domainName, query = {}) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName }).lean();
+      if (!tenant) return null;
+      const { conditions, from, to } = buildConditions(domainName, { from: query.from, to: query.to }, { defaultRange: true });
+
+      const rows = await CallDetailRecord.aggregate([
+        { $match: { ...conditions, group: { $ne: '' } } },
+        {
+          $group: {
+            _id: '$group',
+            offered: { $sum: 1 },
+            answered: { $sum: { $cond: ['$bridged', 1, 0] } },
+            abandoned: { $sum: { $cond: [{ $and: [{ $not: ['$bridged'] }, { $eq: ['$disposition', 'cancelled'] }] }, 1, 0] } },
+            talk_seconds: { $sum: { $cond: ['$bridged', '$billsec', 0] } },
+          },
+        },
+      ]);
+
+      const byGroup = new Map(rows.map(row => [row._id, row]));
+      const names = [...new Set([...(tenant.groups || []).map(group => group.name), ...byGroup.keys()])];
+      const groups = names.map(name => {
+        const row = byGroup.get(name) || { offered: 0, answered: 0, abandoned: 0, talk_seconds: 0 };
+        return {
+          group: name,
+          type: (tenant.groups || []).find(group => group.name === name)?.type || null, // null for groups deleted since
+          offered: row.offered,
+          answered: row.answered,
+          abandoned: row.abandoned,
+          unanswered: row.offered - row.answered - row.abandoned,
+          answer_rate: rate(row.answered, row.offered),
+          abandon_rate: rate(row.abandoned, row.offered),
+          average_talk_seconds: row.answered > 0 ? Math.round(row.talk_seconds / row.answered) : null,
+        };
+      });
+      return { from, to: to || new Date(), groups };
+    } catch (error) {
+      console.error('Error in callHistoryService.getGroupSummary:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Trunk minutes per external gateway, across all tenants. Configured gateways without calls are listed too.
+   * @param {Object} query - Query parameters (from, to).
+   * @returns {Promise<Object>} { from, to, gateways: [{ gateway, inbound: { calls, answered, minutes }, outbound: {...}, total_minutes }] }.
+   * @throws {Error} "Invalid ..." if a parameter is invalid, or if the report fails.
+   */
+  getGatewayUsage: async (query = {}) => {
+    try {
+      const { conditions, from, to } = buildConditions(null, { from: query.from, to: query.to }, { defaultRange: true });
+      const [rows, externalGateways] = await Promise.all([
+        CallDetailRecord.aggregate([
+          { $match: { ...conditions, gateway: { $ne: '' } } },
+          {
+            $group: {
+              _id: { gateway: '$gateway', direction: '$direction' },
+              calls: { $sum: 1 },
+              answered: { $sum: { $cond: [{ $eq: ['$disposition', 'answered'] }, 1, 0] } },
+              billsec: { $sum: '$billsec' },
+            },
+          },
+        ]),
+        globalConfigService.getAllExternalGateways(),
+      ]);
+
+      const emptyUsage = () => ({ calls: 0, answered: 0, billsec: 0 });
+      const byGateway = new Map(externalGateways.map(gateway => [gateway.name, { inbound: emptyUsage(), outbound: emptyUsage() }]));
+      rows.forEach(row => {
+        const { gateway, direction } = row._id;
+        if (!byGateway.has(gateway)) byGateway.set(gateway, { inbound: emptyUsage(), outbound: emptyUsage() });
+        const usage = byGateway.get(gateway)[direction === 'inbound' ? 'inbound' : 'outbound'];
+        usage.calls += row.calls;
+        usage.answered += row.answered;
+        usage.billsec += row.billsec;
+      });
+
+      const toReport = ({ calls, answered, billsec }) => ({ calls, answered, minutes: toMinutes(billsec) });
+      const gateways = [...byGateway.entries()]
+        .map(([gateway, { inbound, outbound }]) => ({
+          gateway,
+          inbound: toReport(inbound),
+          outbound: toReport(outbound),
+          total_minutes: toMinutes(inbound.billsec + outbound.billsec),
+        }))
+        .sort((a, b) => b.total_minutes - a.total_minutes);
+      return { from, to: to || new Date(), gateways };
+    } catch (error) {
+      console.error('Error in callHistoryService.getGatewayUsage:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = callHistoryService;
@@ -0,0 +1,319 @@
+// services/callerFilterService.js
+// Caller blocklists and allowlists, applied by dialplanController's handleInboundCall before a DID is routed.
+//
+// Entries (models/CallerFilter.js) belong to a tenant and apply to all of its DIDs, or to a single DID.
+// An entry matches the caller ID number:
+// - exact: the same number in any format ("5125550100" matches "+15125550100"), or the same caller ID text ("anonymous")
+// - prefix: numbers starting with the digits, with or without the country code ("800" and "1800" both match "+18005550100")
+// - pattern: a number pattern such as "NXX555XXXX" or "1900." (see phoneNumbers.compilePattern), matched against the
+//   caller ID number as received and as 10 digits for NANP numbers. Caller IDs are chosen by the caller, so patterns
+//   are not free-form regular expressions: they always compile to a regex that runs in linear time.
+// A caller is decided by the DID's entries first, then by the tenant's, so that a DID can make an exception to the
+// tenant's lists either way. Within each:
+//   1. an allowlist entry lets the call through;
+//   2. a blocklist entry applies its action (reject, voicemail or prompt). Exact entries come before prefixes
+//      (longest first) before patterns.
+// On DIDs with allowlist_only, any caller that no entry decided is rejected.
+// Entries are read through the tenant cache (services/tenantCache.js), which drops them when they change.
+// Each entry counts the calls it decided (hits, last_hit_at); dialplan simulations do not count.
+const mongoose = require('mongoose');
+const CallerFilter = require('../models/CallerFilter');
+const Tenant = require('../models/Tenant');
+const tenantCache = require('./tenantCache');
+const phoneNumbers = require('../utils/phoneNumbers');
+
+const MATCH_TYPE_ORDER = ['exact', 'prefix', 'pattern'];
+const DUPLICATE_KEY = 11000;
+
+const entryKey = (entry) => `${String(entry.did_number || '').trim()}|${entry.list}|${entry.match_type || 'exact'}|${String(entry.value).trim()}`;
+
+/**
+ * Checks whether an entry matches a caller ID number.
+ * @param {Object} entry - Caller filter entry.
+ * @param {string} callerNumber - The caller ID number.
+ * @returns {boolean} True if the entry matches.
+ */
+const matches = (entry, callerNumber) => {
+  const caller = String(callerNumber || '');
+  switch (entry.match_type) {
+    case 'prefix': {
+      const prefix = entry.value.replace(/\D/g, '');
+      return prefix !== '' && (caller.replace(/\D/g, '').startsWith(prefix) || phoneNumbers.normalize(caller).startsWith(prefix));
+    }
+    case 'pattern':
+      try {
+        const regex = phoneNumbers.compilePattern(entry.value);
+        return regex.test(caller) || regex.test(phoneNumbers.normalize(caller));
+      } catch (error) {
+        console.warn(`WARN: Caller filter ${entry._id} of ${entry.domain_name} has an invalid pattern "${entry.value}" (${error.message}). Skipping.`);
+        return false;
+      }
+    default:
+      return phoneNumbers.isSameNumber(entry.value, caller) || entry.value.toLowerCase() === caller.toLowerCase();
+  }
+};
+
+/**
+ * Sorts matching blocklist entries of the same scope so that the most specific one comes first.
+ * @param {Object} a - Caller filter entry.
+ * @param {Object} b - Caller filter entry.
+ * @returns {number} Sort order.
+ */
+const bySpecificity = (a, b) => MATCH_TYPE_ORDER.indexOf(a.match_type) - MATCH_TYPE_ORDER.indexOf(b.match_type) ||
+  (a.match_type === 'prefix' ? b.value.length - a.value.length : 0);
+
+/**
+ * Counts a call decided by an entry. Only sets the fields the tenant cache ignores (see tenantCache.watchCallerFilters).
+ * @param {Object} entry - Caller filter entry.
+ * @returns {Promise<Object>} The update result.
+ */
+const recordHit = (entry) => CallerFilter.updateOne({ _id: entry._id }, { $inc: { hits: 1 }, $set: { last_hit_at: new Date() } }).exec();
+
+/**
+ * Get a tenant's enabled caller filters, from the tenant cache when possible.
+ * @param {string} domainName - Domain name of the tenant.
+ * @returns {Promise<Array<Object>>} The entries (shared: they must not be modified).
+ */
+const getEnabledFilters = async (domainName) => {
+  const cached = tenantCache.getCallerFilters(domainName);
+  if (cached) return cached;
+  const loadedAt = tenantCache.callerFilterGeneration();
+  const filters = await CallerFilter.find({ domain_name: domainName, enabled: true }).lean();
+  return tenantCache.setCallerFilters(domainName, filters, loadedAt);
+};
+
+/**
+ * Finds an entry of a tenant by id.
+ * @param {string} domainName - Domain name of the tenant.
+ * @param {string} filterId - The entry's _id.
+ * @returns {Promise<Object|null>} The entry document, or null if not found.
+ */
+const findEntry = (domainName, filterId) => (mongoose.isValidObjectId(filterId)
+  ? CallerFilter.findOne({ _id: filterId, domain_name: domainName })
+  : Promise.resolve(null));
+
+const callerFilterService = {
+  /**
+   * Get a tenant's caller filter entries.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} [query={}] - Filters: { did_number, list }. did_number "" returns only tenant-wide entries.
+   * @returns {Promise<Array<Object>|null>} The entries, or null if the tenant is not found.
+   * @throws {Error} If fetching the entries fails.
+   */
+  getFilters: async (domainName, query = {}) => {
+    try {
+      if (!await Tenant.exists({ domain_name: domainName })) return null;
+      const conditions = { domain_name: domainName };
+      if (query.did_number !== undefined) conditions.did_number = query.did_number;
+      if (query.list) conditions.list = query.list;
+      return await CallerFilter.find(conditions).sort({ did_number: 1, list: 1, createdAt: 1 }).lean();
+    } catch (error) {
+      console.error('Error in callerFilterService.getFilters:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a caller filter entry by id.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} filterId - The entry's _id.
+   * @returns {Promise<Object|null>} The entry, or null if not found.
+   * @throws {Error} If fetching the entry fails.
+   */
+  getFilter: async (domainName, filterId) => {
+    try {
+      const entry = await findEntry(domainName, filterId);
+      return entry ? entry.toObject() : null;
+    } catch (error) {
+      console.error('Error in callerFilterService.getFilter:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a caller filter entry to a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} filterData - Data for the new entry.
+   * @returns {Promise<Object>} The added entry.
+   * @throws {Error} If tenant not found or the same entry already exists.
+   */
+  addFilter: async (domainName, filterData) => {
+    try {
+      if (!await Tenant.exists({ domain_name: domainName })) throw new Error('Tenant not found');
+      const { hits, last_hit_at, ...data } = filterData;
+      const entry = await CallerFilter.create({ ...data, domain_name: domainName });
+      tenantCache.invalidateCallerFilters(domainName);
+      return entry.toObject();
+    } catch (error) {
+      console.error('Error in callerFilterService.addFilter:', error);
+      if (error.code === DUPLICATE_KEY) {
+        throw new Error(`Caller filter entry '${filterData.value}' already exists in this list for tenant '${domainName}'`);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Update a caller filter entry.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} filterId - The entry's _id.
+   * @param {Object} updateData - Data to update the entry with.
+   * @returns {Promise<Object>} The updated entry.
+   * @throws {Error} If the entry is not found or the change duplicates another entry.
+   */
+  updateFilter: async (domainName, filterId, updateData) => {
+    try {
+      const entry = await findEntry(domainName, filterId);
+      if (!entry) throw new Error('Caller filter not found');
+      const { domain_name, hits, last_hit_at, ...data } = updateData;
+      Object.assign(entry, data);
+      await entry.save();
+      tenantCache.invalidateCallerFilters(domainName);
+      return entry.toObject();
+    } catch (error) {
+      console.error('Error in callerFilterService.updateFilter:', error);
+      if (error.code === DUPLICATE_KEY) {
+        throw new Error(`Caller filter entry '${updateData.value || ''}' already exists in this list for tenant '${domainName}'`);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a caller filter entry.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} filterId - The entry's _id.
+   * @returns {Promise<boolean>} True if the entry was deleted.
+   * @throws {Error} If the entry is not found.
+   */
+  deleteFilter: async (domainName, filterId) => {
+    try {
+      const entry = await findEntry(domainName, filterId);
+      if (!entry) throw new Error('Caller filter not found for deletion');
+      await entry.deleteOne();
+      tenantCache.invalidateCallerFilters(domainName);
+      return true;
+    } catch (error) {
+      console.error('Error in callerFilterService.deleteFilter:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Adds many caller filter entries at once. Entries that already exist (or appear twice) are skipped.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Array<Object>} entries - The entries to add.
+   * @returns {Promise<Object>} { created, skipped, entries } where entries are the added entries.
+   * @throws {Error} If tenant not found or the import fails.
+   */
+  importFilters: async (domainName, entries) => {
+    try {
+      if (!await Tenant.exists({ domain_name: domainName })) throw new Error('Tenant not found');
+
+      const seen = new Set((await CallerFilter.find({ domain_name: domainName }).lean()).map(entryKey));
+      const newEntries = [];
+      entries.forEach(({ hits, last_hit_at, ...data }) => {
+        const key = entryKey(data);
+        if (seen.has(key)) return;
+        seen.add(key);
+        newEntries.push({ ...data, domain_name: domainName });
+      });
+
+      const created = newEntries.length > 0 ? await CallerFilter.insertMany(newEntries) : [];
+      tenantCache.invalidateCallerFilters(domainName);
+      console.log(`INFO: Imported ${created.length} caller filter entries for ${domainName} (${entries.length - created.length} skipped).`);
+      return { created: created.length, skipped: entries.length - created.length, entries: created.map(entry => entry.toObject()) };
+    } catch (error) {
+      console.error('Error in callerFilterService.importFilters:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Moves a tenant's entries to its new domain name.
+   * @param {string} domainName - Previous domain name of the tenant.
+   * @param {string} newDomainName - New domain name of the tenant.
+   * @returns {Promise<void>}
+   * @throws {Error} If the update fails.
+   */
+  renameTenant: async (domainName, newDomainName) => {
+    try {
+      await CallerFilter.updateMany({ domain_name: domainName }, { $set: { domain_name: newDomainName } });
+      tenantCache.invalidateCallerFilters(domainName);
+      tenantCache.invalidateCallerFilters(newDomainName);
+    } catch (error) {
+      console.error('Error in callerFilterService.renameTenant:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes every entry of a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<void>}
+   * @throws {Error} If the deletion fails.
+   */
+  deleteTenantFilters: async (domainName) => {
+    try {
+      await CallerFilter.deleteMany({ domain_name: domainName });
+      tenantCache.invalidateCallerFilters(domainName);
+    } catch (error) {
+      console.error('Error in callerFilterService.deleteTenantFilters:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Decides whether an inbound caller may reach a DID.
+   * @param {Object} tenant - Tenant data.
+   * @param {Object} did - The called DID.
+   * @param {string} callerNumber - The caller ID number.
+   * @param {Object} [options={}] - Lookup options; hits are not counted when options.dryRun is set.
+   * @returns {Promise<Object>} { allowed, entry, reason }. entry is the deciding entry (null when no entry matched),
+   * and for blocked callers carries the action to apply.
+   */
+  evaluate: async (tenant, did, callerNumber, options = {}) => {
+    let entries;
+    try {
+      entries = await getEnabledFilters(tenant.domain_name);
+    } catch (error) {
+      // Filtering must not take the DID down with the database: let the call through
+      console.error('Error in callerFilterService.evaluate:', error);
+      return { allowed: true, entry: null, reason: 'Caller filters could not be loaded' };
+    }
+
+    const decide = (allowed, entry, reason) => {
+      if (entry && !options.dryRun) {
+        recordHit(entry).catch(error => console.error('Error in callerFilterService.recordHit:', error));
+      }
+      return { allowed, entry, reason };
+    };
+
+    for (const didNumber of [did.did_number, '']) {
+      const matching = entries.filter(entry => (entry.did_number || '') === didNumber && matches(entry, callerNumber));
+      const scope = didNumber ? `DID ${didNumber}` : 'tenant';
+
+      const allowEntry = matching.find(entry => entry.list === 'allow');
+      if (allowEntry) {
+        return decide(true, allowEntry, `${callerNumber} is on the ${scope} allowlist (${allowEntry.match_type} "${allowEntry.value}")`);
+      }
+
+      const blockEntry = matching.filter(entry => entry.list === 'block').sort(bySpecificity)[0];
+      if (blockEntry) {
+        return decide(false, blockEntry, `${callerNumber} is on the ${scope} blocklist (${blockEntry.match_type} "${blockEntry.value}"), action ${blockEntry.action}`);
+      }
+    }
+
+    if (did.allowlist_only) {
+      return decide(false, null, `DID ${did.did_number} only accepts allowlisted callers, and ${callerNumber || 'the caller'} is not on an allowlist`);
+    }
+    return { allowed: true, entry: null, reason: `${callerNumber || 'The caller'} is not filtered` };
+  },
+
+  /**
+   * Starts invalidating cached caller filters through a change stream (see tenantCache.watchCallerFilters).
+   */
+  watchFilterChanges: () => tenantCache.watchCallerFilters(CallerFilter),
+};
+
+module.exports = callerFilterService;
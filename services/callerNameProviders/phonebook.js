@@ -0,0 +1,19 @@
+// services/callerNameProviders/phonebook.js
+// Caller name provider backed by the tenant's own phonebook contacts (tenant.contacts).
+const phoneNumbers = require('../../utils/phoneNumbers');
+
+module.exports = {
+  name: 'phonebook',
+  description: "The tenant's phonebook contacts",
+
+  /**
+   * Looks a caller up in the tenant's contacts.
+   * @param {string} phoneNumber - The caller's number.
+   * @param {Object} tenant - Tenant data.
+   * @returns {Promise<Object|null>} { name, location }, or null if no contact has this number.
+   */
+  lookup: async (phoneNumber, tenant) => {
+    const contact = (tenant.contacts || []).find(c => phoneNumbers.isSameNumber(c.number, phoneNumber));
+    return contact ? { name: contact.name, location: contact.company || '' } : null;
+  },
+};
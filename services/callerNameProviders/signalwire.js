@@ -0,0 +1,23 @@
+// services/callerNameProviders/signalwire.js
+// Caller name provider backed by the SignalWire CNAM lookup (cached, with a deadline and circuit breaker: see services/signalwireService.js).
+const signalwireService = require('../signalwireService');
+
+module.exports = {
+  name: 'signalwire',
+  description: 'SignalWire CNAM lookup (billed per lookup, results cached)',
+
+  /**
+   * Looks up a caller name with SignalWire.
+   * @param {string} phoneNumber - The caller's number.
+   * @returns {Promise<Object|null>} { name, number_formatted, location }, or null if no name was found.
+   */
+  lookup: async (phoneNumber) => {
+    const data = await signalwireService.getCallerName(phoneNumber);
+    if (!data || !data.cnam || !data.cnam.caller_id) return null;
+    return {
+      name: data.cnam.caller_id,
+      number_formatted: data.national_number_formatted || '',
+      location: data.location || '',
+    };
+  },
+};
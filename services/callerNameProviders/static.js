@@ -0,0 +1,69 @@
+// services/callerNameProviders/static.js
+// Caller name provider reading a local file, for offline testing and lab setups without a CNAM account.
+// The file is set with CALLER_NAME_STATIC_FILE and reloaded when it changes. Supported formats:
+// - JSON: { "+15125550100": "JOHN DOE" } or [{ "number": "+15125550100", "name": "JOHN DOE", "location": "Austin, TX" }]
+// - CSV (.csv): one "number,name[,location]" per line; a header line starting with "number" is skipped.
+const fs = require('fs');
+const path = require('path');
+const phoneNumbers = require('../../utils/phoneNumbers');
+
+let loaded = { file: null, mtimeMs: 0, entries: [] };
+
+/**
+ * Parses the static file contents.
+ * @param {string} file - File path (the extension selects the format).
+ * @param {string} contents - File contents.
+ * @returns {Array<Object>} Entries: { number, name, location }.
+ */
+const parse = (file, contents) => {
+  if (path.extname(file).toLowerCase() === '.csv') {
+    return contents.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#') && !/^number\s*,/i.test(line))
+      .map(line => {
+        const [number, name, ...location] = line.split(',').map(field => field.trim());
+        return { number, name, location: location.join(', ') };
+      })
+      .filter(entry => entry.number && entry.name);
+  }
+
+  const data = JSON.parse(contents);
+  if (Array.isArray(data)) {
+    return data.filter(entry => entry && entry.number && entry.name)
+      .map(entry => ({ number: String(entry.number), name: String(entry.name), location: entry.location ? String(entry.location) : '' }));
+  }
+  return Object.entries(data).map(([number, name]) => ({ number, name: String(name), location: '' }));
+};
+
+/**
+ * Returns the entries of the static file, reading it again if it changed.
+ * @returns {Promise<Array<Object>>} The entries ([] if CALLER_NAME_STATIC_FILE is not set).
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+const getEntries = async () => {
+  const file = process.env.CALLER_NAME_STATIC_FILE;
+  if (!file) return [];
+
+  const { mtimeMs } = await fs.promises.stat(file);
+  if (loaded.file !== file || loaded.mtimeMs !== mtimeMs) {
+    const entries = parse(file, await fs.promises.readFile(file, 'utf8'));
+    loaded = { file, mtimeMs, entries };
+    console.log(`INFO: Loaded ${entries.length} static caller name(s) from ${file}.`);
+  }
+  return loaded.entries;
+};
+
+module.exports = {
+  name: 'static',
+  description: 'Static JSON or CSV file (CALLER_NAME_STATIC_FILE), for offline testing',
+
+  /**
+   * Looks a caller up in the static file.
+   * @param {string} phoneNumber - The caller's number.
+   * @returns {Promise<Object|null>} { name, location }, or null if the number is not listed.
+   */
+  lookup: async (phoneNumber) => {
+    const entry = (await getEntries()).find(e => phoneNumbers.isSameNumber(e.number, phoneNumber));
+    return entry ? { name: entry.name, location: entry.location } : null;
+  },
+};
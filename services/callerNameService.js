@@ -0,0 +1,138 @@
+// services/callerNameService.js
+// Caller name (CNAM) lookup for inbound calls, through a chain of providers chosen per tenant.
+//
+// A provider is an object { name, description, lookup(phoneNumber, tenant) } whose lookup resolves to
+// { name, number_formatted, location } (only `name` is required) or null. Built-in providers (services/callerNameProviders/):
+// - signalwire: SignalWire CNAM API
+// - phonebook: the tenant's contacts
+// - static: a JSON or CSV file (CALLER_NAME_STATIC_FILE), for offline testing
+// Other providers can be added with registerProvider().
+//
+// Tenant settings (tenant.caller_name):
+// - providers: providers to ask, in order; the first name found wins. Unset means ["signalwire"]; [] disables lookups.
+// - display_format: caller ID name shown to the callee, with the placeholders {name}, {number}, {number_formatted},
+//   {location} and {provider}. Unset means "{number_formatted}, {name}, {location}".
+// If no provider finds a name, the call keeps the caller ID name sent by the carrier.
+const signalwireProvider = require('./callerNameProviders/signalwire');
+const phonebookProvider = require('./callerNameProviders/phonebook');
+const staticProvider = require('./callerNameProviders/static');
+
+const DEFAULT_PROVIDERS = ['signalwire'];
+const DEFAULT_DISPLAY_FORMAT = '{number_formatted}, {name}, {location}';
+const PLACEHOLDERS = ['name', 'number', 'number_formatted', 'location', 'provider'];
+
+const providers = new Map();
+
+/**
+ * Makes a caller ID name safe for dialplan action data. Names come from tenants (contacts, display format) and
+ * from CNAM providers: control characters, quotes, backslashes and FreeSWITCH variable syntax (${...}) are removed.
+ * XML escaping is left to the dialplan renderer (see utils/xmlGenerator.js).
+ * @param {string} name - The caller ID name.
+ * @returns {string} The sanitized name ('' if nothing is left).
+ */
+const sanitizeCallerIdName = (name) => String(name)
+  .replace(/[\u0000-\u001f\u007f"\\${}]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const callerNameService = {
+  DEFAULT_PROVIDERS,
+  DEFAULT_DISPLAY_FORMAT,
+  PLACEHOLDERS,
+
+  /**
+   * Adds a caller name provider, or replaces the provider with the same name.
+   * @param {Object} provider - { name, description, lookup(phoneNumber, tenant) }.
+   * @throws {Error} If the provider has no name or lookup function.
+   */
+  registerProvider: (provider) => {
+    if (!provider || !provider.name || typeof provider.lookup !== 'function') {
+      throw new Error('A caller name provider needs a name and a lookup function');
+    }
+    providers.set(provider.name, provider);
+  },
+
+  /**
+   * Lists the available providers.
+   * @returns {Array<Object>} { name, description } of each provider.
+   */
+  getProviders: () => [...providers.values()].map(provider => ({ name: provider.name, description: provider.description || '' })),
+
+  /**
+   * Get a tenant's effective caller name settings (defaults applied).
+   * @param {Object} tenant - Tenant data.
+   * @returns {Object} { providers, display_format }.
+   */
+  getSettings: (tenant) => ({
+    providers: tenant.caller_name?.providers || DEFAULT_PROVIDERS,
+    display_format: tenant.caller_name?.display_format || DEFAULT_DISPLAY_FORMAT,
+  }),
+
+  /**
+   * Asks the tenant's providers, in order, for the caller's name. A provider that fails is logged and skipped.
+   * @param {Object} tenant - Tenant data.
+   * @param {string} phoneNumber - The caller's number.
+   * @returns {Promise<Object|null>} { provider, name, number, number_formatted, location } from the first provider
+   * that found a name, or null.
+   */
+  lookup: async (tenant, phoneNumber) => {
+    if (!phoneNumber) return null;
+
+    for (const providerName of callerNameService.getSettings(tenant).providers) {
+      const provider = providers.get(providerName);
+      if (!provider) {
+        console.warn(`WARN: Unknown caller name provider "${providerName}" configured for tenant ${tenant.domain_name}.`);
+        continue;
+      }
+      try {
+        const result = await provider.lookup(phoneNumber, tenant);
+        if (result && result.name) {
+          console.log(`INFO: Caller name for ${phoneNumber} found by provider "${providerName}": "${result.name}"`);
+          return {
+            provider: providerName,
+            name: result.name,
+            number: phoneNumber,
+            number_formatted: result.number_formatted || phoneNumber,
+            location: result.location || '',
+          };
+        }
+      } catch (error) {
+        console.error(`ERROR: Caller name provider "${providerName}" failed for ${phoneNumber}:`, error.message);
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Builds the caller ID name from a lookup result. Placeholders without a value are dropped together with
+   * the separator before them, so "{number_formatted}, {name}, {location}" without a location gives "(512) 555-0100, JOHN DOE".
+   * @param {Object} result - Result of lookup().
+   * @param {string} [format] - Display format (default: DEFAULT_DISPLAY_FORMAT).
+   * @returns {string} The caller ID name.
+   */
+  formatCallerName: (result, format = DEFAULT_DISPLAY_FORMAT) => {
+    return format
+      .replace(/([\s,;|/-]*)\{(\w+)\}/g, (match, separator, placeholder) => {
+        const value = PLACEHOLDERS.includes(placeholder) ? result[placeholder] : '';
+        return value ? `${separator}${value}` : '';
+      })
+      .replace(/^[\s,;|/-]+/, '')
+      .trim();
+  },
+
+  /**
+   * Looks up the caller and formats the caller ID name with the tenant's display format, ready for the dialplan.
+   * @param {Object} tenant - Tenant data.
+   * @param {string} phoneNumber - The caller's number.
+   * @returns {Promise<string|null>} The sanitized caller ID name, or null if no provider found a name.
+   */
+  getCallerIdName: async (tenant, phoneNumber) => {
+    const result = await callerNameService.lookup(tenant, phoneNumber);
+    if (!result) return null;
+    return sanitizeCallerIdName(callerNameService.formatCallerName(result, callerNameService.getSettings(tenant).display_format)) || null;
+  },
+};
+
+[signalwireProvider, phonebookProvider, staticProvider].forEach(callerNameService.registerProvider);
+
+module.exports = callerNameService;
@@ -0,0 +1,189 @@
+// services/cdrService.js
+// Stores the call detail records FreeSWITCH posts at the end of each call leg (mod_json_cdr or mod_xml_cdr).
+//
+// A record is tied to a tenant, trying in order:
+//   1. the `domain_name` channel variable,
+//   2. `sip_invite_domain` (set by dialplanController on inbound calls),
+//   3. the DID the call came in on (sip_to_user, sip_req_user or the destination number).
+// Records of calls no tenant could be found for are stored with domain_name ''.
+// FreeSWITCH retries a post until it gets a 2xx response; a record whose channel UUID is already stored is not stored again.
+// Answered outbound calls are priced as they are stored (see services/ratingService.js).
+const CallDetailRecord = require('../models/CallDetailRecord');
+const tenantService = require('./tenantService');
+const ratingService = require('./ratingService');
+const cdrParser = require('../utils/cdrParser');
+const phoneNumbers = require('../utils/phoneNumbers');
+
+const DUPLICATE_KEY = 11000;
+const NO_ANSWER_CAUSES = ['NO_ANSWER', 'NO_USER_RESPONSE', 'ALLOTTED_TIMEOUT', 'RECOVERY_ON_TIMER_EXPIRE'];
+const CANCEL_CAUSES = ['ORIGINATOR_CANCEL', 'LOSE_RACE'];
+
+/**
+ * Converts an epoch variable (seconds, or microseconds for *_uepoch) to a Date.
+ * @param {Object} variables - Channel variables.
+ * @param {string} name - Variable name without the suffix (e.g., "start").
+ * @returns {Date|null} The time, or null if the variable is missing or 0.
+ */
+const toDate = (variables, name) => {
+  const microseconds = Number(variables[`${name}_uepoch`]);
+  if (microseconds > 0) return new Date(Math.floor(microseconds / 1000));
+  const seconds = Number(variables[`${name}_epoch`]);
+  return seconds > 0 ? new Date(seconds * 1000) : null;
+};
+
+/**
+ * Finds the tenant a record belongs to, and the DID of inbound calls.
+ * @param {Object} record - Parsed record (see utils/cdrParser.js).
+ * @param {string} context - Dialplan context the call started in.
+ * @returns {Promise<Object>} { tenant, matchedBy, did } where tenant and did are null if not found.
+ */
+const resolveTenant = async (record, context) => {
+  const { variables } = record;
+  const didCandidates = [...new Set([variables.signalwire_actual_did, variables.sip_to_user, variables.sip_req_user, record.callflow[0]?.destination_number]
+    .filter(Boolean)
+    .map(phoneNumbers.toDidFormat))];
+
+  for (const variable of ['domain_name', 'sip_invite_domain']) {
+    const tenant = variables[variable] ? await tenantService.getTenantByDomain(variables[variable]) : null;
+    if (tenant) {
+      const did = context === 'public' ? (tenant.dids || []).find(d => didCandidates.includes(d.did_number)) : null;
+      return { tenant, matchedBy: variable, did: did || null };
+    }
+  }
+
+  for (const didNumber of didCandidates) {
+    const tenant = await tenantService.getTenantAndDidByDidNumber(didNumber);
+    if (tenant && tenant.domain_name) {
+      return { tenant, matchedBy: 'did', did: tenant.dids.find(d => d.did_number === didNumber) };
+    }
+  }
+  return { tenant: null, matchedBy: '', did: null };
+};
+
+/**
+ * Works out how a call ended.
+ * @param {Object} variables - Channel variables.
+ * @returns {string} "answered", "busy", "no_answer", "cancelled" or "failed".
+ */
+const getDisposition = (variables) => {
+  if (Number(variables.billsec) > 0 || Number(variables.answer_epoch) > 0) return 'answered';
+  const causes = [variables.hangup_cause, variables.originate_disposition];
+  if (causes.includes('USER_BUSY')) return 'busy';
+  if (causes.some(cause => NO_ANSWER_CAUSES.includes(cause))) return 'no_answer';
+  if (causes.some(cause => CANCEL_CAUSES.includes(cause))) return 'cancelled';
+  return 'failed';
+};
+
+/**
+ * Finds the external gateway a call went through.
+ * @param {Object} variables - Channel variables.
+ * @returns {string} The gateway name, or '' if the call did not use a gateway.
+ */
+const getGateway = (variables) => {
+  if (variables.sip_gateway_name) return variables.sip_gateway_name;
+  const match = [variables.bridge_channel, variables.last_arg]
+    .map(value => String(value || '').match(/sofia\/gateway\/([^/|,]+)\//))
+    .find(Boolean);
+  return match ? match[1] : '';
+};
+
+/**
+ * Makes channel variable names safe to store as MongoDB field names.
+ * @param {Object} variables - Channel variables.
+ * @returns {Object} The variables with "." and a leading "$" in names replaced by "_".
+ */
+const toStoredVariables = (variables) => Object.fromEntries(Object.entries(variables).map(([name, value]) => [
+  name.replace(/^\$/, '_').replace(/\./g, '_'), value,
+]));
+
+const cdrService = {
+  /**
+   * Builds the stored record of a parsed CDR.
+   * @param {Object} record - Parsed record (see utils/cdrParser.js).
+   * @returns {Promise<Object>} The CallDetailRecord fields, rated.
+   * @throws {Error} "Invalid CDR: ..." if the record has no channel UUID.
+   */
+  toCallDetailRecord: async (record) => {
+    const { variables } = record;
+    const uuid = variables.uuid || variables.call_uuid;
+    if (!uuid) throw new Error('Invalid CDR: no uuid variable');
+
+    const firstProfile = record.callflow[0] || {};
+    const context = firstProfile.context || variables.user_context || '';
+    const { tenant, matchedBy, did } = await resolveTenant(record, context);
+    const sipClientIds = new Set((tenant?.sip_clients || []).map(client => client.user_id));
+    const asExtension = (...values) => values.find(value => value && sipClientIds.has(value)) || '';
+
+    // Trunk calls start in the public context; calls from SIP clients leave through a gateway or stay local
+    const gateway = getGateway(variables);
+    const direction = context === 'public' || did ? 'inbound' : gateway ? 'outbound' : 'local';
+
+    const destinationNumber = firstProfile.destination_number || variables.destination_number || '';
+    const bridgedUser = String(variables.bridge_channel || '').match(/^sofia\/[^/]+\/([^@]+)@/);
+    const startTime = toDate(variables, 'start') || new Date();
+
+    const cdr = {
+      uuid,
+      core_uuid: record.core_uuid,
+      switchname: record.switchname,
+      leg: variables.originator || variables.originating_leg_uuid ? 'b' : 'a',
+      bleg_uuid: variables.last_bridge_to || variables.bridge_uuid || variables.signal_bond || '',
+      domain_name: tenant ? tenant.domain_name : '',
+      tenant_matched_by: matchedBy,
+      direction,
+      context,
+      caller_id_name: firstProfile.caller_id_name || variables.caller_id_name || '',
+      caller_id_number: firstProfile.caller_id_number || variables.caller_id_number || '',
+      destination_number: destinationNumber,
+      did_number: did ? did.did_number : '',
+      caller_extension: direction === 'inbound' ? '' : asExtension(firstProfile.username, variables.user_name, variables.sip_from_user),
+      callee_extension: asExtension(variables.dialed_user, variables.callee_id_number, bridgedUser && bridgedUser[1], direction === 'local' ? destinationNumber : null),
+      gateway,
+      group: variables.call_group || '',
+      bridged: Boolean(variables.last_bridge_to || variables.bridge_uuid || variables.bridge_channel),
+      start_time: startTime,
+      answer_time: toDate(variables, 'answer'),
+      end_time: toDate(variables, 'end'),
+      duration: parseInt(variables.duration, 10) || 0,
+      billsec: parseInt(variables.billsec, 10) || 0,
+      hangup_cause: variables.hangup_cause || '',
+      disposition: getDisposition(variables),
+      variables: toStoredVariables(variables),
+    };
+    cdr.rating = await ratingService.rateCall(cdr, tenant);
+    return cdr;
+  },
+
+  /**
+   * Parses and stores a CDR posted by FreeSWITCH. A record already stored (a retry) is left as it is.
+   * @param {Object|string} body - The request body (see cdrParser.parse).
+   * @returns {Promise<{created: boolean, uuid: string, domain_name: string}>} Whether the record was new, and its channel UUID and tenant.
+   * @throws {Error} "Invalid CDR: ..." if the body is not a CDR, or if storing it fails.
+   */
+  ingest: async (body) => {
+    try {
+      const cdr = await cdrService.toCallDetailRecord(cdrParser.parse(body));
+      let created;
+      try {
+        const result = await CallDetailRecord.updateOne({ uuid: cdr.uuid }, { $setOnInsert: cdr }, { upsert: true });
+        created = result.upsertedCount > 0;
+      } catch (error) {
+        // Two deliveries of the same record raced each other
+        if (error.code !== DUPLICATE_KEY) throw error;
+        created = false;
+      }
+
+      if (!cdr.domain_name) {
+        console.warn(`WARN: CDR ${cdr.uuid} (${cdr.caller_id_number} -> ${cdr.destination_number}) does not belong to any tenant.`);
+      } else if (!created) {
+        console.log(`INFO: CDR ${cdr.uuid} was already stored; ignoring the retry.`);
+      }
+      return { created, uuid: cdr.uuid, domain_name: cdr.domain_name };
+    } catch (error) {
+      console.error('Error in cdrService.ingest:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = cdrService;
@@ -0,0 +1,108 @@
+// services/emergencyService.js
+const fetch = require('node-fetch');
+const EmergencyNotification = require('../models/EmergencyNotification');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const emergencyService = {
+  /**
+   * Formats a dispatchable address on one line (e.g., "500 W 2nd St, Floor 3, Austin, TX 78701").
+   * @param {Object} address - The SIP client's emergency address.
+   * @returns {string} The formatted address, or '' if no address is configured.
+   */
+  formatAddress: (address) => {
+    if (!address) return '';
+    const region = [address.state, address.postal_code].filter(Boolean).join(' ');
+    return [address.street, address.location, address.city, region].filter(Boolean).join(', ');
+  },
+
+  /**
+   * Records an emergency call and notifies the tenant's webhook (if configured).
+   * Never throws: emergency call routing must not depend on the notification succeeding.
+   * @param {Object} tenant - Tenant data.
+   * @param {Object} call - Details of the emergency call.
+   * @param {string} call.user_id - Originating SIP client user_id ('' if unknown).
+   * @param {string} call.dialed_number - The emergency number dialed.
+   * @param {string} call.call_uuid - FreeSWITCH channel UUID.
+   * @param {string} call.caller_id_name - Caller ID name sent to the trunk.
+   * @param {string} call.caller_id_number - Caller ID number sent to the trunk.
+   * @param {Object} call.emergency_address - The SIP client's dispatchable address.
+   * @returns {Promise<Object|null>} The notification record, or null if it could not be saved.
+   */
+  notifyEmergencyCall: async (tenant, call) => {
+    const webhookUrl = tenant.emergency?.webhook_url || '';
+    let notification;
+
+    try {
+      notification = await EmergencyNotification.create({
+        ...call,
+        domain_name: tenant.domain_name,
+        webhook_url: webhookUrl,
+        webhook_status: webhookUrl ? 'pending' : 'not_configured',
+      });
+    } catch (error) {
+      console.error('Error in emergencyService.notifyEmergencyCall (record):', error);
+      return null;
+    }
+
+    if (!webhookUrl) {
+      console.warn(`WARN: Emergency call from ${call.user_id || call.caller_id_number}@${tenant.domain_name} recorded, but no emergency webhook is configured.`);
+      return notification.toObject();
+    }
+
+    try {
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          event: 'emergency_call',
+          id: notification._id,
+          domain_name: tenant.domain_name,
+          user_id: call.user_id,
+          dialed_number: call.dialed_number,
+          call_uuid: call.call_uuid,
+          caller_id_number: call.caller_id_number,
+          emergency_address: call.emergency_address,
+          formatted_address: emergencyService.formatAddress(call.emergency_address),
+          timestamp: notification.createdAt,
+        }),
+        timeout: WEBHOOK_TIMEOUT_MS,
+      });
+
+      notification.webhook_response_status = response.status;
+      notification.webhook_status = response.ok ? 'sent' : 'failed';
+      if (!response.ok) {
+        notification.webhook_error = `Webhook responded with status ${response.status}`;
+      }
+    } catch (error) {
+      console.error(`ERROR: Emergency webhook ${webhookUrl} for tenant ${tenant.domain_name} failed:`, error.message);
+      notification.webhook_status = 'failed';
+      notification.webhook_error = error.message;
+    }
+
+    try {
+      await notification.save();
+    } catch (error) {
+      console.error('Error in emergencyService.notifyEmergencyCall (update):', error);
+    }
+    return notification.toObject();
+  },
+
+  /**
+   * Get the emergency calls recorded for a tenant, most recent first.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {number} [limit=100] - Maximum number of records to return.
+   * @returns {Promise<Array<Object>>} Array of emergency notification objects.
+   */
+  getEmergencyNotifications: async (domainName, limit = 100) => {
+    try {
+      const notifications = await EmergencyNotification.find({ domain_name: domainName }).sort({ createdAt: -1 }).limit(limit);
+      return notifications.map(notification => notification.toObject());
+    } catch (error) {
+      console.error('Error in emergencyService.getEmergencyNotifications:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = emergencyService;
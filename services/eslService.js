@@ -0,0 +1,235 @@
+// services/eslService.js
+// Event Socket client (mod_event_socket): pushes configuration changes into the FreeSWITCH nodes.
+//
+// FreeSWITCH fetches its configuration from us over xml_curl, but keeps what it fetched until told otherwise:
+// - any tenant change runs `reloadxml` (changes arriving together are sent as one reload);
+// - gateway changes run `sofia profile <gateway profile> killgw <name>` and `rescan`, so the gateway is rebuilt;
+// - removed SIP clients (and every user of a deleted or renamed tenant) get
+//   `sofia profile <registration profile> flush_inbound_reg <user>@<domain>`, so their registrations end now.
+// Commands go to every node listed in FREESWITCH_ESL_NODES, each over its own short-lived connection.
+// Pushing is best effort: a node that cannot be reached is logged and skipped, and never fails the API request
+// that made the change. Without FREESWITCH_ESL_NODES nothing is pushed.
+//
+// Settings (environment):
+// - FREESWITCH_ESL_NODES: comma-separated nodes, as host[:port] (default port 8021) or password@host[:port]
+// - FREESWITCH_ESL_PASSWORD: password of nodes without their own (default "ClueCon", the FreeSWITCH default)
+// - FREESWITCH_ESL_TIMEOUT_MS: how long a node may take to connect and answer (default 5000)
+// - FREESWITCH_ESL_GATEWAY_PROFILE: sofia profile the external gateways are in (default "signal", see configurationController)
+// - FREESWITCH_ESL_REGISTRATION_PROFILE: sofia profile SIP clients register to (default "internal")
+const net = require('net');
+
+const DEFAULT_PORT = 8021;
+const DEFAULT_PASSWORD = process.env.FREESWITCH_ESL_PASSWORD || 'ClueCon';
+const TIMEOUT_MS = parseInt(process.env.FREESWITCH_ESL_TIMEOUT_MS, 10) || 5000;
+const GATEWAY_PROFILE = process.env.FREESWITCH_ESL_GATEWAY_PROFILE || 'signal';
+const REGISTRATION_PROFILE = process.env.FREESWITCH_ESL_REGISTRATION_PROFILE || 'internal';
+const RELOAD_DELAY_MS = 500; // Changes within this delay share one reloadxml
+
+/**
+ * Parses the FREESWITCH_ESL_NODES setting.
+ * @param {string} value - e.g., "10.0.0.5,secret@10.0.0.6:8022".
+ * @returns {Array<{name: string, host: string, port: number, password: string}>} The nodes.
+ */
+const parseNodes = (value) => String(value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const at = entry.lastIndexOf('@');
+    const password = at >= 0 ? entry.substring(0, at) : DEFAULT_PASSWORD;
+    const [host, port] = (at >= 0 ? entry.substring(at + 1) : entry).split(':');
+    return { name: `${host}:${port || DEFAULT_PORT}`, host, port: parseInt(port, 10) || DEFAULT_PORT, password };
+  });
+
+let nodes = parseNodes(process.env.FREESWITCH_ESL_NODES);
+
+/**
+ * Splits the Event Socket stream into messages: headers ("Name: value" lines) ending with a blank line,
+ * followed by a body of Content-Length bytes when there is one.
+ * @param {Buffer} buffer - Data received so far.
+ * @returns {{messages: Array<{headers: Object, body: string}>, rest: Buffer}} Complete messages, and the data left over.
+ */
+const readMessages = (buffer) => {
+  const messages = [];
+  let rest = buffer;
+  for (;;) {
+    const headerEnd = rest.indexOf('\n\n');
+    if (headerEnd === -1) break;
+    const headers = Object.fromEntries(rest.subarray(0, headerEnd).toString('utf8').split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const colon = line.indexOf(':');
+        return [line.substring(0, colon).trim(), line.substring(colon + 1).trim()];
+      }));
+    const length = parseInt(headers['Content-Length'], 10) || 0;
+    if (rest.length < headerEnd + 2 + length) break;
+    messages.push({ headers, body: rest.subarray(headerEnd + 2, headerEnd + 2 + length).toString('utf8') });
+    rest = rest.subarray(headerEnd + 2 + length);
+  }
+  return { messages, rest };
+};
+
+/**
+ * Connects to a node, authenticates and runs API commands in order over the one connection.
+ * @param {Object} node - The node (see parseNodes).
+ * @param {Array<string>} commands - API commands (e.g., "reloadxml").
+ * @returns {Promise<Array<string>>} The response of each command.
+ * @throws {Error} If the node cannot be reached, refuses the password or does not answer in time.
+ */
+const runOnNode = (node, commands) => new Promise((resolve, reject) => {
+  const socket = net.connect({ host: node.host, port: node.port });
+  const responses = [];
+  let buffer = Buffer.alloc(0);
+  let finished = false;
+
+  const finish = (error) => {
+    if (finished) return;
+    finished = true;
+    socket.destroy();
+    if (error) reject(error);
+    else resolve(responses);
+  };
+  const sendNext = () => {
+    if (responses.length === commands.length) {
+      socket.write('exit\n\n');
+      return finish();
+    }
+    socket.write(`api ${commands[responses.length]}\n\n`);
+  };
+
+  socket.setTimeout(TIMEOUT_MS, () => finish(new Error(`no answer from ESL node ${node.name} within ${TIMEOUT_MS} ms`)));
+  socket.on('error', error => finish(new Error(`ESL node ${node.name}: ${error.message}`)));
+  socket.on('close', () => finish(new Error(`ESL node ${node.name} closed the connection`)));
+  socket.on('data', (data) => {
+    const result = readMessages(Buffer.concat([buffer, data]));
+    buffer = result.rest;
+    result.messages.forEach(({ headers, body }) => {
+      switch (headers['Content-Type']) {
+        case 'auth/request':
+          socket.write(`auth ${node.password}\n\n`);
+          break;
+        case 'command/reply':
+          if (!String(headers['Reply-Text']).startsWith('+OK')) {
+            return finish(new Error(`ESL node ${node.name} refused the password: ${headers['Reply-Text']}`));
+          }
+          sendNext();
+          break;
+        case 'api/response':
+          responses.push(body);
+          sendNext();
+          break;
+        default:
+          break; // e.g., text/disconnect-notice
+      }
+    });
+  });
+});
+
+let pendingReload = null;
+
+const eslService = {
+  REGISTRATION_PROFILE,
+
+  /**
+   * Checks whether any FreeSWITCH node is configured.
+   * @returns {boolean} True if changes are pushed.
+   */
+  isEnabled: () => nodes.length > 0,
+
+  /**
+   * Lists the configured nodes (without passwords).
+   * @returns {Array<{name: string, host: string, port: number}>} The nodes.
+   */
+  getNodes: () => nodes.map(({ name, host, port }) => ({ name, host, port })),
+
+  /**
+   * Replaces the configured nodes, e.g. to point the service at a local fake ESL server.
+   * @param {string} value - Nodes in FREESWITCH_ESL_NODES format.
+   */
+  setNodes: (value) => {
+    nodes = parseNodes(value);
+  },
+
+  /**
+   * Runs API commands on every node (or on one), in order. Never rejects: failures are reported per node.
+   * @param {Array<string>|string} commands - API commands.
+   * @param {Object} [options={}] - { node: name of the only node to use (e.g., "10.0.0.5:8021") }.
+   * @returns {Promise<Array<{node: string, ok: boolean, responses: Array<string>, error: string|null}>>} The result of each node.
+   * A node is not ok if it could not be reached or any command answered "-ERR".
+   */
+  run: async (commands, options = {}) => {
+    const list = Array.isArray(commands) ? commands : [commands];
+    const targets = options.node ? nodes.filter(node => node.name === options.node) : nodes;
+    return Promise.all(targets.map(async (node) => {
+      try {
+        const responses = await runOnNode(node, list);
+        const failed = responses.findIndex(response => response.startsWith('-ERR'));
+        if (failed !== -1) {
+          console.warn(`WARN: FreeSWITCH ${node.name} rejected "${list[failed]}": ${responses[failed].trim()}`);
+        }
+        return { node: node.name, ok: failed === -1, responses, error: failed === -1 ? null : responses[failed].trim() };
+      } catch (error) {
+        console.warn(`WARN: Could not run "${list.join('", "')}" on FreeSWITCH: ${error.message}`);
+        return { node: node.name, ok: false, responses: [], error: error.message };
+      }
+    }));
+  },
+
+  /**
+   * Runs reloadxml on every node, once for all changes made within RELOAD_DELAY_MS.
+   * @returns {Promise<Array<Object>>} The result of each node (see run); [] if no node is configured.
+   */
+  reloadXml: () => {
+    if (!eslService.isEnabled()) return Promise.resolve([]);
+    if (!pendingReload) {
+      pendingReload = new Promise(resolve => setTimeout(resolve, RELOAD_DELAY_MS).unref())
+        .then(() => {
+          pendingReload = null;
+          return eslService.run('reloadxml');
+        });
+    }
+    return pendingReload;
+  },
+
+  /**
+   * Pushes a tenant change: reloads the XML configuration.
+   * @param {string} domainName - Domain name of the changed tenant.
+   * @returns {Promise<Array<Object>>} The result of each node (see run).
+   */
+  tenantChanged: (domainName) => {
+    if (!eslService.isEnabled()) return Promise.resolve([]);
+    console.log(`DEBUG: Tenant ${domainName} changed; reloading the FreeSWITCH XML configuration.`);
+    return eslService.reloadXml();
+  },
+
+  /**
+   * Pushes a gateway change. A new gateway is started, an edited one is stopped and started again with its
+   * new settings, and a deleted one is stopped.
+   * @param {string} gatewayName - Name of the gateway (its previous name if it was renamed).
+   * @param {Object} [options={}] - { added: true for a new gateway, removed: true for a deleted one,
+   * renamedTo: new name of a renamed gateway }.
+   * @returns {Promise<Array<Object>>} The result of each node (see run).
+   */
+  gatewayChanged: (gatewayName, options = {}) => {
+    if (!eslService.isEnabled()) return Promise.resolve([]);
+    const commands = ['reloadxml'];
+    if (!options.added) commands.push(`sofia profile ${GATEWAY_PROFILE} killgw ${gatewayName}`);
+    if (!options.removed) commands.push(`sofia profile ${GATEWAY_PROFILE} rescan`);
+    console.log(`INFO: Gateway ${options.renamedTo ? `${gatewayName} (now ${options.renamedTo})` : gatewayName} changed; running ${commands.map(command => `"${command}"`).join(', ')} on FreeSWITCH.`);
+    return eslService.run(commands);
+  },
+
+  /**
+   * Ends the registrations of SIP clients that were removed.
+   * @param {string} domainName - Domain name the users registered with.
+   * @param {Array<string>} userIds - user_ids of the removed SIP clients.
+   * @returns {Promise<Array<Object>>} The result of each node (see run).
+   */
+  flushRegistrations: (domainName, userIds) => {
+    if (!eslService.isEnabled() || userIds.length === 0) return Promise.resolve([]);
+    console.log(`INFO: Flushing the FreeSWITCH registrations of ${userIds.length} removed SIP client(s) of ${domainName}.`);
+    return eslService.run(userIds.map(userId => `sofia profile ${REGISTRATION_PROFILE} flush_inbound_reg ${userId}@${domainName}`));
+  },
+};
+
+module.exports = eslService;
@@ -1,5 +1,8 @@
 // services/globalConfigService.js
 const ExternalGateway = require('../models/ExternalGateway'); // Import the new global ExternalGateway model
+const OutboundRoute = require('../models/OutboundRoute');
+const secrets = require('../utils/secrets');
+const eslService = require('./eslService');
 
 const globalConfigService = {
   /**
@@ -16,6 +19,23 @@ const globalConfigService = {
     }
   },
 
+  /**
+   * Get all external gateways with their passwords decrypted, for rendering sofia.conf.
+   * Gateways whose password cannot be decrypted (missing or wrong SECRETS_ENCRYPTION_KEY) are logged and left out.
+   * @returns {Promise<Array<Object>>} Array of external gateway objects with plaintext passwords.
+   */
+  getExternalGatewaysWithCredentials: async () => {
+    const gateways = await globalConfigService.getAllExternalGateways();
+    return gateways.reduce((result, gateway) => {
+      try {
+        result.push({ ...gateway, password: secrets.decrypt(gateway.password) });
+      } catch (error) {
+        console.error(`ERROR: Cannot decrypt the password of gateway "${gateway.name}", leaving it out of sofia.conf: ${error.message}`);
+      }
+      return result;
+    }, []);
+  },
+
   /**
    * Get a specific external gateway by name.
    * @param {string} gatewayName - The name of the gateway.
@@ -35,7 +55,7 @@ const globalConfigService = {
    * Add a new external gateway.
    * @param {Object} gatewayData - Data for the new gateway.
    * @returns {Promise<Object>} The added gateway object.
-   * @throws {Error} If gateway name already exists.
+   * @throws {Error} If gateway name already exists or SECRETS_ENCRYPTION_KEY is not configured.
    */
   addExternalGateway: async (gatewayData) => {
     try {
@@ -43,9 +63,12 @@ const globalConfigService = {
       if (existingGateway) {
         throw new Error(`Gateway with name '${gatewayData.name}' already exists.`);
       }
-      // In a real app, hash the password before saving!
-      const newGateway = new ExternalGateway(gatewayData);
+      const newGateway = new ExternalGateway({
+        ...gatewayData,
+        password: gatewayData.password ? secrets.encrypt(gatewayData.password) : gatewayData.password,
+      });
       await newGateway.save();
+      eslService.gatewayChanged(newGateway.name, { added: true }); // Best effort, not awaited (see services/eslService.js)
       return newGateway.toObject();
     } catch (error) {
       console.error('Error in globalConfigService.addExternalGateway:', error);
@@ -61,11 +84,15 @@ const globalConfigService = {
    */
   updateExternalGateway: async (gatewayName, updateData) => {
     try {
+      if (updateData.password) {
+        updateData = { ...updateData, password: secrets.encrypt(updateData.password) };
+      }
       const gateway = await ExternalGateway.findOneAndUpdate(
         { name: gatewayName },
         { $set: updateData },
         { new: true, runValidators: true }
       );
+      if (gateway) eslService.gatewayChanged(gatewayName, { renamedTo: gateway.name !== gatewayName ? gateway.name : undefined });
       return gateway ? gateway.toObject() : null;
     } catch (error) {
       console.error('Error in globalConfigService.updateExternalGateway:', error);
@@ -81,12 +108,99 @@ const globalConfigService = {
   deleteExternalGateway: async (gatewayName) => {
     try {
       const result = await ExternalGateway.deleteOne({ name: gatewayName });
+      if (result.deletedCount > 0) eslService.gatewayChanged(gatewayName, { removed: true });
       return result.deletedCount > 0;
     } catch (error) {
       console.error('Error in globalConfigService.deleteExternalGateway:', error);
       throw error;
     }
   },
+
+  // --- Outbound Route Operations ---
+  /**
+   * Get all outbound routes.
+   * @returns {Promise<Array<Object>>} Array of outbound route objects.
+   */
+  getAllOutboundRoutes: async () => {
+    try {
+      const routes = await OutboundRoute.find({});
+      return routes.map(route => route.toObject());
+    } catch (error) {
+      console.error('Error in globalConfigService.getAllOutboundRoutes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a specific outbound route by name.
+   * @param {string} routeName - The name of the route.
+   * @returns {Promise<Object|null>} Route object or null if not found.
+   */
+  getOutboundRoute: async (routeName) => {
+    try {
+      const route = await OutboundRoute.findOne({ name: routeName });
+      return route ? route.toObject() : null;
+    } catch (error) {
+      console.error('Error in globalConfigService.getOutboundRoute:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a new outbound route.
+   * @param {Object} routeData - Data for the new route.
+   * @returns {Promise<Object>} The added route object.
+   * @throws {Error} If route name already exists.
+   */
+  addOutboundRoute: async (routeData) => {
+    try {
+      const existingRoute = await OutboundRoute.findOne({ name: routeData.name });
+      if (existingRoute) {
+        throw new Error(`Outbound route with name '${routeData.name}' already exists.`);
+      }
+      const newRoute = new OutboundRoute(routeData);
+      await newRoute.save();
+      return newRoute.toObject();
+    } catch (error) {
+      console.error('Error in globalConfigService.addOutboundRoute:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update an existing outbound route by name.
+   * @param {string} routeName - The name of the route to update.
+   * @param {Object} updateData - Data to update the route with.
+   * @returns {Promise<Object|null>} The updated route object or null if not found.
+   */
+  updateOutboundRoute: async (routeName, updateData) => {
+    try {
+      const route = await OutboundRoute.findOneAndUpdate(
+        { name: routeName },
+        { $set: updateData },
+        { new: true, runValidators: true }
+      );
+      return route ? route.toObject() : null;
+    } catch (error) {
+      console.error('Error in globalConfigService.updateOutboundRoute:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete an outbound route by name.
+   * @param {string} routeName - The name of the route to delete.
+   * @returns {Promise<boolean>} True if route was deleted, false otherwise.
+   */
+  deleteOutboundRoute: async (routeName) => {
+    try {
+      const result = await OutboundRoute.deleteOne({ name: routeName });
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('Error in globalConfigService.deleteOutboundRoute:', error);
+      throw error;
+    }
+  },
 };
 
 module.exports = globalConfigService;
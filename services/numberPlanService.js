@@ -0,0 +1,203 @@
+// services/numberPlanService.js
+// A tenant's number plan: everything its SIP clients can dial locally, and what each number reaches.
+//
+// dialplanController's handleLocalCall resolves a dialed number in this order, and the first match takes the call:
+//   1. feature codes (exact codes, then codes followed by digits such as *72<number>)
+//   2. groups (by name)
+//   3. call center queues (by extension)
+//   4. conference rooms (by extension)
+//   5. dialplan extensions (destination_number regexes, in order; `continue` extensions do not take calls)
+//   6. SIP clients (by user_id)
+// Identifiers claimed by more than one resource are conflicts: the lower-precedence resource can never be dialed.
+// Voicemail boxes share a separate namespace (directoryController looks up SIP clients, then group boxes).
+const Tenant = require('../models/Tenant');
+const featureCodes = require('../utils/featureCodes');
+const dialplanConditions = require('../utils/dialplanConditions');
+
+const PRECEDENCE = ['feature_code', 'group', 'queue', 'conference', 'dialplan_extension', 'sip_client'];
+
+// Same comparison handleLocalCall uses for SIP client user_ids
+const normalizeUserId = (value) => String(value || '').replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+
+/**
+ * Describes a number plan entry for messages (e.g., "group 'sales'").
+ * @param {Object} entry - Number plan entry.
+ * @returns {string} The description.
+ */
+const describe = (entry) => `${entry.type.replace(/_/g, ' ')} '${entry.name}'`;
+
+/**
+ * Checks whether a dialplan extension takes calls to a number, based on its destination_number conditions.
+ * Extensions without a destination_number condition, with `continue`, or with expressions using channel
+ * variables cannot be resolved statically and are ignored.
+ * @param {Object} extension - Dialplan extension.
+ * @param {string} dialed - The dialed number.
+ * @returns {string|false} "always", "conditional" (other conditions, e.g. time of day, also apply) or false.
+ */
+const matchDialplanExtension = (extension, dialed) => {
+  if (extension.continue) return false;
+
+  const conditions = dialplanConditions.getConditions(extension);
+  const destinationConditions = conditions.filter(condition => ['destination_number', '${destination_number}'].includes(condition.field));
+  if (destinationConditions.length === 0) return false;
+
+  for (const condition of destinationConditions) {
+    if (!condition.expression || condition.expression.includes('${')) return false;
+    // Bounded like the dialplan itself, for expressions stored before they were checked on save
+    if (!dialplanConditions.matchExpression(condition.expression, dialed)) return false;
+  }
+
+  const hasOtherConditions = conditions.some(condition => !destinationConditions.includes(condition)) ||
+    destinationConditions.some(condition => Object.keys(dialplanConditions.TIME_ATTRIBUTES).some(attribute => condition[attribute]));
+  return hasOtherConditions ? 'conditional' : 'always';
+};
+
+const numberPlanService = {
+  PRECEDENCE,
+
+  /**
+   * Lists every locally dialable identifier of a tenant, in the order handleLocalCall checks them.
+   * @param {Object} tenant - Tenant data.
+   * @returns {Array<Object>} Entries: { identifier, type, name, match ("exact", "prefix" or "pattern") }.
+   */
+  getEntries: (tenant) => {
+    const entries = [];
+    const codes = featureCodes.resolve(tenant);
+    Object.entries(codes).forEach(([feature, code]) => {
+      entries.push({ identifier: code, type: 'feature_code', name: feature, match: featureCodes.PREFIX_FEATURES.includes(feature) ? 'prefix' : 'exact' });
+    });
+    (tenant.groups || []).forEach(group => entries.push({ identifier: group.name, type: 'group', name: group.name, match: 'exact' }));
+    (tenant.call_center_queues || []).filter(queue => queue.extension).forEach(queue => {
+      entries.push({ identifier: queue.extension, type: 'queue', name: queue.name, match: 'exact' });
+    });
+    (tenant.conference_rooms || []).forEach(room => entries.push({ identifier: room.extension, type: 'conference', name: room.name, match: 'exact' }));
+    (tenant.dialplan?.default || []).filter(extension => !extension.continue).forEach(extension => {
+      const destinationConditions = dialplanConditions.getConditions(extension).filter(condition => ['destination_number', '${destination_number}'].includes(condition.field));
+      if (destinationConditions.length === 0) return;
+      entries.push({ identifier: destinationConditions.map(condition => condition.expression).join(' && '), type: 'dialplan_extension', name: extension.name, match: 'pattern', extension });
+    });
+    (tenant.sip_clients || []).forEach(client => entries.push({ identifier: client.user_id, type: 'sip_client', name: client.user_id, match: 'exact' }));
+    return entries;
+  },
+
+  /**
+   * Resolves a dialed number the way handleLocalCall does.
+   * @param {Object} tenant - Tenant data.
+   * @param {string} dialed - The dialed number.
+   * @param {Array<Object>} [entries] - Entries from getEntries(), to avoid rebuilding them.
+   * @returns {Object|null} The entry that takes the call (with `conditional: true` for dialplan extensions that only match sometimes), or null.
+   */
+  resolve: (tenant, dialed, entries = numberPlanService.getEntries(tenant)) => {
+    const featureMatch = featureCodes.match(featureCodes.resolve(tenant), dialed);
+    if (featureMatch) return entries.find(entry => entry.type === 'feature_code' && entry.name === featureMatch.feature);
+
+    for (const entry of entries) {
+      if (entry.type === 'feature_code') continue;
+      if (entry.type === 'dialplan_extension') {
+        const matched = matchDialplanExtension(entry.extension, dialed);
+        if (matched) return matched === 'conditional' ? { ...entry, conditional: true } : entry;
+      } else if (entry.type === 'sip_client' ? normalizeUserId(entry.identifier) === normalizeUserId(dialed) : entry.identifier === dialed) {
+        return entry;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Finds number plan conflicts: identifiers a caller cannot reach because another resource takes the call.
+   * Collisions between identifiers are errors; dialplan extension regexes shadowing an identifier are warnings,
+   * since catch-all patterns are often intended.
+   * @param {Object} tenant - Tenant data.
+   * @returns {Array<Object>} Conflicts: { severity, identifier, shadowed: {type, name}, resolves_to: {type, name}, message }.
+   */
+  findConflicts: (tenant) => {
+    const entries = numberPlanService.getEntries(tenant);
+    const conflicts = [];
+
+    entries.filter(entry => entry.match !== 'pattern').forEach(entry => {
+      const winner = numberPlanService.resolve(tenant, entry.identifier, entries);
+      if (!winner || (winner.type === entry.type && winner.name === entry.name)) return;
+
+      const severity = winner.type === 'dialplan_extension' ? 'warning' : 'error';
+      conflicts.push({
+        severity,
+        identifier: entry.identifier,
+        shadowed: { type: entry.type, name: entry.name },
+        resolves_to: { type: winner.type, name: winner.name },
+        message: `${entry.identifier} is ${describe(entry)}, but calls to it ${winner.conditional ? 'may be' : 'are'} taken by ${describe(winner)}`,
+      });
+    });
+
+    // Voicemail boxes: directoryController looks up SIP clients first, then group boxes
+    const boxOwners = new Map((tenant.sip_clients || []).map(client => [client.user_id, { type: 'sip_client', name: client.user_id }]));
+    (tenant.groups || []).filter(group => group.enable_voicemail && group.voicemail_box_id).forEach(group => {
+      const owner = boxOwners.get(group.voicemail_box_id);
+      if (owner) {
+        conflicts.push({
+          severity: 'error',
+          identifier: group.voicemail_box_id,
+          shadowed: { type: 'group', name: group.name },
+          resolves_to: owner,
+          message: `Voicemail box ${group.voicemail_box_id} of group '${group.name}' is already the box of ${describe(owner)}`,
+        });
+      } else {
+        boxOwners.set(group.voicemail_box_id, { type: 'group', name: group.name });
+      }
+    });
+
+    return conflicts;
+  },
+
+  /**
+   * Checks a changed tenant for conflicts introduced by the change. Conflicts that already existed are left alone,
+   * so old data does not block unrelated updates. New warnings are logged.
+   * @param {Object} tenant - Tenant data after the change.
+   * @param {Array<Object>} conflictsBefore - findConflicts() of the tenant before the change.
+   * @throws {Error} "Number plan conflict: ..." if the change introduces an error-level conflict.
+   */
+  assertNoNewConflicts: (tenant, conflictsBefore = []) => {
+    const key = (conflict) => `${conflict.identifier}|${conflict.shadowed.type}|${conflict.shadowed.name}|${conflict.resolves_to.type}|${conflict.resolves_to.name}`;
+    const existing = new Set(conflictsBefore.map(key));
+    const introduced = numberPlanService.findConflicts(tenant).filter(conflict => !existing.has(key(conflict)));
+
+    introduced.filter(conflict => conflict.severity === 'warning').forEach(conflict => {
+      console.warn(`WARN: Number plan of ${tenant.domain_name}: ${conflict.message}`);
+    });
+    const errors = introduced.filter(conflict => conflict.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(`Number plan conflict: ${errors.map(conflict => conflict.message).join('; ')}`);
+    }
+  },
+
+  /**
+   * Get a tenant's number plan: every dialable identifier, what it resolves to, and the conflicts.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<Object|null>} { domain_name, entries, conflicts }, or null if the tenant is not found.
+   */
+  getNumberPlan: async (domainName) => {
+    try {
+      const tenantDoc = await Tenant.findOne({ domain_name: domainName });
+      if (!tenantDoc) return null;
+      const tenant = tenantDoc.toObject();
+
+      const entries = numberPlanService.getEntries(tenant);
+      return {
+        domain_name: tenant.domain_name,
+        entries: entries.map(({ extension, ...entry }) => {
+          const winner = entry.match === 'pattern' ? entry : numberPlanService.resolve(tenant, entry.identifier, entries);
+          return {
+            ...entry,
+            precedence: PRECEDENCE.indexOf(entry.type) + 1,
+            resolves_to: winner ? { type: winner.type, name: winner.name, ...(winner.conditional ? { conditional: true } : {}) } : null,
+          };
+        }),
+        conflicts: numberPlanService.findConflicts(tenant),
+      };
+    } catch (error) {
+      console.error('Error in numberPlanService.getNumberPlan:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = numberPlanService;
@@ -0,0 +1,107 @@
+// services/outboundRoutingService.js
+// Picks the external gateways an outbound call should use and builds the FreeSWITCH dial string for them.
+const globalConfigService = require('./globalConfigService');
+
+/**
+ * Orders gateways that share a priority and cost by weighted random selection (without replacement),
+ * so that gateways with a higher weight are tried first more often.
+ * @param {Array<Object>} gateways - Route gateways with the same priority and cost.
+ * @returns {Array<Object>} The gateways in the order they should be tried.
+ */
+const weightedShuffle = (gateways) => {
+  const remaining = [...gateways];
+  const ordered = [];
+
+  while (remaining.length > 0) {
+    const totalWeight = remaining.reduce((sum, gateway) => sum + Math.max(gateway.weight ?? 1, 0), 0);
+    let index = 0;
+    if (totalWeight > 0) {
+      let pick = Math.random() * totalWeight;
+      index = remaining.findIndex(gateway => (pick -= Math.max(gateway.weight ?? 1, 0)) < 0);
+      if (index === -1) index = remaining.length - 1;
+    }
+    ordered.push(remaining.splice(index, 1)[0]);
+  }
+
+  return ordered;
+};
+
+const outboundRoutingService = {
+  /**
+   * Finds the enabled outbound route with the longest prefix matching a number.
+   * @param {Array<Object>} routes - Outbound routes.
+   * @param {string} number - The dialed number (E.164, with or without '+').
+   * @returns {Object|null} The matching route, or null if none matches.
+   */
+  findRoute: (routes, number) => {
+    const digits = String(number).replace(/^\+/, '');
+    return routes
+      .filter(route => route.enabled !== false && digits.startsWith(route.prefix || ''))
+      .sort((a, b) => (b.prefix || '').length - (a.prefix || '').length)[0] || null;
+  },
+
+  /**
+   * Orders a route's gateways for failover: by priority, then by cost per minute, then by weight.
+   * @param {Array<Object>} routeGateways - The route's gateways.
+   * @returns {Array<Object>} The gateways in the order they should be tried.
+   */
+  orderGateways: (routeGateways) => {
+    const groups = new Map();
+    routeGateways.forEach(gateway => {
+      const key = `${gateway.priority ?? 1}:${gateway.cost_per_minute ?? 0}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(gateway);
+    });
+
+    return [...groups.values()]
+      .sort((a, b) => (a[0].priority ?? 1) - (b[0].priority ?? 1) || (a[0].cost_per_minute ?? 0) - (b[0].cost_per_minute ?? 0))
+      .flatMap(weightedShuffle);
+  },
+
+  /**
+   * Selects the gateways to try, in order, for an outbound number.
+   * Uses the longest matching outbound route; without one, every configured gateway is tried in creation order.
+   * @param {string} number - The dialed number as it will be sent to the trunk.
+   * @returns {Promise<{route: Object|null, gateways: Array<string>}>} The matched route (if any) and ordered gateway names.
+   */
+  selectGateways: async (number) => {
+    const [routes, externalGateways] = await Promise.all([
+      globalConfigService.getAllOutboundRoutes(),
+      globalConfigService.getAllExternalGateways(),
+    ]);
+    const knownGateways = new Set(externalGateways.map(gateway => gateway.name));
+
+    const route = outboundRoutingService.findRoute(routes, number);
+    if (!route) {
+      console.log(`DEBUG: No outbound route matches ${number}. Trying all ${knownGateways.size} external gateways.`);
+      return { route: null, gateways: [...knownGateways] };
+    }
+
+    const gateways = outboundRoutingService.orderGateways(route.gateways || [])
+      .map(gateway => gateway.gateway_name)
+      .filter(gatewayName => {
+        if (knownGateways.has(gatewayName)) return true;
+        console.warn(`WARN: Outbound route "${route.name}" references unknown gateway "${gatewayName}". Skipping.`);
+        return false;
+      });
+
+    console.log(`DEBUG: Outbound route "${route.name}" (prefix "${route.prefix}") matched ${number}. Gateways: ${gateways.join(', ')}`);
+    return { route, gateways };
+  },
+
+  /**
+   * Builds a bridge dial string that fails over between the selected gateways using '|'.
+   * @param {string} number - The dialed number as it will be sent to the trunk.
+   * @returns {Promise<string|null>} The FreeSWITCH dial string, or null if no gateway is available.
+   */
+  buildDialString: async (number) => {
+    const { gateways } = await outboundRoutingService.selectGateways(number);
+    if (gateways.length === 0) {
+      console.warn(`WARN: No external gateway available to route outbound number ${number}.`);
+      return null;
+    }
+    return gateways.map(gatewayName => `sofia/gateway/${gatewayName}/${number}`).join('|');
+  },
+};
+
+module.exports = outboundRoutingService;
@@ -0,0 +1,477 @@
+// services/ratingService.js
+// Rate decks, call rating and tenant invoices.
+//
+// A rate deck (models/RateDeck.js) lists per-minute prices by destination prefix (models/Rate.js); the longest
+// prefix of the dialed E.164 number applies. Decks are used twice:
+// - an ExternalGateway's `rate_deck` is what the carrier charges us for a call through it (the cost);
+// - a tenant's `billing.rate_deck` is what the tenant pays. Destinations missing from the tenant's deck, or every
+//   destination for tenants without a deck, are priced at the gateway cost plus the tenant's `billing.markup_percent`.
+// Answered outbound calls through a gateway are rated when their CDR is stored (see services/cdrService.js).
+// Calls that could not be rated (no deck or no rate for the destination) keep the reason and can be rated again
+// with rerateCalls once the decks are fixed.
+// Invoices add up a month of rated calls per destination, plus the monthly rental of the tenant's DIDs.
+const CallDetailRecord = require('../models/CallDetailRecord');
+const ExternalGateway = require('../models/ExternalGateway');
+const Rate = require('../models/Rate');
+const RateDeck = require('../models/RateDeck');
+const Tenant = require('../models/Tenant');
+const globalConfigService = require('./globalConfigService');
+const csv = require('../utils/csv');
+const phoneNumbers = require('../utils/phoneNumbers');
+
+const CURRENCY = process.env.BILLING_CURRENCY || 'USD';
+const IMPORT_BATCH_SIZE = 1000;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const RATE_COLUMNS = ['prefix', 'rate', 'description', 'connect_fee', 'initial_increment', 'subsequent_increment'];
+
+/**
+ * Rounds an amount of money, keeping fractions of a cent for per-call amounts.
+ * @param {number} amount - The amount.
+ * @param {number} [decimals=5] - Decimals to keep.
+ * @returns {number} The rounded amount.
+ */
+const roundAmount = (amount, decimals = 5) => Math.round(amount * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Rounds call seconds up to billing increments (e.g., 61 seconds are 66 at 6/6, 120 at 60/60, 90 at 60/30).
+ * @param {number} seconds - Answered seconds (billsec).
+ * @param {number} initialIncrement - Seconds billed for the first block.
+ * @param {number} subsequentIncrement - Seconds of each following block.
+ * @returns {number} The billed seconds.
+ */
+const billedSeconds = (seconds, initialIncrement, subsequentIncrement) => {
+  if (seconds <= 0) return 0;
+  if (seconds <= initialIncrement) return initialIncrement;
+  return initialIncrement + Math.ceil((seconds - initialIncrement) / subsequentIncrement) * subsequentIncrement;
+};
+
+/**
+ * Works out the number an outbound call was sent to the trunk with, as E.164 digits without '+'.
+ * The dial string sent to the gateway is preferred over the number the caller dialed, which may lack the country code.
+ * @param {Object} call - Call detail record fields, with its channel variables.
+ * @returns {string} The digits, or '' if there are none.
+ */
+const getDialedNumber = (call) => {
+  const variables = call.variables || {};
+  const trunkNumber = [variables.bridge_channel, variables.last_arg]
+    .map(value => String(value || '').match(/sofia\/gateway\/[^/|,]+\/([^@|,;]+)/))
+    .find(Boolean);
+  const number = phoneNumbers.toDidFormat(trunkNumber ? trunkNumber[1] : call.destination_number);
+  return number.replace(/\D/g, '').replace(/^(011|00)/, ''); // International dialing prefixes
+};
+
+/**
+ * Finds the rate of the longest prefix of a number in a deck.
+ * @param {Object} deck - The rate deck.
+ * @param {string} digits - E.164 digits without '+'.
+ * @returns {Promise<Object|null>} The rate, with the deck's increments applied where it has none, or null if none matches.
+ */
+const findRate = async (deck, digits) => {
+  const prefixes = Array.from({ length: digits.length }, (unused, index) => digits.substring(0, index + 1));
+  const rates = await Rate.find({ deck: deck.name, prefix: { $in: prefixes } }).lean();
+  const rate = rates.sort((a, b) => b.prefix.length - a.prefix.length)[0];
+  if (!rate) return null;
+  return {
+    ...rate,
+    initial_increment: rate.initial_increment || deck.initial_increment,
+    subsequent_increment: rate.subsequent_increment || deck.subsequent_increment,
+  };
+};
+
+/**
+ * Prices a call at a rate.
+ * @param {Object} rate - The rate (per minute, connect fee and increments).
+ * @param {number} seconds - Answered seconds.
+ * @param {number} [markupPercent=0] - Markup added to the rate and connect fee.
+ * @returns {Object} { billed_seconds, rate, amount }.
+ */
+const priceAt = (rate, seconds, markupPercent = 0) => {
+  const factor = 1 + markupPercent / 100;
+  const billed = billedSeconds(seconds, rate.initial_increment, rate.subsequent_increment);
+  const perMinute = roundAmount(rate.rate * factor);
+  return { billed_seconds: billed, rate: perMinute, amount: roundAmount((billed / 60) * perMinute + rate.connect_fee * factor) };
+};
+
+/**
+ * Parses a number column of an imported rate.
+ * @param {string} value - The CSV field.
+ * @param {Object} options - { integer, min }.
+ * @returns {number|null} The number, null for an empty field, or NaN if the field is invalid.
+ */
+const parseNumber = (value, options) => {
+  if (value === undefined || value.trim() === '') return null;
+  const number = Number(value.trim());
+  if (!Number.isFinite(number) || number < options.min || (options.integer && !Number.isInteger(number))) return NaN;
+  return number;
+};
+
+const ratingService = {
+  billedSeconds,
+
+  // --- Rate Decks ---
+  /**
+   * Get all rate decks, with the number of rates in each.
+   * @returns {Promise<Array<Object>>} The decks.
+   */
+  getRateDecks: async () => {
+    try {
+      const [decks, counts] = await Promise.all([
+        RateDeck.find({}).sort({ name: 1 }).lean(),
+        Rate.aggregate([{ $group: { _id: '$deck', count: { $sum: 1 } } }]),
+      ]);
+      const countByDeck = new Map(counts.map(count => [count._id, count.count]));
+      return decks.map(deck => ({ ...deck, rate_count: countByDeck.get(deck.name) || 0 }));
+    } catch (error) {
+      console.error('Error in ratingService.getRateDecks:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a rate deck by name, with the number of rates in it.
+   * @param {string} deckName - The deck's name.
+   * @returns {Promise<Object|null>} The deck, or null if not found.
+   */
+  getRateDeck: async (deckName) => {
+    try {
+      const deck = await RateDeck.findOne({ name: deckName }).lean();
+      if (!deck) return null;
+      return { ...deck, rate_count: await Rate.countDocuments({ deck: deckName }) };
+    } catch (error) {
+      console.error('Error in ratingService.getRateDeck:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a rate deck (without rates; see importRates).
+   * @param {Object} deckData - { name, description, initial_increment, subsequent_increment }.
+   * @returns {Promise<Object>} The new deck.
+   * @throws {Error} If a deck with the same name already exists.
+   */
+  addRateDeck: async (deckData) => {
+    try {
+      if (await RateDeck.exists({ name: deckData.name })) {
+        throw new Error(`Rate deck with name '${deckData.name}' already exists.`);
+      }
+      const deck = new RateDeck(deckData);
+      await deck.save();
+      return { ...deck.toObject(), rate_count: 0 };
+    } catch (error) {
+      console.error('Error in ratingService.addRateDeck:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a rate deck. Its name cannot be changed, since gateways and tenants refer to it.
+   * @param {string} deckName - The deck's name.
+   * @param {Object} updateData - Fields to change.
+   * @returns {Promise<Object|null>} The updated deck, or null if not found.
+   */
+  updateRateDeck: async (deckName, updateData) => {
+    try {
+      const { name, ...changes } = updateData;
+      const deck = await RateDeck.findOneAndUpdate({ name: deckName }, { $set: changes }, { new: true, runValidators: true }).lean();
+      if (!deck) return null;
+      return { ...deck, rate_count: await Rate.countDocuments({ deck: deckName }) };
+    } catch (error) {
+      console.error('Error in ratingService.updateRateDeck:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a rate deck and its rates.
+   * @param {string} deckName - The deck's name.
+   * @returns {Promise<boolean>} True if the deck was deleted, false if not found.
+   * @throws {Error} If a gateway or a tenant still uses the deck.
+   */
+  deleteRateDeck: async (deckName) => {
+    try {
+      const [gateway, tenant] = await Promise.all([
+        ExternalGateway.findOne({ rate_deck: deckName }, { name: 1 }).lean(),
+        Tenant.findOne({ 'billing.rate_deck': deckName }, { domain_name: 1 }).lean(),
+      ]);
+      if (gateway) throw new Error(`Rate deck '${deckName}' is in use by gateway '${gateway.name}'`);
+      if (tenant) throw new Error(`Rate deck '${deckName}' is in use by tenant '${tenant.domain_name}'`);
+
+      const result = await RateDeck.deleteOne({ name: deckName });
+      if (result.deletedCount === 0) return false;
+      await Rate.deleteMany({ deck: deckName });
+      return true;
+    } catch (error) {
+      console.error('Error in ratingService.deleteRateDeck:', error);
+      throw error;
+    }
+  },
+
+  // --- Rates ---
+  /**
+   * List the rates of a deck, by prefix.
+   * @param {string} deckName - The deck's name.
+   * @param {Object} query - { prefix: only prefixes starting with these digits, number: only the rate applying to this number,
+   * limit (default 100, at most 1000), skip }.
+   * @returns {Promise<Object|null>} { total, rates }, or null if the deck is not found.
+   */
+  getRates: async (deckName, query = {}) => {
+    try {
+      const deck = await RateDeck.findOne({ name: deckName }).lean();
+      if (!deck) return null;
+      if (query.number) {
+        const rate = await findRate(deck, String(query.number).replace(/\D/g, ''));
+        return { total: rate ? 1 : 0, rates: rate ? [rate] : [] };
+      }
+
+      const conditions = { deck: deckName };
+      if (query.prefix) conditions.prefix = { $regex: `^${String(query.prefix).replace(/\D/g, '')}` };
+      const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      const [total, rates] = await Promise.all([
+        Rate.countDocuments(conditions),
+        Rate.find(conditions).sort({ prefix: 1 }).skip(parseInt(query.skip, 10) || 0).limit(limit).lean(),
+      ]);
+      return { total, rates };
+    } catch (error) {
+      console.error('Error in ratingService.getRates:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Imports rates into a deck from CSV. The header row names the columns: prefix and rate are required;
+   * description, connect_fee, initial_increment and subsequent_increment are optional. Rates of prefixes already
+   * in the deck are replaced. Nothing is imported if any row is invalid.
+   * @param {string} deckName - The deck's name.
+   * @param {string} text - The CSV text.
+   * @param {Object} [options={}] - { replace: true deletes the deck's other rates }.
+   * @returns {Promise<Object|null>} { imported, created, updated, deleted }, or null if the deck is not found.
+   * @throws {Error} "Invalid rate CSV" with `details` ([{ line, message }]) if the CSV is invalid.
+   */
+  importRates: async (deckName, text, options = {}) => {
+    try {
+      if (!await RateDeck.exists({ name: deckName })) return null;
+
+      const invalid = (details) => Object.assign(new Error('Invalid rate CSV'), { details });
+      let rows;
+      try {
+        rows = csv.parse(text || '');
+      } catch (error) {
+        throw invalid([{ line: null, message: error.message }]);
+      }
+      if (rows.length < 2) throw invalid([{ line: null, message: 'expected a header row and at least one rate' }]);
+
+      const header = rows[0].values.map(column => column.trim().toLowerCase());
+      const missing = ['prefix', 'rate'].filter(column => !header.includes(column));
+      if (missing.length > 0) {
+        throw invalid([{ line: rows[0].line, message: `missing column(s) ${missing.join(', ')}; columns are ${RATE_COLUMNS.join(', ')}` }]);
+      }
+
+      const details = [];
+      const seen = new Set();
+      const rates = rows.slice(1).map(({ line, values }) => {
+        const field = (column) => (header.includes(column) ? values[header.indexOf(column)] : undefined);
+        const prefix = String(field('prefix') || '').trim().replace(/^\+/, '');
+        const rate = {
+          deck: deckName,
+          prefix,
+          description: String(field('description') || '').trim(),
+          rate: parseNumber(field('rate'), { min: 0 }),
+          connect_fee: parseNumber(field('connect_fee'), { min: 0 }) ?? 0,
+          initial_increment: parseNumber(field('initial_increment'), { min: 1, integer: true }),
+          subsequent_increment: parseNumber(field('subsequent_increment'), { min: 1, integer: true }),
+        };
+
+        if (!/^\d+$/.test(prefix)) details.push({ line, message: 'prefix must contain digits only' });
+        else if (seen.has(prefix)) details.push({ line, message: `prefix ${prefix} is listed more than once` });
+        seen.add(prefix);
+        if (rate.rate === null || Number.isNaN(rate.rate)) details.push({ line, message: 'rate must be a number of at least 0' });
+        if (Number.isNaN(rate.connect_fee)) details.push({ line, message: 'connect_fee must be a number of at least 0' });
+        ['initial_increment', 'subsequent_increment'].forEach(column => {
+          if (Number.isNaN(rate[column])) details.push({ line, message: `${column} must be a whole number of seconds of at least 1` });
+        });
+        return rate;
+      });
+      if (details.length > 0) throw invalid(details);
+
+      let deleted = 0;
+      if (options.replace) {
+        deleted = (await Rate.deleteMany({ deck: deckName, prefix: { $nin: [...seen] } })).deletedCount;
+      }
+      let created = 0;
+      let updated = 0;
+      for (let start = 0; start < rates.length; start += IMPORT_BATCH_SIZE) {
+        const result = await Rate.bulkWrite(rates.slice(start, start + IMPORT_BATCH_SIZE).map(rate => ({
+          updateOne: { filter: { deck: deckName, prefix: rate.prefix }, update: { $set: rate }, upsert: true },
+        })), { ordered: false });
+        created += result.upsertedCount;
+        updated += result.matchedCount;
+      }
+      console.log(`INFO: Imported ${rates.length} rates into rate deck '${deckName}' (${created} new, ${updated} updated, ${deleted} deleted).`);
+      return { imported: rates.length, created, updated, deleted };
+    } catch (error) {
+      console.error('Error in ratingService.importRates:', error);
+      throw error;
+    }
+  },
+
+  // --- Rating ---
+  /**
+   * Rates a call. Only answered outbound a-legs through a gateway are rated.
+   * @param {Object} call - Call detail record fields (see models/CallDetailRecord.js), with its channel variables.
+   * @param {Object|null} tenant - The call's tenant.
+   * @returns {Promise<Object|null>} The rating (see CallRatingSchema), or null if the call is not rated.
+   */
+  rateCall: async (call, tenant) => {
+    if (!tenant || call.leg !== 'a' || call.direction !== 'outbound' || !call.gateway || !(call.billsec > 0)) return null;
+    const number = getDialedNumber(call);
+    const unrated = (reason) => ({ status: 'unrated', reason, number, rated_at: new Date() });
+    if (!number) return unrated('The call has no dialed number');
+
+    const billing = tenant.billing || {};
+    const gateway = await globalConfigService.getExternalGateway(call.gateway);
+    const [costDeck, tenantDeck] = await Promise.all([
+      gateway?.rate_deck ? RateDeck.findOne({ name: gateway.rate_deck }).lean() : null,
+      billing.rate_deck ? RateDeck.findOne({ name: billing.rate_deck }).lean() : null,
+    ]);
+    const [costRate, tenantRate] = await Promise.all([
+      costDeck ? findRate(costDeck, number) : null,
+      tenantDeck ? findRate(tenantDeck, number) : null,
+    ]);
+
+    const priceRate = tenantRate || costRate;
+    if (!priceRate) {
+      const decks = [tenantDeck && `tenant deck '${tenantDeck.name}'`, costDeck && `gateway deck '${costDeck.name}'`].filter(Boolean);
+      return unrated(decks.length > 0
+        ? `No rate for ${number} in ${decks.join(' or ')}`
+        : `Neither the tenant nor gateway '${call.gateway}' has a rate deck`);
+    }
+
+    const price = priceAt(priceRate, call.billsec, tenantRate ? 0 : billing.markup_percent || 0);
+    return {
+      status: 'rated',
+      number,
+      prefix: priceRate.prefix,
+      description: priceRate.description,
+      billed_seconds: price.billed_seconds,
+      rate_deck: tenantRate ? tenantDeck.name : '',
+      rate: price.rate,
+      price: price.amount,
+      cost_deck: costDeck ? costDeck.name : '',
+      cost: costRate ? priceAt(costRate, call.billsec).amount : null,
+      rated_at: new Date(),
+    };
+  },
+
+  /**
+   * Rates stored calls again, e.g. after a deck was imported or a tenant's billing changed.
+   * @param {Object} query - { domain_name (every tenant if not set), from, to (ISO 8601 dates of the calls' start),
+   * unrated_only: true to leave rated calls as they are }.
+   * @returns {Promise<Object>} { rated, unrated } counts.
+   * @throws {Error} "Invalid ..." if a date is invalid.
+   */
+  rerateCalls: async (query = {}) => {
+    try {
+      const conditions = { leg: 'a', direction: 'outbound', gateway: { $ne: '' }, billsec: { $gt: 0 } };
+      if (query.domain_name) conditions.domain_name = query.domain_name;
+      else conditions.domain_name = { $ne: '' };
+      ['from', 'to'].forEach(name => {
+        if (!query[name]) return;
+        const date = new Date(query[name]);
+        if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date: ${query[name]}`);
+        conditions.start_time = { ...conditions.start_time, [name === 'from' ? '$gte' : '$lt']: date };
+      });
+      if (query.unrated_only) conditions['rating.status'] = { $ne: 'rated' };
+
+      const tenants = new Map();
+      const counts = { rated: 0, unrated: 0 };
+      for await (const call of CallDetailRecord.find(conditions).lean().cursor()) {
+        if (!tenants.has(call.domain_name)) tenants.set(call.domain_name, await Tenant.findOne({ domain_name: call.domain_name }).lean());
+        const rating = await ratingService.rateCall(call, tenants.get(call.domain_name));
+        if (!rating) continue;
+        await CallDetailRecord.updateOne({ _id: call._id }, { $set: { rating } });
+        counts[rating.status] += 1;
+      }
+      console.log(`INFO: Rated ${counts.rated + counts.unrated} calls again (${counts.unrated} could not be rated).`);
+      return counts;
+    } catch (error) {
+      console.error('Error in ratingService.rerateCalls:', error);
+      throw error;
+    }
+  },
+
+  // --- Invoices ---
+  /**
+   * Builds a tenant's invoice summary for a calendar month (UTC): usage per destination and DID rental.
+   * DID rental covers the DIDs the tenant has now, for the whole month.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} month - The month, as YYYY-MM.
+   * @returns {Promise<Object|null>} The invoice, or null if the tenant is not found.
+   * @throws {Error} "Invalid month ..." if month is not YYYY-MM.
+   */
+  getInvoice: async (domainName, month) => {
+    try {
+      const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(month));
+      if (!match) throw new Error('Invalid month: use YYYY-MM');
+      const tenant = await Tenant.findOne({ domain_name: domainName }).lean();
+      if (!tenant) return null;
+
+      const from = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+      const to = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+      const calls = { domain_name: domainName, leg: 'a', start_time: { $gte: from, $lt: to } };
+      const [usage, unratedCalls] = await Promise.all([
+        CallDetailRecord.aggregate([
+          { $match: { ...calls, 'rating.status': 'rated' } },
+          {
+            $group: {
+              _id: { prefix: '$rating.prefix', description: '$rating.description' },
+              calls: { $sum: 1 },
+              billed_seconds: { $sum: '$rating.billed_seconds' },
+              amount: { $sum: '$rating.price' },
+            },
+          },
+          { $sort: { '_id.prefix': 1 } },
+        ]),
+        CallDetailRecord.countDocuments({ ...calls, 'rating.status': 'unrated' }),
+      ]);
+
+      const billing = tenant.billing || {};
+      const didPrices = new Map((billing.did_prices || []).map(didPrice => [didPrice.did_number, didPrice.monthly_price]));
+      const usageItems = usage.map(row => ({
+        type: 'usage',
+        description: row._id.description || `Calls to +${row._id.prefix}`,
+        prefix: row._id.prefix,
+        calls: row.calls,
+        minutes: roundAmount(row.billed_seconds / 60, 2),
+        amount: roundAmount(row.amount, 2),
+      }));
+      const rentalItems = (tenant.dids || [])
+        .map(did => ({
+          type: 'did_rental',
+          description: `DID ${did.did_number}${did.description ? ` (${did.description})` : ''}`,
+          did_number: did.did_number,
+          amount: roundAmount(didPrices.has(did.did_number) ? didPrices.get(did.did_number) : billing.did_monthly_price || 0, 2),
+        }))
+        .filter(item => item.amount > 0);
+
+      const sum = (items) => roundAmount(items.reduce((total, item) => total + item.amount, 0), 2);
+      return {
+        domain_name: domainName,
+        month: match[0],
+        from,
+        to,
+        currency: CURRENCY,
+        line_items: [...usageItems, ...rentalItems],
+        usage_total: sum(usageItems),
+        did_rental_total: sum(rentalItems),
+        total: sum([...usageItems, ...rentalItems]),
+        unrated_calls: unratedCalls,
+      };
+    } catch (error) {
+      console.error('Error in ratingService.getInvoice:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = ratingService;
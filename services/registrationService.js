@@ -0,0 +1,139 @@
+// services/registrationService.js
+// Live registration state, asked from the FreeSWITCH nodes over the Event Socket (see services/eslService.js):
+// - SIP clients: `sofia status profile <registration profile> reg`, limited to the tenant's own domain;
+// - external gateways: `sofia status gateway <name>`.
+// Every configured node is asked, since a phone may be registered to any of them. Nodes that do not answer are
+// listed in `unreachable_nodes`, so callers can tell a partial answer from "not registered".
+const eslService = require('./eslService');
+const tenantService = require('./tenantService');
+const globalConfigService = require('./globalConfigService');
+const sofiaStatus = require('../utils/sofiaStatus');
+
+/**
+ * Runs commands on every FreeSWITCH node.
+ * @param {Array<string>} commands - API commands.
+ * @returns {Promise<{answered: Array<Object>, unreachable: Array<{node: string, error: string}>}>} The results of the nodes
+ * that answered every command (see eslService.run), and the nodes that did not.
+ * @throws {Error} "... not configured" without FREESWITCH_ESL_NODES, or "No FreeSWITCH node answered ..." if every node failed.
+ */
+const queryNodes = async (commands) => {
+  if (!eslService.isEnabled()) throw new Error('The FreeSWITCH Event Socket is not configured (FREESWITCH_ESL_NODES)');
+  const results = await eslService.run(commands);
+  const answered = results.filter(result => result.responses.length === commands.length);
+  const unreachable = results.filter(result => result.responses.length !== commands.length).map(({ node, error }) => ({ node, error }));
+  if (answered.length === 0) {
+    throw new Error(`No FreeSWITCH node answered: ${unreachable.map(result => `${result.node} (${result.error})`).join(', ')}`);
+  }
+  return { answered, unreachable };
+};
+
+/**
+ * Lists a tenant's registrations on every node.
+ * @param {string} domainName - Domain name of the tenant.
+ * @returns {Promise<Object>} { registrations, unreachable_nodes }.
+ */
+const findRegistrations = async (domainName) => {
+  const { answered, unreachable } = await queryNodes([`sofia status profile ${eslService.REGISTRATION_PROFILE} reg`]);
+  const domain = domainName.toLowerCase();
+  const registrations = answered
+    .flatMap(result => sofiaStatus.parseRegistrations(result.responses[0]).map(registration => ({ node: result.node, ...registration })))
+    .filter(registration => registration.domain.toLowerCase() === domain)
+    .sort((a, b) => a.user_id.localeCompare(b.user_id) || a.node.localeCompare(b.node));
+  return { registrations, unreachable_nodes: unreachable };
+};
+
+/**
+ * Builds the state of gateways on every node.
+ * @param {Array<Object>} gateways - External gateways.
+ * @returns {Promise<Object>} { gateways: [{ gateway, register, nodes: [{ node, found, ...state }] }], unreachable_nodes }.
+ */
+const findGatewayStatuses = async (gateways) => {
+  if (gateways.length === 0) return { gateways: [], unreachable_nodes: [] };
+  const { answered, unreachable } = await queryNodes(gateways.map(gateway => `sofia status gateway ${gateway.name}`));
+  return {
+    gateways: gateways.map((gateway, index) => ({
+      gateway: gateway.name,
+      register: Boolean(gateway.register),
+      nodes: answered.map(result => {
+        const status = sofiaStatus.parseGatewayStatus(result.responses[index]);
+        // found is false when the node has not loaded the gateway (e.g., a new gateway before `sofia profile rescan`)
+        return status ? { node: result.node, found: true, ...status } : { node: result.node, found: false };
+      }),
+    })),
+    unreachable_nodes: unreachable,
+  };
+};
+
+const registrationService = {
+  /**
+   * Get the registrations of a tenant's SIP clients.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<Object|null>} { domain_name, registrations, unreachable_nodes }, or null if the tenant is not found.
+   * @throws {Error} If the Event Socket is not configured or no node answered.
+   */
+  getRegistrations: async (domainName) => {
+    try {
+      const tenant = await tenantService.getTenantByDomain(domainName);
+      if (!tenant) return null;
+      return { domain_name: tenant.domain_name, ...await findRegistrations(tenant.domain_name) };
+    } catch (error) {
+      console.error('Error in registrationService.getRegistrations:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the registrations of one SIP client (a phone may register from several devices).
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} userId - The SIP client's user_id.
+   * @returns {Promise<Object|null>} { user_id, registered, registrations, unreachable_nodes }, or null if the tenant is not found.
+   * @throws {Error} "SIP client not found", or if the Event Socket is not configured or no node answered.
+   */
+  getSipClientRegistrations: async (domainName, userId) => {
+    try {
+      const tenant = await tenantService.getTenantByDomain(domainName);
+      if (!tenant) return null;
+      if (!(tenant.sip_clients || []).some(client => client.user_id === userId)) throw new Error('SIP client not found');
+      const { registrations, unreachable_nodes } = await findRegistrations(tenant.domain_name);
+      const own = registrations.filter(registration => registration.user_id === userId);
+      return { user_id: userId, registered: own.length > 0, registrations: own, unreachable_nodes };
+    } catch (error) {
+      console.error('Error in registrationService.getSipClientRegistrations:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the registration state of every external gateway.
+   * @returns {Promise<Object>} { gateways, unreachable_nodes }.
+   * @throws {Error} If the Event Socket is not configured or no node answered.
+   */
+  getGatewayStatuses: async () => {
+    try {
+      return await findGatewayStatuses(await globalConfigService.getAllExternalGateways());
+    } catch (error) {
+      console.error('Error in registrationService.getGatewayStatuses:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the registration state of one external gateway.
+   * @param {string} gatewayName - The gateway's name.
+   * @returns {Promise<Object|null>} { gateway, register, nodes, unreachable_nodes }, or null if the gateway is not found.
+   * @throws {Error} If the Event Socket is not configured or no node answered.
+   */
+  getGatewayStatus: async (gatewayName) => {
+    try {
+      const gateway = await globalConfigService.getExternalGateway(gatewayName);
+      if (!gateway) return null;
+      const { gateways, unreachable_nodes } = await findGatewayStatuses([gateway]);
+      return { ...gateways[0], unreachable_nodes };
+    } catch (error) {
+      console.error('Error in registrationService.getGatewayStatus:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = registrationService;
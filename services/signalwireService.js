@@ -1,6 +1,8 @@
 // services/signalwireService.js
 
 const fetch = require('node-fetch'); // Ensure node-fetch is installed (v2.x for require) or use native fetch if Node.js 18+
+const CnamCache = require('../models/CnamCache');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
 
 // Load SignalWire credentials from environment variables
 const SIGNALWIRE_PROJECT_ID = process.env.SIGNALWIRE_PROJECT_ID;
@@ -13,16 +15,111 @@ if (!SIGNALWIRE_PROJECT_ID || !SIGNALWIRE_API_TOKEN || !SIGNALWIRE_SPACE_URL) {
     console.warn('Please ensure SIGNALWIRE_PROJECT_ID, SIGNALWIRE_API_TOKEN, and SIGNALWIRE_SPACE_URL are set.');
 }
 
+// CNAM lookups during call setup (getCallerName):
+// - results, including "no name found", are cached in MongoDB for CNAM_CACHE_TTL_HOURS (default 168, one week);
+// - the lookup, cache read included, is abandoned after CNAM_LOOKUP_TIMEOUT_MS (default 1500) and the call keeps the carrier's caller name;
+// - after CNAM_BREAKER_FAILURES consecutive failures (default 5) the API is not called for CNAM_BREAKER_COOLDOWN_MS (default 60000).
+const CNAM_CACHE_TTL_MS = (parseFloat(process.env.CNAM_CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+const CNAM_LOOKUP_TIMEOUT_MS = parseInt(process.env.CNAM_LOOKUP_TIMEOUT_MS, 10) || 1500;
+
+const cnamBreaker = createCircuitBreaker({
+    name: 'SignalWire CNAM',
+    failureThreshold: parseInt(process.env.CNAM_BREAKER_FAILURES, 10) || 5,
+    cooldownMs: parseInt(process.env.CNAM_BREAKER_COOLDOWN_MS, 10) || 60000,
+});
+
+/**
+ * Formats a phone number for the SignalWire lookup API (10-digit US numbers get the +1 prefix).
+ * @param {string} phoneNumber The phone number (e.g., "+15551234567" or "5551234567").
+ * @returns {string} The number to look up.
+ */
+const formatPhoneNumber = (phoneNumber) => {
+    if (phoneNumber.length === 10 && !phoneNumber.startsWith('+1')) {
+        return `+1${phoneNumber}`;
+    }
+    if (!phoneNumber.startsWith('+')) {
+        // If it's not a 10-digit US number, and no '+', this might be an issue.
+        // For safety, SignalWire generally expects E.164.
+        console.warn(`WARN: Phone number ${phoneNumber} might not be in E.164 format. Attempting lookup as is.`);
+    }
+    return phoneNumber;
+};
+
+// Outcomes of getCallerName since startup
+const cnamStats = { cache_hits: 0, api_lookups: 0, skipped_by_breaker: 0, failures: 0 };
+
+/**
+ * Rejects after a delay, for racing a lookup against its deadline.
+ * @param {number} ms Delay in milliseconds.
+ * @returns {{promise: Promise<never>, cancel: Function}} The timeout promise and a function clearing the timer.
+ */
+const deadline = (ms) => {
+    let timer;
+    const promise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`CNAM lookup timed out after ${ms} ms`)), ms);
+    });
+    return { promise, cancel: () => clearTimeout(timer) };
+};
+
+/**
+ * Looks a number up in the CNAM cache, then (if the circuit breaker allows it) in the SignalWire API, caching the result.
+ * @param {string} formattedPhoneNumber The number in the format sent to SignalWire.
+ * @param {number} startedAt When getCallerName started (ms), to give the API call the rest of the deadline.
+ * @returns {Promise<Object|null>} The lookup response if a caller name was found, otherwise null.
+ * @throws {Error} If the cache or the API call fails.
+ */
+const cachedCnamLookup = async (formattedPhoneNumber, startedAt) => {
+    const cached = await CnamCache.findOne({ phone_number: formattedPhoneNumber, expires_at: { $gt: new Date() } }).lean();
+    if (cached) {
+        cnamStats.cache_hits++;
+        return cached.found ? cached.data : null;
+    }
+
+    if (!cnamBreaker.canRequest()) {
+        cnamStats.skipped_by_breaker++;
+        console.log(`DEBUG: SignalWire CNAM circuit breaker is open; no lookup for ${formattedPhoneNumber}.`);
+        return null;
+    }
+
+    cnamStats.api_lookups++;
+    let data;
+    try {
+        data = await signalwireService.lookupCnam(formattedPhoneNumber, { timeout: Math.max(CNAM_LOOKUP_TIMEOUT_MS - (Date.now() - startedAt), 1) });
+        cnamBreaker.recordSuccess();
+    } catch (error) {
+        // 4xx answers other than auth and rate limiting are about the number, not the API: cache them as "not found"
+        if (error.statusCode >= 400 && error.statusCode < 500 && ![401, 403, 408, 429].includes(error.statusCode)) {
+            cnamBreaker.recordSuccess();
+            data = null;
+        } else {
+            cnamBreaker.recordFailure(error);
+            throw error;
+        }
+    }
+
+    const callerName = data?.cnam?.caller_id || '';
+    // Not awaited: the caller does not need to wait for the cache write
+    CnamCache.updateOne(
+        { phone_number: formattedPhoneNumber },
+        { $set: { found: Boolean(callerName), caller_name: callerName, data, expires_at: new Date(Date.now() + CNAM_CACHE_TTL_MS) } },
+        { upsert: true }
+    ).catch(error => console.error(`ERROR: Failed to cache CNAM result for ${formattedPhoneNumber}:`, error.message));
+
+    return callerName ? data : null;
+};
+
 const signalwireService = {
     /**
      * Performs a CNAM lookup for a given phone number using the SignalWire API.
      * This function contains the direct API interaction logic.
      *
      * @param {string} phoneNumber The phone number to lookup (e.g., "+15551234567" or "5551234567").
-     * @returns {Promise<string|null>} The CNAM (Caller ID Name) if found, otherwise null.
-     * @throws {Error} If the API call fails or returns an error status.
+     * @param {Object} [options={}] Lookup options.
+     * @param {number} [options.timeout=0] Abort the request after this many milliseconds (0: no timeout).
+     * @returns {Promise<Object|null>} The lookup response (with `cnam.caller_id`) if found, otherwise null.
+     * @throws {Error} If the API call fails, times out or returns an error status.
      */
-    lookupCnam: async (phoneNumber) => {
+    lookupCnam: async (phoneNumber, options = {}) => {
         if (!phoneNumber) {
             throw new Error('Phone number is required for CNAM lookup.');
         }
@@ -32,16 +129,7 @@ const signalwireService = {
         }
 
         // Normalize phoneNumber to ensure it starts with +1 if it's a 10-digit US number
-        // Assuming your input `phoneNumber` might be `5551234567` and needs `+1` prefix
-        let formattedPhoneNumber = phoneNumber;
-        if (phoneNumber.length === 10 && !phoneNumber.startsWith('+1')) {
-            formattedPhoneNumber = `+1${phoneNumber}`;
-        } else if (!phoneNumber.startsWith('+')) {
-            // If it's not a 10-digit US number, and no '+', this might be an issue.
-            // For safety, SignalWire generally expects E.164.
-            // Add more robust number formatting here if needed.
-            console.warn(`WARN: Phone number ${phoneNumber} might not be in E.164 format. Attempting lookup as is.`);
-        }
+        const formattedPhoneNumber = formatPhoneNumber(phoneNumber);
 
         // SignalWire Relay REST Lookup API endpoint
         // Using the endpoint provided in your last message.
@@ -59,6 +147,7 @@ const signalwireService = {
                     'Authorization': authHeader,
                     'Accept': 'application/json', // Request JSON response
                 },
+                timeout: options.timeout || 0,
             });
 
             if (!response.ok) {
@@ -103,6 +192,92 @@ const signalwireService = {
             throw error; // Re-throw to be handled by the controller
         }
     },
+
+    /**
+     * Looks up the caller name for an inbound call: from the CNAM cache, or from SignalWire within CNAM_LOOKUP_TIMEOUT_MS.
+     * Never throws: when the number cannot be looked up, the deadline passes, the API fails or the circuit breaker is open,
+     * it returns null and the call keeps the caller name provided by the carrier.
+     *
+     * @param {string} phoneNumber The caller's number.
+     * @returns {Promise<Object|null>} The lookup response (with `cnam.caller_id`) if a caller name was found, otherwise null.
+     */
+    getCallerName: async (phoneNumber) => {
+        if (!/^\+?[0-9]{7,15}$/.test(String(phoneNumber || ''))) {
+            return null; // Anonymous, internal or malformed caller ID
+        }
+
+        const startedAt = Date.now();
+        const timeout = deadline(CNAM_LOOKUP_TIMEOUT_MS);
+        try {
+            return await Promise.race([cachedCnamLookup(formatPhoneNumber(phoneNumber), startedAt), timeout.promise]);
+        } catch (error) {
+            cnamStats.failures++;
+            console.warn(`WARN: CNAM lookup for ${phoneNumber} failed (${error.message}); using the carrier caller name.`);
+            return null;
+        } finally {
+            timeout.cancel();
+        }
+    },
+
+    /**
+     * Lists cached CNAM results, most recently updated first.
+     *
+     * @param {Object} [filter={}] Filter options.
+     * @param {string} [filter.phoneNumber] Only the entry for this number.
+     * @param {number} [filter.limit=100] Maximum number of entries.
+     * @returns {Promise<Object>} { total, entries }.
+     */
+    getCnamCacheEntries: async ({ phoneNumber, limit = 100 } = {}) => {
+        try {
+            const query = phoneNumber ? { phone_number: formatPhoneNumber(phoneNumber) } : {};
+            const [total, entries] = await Promise.all([
+                CnamCache.countDocuments(query),
+                CnamCache.find(query).sort({ updatedAt: -1 }).limit(limit).lean(),
+            ]);
+            return { total, entries };
+        } catch (error) {
+            console.error('Error in signalwireService.getCnamCacheEntries:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Removes a number from the CNAM cache, so that the next call from it is looked up again.
+     *
+     * @param {string} phoneNumber The number.
+     * @returns {Promise<boolean>} True if an entry was removed.
+     */
+    deleteCnamCacheEntry: async (phoneNumber) => {
+        try {
+            const result = await CnamCache.deleteOne({ phone_number: formatPhoneNumber(phoneNumber) });
+            return result.deletedCount > 0;
+        } catch (error) {
+            console.error('Error in signalwireService.deleteCnamCacheEntry:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * CNAM lookup settings, counters and circuit breaker state.
+     *
+     * @returns {Object} { cache_ttl_hours, lookup_timeout_ms, stats, breaker }.
+     */
+    getCnamStatus: () => ({
+        cache_ttl_hours: CNAM_CACHE_TTL_MS / (60 * 60 * 1000),
+        lookup_timeout_ms: CNAM_LOOKUP_TIMEOUT_MS,
+        stats: { ...cnamStats },
+        breaker: cnamBreaker.getState(),
+    }),
+
+    /**
+     * Closes the CNAM circuit breaker, e.g. once SignalWire is known to be back.
+     *
+     * @returns {Object} The breaker state.
+     */
+    resetCnamBreaker: () => {
+        cnamBreaker.reset();
+        return cnamBreaker.getState();
+    },
 };
 
 module.exports = signalwireService;
\ No newline at end of file
@@ -0,0 +1,285 @@
+// services/tenantCache.js
+// In-memory cache of tenants, keyed by domain name and by active DID number, used by tenantService.
+//
+// Setting up a single call can trigger several xml_curl lookups (directory, dialplan, voicemail), and each one
+// needs the tenant. Cached entries are dropped:
+// - right away when tenantService changes a tenant in this process;
+// - when a MongoDB change stream on the tenants collection reports a change, including changes made by other
+//   processes or directly in the database;
+// - after TENANT_CACHE_TTL_MS (default 30000) while no change stream is open (e.g. a standalone MongoDB without a replica set).
+// Set TENANT_CACHE_ENABLED=false to disable the cache.
+// Cached tenants are plain objects shared by every caller: they must not be modified.
+//
+// The cache also holds each tenant's enabled caller filters (models/CallerFilter.js), checked on every inbound DID call.
+// They live in their own collection and are dropped the same way, through a change stream on that collection or
+// after the TTL. Updates that only count hits are not changes.
+const ENABLED = process.env.TENANT_CACHE_ENABLED !== 'false';
+const TTL_MS = parseInt(process.env.TENANT_CACHE_TTL_MS, 10) || 30000;
+const WATCH_RETRY_MS = 60000;
+const CHANGE_STREAMS_UNSUPPORTED = 40573; // MongoDB error code on servers that are not replica set members
+const HIT_FIELDS = ['hits', 'last_hit_at', 'updatedAt']; // Fields set by callerFilterService when counting a hit
+
+const entries = new Map(); // domain_name -> { tenant, expiresAt }
+const domainsById = new Map(); // tenant _id -> domain_name
+const domainsByDid = new Map(); // active did_number -> domain_name
+const callerFilterEntries = new Map(); // domain_name -> { filters, expiresAt }
+const stats = { hits: 0, misses: 0, invalidations: 0 };
+
+let generation = 0;
+let callerFilterGeneration = 0;
+const tenantStream = { name: 'Tenant cache', changeStream: null, open: false };
+const callerFilterStream = { name: 'Caller filter cache', changeStream: null, open: false };
+
+/**
+ * Expiry time of a new cache entry: none while the change stream of its collection is open.
+ * @param {Object} stream - tenantStream or callerFilterStream.
+ * @returns {number} The expiry timestamp.
+ */
+const expiresAt = (stream) => (stream.open ? Infinity : Date.now() + TTL_MS);
+
+/**
+ * Removes a tenant and its indexes from the cache.
+ * @param {string} domainName - Domain name of the tenant.
+ */
+const remove = (domainName) => {
+  const entry = entries.get(domainName);
+  if (!entry) return;
+  entries.delete(domainName);
+  domainsById.delete(String(entry.tenant._id));
+  (entry.tenant.dids || []).forEach(did => {
+    if (domainsByDid.get(did.did_number) === domainName) domainsByDid.delete(did.did_number);
+  });
+};
+
+/**
+ * Returns a cached tenant that has not expired, counting the hit or miss.
+ * @param {string|undefined} domainName - Domain name of the tenant.
+ * @returns {Object|undefined} The tenant, or undefined on a miss.
+ */
+const lookup = (domainName) => {
+  const entry = domainName ? entries.get(domainName) : undefined;
+  if (entry && entry.expiresAt > Date.now()) {
+    stats.hits++;
+    return entry.tenant;
+  }
+  if (entry) remove(domainName);
+  stats.misses++;
+  return undefined;
+};
+
+/**
+ * Watches a model's collection with a change stream. Until the stream has opened, and whenever it fails, the cached
+ * entries of the collection are dropped with reset() and new ones expire after the TTL; watching is retried later.
+ * @param {Object} stream - tenantStream or callerFilterStream.
+ * @param {Object} Model - The model to watch.
+ * @param {Function} reset - Drops every cached entry of the collection.
+ * @param {Function} onChange - Handles a change event.
+ */
+const watchCollection = (stream, Model, reset, onChange) => {
+  if (!ENABLED || stream.changeStream) return;
+
+  const fallBackToTtl = (error) => {
+    if (stream.changeStream) {
+      stream.changeStream.removeAllListeners();
+      stream.changeStream.on('error', () => {});
+      stream.changeStream.close().catch(() => {});
+    }
+    stream.changeStream = null;
+    stream.open = false;
+    reset();
+    if (error.code === CHANGE_STREAMS_UNSUPPORTED) {
+      console.warn(`WARN: MongoDB does not support change streams; ${stream.name.toLowerCase()} entries expire after ${TTL_MS} ms.`);
+      return;
+    }
+    console.warn(`WARN: ${stream.name} change stream failed (${error.message}); entries expire after ${TTL_MS} ms. Retrying in ${WATCH_RETRY_MS / 1000} s.`);
+    setTimeout(() => watchCollection(stream, Model, reset, onChange), WATCH_RETRY_MS).unref();
+  };
+
+  let changeStream;
+  try {
+    changeStream = Model.watch();
+  } catch (error) {
+    fallBackToTtl(error);
+    return;
+  }
+  stream.changeStream = changeStream;
+  // The first resume token arrives once the server has accepted the change stream
+  changeStream.once('resumeTokenChanged', () => {
+    // Entries cached with a TTL before the stream opened may have missed changes; start over
+    reset();
+    stream.open = true;
+    console.log(`INFO: ${stream.name} is invalidated through a MongoDB change stream.`);
+  });
+  changeStream.on('change', onChange);
+  changeStream.on('error', fallBackToTtl);
+  changeStream.on('close', () => {
+    if (stream.changeStream) fallBackToTtl(new Error('change stream closed'));
+  });
+};
+
+const tenantCache = {
+  /**
+   * Get a cached tenant by domain name.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Object|undefined} The tenant, or undefined if it is not cached.
+   */
+  getByDomain: (domainName) => (ENABLED ? lookup(domainName) : undefined),
+
+  /**
+   * Get a cached tenant by one of its active DIDs.
+   * @param {string} didNumber - The DID number.
+   * @returns {Object|undefined} The tenant, or undefined if it is not cached.
+   */
+  getByDid: (didNumber) => (ENABLED ? lookup(domainsByDid.get(didNumber)) : undefined),
+
+  /**
+   * Current invalidation counter. Read it before loading a tenant from the database and pass it to set(),
+   * so that a tenant changed while it was loading is not cached.
+   * @returns {number} The counter.
+   */
+  generation: () => generation,
+
+  /**
+   * Caches a tenant loaded from the database.
+   * @param {Object} tenant - Tenant as a plain object (toObject()).
+   * @param {number} loadedAt - generation() read before the tenant was loaded.
+   * @returns {Object} The tenant.
+   */
+  set: (tenant, loadedAt) => {
+    if (!ENABLED || loadedAt !== generation) return tenant;
+    remove(tenant.domain_name);
+    entries.set(tenant.domain_name, { tenant, expiresAt: expiresAt(tenantStream) });
+    domainsById.set(String(tenant._id), tenant.domain_name);
+    (tenant.dids || []).filter(did => did.active).forEach(did => domainsByDid.set(did.did_number, tenant.domain_name));
+    return tenant;
+  },
+
+  /**
+   * Drops a tenant from the cache.
+   * @param {string} domainName - Domain name of the tenant.
+   */
+  invalidate: (domainName) => {
+    generation++;
+    stats.invalidations++;
+    remove(domainName);
+  },
+
+  /**
+   * Drops a tenant from the cache by its document _id (from change stream events).
+   * @param {Object|string} id - The tenant's _id.
+   */
+  invalidateById: (id) => {
+    const domainName = domainsById.get(String(id));
+    generation++;
+    stats.invalidations++;
+    if (domainName) remove(domainName);
+  },
+
+  /**
+   * Empties the cache.
+   */
+  clear: () => {
+    generation++;
+    stats.invalidations++;
+    entries.clear();
+    domainsById.clear();
+    domainsByDid.clear();
+  },
+
+  /**
+   * Get a tenant's cached caller filters.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Array<Object>|undefined} The tenant's enabled caller filters, or undefined if they are not cached.
+   */
+  getCallerFilters: (domainName) => {
+    const entry = ENABLED ? callerFilterEntries.get(domainName) : undefined;
+    if (entry && entry.expiresAt > Date.now()) return entry.filters;
+    if (entry) callerFilterEntries.delete(domainName);
+    return undefined;
+  },
+
+  /**
+   * Caller filter invalidation counter, used like generation().
+   * @returns {number} The counter.
+   */
+  callerFilterGeneration: () => callerFilterGeneration,
+
+  /**
+   * Caches a tenant's caller filters loaded from the database.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Array<Object>} filters - The tenant's enabled caller filters, as plain objects.
+   * @param {number} loadedAt - callerFilterGeneration() read before the filters were loaded.
+   * @returns {Array<Object>} The filters.
+   */
+  setCallerFilters: (domainName, filters, loadedAt) => {
+    if (ENABLED && loadedAt === callerFilterGeneration) {
+      callerFilterEntries.set(domainName, { filters, expiresAt: expiresAt(callerFilterStream) });
+    }
+    return filters;
+  },
+
+  /**
+   * Drops a tenant's caller filters from the cache.
+   * @param {string} domainName - Domain name of the tenant.
+   */
+  invalidateCallerFilters: (domainName) => {
+    callerFilterGeneration++;
+    callerFilterEntries.delete(domainName);
+  },
+
+  /**
+   * Drops every tenant's caller filters from the cache.
+   */
+  clearCallerFilters: () => {
+    callerFilterGeneration++;
+    callerFilterEntries.clear();
+  },
+
+  /**
+   * Watches a model's collection with a change stream and invalidates changed tenants.
+   * If change streams are not supported or the stream fails, entries expire after the TTL and watching is retried later.
+   * @param {Object} Model - The Tenant model.
+   */
+  watch: (Model) => watchCollection(tenantStream, Model, tenantCache.clear, (change) => {
+    if (change.documentKey) {
+      tenantCache.invalidateById(change.documentKey._id);
+    } else {
+      tenantCache.clear(); // drop, rename or invalidate events
+    }
+  }),
+
+  /**
+   * Watches the caller filter collection with a change stream, like watch().
+   * Delete events do not carry the tenant, so any change drops the caller filters of every tenant.
+   * @param {Object} Model - The CallerFilter model.
+   */
+  watchCallerFilters: (Model) => watchCollection(callerFilterStream, Model, tenantCache.clearCallerFilters, (change) => {
+    const { updatedFields = {}, removedFields = [] } = change.updateDescription || {};
+    const countsHit = change.operationType === 'update' && removedFields.length === 0 &&
+      Object.keys(updatedFields).every(field => HIT_FIELDS.includes(field));
+    if (!countsHit) tenantCache.clearCallerFilters();
+  }),
+
+  /**
+   * Cache statistics.
+   * @returns {Object} { enabled, invalidation ("change_stream" or "ttl"), ttl_ms, size, dids, hits, misses, hit_rate, invalidations,
+   * caller_filter_tenants }.
+   */
+  getStats: () => {
+    const lookups = stats.hits + stats.misses;
+    return {
+      enabled: ENABLED,
+      invalidation: tenantStream.open ? 'change_stream' : 'ttl',
+      ttl_ms: tenantStream.open ? null : TTL_MS,
+      size: entries.size,
+      dids: domainsByDid.size,
+      hits: stats.hits,
+      misses: stats.misses,
+      hit_rate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null,
+      invalidations: stats.invalidations,
+      caller_filter_tenants: callerFilterEntries.size,
+    };
+  },
+};
+
+module.exports = tenantCache;
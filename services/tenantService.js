@@ -1,23 +1,91 @@
 // services/tenantService.js
 const Tenant = require('../models/Tenant'); // Import your Tenant model
+const featureCodes = require('../utils/featureCodes');
+const secrets = require('../utils/secrets');
+const numberPlanService = require('./numberPlanService');
+const tenantCache = require('./tenantCache');
+const callerNameService = require('./callerNameService');
+const phoneNumbers = require('../utils/phoneNumbers');
+const xmlGenerator = require('../utils/xmlGenerator');
+const callerFilterService = require('./callerFilterService');
+const apiTokenService = require('./apiTokenService');
+const eslService = require('./eslService');
+
+// Tenant fields holding dialable identifiers (see services/numberPlanService.js)
+const NUMBER_PLAN_FIELDS = ['sip_clients', 'groups', 'call_center_queues', 'conference_rooms', 'dialplan', 'feature_codes'];
+
+// SIP client fields feature codes may set (see setSipClientFeatureState)
+const FEATURE_STATE_FIELDS = ['call_forward_unconditional', 'do_not_disturb'];
+
+/**
+ * Replaces a SIP client's `password` with its FreeSWITCH a1-hash, so the password itself is never stored.
+ * Secrets missing from the data (e.g. a PUT body built from a redacted GET response) are kept from the existing client.
+ * @param {string} domainName - Domain name of the tenant (part of the hash).
+ * @param {Object} clientData - SIP client data, possibly with `password`.
+ * @param {Object} [existingClient] - The stored client being replaced, if any.
+ * @returns {Object} The client data with `a1_hash` and without `password`.
+ */
+const hashSipClientPassword = (domainName, clientData, existingClient = null) => {
+  const { password, ...client } = clientData;
+  if (existingClient) {
+    secrets.SECRET_FIELDS.forEach(field => {
+      if (client[field] === undefined && existingClient[field] !== undefined) client[field] = existingClient[field];
+    });
+  }
+  if (password) {
+    client.a1_hash = secrets.computeA1Hash(client.user_id, domainName, password);
+  }
+  return client;
+};
+
+/**
+ * Saves a changed tenant document, drops it from the tenant cache and has FreeSWITCH reload its configuration.
+ * @param {Object} tenant - Tenant Mongoose document.
+ * @returns {Promise<void>}
+ */
+const saveTenant = async (tenant) => {
+  await tenant.save();
+  tenantCache.invalidate(tenant.domain_name);
+  eslService.tenantChanged(tenant.domain_name); // Best effort, not awaited (see services/eslService.js)
+};
 
 const tenantService = {
   /**
-   * Fetch tenant by domain name.
+   * Fetch tenant by domain name. Served from the tenant cache when possible (see services/tenantCache.js),
+   * so the returned object must not be modified.
    * @param {string} domainName - Fully qualified domain name.
    * @returns {Promise<Object|null>} Tenant document object or null if not found.
    */
   getTenantByDomain: async (domainName) => {
     if (!domainName) return null;
     try {
+      const cached = tenantCache.getByDomain(domainName);
+      if (cached) return cached;
+
+      const generation = tenantCache.generation();
       const tenant = await Tenant.findOne({ domain_name: domainName });
-      return tenant ? tenant.toObject() : null;
+      return tenant ? tenantCache.set(tenant.toObject(), generation) : null;
     } catch (error) {
       console.error('Error in tenantService.getTenantByDomain:', error);
       throw error;
     }
   },
 
+  /**
+   * Starts invalidating the tenant cache, and the caller filters it holds, through MongoDB change streams.
+   * Call once connected to MongoDB.
+   */
+  watchTenantChanges: () => {
+    tenantCache.watch(Tenant);
+    callerFilterService.watchFilterChanges();
+  },
+
+  /**
+   * Get tenant cache statistics.
+   * @returns {Object} Hits, misses, size and invalidation mode (see services/tenantCache.js).
+   */
+  getCacheStats: () => tenantCache.getStats(),
+
   /**
    * Get all tenants.
    * @returns {Promise<Array<Object>>} Array of tenant document objects.
@@ -36,7 +104,7 @@ const tenantService = {
    * Create a new tenant.
    * @param {Object} tenantData - Data for the new tenant.
    * @returns {Promise<Object>} The created tenant document object.
-   * @throws {Error} If profile data is missing or tenant creation fails.
+   * @throws {Error} If profile data is missing or tenant creation fails, or the change causes a number plan conflict.
    */
   createTenant: async (tenantData) => {
     try {
@@ -44,12 +112,20 @@ const tenantService = {
         throw new Error('Profile data is required for a new tenant.');
       }
       if (!tenantData.sip_clients) tenantData.sip_clients = [];
+      tenantData.sip_clients = tenantData.sip_clients.map(client => hashSipClientPassword(tenantData.domain_name, client));
       if (!tenantData.dialplan || !tenantData.dialplan.default) tenantData.dialplan = { default: [] };
       if (!tenantData.groups) tenantData.groups = [];
       if (!tenantData.dids) tenantData.dids = [];
+      if (!tenantData.schedules) tenantData.schedules = [];
+      if (!tenantData.ivr_menus) tenantData.ivr_menus = [];
+      if (!tenantData.call_center_queues) tenantData.call_center_queues = [];
+      if (!tenantData.conference_rooms) tenantData.conference_rooms = [];
+      numberPlanService.assertNoNewConflicts(tenantData);
 
       const newTenant = new Tenant(tenantData);
       await newTenant.save();
+      tenantCache.invalidate(newTenant.domain_name);
+      eslService.tenantChanged(newTenant.domain_name);
       return newTenant.toObject();
     } catch (error) {
       console.error('Error in tenantService.createTenant:', error);
@@ -62,15 +138,60 @@ const tenantService = {
    * @param {string} domainName - Domain name of the tenant to update.
    * @param {Object} updateData - Data to update the tenant with.
    * @returns {Promise<Object|null>} The updated tenant document object or null if not found.
-   * @throws {Error} If tenant update fails.
+   * @throws {Error} If tenant update fails, domain_name changes without new passwords for the SIP clients,
+   * or the change causes a number plan conflict.
    */
   updateTenant: async (domainName, updateData) => {
     try {
+      if (updateData.billing !== undefined) {
+        // Billing is changed by global admins only, through updateBillingSettings
+        const { billing, ...otherData } = updateData;
+        updateData = otherData;
+      }
+      const renamed = Boolean(updateData.domain_name) && updateData.domain_name !== domainName;
+      const changesNumberPlan = NUMBER_PLAN_FIELDS.some(field => updateData[field] !== undefined);
+      let removedUserIds = []; // Registrations to flush: SIP clients left out of the update, or all of them on a rename
+      if (renamed || changesNumberPlan) {
+        const existingTenant = await Tenant.findOne({ domain_name: domainName });
+        if (!existingTenant) return null;
+        const currentTenant = existingTenant.toObject();
+        if (renamed || updateData.sip_clients) {
+          const keptUserIds = renamed ? [] : updateData.sip_clients.map(client => client.user_id);
+          removedUserIds = currentTenant.sip_clients.map(client => client.user_id).filter(userId => !keptUserIds.includes(userId));
+        }
+
+        if (renamed || updateData.sip_clients) {
+          // The domain is part of every a1-hash, so renaming a tenant needs every SIP password again
+          const sipClients = updateData.sip_clients || currentTenant.sip_clients;
+          if (renamed && sipClients.some(client => !client.password)) {
+            throw new Error('Changing domain_name requires a new password for every SIP client');
+          }
+          updateData = {
+            ...updateData,
+            sip_clients: sipClients.map(client => {
+              const existingClient = currentTenant.sip_clients.find(c => c.user_id === client.user_id);
+              return hashSipClientPassword(updateData.domain_name || domainName, client, existingClient || null);
+            }),
+          };
+        }
+        numberPlanService.assertNoNewConflicts({ ...currentTenant, ...updateData }, numberPlanService.findConflicts(currentTenant));
+      }
+
       const tenant = await Tenant.findOneAndUpdate(
         { domain_name: domainName },
         { $set: updateData },
         { new: true, runValidators: true }
       );
+      tenantCache.invalidate(domainName);
+      if (tenant && tenant.domain_name !== domainName) {
+        tenantCache.invalidate(tenant.domain_name);
+        await callerFilterService.renameTenant(domainName, tenant.domain_name);
+        await apiTokenService.renameTenant(domainName, tenant.domain_name);
+      }
+      if (tenant) {
+        eslService.tenantChanged(tenant.domain_name);
+        eslService.flushRegistrations(domainName, removedUserIds);
+      }
       return tenant ? tenant.toObject() : null;
     } catch (error) {
       console.error('Error in tenantService.updateTenant:', error);
@@ -79,15 +200,22 @@ const tenantService = {
   },
 
   /**
-   * Delete a tenant by domain name.
+   * Delete a tenant by domain name. Its API tokens are revoked first, so a failed deletion never leaves them usable
+   * for a tenant created later under the same name.
    * @param {string} domainName - Domain name of the tenant to delete.
    * @returns {Promise<boolean>} True if a tenant was deleted, false otherwise.
    * @throws {Error} If tenant deletion fails.
    */
   deleteTenant: async (domainName) => {
     try {
-      const result = await Tenant.deleteOne({ domain_name: domainName });
-      return result.deletedCount > 0;
+      await apiTokenService.revokeTenantTokens(domainName);
+      const deletedTenant = await Tenant.findOneAndDelete({ domain_name: domainName });
+      tenantCache.invalidate(domainName);
+      if (!deletedTenant) return false;
+      await callerFilterService.deleteTenantFilters(domainName);
+      eslService.tenantChanged(domainName);
+      eslService.flushRegistrations(domainName, deletedTenant.sip_clients.map(client => client.user_id));
+      return true;
     } catch (error) {
       console.error('Error in tenantService.deleteTenant:', error);
       throw error;
@@ -135,21 +263,24 @@ const tenantService = {
    * @param {string} domainName - Domain name of the tenant.
    * @param {Object} clientData - Data for the new SIP client.
    * @returns {Promise<Object>} The added SIP client object.
-   * @throws {Error} If tenant not found or SIP client already exists.
+   * @throws {Error} If tenant not found or SIP client already exists, or the change causes a number plan conflict.
    */
   addSipClient: async (domainName, clientData) => {
     try {
       const tenant = await Tenant.findOne({ domain_name: domainName });
       if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
 
       const existingClient = tenant.sip_clients.find(client => client.user_id === clientData.user_id);
       if (existingClient) {
         throw new Error(`User ID '${clientData.user_id}' already exists for tenant '${domainName}'`);
       }
 
-      tenant.sip_clients.push(clientData);
-      await tenant.save();
-      return clientData;
+      const newClient = hashSipClientPassword(domainName, clientData);
+      tenant.sip_clients.push(newClient);
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
+      return newClient;
     } catch (error) {
       console.error('Error in tenantService.addSipClient:', error);
       throw error;
@@ -162,19 +293,25 @@ const tenantService = {
    * @param {string} userId - ID of the SIP user to update.
    * @param {Object} updateData - Data to update the SIP client with.
    * @returns {Promise<Object>} The updated SIP client object.
-   * @throws {Error} If tenant or SIP client not found.
+   * @throws {Error} If tenant or SIP client not found, or the change causes a number plan conflict.
    */
   updateSipClient: async (domainName, userId, updateData) => {
     try {
       const tenant = await Tenant.findOne({ domain_name: domainName });
       if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
 
       const client = tenant.sip_clients.find(c => c.user_id === userId);
       if (!client) throw new Error('SIP client not found');
 
-      Object.assign(client, updateData);
+      // The user ID is part of the a1-hash
+      if (updateData.user_id && updateData.user_id !== userId && !updateData.password) {
+        throw new Error('Changing user_id requires a new password');
+      }
+      Object.assign(client, hashSipClientPassword(domainName, { user_id: userId, ...updateData }));
 
-      await tenant.save();
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
       return client.toObject();
     } catch (error) {
       console.error('Error in tenantService.updateSipClient:', error);
@@ -182,8 +319,35 @@ const tenantService = {
     }
   },
 
+  /**
+   * Set the call forwarding or do-not-disturb state of a SIP client, as feature codes dialed from its phone do.
+   * The dialplan reads this state on every call, so only the tenant cache is invalidated: unlike updateSipClient,
+   * this does not have every FreeSWITCH node reload its XML configuration each time a phone dials a feature code.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} userId - ID of the SIP user.
+   * @param {Object} state - { call_forward_unconditional, do_not_disturb } (either or both).
+   * @returns {Promise<void>}
+   * @throws {Error} If the state holds other fields, or the tenant or SIP client is not found.
+   */
+  setSipClientFeatureState: async (domainName, userId, state) => {
+    try {
+      const update = {};
+      Object.entries(state).forEach(([field, value]) => {
+        if (!FEATURE_STATE_FIELDS.includes(field)) throw new Error(`Feature codes cannot set ${field}`);
+        update[`sip_clients.$.${field}`] = value;
+      });
+
+      const result = await Tenant.updateOne({ domain_name: domainName, 'sip_clients.user_id': userId }, { $set: update });
+      if (result.matchedCount === 0) throw new Error('SIP client not found');
+      tenantCache.invalidate(domainName);
+    } catch (error) {
+      console.error('Error in tenantService.setSipClientFeatureState:', error);
+      throw error;
+    }
+  },
+
   /** Delete a SIP client from a tenant.
-   * Also removes the SIP client from any groups they are a member of within the same tenant.
+   * Also removes the SIP client from any groups and call center queue tiers they are a member of within the same tenant.
    * @param {string} domainName - Domain name of the tenant.
    * @param {string} userId - ID of the SIP user to delete.
    * @returns {Promise<boolean>} True if SIP client was deleted, false otherwise.
@@ -204,6 +368,10 @@ const tenantService = {
         group.members = group.members.filter(member => member.user_id !== userId);
       });
 
+      tenant.call_center_queues.forEach(queue => {
+        queue.tiers = queue.tiers.filter(tier => tier.user_id !== userId);
+      });
+
       tenant.dids.forEach(did => {
         if (did.routing_target_type === 'extension' && did.routing_target_id === userId) {
           did.routing_target_type = 'custom';
@@ -212,7 +380,8 @@ const tenantService = {
         }
       });
 
-      await tenant.save();
+      await saveTenant(tenant);
+      eslService.flushRegistrations(domainName, [userId]);
       return true;
     } catch (error) {
       console.error('Error in tenantService.deleteSipClient:', error);
@@ -278,6 +447,7 @@ const tenantService = {
     try {
       const tenant = await Tenant.findOne({ domain_name: domainName });
       if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
 
       const existingExtension = tenant.dialplan.default.find(ext => ext.name === extensionData.name);
       if (existingExtension) {
@@ -285,7 +455,8 @@ const tenantService = {
       }
 
       tenant.dialplan.default.push(extensionData);
-      await tenant.save();
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
       return extensionData;
     } catch (error) {
       console.error('Error in tenantService.addDialplanExtension:', error);
@@ -305,12 +476,14 @@ const tenantService = {
     try {
       const tenant = await Tenant.findOne({ domain_name: domainName });
       if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
 
       const extIndex = tenant.dialplan.default.findIndex(ext => ext.name === extensionName);
       if (extIndex === -1) throw new Error('Dialplan extension not found');
 
       Object.assign(tenant.dialplan.default[extIndex], updateData);
-      await tenant.save();
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
       return tenant.dialplan.default[extIndex].toObject();
     } catch (error) {
       console.error('Error in tenantService.updateDialplanExtension:', error);
@@ -335,7 +508,7 @@ const tenantService = {
       if (tenant.dialplan.default.length === initialLength) {
         throw new Error('Dialplan extension not found for deletion');
       }
-      await tenant.save();
+      await saveTenant(tenant);
       return true;
     } catch (error) {
       console.error('Error in tenantService.deleteDialplanExtension:', error);
@@ -384,12 +557,13 @@ const tenantService = {
    * @param {string} domainName - Domain name of the tenant.
    * @param {Object} groupData - Data for the new group.
    * @returns {Promise<Object>} The added group object.
-   * @throws {Error} If tenant not found or group name already exists.
+   * @throws {Error} If tenant not found or group name already exists, or the change causes a number plan conflict.
    */
   addGroup: async (domainName, groupData) => {
     try {
       const tenant = await Tenant.findOne({ domain_name: domainName });
       if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
 
       const existingGroup = tenant.groups.find(g => g.name === groupData.name);
       if (existingGroup) {
@@ -397,7 +571,8 @@ const tenantService = {
       }
 
       tenant.groups.push(groupData);
-      await tenant.save();
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
       return groupData;
     } catch (error) {
       console.error('Error in tenantService.addGroup:', error);
@@ -411,18 +586,20 @@ const tenantService = {
    * @param {string} groupName - Name of the group to update.
    * @param {Object} updateData - Data to update the group with.
    * @returns {Promise<Object>} The updated group object.
-   * @throws {Error} If tenant or group not found.
+   * @throws {Error} If tenant or group not found, or the change causes a number plan conflict.
    */
   updateGroup: async (domainName, groupName, updateData) => {
     try {
       const tenant = await Tenant.findOne({ domain_name: domainName });
       if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
 
       const group = tenant.groups.find(g => g.name === groupName);
       if (!group) throw new Error('Group not found');
 
       Object.assign(group, updateData);
-      await tenant.save();
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
       return group.toObject();
     } catch (error) {
       console.error('Error in tenantService.updateGroup:', error);
@@ -456,7 +633,7 @@ const tenantService = {
         }
       });
 
-      await tenant.save();
+      await saveTenant(tenant);
       return true;
     } catch (error) {
       console.error('Error in tenantService.deleteGroup:', error);
@@ -518,7 +695,7 @@ const tenantService = {
       }
 
       tenant.dids.push(didData);
-      await tenant.save();
+      await saveTenant(tenant);
       return didData;
     } catch (error) {
       console.error('Error in tenantService.addDid:', error);
@@ -545,7 +722,7 @@ const tenantService = {
       if (!did) throw new Error('DID not found');
 
       Object.assign(did, updateData);
-      await tenant.save();
+      await saveTenant(tenant);
       return did.toObject();
     } catch (error) {
       console.error('Error in tenantService.updateDid:', error);
@@ -570,7 +747,7 @@ const tenantService = {
       if (tenant.dids.length === initialLength) {
         throw new Error('DID not found for deletion');
       }
-      await tenant.save();
+      await saveTenant(tenant);
       return true;
     } catch (error) {
       console.error('Error in tenantService.deleteDid:', error);
@@ -578,14 +755,778 @@ const tenantService = {
     }
   },
 
+  // --- Schedule Management Methods ---
+  /**
+   * Get all time-of-day schedules for a specific tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<Array<Object>|null>} Array of schedule objects or null if tenant not found.
+   * @throws {Error} If fetching schedules fails.
+   */
+  getSchedules: async (domainName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      return tenant ? tenant.schedules.map(schedule => schedule.toObject()) : null;
+    } catch (error) {
+      console.error('Error in tenantService.getSchedules:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a specific schedule by name for a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} scheduleName - Name of the schedule.
+   * @returns {Promise<Object|null>} Schedule object or null if not found.
+   * @throws {Error} If tenant not found or fetching schedule fails.
+   */
+  getSchedule: async (domainName, scheduleName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const schedule = tenant.schedules.find(s => s.name === scheduleName);
+      return schedule ? schedule.toObject() : null;
+    } catch (error) {
+      console.error('Error in tenantService.getSchedule:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a new schedule to a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} scheduleData - Data for the new schedule.
+   * @returns {Promise<Object>} The added schedule object.
+   * @throws {Error} If tenant not found or schedule name already exists.
+   */
+  addSchedule: async (domainName, scheduleData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+
+      const existingSchedule = tenant.schedules.find(s => s.name === scheduleData.name);
+      if (existingSchedule) {
+        throw new Error(`Schedule with name '${scheduleData.name}' already exists for tenant '${domainName}'`);
+      }
+
+      tenant.schedules.push(scheduleData);
+      await saveTenant(tenant);
+      return scheduleData;
+    } catch (error) {
+      console.error('Error in tenantService.addSchedule:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update an existing schedule for a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} scheduleName - Name of the schedule to update.
+   * @param {Object} updateData - Data to update the schedule with.
+   * @returns {Promise<Object>} The updated schedule object.
+   * @throws {Error} If tenant or schedule not found.
+   */
+  updateSchedule: async (domainName, scheduleName, updateData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+
+      const schedule = tenant.schedules.find(s => s.name === scheduleName);
+      if (!schedule) throw new Error('Schedule not found');
+
+      Object.assign(schedule, updateData);
+      await saveTenant(tenant);
+      return schedule.toObject();
+    } catch (error) {
+      console.error('Error in tenantService.updateSchedule:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a schedule from a tenant.
+   * DIDs that referenced the schedule revert to their regular (always-on) routing.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} scheduleName - Name of the schedule to delete.
+   * @returns {Promise<boolean>} True if schedule was deleted, false otherwise.
+   * @throws {Error} If tenant or schedule not found.
+   */
+  deleteSchedule: async (domainName, scheduleName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+
+      const initialLength = tenant.schedules.length;
+      tenant.schedules = tenant.schedules.filter(s => s.name !== scheduleName);
+      if (tenant.schedules.length === initialLength) {
+        throw new Error('Schedule not found for deletion');
+      }
+
+      tenant.dids.forEach(did => {
+        if (did.schedule === scheduleName) {
+          did.schedule = '';
+        }
+      });
+
+      await saveTenant(tenant);
+      return true;
+    } catch (error) {
+      console.error('Error in tenantService.deleteSchedule:', error);
+      throw error;
+    }
+  },
+
+  // --- IVR Menu Management Methods ---
+  /**
+   * Get all IVR menus for a specific tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<Array<Object>|null>} Array of IVR menu objects or null if tenant not found.
+   * @throws {Error} If fetching IVR menus fails.
+   */
+  getIvrMenus: async (domainName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      return tenant ? tenant.ivr_menus.map(menu => menu.toObject()) : null;
+    } catch (error) {
+      console.error('Error in tenantService.getIvrMenus:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a specific IVR menu by name for a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} menuName - Name of the IVR menu.
+   * @returns {Promise<Object|null>} IVR menu object or null if not found.
+   * @throws {Error} If tenant not found or fetching IVR menu fails.
+   */
+  getIvrMenu: async (domainName, menuName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const menu = tenant.ivr_menus.find(m => m.name === menuName);
+      return menu ? menu.toObject() : null;
+    } catch (error) {
+      console.error('Error in tenantService.getIvrMenu:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a new IVR menu to a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} menuData - Data for the new IVR menu.
+   * @returns {Promise<Object>} The added IVR menu object.
+   * @throws {Error} If tenant not found or IVR menu name already exists.
+   */
+  addIvrMenu: async (domainName, menuData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+
+      const existingMenu = tenant.ivr_menus.find(m => m.name === menuData.name);
+      if (existingMenu) {
+        throw new Error(`IVR menu with name '${menuData.name}' already exists for tenant '${domainName}'`);
+      }
+
+      tenant.ivr_menus.push(menuData);
+      await saveTenant(tenant);
+      return menuData;
+    } catch (error) {
+      console.error('Error in tenantService.addIvrMenu:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update an existing IVR menu for a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} menuName - Name of the IVR menu to update.
+   * @param {Object} updateData - Data to update the IVR menu with.
+   * @returns {Promise<Object>} The updated IVR menu object.
+   * @throws {Error} If tenant or IVR menu not found.
+   */
+  updateIvrMenu: async (domainName, menuName, updateData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+
+      const menu = tenant.ivr_menus.find(m => m.name === menuName);
+      if (!menu) throw new Error('IVR menu not found');
+
+      Object.assign(menu, updateData);
+      await saveTenant(tenant);
+      return menu.toObject();
+    } catch (error) {
+      console.error('Error in tenantService.updateIvrMenu:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a IVR menu from a tenant.
+   * DIDs routed to the menu are unassigned and submenu entries pointing at it are removed.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} menuName - Name of the IVR menu to delete.
+   * @returns {Promise<boolean>} True if IVR menu was deleted, false otherwise.
+   * @throws {Error} If tenant or IVR menu not found.
+   */
+  deleteIvrMenu: async (domainName, menuName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+
+      const initialLength = tenant.ivr_menus.length;
+      tenant.ivr_menus = tenant.ivr_menus.filter(m => m.name !== menuName);
+      if (tenant.ivr_menus.length === initialLength) {
+        throw new Error('IVR menu not found for deletion');
+      }
+
+      tenant.dids.forEach(did => {
+        if (did.routing_type === 'ivr' && did.routing_target === menuName) {
+          did.routing_type = 'custom';
+          did.routing_target = 'unassigned';
+        }
+      });
+      tenant.ivr_menus.forEach(menu => {
+        menu.entries = menu.entries.filter(entry => !(entry.destination_type === 'ivr' && entry.destination_target === menuName));
+      });
+
+      await saveTenant(tenant);
+      return true;
+    } catch (error) {
+      console.error('Error in tenantService.deleteIvrMenu:', error);
+      throw error;
+    }
+  },
+
+  // --- Call Center Queue Management Methods ---
+  /**
+   * Get all call center queues for a specific tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<Array<Object>|null>} Array of call center queue objects or null if tenant not found.
+   * @throws {Error} If fetching call center queues fails.
+   */
+  getCallCenterQueues: async (domainName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      return tenant ? tenant.call_center_queues.map(queue => queue.toObject()) : null;
+    } catch (error) {
+      console.error('Error in tenantService.getCallCenterQueues:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a specific call center queue by name for a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} queueName - Name of the queue.
+   * @returns {Promise<Object|null>} Call center queue object or null if not found.
+   * @throws {Error} If tenant not found or fetching call center queue fails.
+   */
+  getCallCenterQueue: async (domainName, queueName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const queue = tenant.call_center_queues.find(q => q.name === queueName);
+      return queue ? queue.toObject() : null;
+    } catch (error) {
+      console.error('Error in tenantService.getCallCenterQueue:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a new call center queue to a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} queueData - Data for the new call center queue.
+   * @returns {Promise<Object>} The added call center queue object.
+   * @throws {Error} If tenant not found or call center queue name already exists, or the change causes a number plan conflict.
+   */
+  addCallCenterQueue: async (domainName, queueData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
+
+      const existingQueue = tenant.call_center_queues.find(q => q.name === queueData.name);
+      if (existingQueue) {
+        throw new Error(`Call center queue with name '${queueData.name}' already exists for tenant '${domainName}'`);
+      }
+
+      tenant.call_center_queues.push(queueData);
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
+      return queueData;
+    } catch (error) {
+      console.error('Error in tenantService.addCallCenterQueue:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update an existing call center queue for a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} queueName - Name of the queue to update.
+   * @param {Object} updateData - Data to update the call center queue with.
+   * @returns {Promise<Object>} The updated call center queue object.
+   * @throws {Error} If tenant or call center queue not found, or the change causes a number plan conflict.
+   */
+  updateCallCenterQueue: async (domainName, queueName, updateData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
+
+      const queue = tenant.call_center_queues.find(q => q.name === queueName);
+      if (!queue) throw new Error('Call center queue not found');
+
+      Object.assign(queue, updateData);
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
+      return queue.toObject();
+    } catch (error) {
+      console.error('Error in tenantService.updateCallCenterQueue:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a call center queue from a tenant.
+   * DIDs routed to the queue are unassigned.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} queueName - Name of the queue to delete.
+   * @returns {Promise<boolean>} True if call center queue was deleted, false otherwise.
+   * @throws {Error} If tenant or call center queue not found.
+   */
+  deleteCallCenterQueue: async (domainName, queueName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+
+      const initialLength = tenant.call_center_queues.length;
+      tenant.call_center_queues = tenant.call_center_queues.filter(q => q.name !== queueName);
+      if (tenant.call_center_queues.length === initialLength) {
+        throw new Error('Call center queue not found for deletion');
+      }
+
+      tenant.dids.forEach(did => {
+        if (did.routing_type === 'queue' && did.routing_target === queueName) {
+          did.routing_type = 'custom';
+          did.routing_target = 'unassigned';
+        }
+      });
+
+      await saveTenant(tenant);
+      return true;
+    } catch (error) {
+      console.error('Error in tenantService.deleteCallCenterQueue:', error);
+      throw error;
+    }
+  },
+
+  // --- Conference Room Management Methods ---
+  /**
+   * Get all conference rooms for a specific tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<Array<Object>|null>} Array of conference room objects or null if tenant not found.
+   * @throws {Error} If fetching conference rooms fails.
+   */
+  getConferenceRooms: async (domainName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      return tenant ? tenant.conference_rooms.map(room => room.toObject()) : null;
+    } catch (error) {
+      console.error('Error in tenantService.getConferenceRooms:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a specific conference room by name for a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} roomName - Name of the conference room.
+   * @returns {Promise<Object|null>} Conference room object or null if not found.
+   * @throws {Error} If tenant not found or fetching conference room fails.
+   */
+  getConferenceRoom: async (domainName, roomName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const room = tenant.conference_rooms.find(r => r.name === roomName);
+      return room ? room.toObject() : null;
+    } catch (error) {
+      console.error('Error in tenantService.getConferenceRoom:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a new conference room to a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} roomData - Data for the new conference room.
+   * @returns {Promise<Object>} The added conference room object.
+   * @throws {Error} If tenant not found or conference room name already exists, or the change causes a number plan conflict.
+   */
+  addConferenceRoom: async (domainName, roomData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
+
+      const existingRoom = tenant.conference_rooms.find(r => r.name === roomData.name);
+      if (existingRoom) {
+        throw new Error(`Conference room with name '${roomData.name}' already exists for tenant '${domainName}'`);
+      }
+
+      tenant.conference_rooms.push(roomData);
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
+      return roomData;
+    } catch (error) {
+      console.error('Error in tenantService.addConferenceRoom:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update an existing conference room for a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} roomName - Name of the conference room to update.
+   * @param {Object} updateData - Data to update the conference room with.
+   * @returns {Promise<Object>} The updated conference room object.
+   * @throws {Error} If tenant or conference room not found, or the change causes a number plan conflict.
+   */
+  updateConferenceRoom: async (domainName, roomName, updateData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
+
+      const room = tenant.conference_rooms.find(r => r.name === roomName);
+      if (!room) throw new Error('Conference room not found');
+
+      Object.assign(room, updateData);
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
+      return room.toObject();
+    } catch (error) {
+      console.error('Error in tenantService.updateConferenceRoom:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a conference room from a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} roomName - Name of the conference room to delete.
+   * @returns {Promise<boolean>} True if conference room was deleted, false otherwise.
+   * @throws {Error} If tenant or conference room not found.
+   */
+  deleteConferenceRoom: async (domainName, roomName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+
+      const initialLength = tenant.conference_rooms.length;
+      tenant.conference_rooms = tenant.conference_rooms.filter(r => r.name !== roomName);
+      if (tenant.conference_rooms.length === initialLength) {
+        throw new Error('Conference room not found for deletion');
+      }
+
+      await saveTenant(tenant);
+      return true;
+    } catch (error) {
+      console.error('Error in tenantService.deleteConferenceRoom:', error);
+      throw error;
+    }
+  },
+
+  // --- Feature Code Management Methods ---
+  /**
+   * Get the effective feature code table for a tenant (defaults merged with the tenant's overrides).
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<Object|null>} Map of feature name to dial code, or null if tenant not found.
+   * @throws {Error} If fetching feature codes fails.
+   */
+  getFeatureCodes: async (domainName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      return tenant ? featureCodes.resolve(tenant) : null;
+    } catch (error) {
+      console.error('Error in tenantService.getFeatureCodes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Override feature codes for a tenant. An empty string disables a feature; null restores its default.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} updateData - Map of feature name to dial code.
+   * @returns {Promise<Object>} The effective feature code table after the update.
+   * @throws {Error} If tenant not found, a feature is unknown or a code would be used by two features, or the change causes a number plan conflict.
+   */
+  updateFeatureCodes: async (domainName, updateData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const conflictsBefore = numberPlanService.findConflicts(tenant.toObject());
+
+      const unknownFeatures = Object.keys(updateData).filter(feature => !(feature in featureCodes.DEFAULT_FEATURE_CODES));
+      if (unknownFeatures.length > 0) {
+        throw new Error(`Unknown feature code(s): ${unknownFeatures.join(', ')}`);
+      }
+
+      if (!tenant.feature_codes) tenant.feature_codes = {};
+      Object.entries(updateData).forEach(([feature, code]) => {
+        tenant.feature_codes[feature] = code === null ? undefined : code;
+      });
+
+      const duplicates = featureCodes.findDuplicates(featureCodes.resolve(tenant));
+      if (duplicates.length > 0) {
+        throw new Error(`Duplicate feature code(s): ${duplicates.join(', ')}`);
+      }
+
+      numberPlanService.assertNoNewConflicts(tenant.toObject(), conflictsBefore);
+      await saveTenant(tenant);
+      return featureCodes.resolve(tenant);
+    } catch (error) {
+      console.error('Error in tenantService.updateFeatureCodes:', error);
+      throw error;
+    }
+  },
+
+  // --- Phonebook Contact Methods ---
+  /**
+   * Get all phonebook contacts for a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<Array<Object>|null>} Array of contact objects or null if tenant not found.
+   * @throws {Error} If fetching contacts fails.
+   */
+  getContacts: async (domainName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      return tenant ? tenant.contacts.map(contact => contact.toObject()) : null;
+    } catch (error) {
+      console.error('Error in tenantService.getContacts:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a phonebook contact by number (in any format, e.g. "5125550100" finds "+15125550100").
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} number - The contact's number.
+   * @returns {Promise<Object|null>} Contact object or null if not found.
+   * @throws {Error} If tenant not found or fetching the contact fails.
+   */
+  getContact: async (domainName, number) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const contact = tenant.contacts.find(c => phoneNumbers.isSameNumber(c.number, number));
+      return contact ? contact.toObject() : null;
+    } catch (error) {
+      console.error('Error in tenantService.getContact:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a phonebook contact to a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} contactData - Data for the new contact.
+   * @returns {Promise<Object>} The added contact object.
+   * @throws {Error} If tenant not found or a contact with the same number already exists.
+   */
+  addContact: async (domainName, contactData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      if (tenant.contacts.some(c => phoneNumbers.isSameNumber(c.number, contactData.number))) {
+        throw new Error(`Contact with number '${contactData.number}' already exists for tenant '${domainName}'`);
+      }
+      tenant.contacts.push(contactData);
+      await saveTenant(tenant);
+      return tenant.contacts[tenant.contacts.length - 1].toObject();
+    } catch (error) {
+      console.error('Error in tenantService.addContact:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a phonebook contact of a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} number - The contact's current number.
+   * @param {Object} updateData - Data to update the contact with.
+   * @returns {Promise<Object>} The updated contact object.
+   * @throws {Error} If tenant or contact not found, or the new number belongs to another contact.
+   */
+  updateContact: async (domainName, number, updateData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const contact = tenant.contacts.find(c => phoneNumbers.isSameNumber(c.number, number));
+      if (!contact) throw new Error('Contact not found');
+      if (updateData.number && tenant.contacts.some(c => c !== contact && phoneNumbers.isSameNumber(c.number, updateData.number))) {
+        throw new Error(`Contact with number '${updateData.number}' already exists for tenant '${domainName}'`);
+      }
+      Object.assign(contact, updateData);
+      await saveTenant(tenant);
+      return contact.toObject();
+    } catch (error) {
+      console.error('Error in tenantService.updateContact:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a phonebook contact from a tenant.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} number - The contact's number.
+   * @returns {Promise<boolean>} True if the contact was deleted.
+   * @throws {Error} If tenant or contact not found.
+   */
+  deleteContact: async (domainName, number) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      const initialLength = tenant.contacts.length;
+      tenant.contacts = tenant.contacts.filter(c => !phoneNumbers.isSameNumber(c.number, number));
+      if (tenant.contacts.length === initialLength) {
+        throw new Error('Contact not found for deletion');
+      }
+      await saveTenant(tenant);
+      return true;
+    } catch (error) {
+      console.error('Error in tenantService.deleteContact:', error);
+      throw error;
+    }
+  },
+
+  // --- Caller Name Settings Methods ---
+  /**
+   * Get a tenant's caller name lookup settings, with defaults applied, and the available providers.
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<Object|null>} { providers, display_format, available_providers }, or null if tenant not found.
+   * @throws {Error} If fetching the settings fails.
+   */
+  getCallerNameSettings: async (domainName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) return null;
+      return { ...callerNameService.getSettings(tenant.toObject()), available_providers: callerNameService.getProviders() };
+    } catch (error) {
+      console.error('Error in tenantService.getCallerNameSettings:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a tenant's caller name lookup settings. null restores a setting's default.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} updateData - { providers, display_format }.
+   * @returns {Promise<Object>} The effective settings after the update.
+   * @throws {Error} If tenant not found.
+   */
+  updateCallerNameSettings: async (domainName, updateData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      if (!tenant.caller_name) tenant.caller_name = {};
+      ['providers', 'display_format'].forEach(setting => {
+        if (updateData[setting] !== undefined) {
+          tenant.caller_name[setting] = updateData[setting] === null ? undefined : updateData[setting];
+        }
+      });
+      await saveTenant(tenant);
+      return { ...callerNameService.getSettings(tenant.toObject()), available_providers: callerNameService.getProviders() };
+    } catch (error) {
+      console.error('Error in tenantService.updateCallerNameSettings:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Looks up a caller name with a tenant's providers, as for an inbound call (providers may be billed per lookup).
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {string} number - The caller's number.
+   * @returns {Promise<Object|null>} { found, provider, name, location, caller_id_name }, or null if tenant not found.
+   * @throws {Error} If the lookup fails.
+   */
+  lookupCallerName: async (domainName, number) => {
+    try {
+      const tenant = await tenantService.getTenantByDomain(domainName);
+      if (!tenant) return null;
+      const settings = callerNameService.getSettings(tenant);
+      const result = await callerNameService.lookup(tenant, number);
+      if (!result) {
+        return { found: false, number, providers: settings.providers, caller_id_name: null };
+      }
+      return {
+        found: true,
+        ...result,
+        providers: settings.providers,
+        caller_id_name: callerNameService.formatCallerName(result, settings.display_format),
+      };
+    } catch (error) {
+      console.error('Error in tenantService.lookupCallerName:', error);
+      throw error;
+    }
+  },
+
+  // --- Billing Settings Methods ---
+  /**
+   * Get what a tenant is billed (see services/ratingService.js).
+   * @param {string} domainName - Domain name of the tenant.
+   * @returns {Promise<Object|null>} { rate_deck, markup_percent, did_monthly_price, did_prices }, or null if tenant not found.
+   * @throws {Error} If fetching the settings fails.
+   */
+  getBillingSettings: async (domainName) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) return null;
+      return tenant.toObject().billing;
+    } catch (error) {
+      console.error('Error in tenantService.getBillingSettings:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update what a tenant is billed. Only provided fields are changed; did_prices replaces the whole list.
+   * @param {string} domainName - Domain name of the tenant.
+   * @param {Object} updateData - { rate_deck, markup_percent, did_monthly_price, did_prices }.
+   * @returns {Promise<Object>} The settings after the update.
+   * @throws {Error} If tenant not found.
+   */
+  updateBillingSettings: async (domainName, updateData) => {
+    try {
+      const tenant = await Tenant.findOne({ domain_name: domainName });
+      if (!tenant) throw new Error('Tenant not found');
+      ['rate_deck', 'markup_percent', 'did_monthly_price', 'did_prices'].forEach(setting => {
+        if (updateData[setting] !== undefined) tenant.billing[setting] = updateData[setting];
+      });
+      await saveTenant(tenant);
+      return tenant.toObject().billing;
+    } catch (error) {
+      console.error('Error in tenantService.updateBillingSettings:', error);
+      throw error;
+    }
+  },
 
     /**
      * Finds a tenant and the specific DID object by its number.
+     * Served from the tenant cache when possible (see services/tenantCache.js), so the returned tenant must not be modified.
      * @param {string} didNumber The DID number to search for.
      * @returns {object} An object containing the tenant and the matched DID, or nulls if not found.
      */
     getTenantAndDidByDidNumber: async (didNumber) => {
         try {
+            const cached = tenantCache.getByDid(didNumber);
+            if (cached) return cached;
+
+            const generation = tenantCache.generation();
             // Find a tenant that contains the given DID number in its 'dids' array
             // and ensure the DID is active.
             const tenant = await Tenant.findOne({
@@ -609,7 +1550,7 @@ const tenantService = {
             }
 
             console.log(`Found tenant "${tenant.domain_name}" for DID "${didNumber}"`);
-            return tenant;
+            return tenantCache.set(tenant.toObject(), generation);
 
         } catch (error) {
             console.error(`Error in tenantService.getTenantAndDidByDidNumber for DID ${didNumber}:`, error);
@@ -666,6 +1607,14 @@ const tenantService = {
         xml += '  </DirectoryEntry>\n';
       });
 
+      const contacts = await tenantService.getContacts(domainName);
+      (contacts || []).forEach(contact => {
+        xml += '  <DirectoryEntry>\n';
+        xml += `    <Name>${xmlGenerator.escapeAttribute(contact.name)}</Name>\n`;
+        xml += `    <Telephone>${xmlGenerator.escapeAttribute(contact.number)}</Telephone>\n`;
+        xml += '  </DirectoryEntry>\n';
+      });
+
       xml += '</PhoneDirectory>';
       return xml;
 
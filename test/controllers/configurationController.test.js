@@ -0,0 +1,157 @@
+// test/controllers/configurationController.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const tenantService = require('../../services/tenantService');
+const outboundRoutingService = require('../../services/outboundRoutingService');
+const configurationController = require('../../controllers/configurationController');
+
+const ivrTenant = (domainName) => ({
+  domain_name: domainName,
+  sip_clients: [{ user_id: '1001' }, { user_id: '1002' }],
+  groups: [{ name: 'sales', type: 'hunt', members: [{ user_id: '1001' }, { user_id: '1002' }] }],
+  ivr_menus: [
+    {
+      name: 'main',
+      greet_long: 'ivr/welcome.wav',
+      timeout: 10000,
+      max_failures: 3,
+      entries: [
+        { digits: '1', destination_type: 'extension', destination_target: '1001' },
+        { digits: '2', destination_type: 'group', destination_target: 'sales' },
+        { digits: '3', destination_type: 'ivr', destination_target: 'after_hours' },
+        { digits: '4', destination_type: 'external_number', destination_target: '+15125550100' },
+        { digits: '5', destination_type: 'group', destination_target: 'missing' },
+        { digits: '0', destination_type: 'voicemail', destination_target: '1001' },
+      ],
+    },
+    { name: 'after_hours', greet_long: 'ivr/closed.wav', entries: [{ digits: '*', destination_type: 'hangup' }] },
+  ],
+});
+
+const tenants = [ivrTenant('tenant1.example.com'), ivrTenant('tenant2.example.com')];
+
+describe('configurationController.lookup', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getAllTenants', async () => tenants);
+    mock.method(outboundRoutingService, 'buildDialString', async (number) => `sofia/gateway/carrier/${number}`);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('ivr.conf', () => {
+    it('serves every menu of the tenant owning the requested menu, under tenant-prefixed names', async () => {
+      const xml = await configurationController.lookup({ key_value: 'ivr.conf', 'Menu-Name': 'tenant1.example.com_main' });
+
+      assert.match(xml, /<configuration name="ivr.conf"/);
+      assert.match(xml, /<menu name="tenant1\.example\.com_main" greet-long="ivr\/welcome\.wav" greet-short="ivr\/welcome\.wav" timeout="10000" max-failures="3">/);
+      assert.match(xml, /<menu name="tenant1\.example\.com_after_hours"/);
+      assert.doesNotMatch(xml, /tenant2\.example\.com/);
+    });
+
+    it('translates menu options into entry actions', async () => {
+      const xml = await configurationController.lookup({ key_value: 'ivr.conf', 'Menu-Name': 'tenant1.example.com_main' });
+
+      assert.match(xml, /<entry action="menu-exec-app" digits="1" param="bridge user\/1001@tenant1\.example\.com"\/>/);
+      assert.match(xml, /<entry action="menu-exec-app" digits="2" param="bridge user\/1001@tenant1\.example\.com\|user\/1002@tenant1\.example\.com"\/>/);
+      assert.match(xml, /<entry action="menu-sub" digits="3" param="tenant1\.example\.com_after_hours"\/>/);
+      assert.match(xml, /<entry action="menu-exec-app" digits="4" param="bridge sofia\/gateway\/carrier\/\+15125550100"\/>/);
+      assert.match(xml, /<entry action="menu-exec-app" digits="0" param="voicemail default tenant1\.example\.com 1001"\/>/);
+      assert.match(xml, /<entry action="menu-exec-app" digits="\*" param="hangup"\/>/);
+    });
+
+    it('skips options pointing at unknown destinations', async () => {
+      const xml = await configurationController.lookup({ key_value: 'ivr.conf', 'Menu-Name': 'tenant1.example.com_main' });
+      assert.doesNotMatch(xml, /digits="5"/);
+    });
+
+    it('returns not found for an unknown menu', async () => {
+      const xml = await configurationController.lookup({ key_value: 'ivr.conf', 'Menu-Name': 'tenant3.example.com_main' });
+      assert.match(xml, /<result status="not found" \/>/);
+    });
+  });
+
+  describe('callcenter.conf', () => {
+    const queueTenant = {
+      domain_name: 'tenant1.example.com',
+      sip_clients: [{ user_id: '1001', call_center_agent: { call_timeout: 30, status: 'On Break' } }, { user_id: '1002' }],
+      call_center_queues: [
+        { name: 'support', strategy: 'longest-idle-agent', moh_sound: 'local_stream://moh', tiers: [{ user_id: '1001', level: 1, position: 1 }, { user_id: '1002', level: 2 }, { user_id: '9999' }] },
+        { name: 'billing', strategy: 'ring-all', tiers: [{ user_id: '1001' }] },
+      ],
+    };
+
+    beforeEach(() => {
+      tenantService.getAllTenants.mock.mockImplementation(async () => [queueTenant]);
+    });
+
+    it('serves queues, agents and tiers under tenant-qualified names', async () => {
+      const xml = await configurationController.lookup({ key_value: 'callcenter.conf' });
+
+      assert.match(xml, /<queue name="support@tenant1\.example\.com">\s*<param name="strategy" value="longest-idle-agent"\/>\s*<param name="moh-sound" value="local_stream:\/\/moh"\/>/);
+      assert.match(xml, /<queue name="billing@tenant1\.example\.com">/);
+      assert.match(xml, /<tier agent="1001@tenant1\.example\.com" queue="support@tenant1\.example\.com" level="1" position="1"\/>/);
+      assert.match(xml, /<tier agent="1002@tenant1\.example\.com" queue="support@tenant1\.example\.com" level="2" position="1"\/>/);
+      assert.match(xml, /<agent name="1001@tenant1\.example\.com" type="callback" contact="\[call_timeout=30\]user\/1001@tenant1\.example\.com" status="On Break"/);
+      assert.match(xml, /<agent name="1002@tenant1\.example\.com" type="callback" contact="\[call_timeout=20\]user\/1002@tenant1\.example\.com" status="Available"/);
+    });
+
+    it('lists an agent serving several queues once and skips unknown SIP clients', async () => {
+      const xml = await configurationController.lookup({ key_value: 'callcenter.conf' });
+
+      assert.equal(xml.match(/<agent name="1001@tenant1\.example\.com"/g).length, 1);
+      assert.equal(xml.match(/<tier agent="1001@tenant1\.example\.com"/g).length, 2);
+      assert.doesNotMatch(xml, /9999/);
+    });
+
+    it('serves only the requested queue', async () => {
+      const xml = await configurationController.lookup({ key_value: 'callcenter.conf', 'CC-Queue': 'billing@tenant1.example.com' });
+
+      assert.match(xml, /<queue name="billing@tenant1\.example\.com">/);
+      assert.doesNotMatch(xml, /support@/);
+      assert.doesNotMatch(xml, /1002@/);
+    });
+
+    it('returns not found for an unknown queue', async () => {
+      const xml = await configurationController.lookup({ key_value: 'callcenter.conf', 'CC-Queue': 'support@tenant2.example.com' });
+      assert.match(xml, /<result status="not found" \/>/);
+    });
+  });
+
+  describe('conference.conf', () => {
+    beforeEach(() => {
+      tenantService.getAllTenants.mock.mockImplementation(async () => [{
+        domain_name: 'tenant1.example.com',
+        conference_rooms: [
+          { name: 'standup', extension: '3000', participant_pin: '1234', moderator_pin: '9999', max_members: 10, record: true, profile: 'wideband' },
+          { name: 'lobby', extension: '3001', profile: 'unknown' },
+        ],
+      }]);
+    });
+
+    it('serves a profile per room carrying its PINs, member limit and recording', async () => {
+      const xml = await configurationController.lookup({ key_value: 'conference.conf' });
+      const standup = xml.match(/<profile name="tenant1\.example\.com_standup">[\s\S]*?<\/profile>/)[0];
+
+      assert.match(standup, /<param name="domain" value="tenant1\.example\.com"\/>/);
+      assert.match(standup, /<param name="pin" value="1234"\/>/);
+      assert.match(standup, /<param name="moderator-pin" value="9999"\/>/);
+      assert.match(standup, /<param name="max-members" value="10"\/>/);
+      assert.match(standup, /<param name="auto-record" value="/);
+    });
+
+    it('serves the base profiles rooms use, falling back to default', async () => {
+      const xml = await configurationController.lookup({ key_value: 'conference.conf' });
+      const lobby = xml.match(/<profile name="tenant1\.example\.com_lobby">[\s\S]*?<\/profile>/)[0];
+
+      assert.match(xml, /<profile name="default">/);
+      assert.match(xml, /<profile name="wideband">/);
+      assert.doesNotMatch(lobby, /name="pin"|auto-record/);
+      assert.match(xml, /<caller-controls>/);
+    });
+  });
+});
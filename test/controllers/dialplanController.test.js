@@ -0,0 +1,345 @@
+// test/controllers/dialplanController.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const tenantService = require('../../services/tenantService');
+const callerFilterService = require('../../services/callerFilterService');
+const outboundRoutingService = require('../../services/outboundRoutingService');
+const emergencyService = require('../../services/emergencyService');
+const dialplanController = require('../../controllers/dialplanController');
+
+const tenantWithDid = (domainName, didNumber, userId) => ({
+  domain_name: domainName,
+  profile: {},
+  dialplan: { default: [] },
+  groups: [],
+  sip_clients: [{ user_id: userId }],
+  dids: [{ did_number: didNumber, active: true, routing_type: 'extension', routing_target: userId }],
+});
+
+const ownTenant = tenantWithDid('tenant1.example.com', '+15125550100', '1001');
+const otherTenant = tenantWithDid('tenant2.example.com', '+15125550200', '2001');
+const tenants = [ownTenant, otherTenant];
+
+describe('dialplanController.simulate', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getTenantByDomain', async (domainName) => tenants.find(tenant => tenant.domain_name === domainName) || null);
+    mock.method(tenantService, 'getTenantAndDidByDidNumber', async (didNumber) =>
+      tenants.find(tenant => tenant.dids.some(did => did.did_number === didNumber)) || { tenant: null, matchedDid: null });
+    mock.method(callerFilterService, 'evaluate', async () => ({ allowed: true, entry: null, reason: 'not filtered' }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('routes the tenant\'s own DID', async () => {
+    const result = await dialplanController.simulate('tenant1.example.com', {
+      destination: '+15125550100', caller: '+15125559999', context: 'public', variables: { sip_to_user: '+15125550100' },
+    });
+    assert.equal(result.matched_rule, 'inbound_did');
+    assert.match(result.xml, /user\/1001@tenant1\.example\.com/);
+  });
+
+  for (const variable of ['sip_to_user', 'sip_dest_user']) {
+    it(`does not route another tenant's DID passed as ${variable}`, async () => {
+      const result = await dialplanController.simulate('tenant1.example.com', {
+        destination: '+15125550200', caller: '+15125559999', context: 'public', variables: { [variable]: '+15125550200' },
+      });
+      assert.notEqual(result.matched_rule, 'inbound_did');
+      assert.ok(result.steps.some(step => step.rule === 'inbound_did' && !step.matched && /No DID matches/.test(step.reason)));
+      assert.doesNotMatch(result.xml, /tenant2\.example\.com|2001/);
+    });
+  }
+
+  it('does not route another tenant\'s DID passed as signalwire_actual_did', async () => {
+    const result = await dialplanController.simulate('tenant1.example.com', {
+      destination: '+15125550200', caller: '+15125559999', context: 'public',
+      variables: { sip_to_user: '+15125550200', signalwire_actual_did: '+15125550200' },
+    });
+    assert.notEqual(result.matched_rule, 'inbound_did');
+    assert.doesNotMatch(result.xml, /tenant2\.example\.com|2001/);
+  });
+});
+
+describe('dialplanController conference rooms', () => {
+  const tenant = {
+    domain_name: 'tenant1.example.com',
+    profile: {},
+    dialplan: { default: [] },
+    groups: [],
+    sip_clients: [{ user_id: '1001' }],
+    dids: [],
+    conference_rooms: [{ name: 'standup', extension: '3000' }],
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getTenantByDomain', async () => tenant);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('joins the tenant-prefixed conference with the room\'s own profile', async () => {
+    const result = await dialplanController.simulate('tenant1.example.com', { destination: '3000', caller: '1001' });
+    assert.equal(result.matched_rule, 'conference');
+    assert.match(result.xml, /application="conference" data="tenant1\.example\.com_standup@tenant1\.example\.com_standup"/);
+  });
+});
+
+describe('dialplanController class of service', () => {
+  const tenant = {
+    domain_name: 'tenant1.example.com',
+    class_of_service: 'national',
+    profile: {},
+    dialplan: { default: [] },
+    groups: [],
+    sip_clients: [{ user_id: '1001', class_of_service: 'internal_only' }, { user_id: '1002' }],
+    dids: [],
+  };
+
+  const outboundCall = (variables) => dialplanController.lookup({
+    section: 'dialplan',
+    domain: 'tenant1.example.com',
+    'Caller-Context': 'default',
+    'Caller-Destination-Number': '5125550100',
+    'Caller-Caller-ID-Number': '1002',
+    'Caller-Username': '1002',
+    'Caller-Channel-Name': 'sofia/internal/1002@tenant1.example.com',
+    ...variables,
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getTenantByDomain', async () => tenant);
+    mock.method(outboundRoutingService, 'buildDialString', async (number) => `sofia/gateway/carrier/${number}`);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('applies the profile of the SIP client the call authenticated as', async () => {
+    const xml = await outboundCall({ variable_user_name: '1002', variable_domain_name: 'tenant1.example.com' });
+    assert.match(xml, /application="bridge" data="sofia\/gateway\/carrier\/\+15125550100"/);
+  });
+
+  it('ignores a caller ID that claims another SIP client', async () => {
+    const xml = await outboundCall({ variable_user_name: '1001', variable_domain_name: 'tenant1.example.com' });
+    assert.match(xml, /OUTGOING_CALL_BARRED/);
+    assert.doesNotMatch(xml, /application="bridge"/);
+  });
+
+  it('does not take a user of another domain for the tenant\'s SIP client', async () => {
+    const xml = await outboundCall({
+      'Caller-Destination-Number': '1001', variable_user_name: '1002', variable_domain_name: 'tenant2.example.com',
+    });
+    assert.doesNotMatch(xml, /effective_caller_id_number=1002/);
+    assert.match(xml, /effective_caller_id_number=0000000000/);
+  });
+
+  it('simulates internal calls as authenticated by the caller', async () => {
+    const result = await dialplanController.simulate('tenant1.example.com', { destination: '5125550100', caller: '1001' });
+    assert.match(result.xml, /OUTGOING_CALL_BARRED/);
+  });
+});
+
+describe('dialplanController emergency calls', () => {
+  const tenant = {
+    domain_name: 'tenant1.example.com',
+    class_of_service: 'internal_only',
+    profile: { defaultCallerId: { number: '+15125550000' } },
+    dialplan: { default: [] },
+    groups: [],
+    sip_clients: [{
+      user_id: '1001',
+      emergency_callback_number: '+15125550101',
+      emergency_address: { street: '500 W 2nd St', location: 'Smith & Sons', city: 'Austin', state: 'TX', postal_code: '78701' },
+    }, { user_id: '1002' }],
+    dids: [],
+  };
+
+  const emergencyCall = (userId, destination = '911') => dialplanController.lookup({
+    section: 'dialplan',
+    domain: 'tenant1.example.com',
+    'Caller-Context': 'default',
+    'Caller-Destination-Number': destination,
+    'Caller-Caller-ID-Number': userId,
+    'Caller-Channel-Name': `sofia/internal/${userId}@tenant1.example.com`,
+    'Unique-ID': 'a1b2',
+    variable_user_name: userId,
+    variable_domain_name: 'tenant1.example.com',
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getTenantByDomain', async () => tenant);
+    mock.method(outboundRoutingService, 'buildDialString', async (number) => `sofia/gateway/carrier/${number}`);
+    mock.method(emergencyService, 'notifyEmergencyCall', async () => null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('routes emergency calls ahead of class of service, with the dispatchable address and callback number', async () => {
+    const xml = await emergencyCall('1001');
+
+    assert.match(xml, /application="bridge" data="sofia\/gateway\/carrier\/911"/);
+    assert.match(xml, /effective_caller_id_name=500 W 2nd St, Smith &amp; Sons, Austin, TX 78701"/);
+    assert.match(xml, /effective_caller_id_number=\+15125550101"/);
+    assert.doesNotMatch(xml, /OUTGOING_CALL_BARRED/);
+  });
+
+  it('notifies the tenant with the caller\'s address', async () => {
+    await emergencyCall('1001');
+
+    const [notifiedTenant, call] = emergencyService.notifyEmergencyCall.mock.calls[0].arguments;
+    assert.equal(notifiedTenant, tenant);
+    assert.equal(call.user_id, '1001');
+    assert.equal(call.call_uuid, 'a1b2');
+    assert.equal(call.caller_id_number, '+15125550101');
+    assert.equal(call.emergency_address.city, 'Austin');
+  });
+
+  it('falls back to the tenant caller ID for clients without an address', async () => {
+    const xml = await emergencyCall('1002', '933');
+
+    assert.match(xml, /application="bridge" data="sofia\/gateway\/carrier\/933"/);
+    assert.match(xml, /effective_caller_id_name=1002"/);
+    assert.match(xml, /effective_caller_id_number=\+15125550000"/);
+  });
+
+  it('does not notify in a simulation', async () => {
+    const result = await dialplanController.simulate('tenant1.example.com', { destination: '911', caller: '1001' });
+
+    assert.equal(result.matched_rule, 'emergency');
+    assert.equal(emergencyService.notifyEmergencyCall.mock.callCount(), 0);
+  });
+});
+
+describe('dialplanController feature codes', () => {
+  const tenant = {
+    domain_name: 'tenant1.example.com',
+    profile: {},
+    dialplan: { default: [] },
+    groups: [],
+    sip_clients: [{ user_id: '1001' }, { user_id: '1002' }],
+    dids: [],
+  };
+
+  const dial = (destination, userId, callerIdNumber = userId) => dialplanController.lookup({
+    section: 'dialplan',
+    domain: 'tenant1.example.com',
+    'Caller-Context': 'default',
+    'Caller-Destination-Number': destination,
+    'Caller-Caller-ID-Number': callerIdNumber,
+    'Caller-Channel-Name': `sofia/internal/${callerIdNumber}@tenant1.example.com`,
+    ...(userId ? { variable_user_name: userId, variable_domain_name: 'tenant1.example.com' } : {}),
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getTenantByDomain', async () => tenant);
+    mock.method(tenantService, 'setSipClientFeatureState', async () => {});
+    mock.method(tenantService, 'updateSipClient', async () => { throw new Error('feature codes must not save the whole tenant'); });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('changes the state of the SIP client the call authenticated as, not the one its caller ID claims', async () => {
+    const xml = await dial('*78', '1001', '1002');
+
+    assert.deepEqual(tenantService.setSipClientFeatureState.mock.calls[0].arguments, ['tenant1.example.com', '1001', { do_not_disturb: true }]);
+    assert.match(xml, /ivr-dnd_activated/);
+  });
+
+  for (const [code, state] of [['*73', { call_forward_unconditional: '' }], ['*79', { do_not_disturb: false }], ['*721002', { call_forward_unconditional: '1002' }]]) {
+    it(`persists ${code} for the authenticated SIP client`, async () => {
+      await dial(code, '1001', '1002');
+      assert.deepEqual(tenantService.setSipClientFeatureState.mock.calls[0].arguments, ['tenant1.example.com', '1001', state]);
+    });
+  }
+
+  it('refuses personal feature codes from unauthenticated callers', async () => {
+    const xml = await dial('*78', null, '1001');
+
+    assert.equal(tenantService.setSipClientFeatureState.mock.callCount(), 0);
+    assert.match(xml, /ivr-call_cannot_be_completed_as_dialed/);
+  });
+
+  it('keeps call return, redial and the forwarding prompt in the caller\'s context', async () => {
+    for (const code of ['*69', '*870', '*72']) {
+      const xml = await dial(code, '1001');
+      assert.match(xml, /application="transfer"/);
+      assert.doesNotMatch(xml, /XML default/, code);
+    }
+    assert.match(await dial('*69', '1001'), /data="\$\{hash\(select\/\$\{domain_name\}-call_return\/1001\)\}"/);
+  });
+});
+
+describe('dialplanController dialplan extensions', () => {
+  const tenant = {
+    domain_name: 'tenant1.example.com',
+    profile: {},
+    groups: [],
+    sip_clients: [{ user_id: '1001' }],
+    dids: [],
+    dialplan: {
+      default: [{
+        name: 'tag_support_calls',
+        conditions: [{
+          field: 'destination_number', expression: '^2000$',
+          actions: [{ application: 'set', data: 'call_tag=support' }],
+          anti_actions: [{ application: 'set', data: 'call_tag=other & more' }],
+        }],
+      }],
+    },
+  };
+
+  const dial = (destination) => dialplanController.lookup({
+    section: 'dialplan',
+    domain: 'tenant1.example.com',
+    'Caller-Context': 'default',
+    'Caller-Destination-Number': destination,
+    'Caller-Caller-ID-Number': '1001',
+    variable_user_name: '1001',
+    variable_domain_name: 'tenant1.example.com',
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getTenantByDomain', async () => tenant);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('runs the anti-actions of a non-matching extension ahead of the rule that takes the call', async () => {
+    const xml = await dial('1001');
+    const extensions = [...xml.matchAll(/<extension name="([^"]+)"/g)].map(match => match[1]);
+
+    assert.deepEqual(extensions, ['local_call_setup', 'tag_support_calls', 'sip_client_1001']);
+    assert.match(xml, /<anti-action application="set" data="call_tag=other &amp; more"\/>/);
+    assert.match(xml, /<extension name="sip_client_1001">[\s\S]*application="bridge" data="user\/1001@tenant1\.example\.com"/);
+    assert.doesNotMatch(xml.split('<extension name="sip_client_1001">')[1], /effective_caller_id_number=/);
+  });
+
+  it('serves the matching extension itself', async () => {
+    const xml = await dial('2000');
+    assert.match(xml, /<extension name="tag_support_calls">/);
+    assert.doesNotMatch(xml, /sip_client_1001/);
+  });
+});
@@ -0,0 +1,87 @@
+// test/controllers/directoryController.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const tenantService = require('../../services/tenantService');
+const directoryController = require('../../controllers/directoryController');
+const voicemailController = require('../../controllers/voicemailController');
+
+const tenant = {
+  domain_name: 'tenant1.example.com',
+  sip_clients: [{ user_id: '1001', a1_hash: '0123456789abcdef0123456789abcdef', enable_voicemail: true, voicemail_pin: '4321' }],
+  groups: [{ name: 'sales', enable_voicemail: true, voicemail_box_id: 'sales_vm', voicemail_pin: '5555' }],
+  dids: [],
+};
+
+describe('directoryController.lookup', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getTenantByDomain', async () => tenant);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('serves SIP clients with their a1-hash to authenticated nodes', async () => {
+    const xml = await directoryController.lookup({ domain: 'tenant1.example.com', sip_auth_username: '1001' }, { includeSecrets: true });
+
+    assert.match(xml, /<user id="1001">/);
+    assert.match(xml, /<param name="a1-hash" value="0123456789abcdef0123456789abcdef"\/>/);
+    assert.match(xml, /<param name="vm-password" value="4321"\/>/);
+  });
+
+  it('answers unauthenticated lookups with not found instead of a user without credentials', async () => {
+    for (const options of [{}, { includeSecrets: false }, undefined]) {
+      const xml = await directoryController.lookup({ domain: 'tenant1.example.com', sip_auth_username: '1001' }, options);
+      assert.match(xml, /<result status="not found" \/>/);
+      assert.doesNotMatch(xml, /<user /);
+    }
+    assert.equal(tenantService.getTenantByDomain.mock.callCount(), 0);
+  });
+
+  it('answers not found, loudly, for SIP clients without an a1-hash', async () => {
+    mock.method(console, 'error', () => {});
+    for (const a1Hash of [undefined, '', 'not-a-hash']) {
+      tenantService.getTenantByDomain.mock.mockImplementation(async () => ({ ...tenant, sip_clients: [{ user_id: '1001', a1_hash: a1Hash }] }));
+      const xml = await directoryController.lookup({ domain: 'tenant1.example.com', sip_auth_username: '1001' }, { includeSecrets: true });
+
+      assert.match(xml, /<result status="not found" \/>/);
+      assert.doesNotMatch(xml, /a1-hash/);
+    }
+    assert.equal(console.error.mock.callCount(), 3);
+  });
+
+  it('does not give mailbox-only users a guessable SIP password', async () => {
+    const xml = await directoryController.lookup({ domain: 'tenant1.example.com', user: 'sales_vm' }, { includeSecrets: true });
+    const password = xml.match(/<param name="password" value="([^"]*)"\/>/)[1];
+
+    assert.match(xml, /<user id="sales_vm" mailbox="sales_vm">/);
+    assert.match(password, /^[0-9a-f]{48}$/);
+    assert.doesNotMatch(xml, /NO_SIP_AUTH/);
+  });
+});
+
+describe('voicemailController.lookup', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getTenantByDomain', async () => tenant);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('serves the mailbox PIN to authenticated nodes', async () => {
+    const xml = await voicemailController.lookup({ domain: 'tenant1.example.com', user: '1001' }, { includeSecrets: true });
+    assert.match(xml, /<param name="vm-password" value="4321" \/>/);
+  });
+
+  it('answers unauthenticated lookups with not found instead of a mailbox without its PIN', async () => {
+    const xml = await voicemailController.lookup({ domain: 'tenant1.example.com', user: '1001' });
+    assert.match(xml, /<result status="not found" \/>/);
+    assert.doesNotMatch(xml, /<user /);
+  });
+});
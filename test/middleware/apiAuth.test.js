@@ -0,0 +1,84 @@
+// test/middleware/apiAuth.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const apiTokenService = require('../../services/apiTokenService');
+const apiAuth = require('../../middleware/apiAuth');
+
+const globalAdmin = { name: 'ops', role: 'global_admin', domain_name: '' };
+const tenantAdmin = { name: 'acme-portal', role: 'tenant_admin', domain_name: 'tenant1.example.com' };
+const readOnly = { name: 'reports', role: 'read_only', domain_name: '' };
+
+const run = (middleware, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; resolve({ res: this, nextCalled: false }); return this; },
+  };
+  const result = middleware({ headers: {}, params: {}, path: '/', originalUrl: '/api', ...req }, res, () => resolve({ res, nextCalled: true }));
+  if (result?.then) result.catch(() => {});
+});
+
+describe('apiAuth', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('authenticate', () => {
+    it('accepts keys as a bearer token or X-API-Key', async () => {
+      mock.method(apiTokenService, 'authenticate', async (key) => (key === 'fsk_good' ? tenantAdmin : null));
+
+      for (const headers of [{ authorization: 'Bearer fsk_good' }, { 'x-api-key': 'fsk_good' }]) {
+        const { nextCalled } = await run(apiAuth.authenticate, { headers });
+        assert.equal(nextCalled, true);
+      }
+    });
+
+    it('rejects missing and unknown keys with 401', async () => {
+      mock.method(apiTokenService, 'authenticate', async () => null);
+
+      for (const headers of [{}, { authorization: 'Bearer fsk_unknown' }]) {
+        const { res, nextCalled } = await run(apiAuth.authenticate, { headers });
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 401);
+      }
+    });
+  });
+
+  describe('requireTenantAccess', () => {
+    const access = (apiToken, method, domainName, path = '/dids') => run(apiAuth.requireTenantAccess, {
+      apiToken, method, path, params: { domain_name: domainName },
+    });
+
+    it('limits tenant admins to their own tenant', async () => {
+      assert.equal((await access(tenantAdmin, 'POST', 'tenant1.example.com')).nextCalled, true);
+      assert.equal((await access(tenantAdmin, 'GET', 'tenant2.example.com')).res.statusCode, 403);
+      assert.equal((await access(tenantAdmin, 'POST', 'tenant2.example.com')).res.statusCode, 403);
+    });
+
+    it('leaves changing or deleting the tenant itself to global admins', async () => {
+      assert.equal((await access(tenantAdmin, 'PUT', 'tenant1.example.com', '/')).res.statusCode, 403);
+      assert.equal((await access(tenantAdmin, 'DELETE', 'tenant1.example.com', '/')).res.statusCode, 403);
+      assert.equal((await access(globalAdmin, 'DELETE', 'tenant1.example.com', '/')).nextCalled, true);
+    });
+
+    it('lets read-only tokens read and simulate, but not write', async () => {
+      assert.equal((await access(readOnly, 'GET', 'tenant2.example.com')).nextCalled, true);
+      assert.equal((await access(readOnly, 'POST', 'tenant2.example.com', '/dialplan/simulate')).nextCalled, true);
+      assert.equal((await access(readOnly, 'POST', 'tenant2.example.com')).res.statusCode, 403);
+      assert.equal((await access({ ...readOnly, domain_name: 'tenant1.example.com' }, 'GET', 'tenant2.example.com')).res.statusCode, 403);
+    });
+  });
+
+  describe('requireGlobalAdmin', () => {
+    it('allows only global admins', async () => {
+      assert.equal((await run(apiAuth.requireGlobalAdmin, { apiToken: globalAdmin, method: 'POST' })).nextCalled, true);
+      assert.equal((await run(apiAuth.requireGlobalAdmin, { apiToken: tenantAdmin, method: 'POST' })).res.statusCode, 403);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+// test/middleware/validateRequest.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const tenantService = require('../../services/tenantService');
+const validateRequest = require('../../middleware/validateRequest');
+
+const tenant = {
+  domain_name: 'tenant1.example.com',
+  sip_clients: [{ user_id: '1001' }, { user_id: '1002' }],
+  groups: [],
+  dids: [],
+  ivr_menus: [{ name: 'main' }],
+  dialplan: { default: [] },
+};
+
+const run = (resourceName, body, { role = 'tenant_admin', method = 'POST', params = {} } = {}) => new Promise((resolve, reject) => {
+  const req = { method, body, params: { domain_name: tenant.domain_name, ...params }, originalUrl: '/api', apiToken: { name: 'test', role } };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(responseBody) { resolve({ status: this.statusCode, body: responseBody }); return this; },
+  };
+  validateRequest(resourceName)(req, res, () => resolve({ status: 'next' })).catch(reject);
+});
+
+const extension = (actions) => ({ name: 'ext', condition_field: 'destination_number', condition_expression: '^(1\\d{3})$', actions });
+
+describe('validateRequest', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getTenantByDomain', async () => tenant);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects invalid fields with every problem found', async () => {
+    const result = await run('did', { did_number: 'abc', routing_type: 'nowhere' });
+
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body.details.map(detail => detail.field).sort(), ['did_number', 'routing_target', 'routing_type']);
+  });
+
+  it('rejects references to items the tenant does not have', async () => {
+    const result = await run('group', { name: 'sales', type: 'hunt', members: [{ user_id: '1001' }, { user_id: '1009' }] });
+
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body.details, [{ field: 'members[1].user_id', message: "SIP client '1009' does not exist" }]);
+  });
+
+  it('merges updates into the stored item and reports only errors of the changed fields', async () => {
+    const stored = { did_number: '+15125550100', routing_type: 'extension', routing_target: '1009' }; // stale target
+    const withDid = { ...tenant, dids: [stored] };
+    tenantService.getTenantByDomain.mock.mockImplementation(async () => withDid);
+    const update = (body) => run('did', body, { method: 'PUT', params: { did_number: stored.did_number } });
+
+    assert.equal((await update({ description: 'Main line' })).status, 'next');
+    assert.deepEqual((await update({ failover_routing_type: 'group', failover_routing_target: 'support' })).body.details, [
+      { field: 'failover_routing_target', message: "group 'support' does not exist" },
+    ]);
+    assert.equal((await update({ routing_target: '1002' })).status, 'next');
+  });
+
+  describe('dialplan applications', () => {
+    it('lets tenant admins use the allowed applications within their tenant', async () => {
+      const result = await run('dialplanExtension', extension([
+        { application: 'answer' },
+        { application: 'playback', data: 'ivr/ivr-welcome.wav' },
+        { application: 'bridge', data: 'user/$1@tenant1.example.com|user/1002@${domain_name}' },
+        { application: 'transfer', data: '1001 XML default' },
+        { application: 'voicemail', data: 'default tenant1.example.com $1' },
+        { application: 'ivr', data: 'tenant1.example.com_main' },
+        { application: 'hangup', data: 'USER_BUSY' },
+      ]));
+
+      assert.equal(result.status, 'next');
+    });
+
+    it('refuses tenant admins other applications and data reaching outside their tenant', async () => {
+      const result = await run('dialplanExtension', extension([
+        { application: 'system', data: 'rm -rf /' },
+        { application: 'bridge', data: 'sofia/gateway/carrier/+15125550100' },
+        { application: 'bridge', data: 'user/2001@tenant2.example.com' },
+        { application: 'transfer', data: '2001 XML public' },
+        { application: 'voicemail', data: 'default tenant2.example.com 2001' },
+        { application: 'ivr', data: 'tenant2.example.com_main' },
+        { application: 'playback', data: '/etc/freeswitch/vars.xml' },
+        { application: 'log', data: 'INFO ${system(id)}' },
+      ]));
+
+      assert.equal(result.status, 400);
+      assert.deepEqual(result.body.details.map(detail => detail.field), [
+        'actions[0].application', 'actions[1].data', 'actions[2].data', 'actions[3].data',
+        'actions[4].data', 'actions[5].data', 'actions[6].data', 'actions[7].data',
+      ]);
+    });
+
+    it('checks anti-actions, group no-answer actions and custom destinations too', async () => {
+      const conditions = await run('dialplanExtension', {
+        name: 'ext', conditions: [{ field: 'destination_number', expression: '^1$', anti_actions: [{ application: 'bridge', data: 'loopback/1000/other' }] }],
+      });
+      assert.deepEqual(conditions.body.details.map(detail => detail.field), ['conditions[0].anti_actions[0].data']);
+
+      const group = await run('group', { name: 'sales', type: 'ring', no_answer_action: { application: 'lua', data: 'script.lua' } });
+      assert.deepEqual(group.body.details.map(detail => detail.field), ['no_answer_action.application']);
+
+      const did = await run('did', { did_number: '+15125550100', routing_type: 'custom', routing_target: '2001 XML tenant2' });
+      assert.deepEqual(did.body.details.map(detail => detail.field), ['routing_target']);
+    });
+
+    it('leaves every application to global admins', async () => {
+      const result = await run('dialplanExtension', extension([{ application: 'lua', data: 'script.lua' }]), { role: 'global_admin' });
+      assert.equal(result.status, 'next');
+
+      const did = await run('did', { did_number: '+15125550100', routing_type: 'custom', routing_target: '2001 XML tenant2' }, { role: 'global_admin' });
+      assert.equal(did.status, 'next');
+    });
+  });
+
+  describe('caller filters', () => {
+    it('accepts a sound file path as prompt and a voicemail box id', async () => {
+      assert.equal((await run('callerFilter', { list: 'block', value: '+15125550199', action: 'prompt', prompt: 'ivr/ivr-call_rejected.wav' })).status, 'next');
+      assert.equal((await run('callerFilter', { list: 'block', value: '+15125550199', action: 'voicemail', voicemail_box: '1001' })).status, 'next');
+    });
+
+    it('rejects prompts and voicemail boxes that would change the dialplan action data', async () => {
+      const prompt = await run('callerFilter', { list: 'block', value: '+15125550199', action: 'prompt', prompt: '${system(id)}' });
+      assert.deepEqual(prompt.body.details.map(detail => detail.field), ['prompt']);
+
+      const outside = await run('callerFilter', { list: 'block', value: '+15125550199', action: 'prompt', prompt: '../../etc/passwd' });
+      assert.deepEqual(outside.body.details.map(detail => detail.field), ['prompt']);
+
+      const box = await run('callerFilter', { list: 'block', value: '+15125550199', action: 'voicemail', voicemail_box: '1001 other.example.com 1001' });
+      assert.deepEqual(box.body.details.map(detail => detail.field), ['voicemail_box']);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+// test/middleware/xmlCurlAuth.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The middleware reads its configuration when loaded
+process.env.XML_CURL_USERNAME = 'freeswitch';
+process.env.XML_CURL_PASSWORD = 's3cret';
+process.env.XML_CURL_ALLOWED_CIDRS = '10.0.0.0/24, fd00::/8, not-an-address';
+
+mock.method(console, 'error', () => {});
+const xmlCurlAuth = require('../../middleware/xmlCurlAuth');
+mock.restoreAll();
+
+const basic = (credentials) => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+const run = (ip, authorization) => {
+  const req = { ip, headers: { authorization } };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    send(body) { this.body = body; return this; },
+  };
+  let nextCalled = false;
+  xmlCurlAuth.middleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+};
+
+describe('xmlCurlAuth.middleware', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('marks requests with valid credentials from an allowed network as authenticated', () => {
+    const { req, nextCalled } = run('10.0.0.5', basic('freeswitch:s3cret'));
+    assert.equal(nextCalled, true);
+    assert.equal(req.xmlCurlAuthenticated, true);
+
+    assert.equal(run('::ffff:10.0.0.5', basic('freeswitch:s3cret')).req.xmlCurlAuthenticated, true);
+    assert.equal(run('fd00::1', basic('freeswitch:s3cret')).req.xmlCurlAuthenticated, true);
+  });
+
+  it('rejects missing or invalid credentials', () => {
+    for (const authorization of [undefined, basic('freeswitch:wrong'), basic('other:s3cret'), basic('freeswitch'), 'Bearer s3cret']) {
+      const { req, res, nextCalled } = run('10.0.0.5', authorization);
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.headers['WWW-Authenticate'], 'Basic realm="xml_curl"');
+      assert.equal(req.xmlCurlAuthenticated, false);
+    }
+  });
+
+  it('rejects addresses outside the allowed networks, even with valid credentials', () => {
+    for (const ip of ['10.0.1.5', '192.168.1.15', 'fe80::1', '']) {
+      const { res, nextCalled } = run(ip, basic('freeswitch:s3cret'));
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 403);
+    }
+  });
+});
@@ -0,0 +1,163 @@
+// test/services/callerFilterService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const CallerFilter = require('../../models/CallerFilter');
+const Tenant = require('../../models/Tenant');
+const tenantCache = require('../../services/tenantCache');
+const callerFilterService = require('../../services/callerFilterService');
+
+const tenant = { domain_name: 'tenant1.example.com' };
+const did = { did_number: '+15125550100' };
+
+const entry = (id, fields) => ({ _id: id, domain_name: tenant.domain_name, did_number: '', match_type: 'exact', action: 'reject', enabled: true, ...fields });
+
+describe('callerFilterService', () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = [];
+    tenantCache.clearCallerFilters();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(CallerFilter, 'find', () => ({ lean: async () => entries }));
+    mock.method(CallerFilter, 'updateOne', () => ({ exec: async () => ({ modifiedCount: 1 }) }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('evaluate', () => {
+    it('lets allowlisted callers through and applies the most specific blocklist entry', async () => {
+      entries = [
+        entry('p', { list: 'block', match_type: 'pattern', value: 'NXX555XXXX' }),
+        entry('x', { list: 'block', match_type: 'prefix', value: '1512' }),
+        entry('e', { list: 'block', value: '5125550199', action: 'voicemail', voicemail_box: '1001' }),
+        entry('a', { list: 'allow', value: '+15125550142' }),
+      ];
+
+      const blocked = await callerFilterService.evaluate(tenant, did, '+15125550199');
+      assert.equal(blocked.allowed, false);
+      assert.equal(blocked.entry._id, 'e');
+      assert.match(blocked.reason, /tenant blocklist \(exact "5125550199"\), action voicemail/);
+
+      assert.equal((await callerFilterService.evaluate(tenant, did, '+15125550123')).entry._id, 'x');
+      assert.equal((await callerFilterService.evaluate(tenant, did, '+17135550123')).entry._id, 'p');
+      assert.equal((await callerFilterService.evaluate(tenant, did, '+15125550142')).allowed, true);
+      assert.deepEqual(await callerFilterService.evaluate(tenant, did, '+13124440100'), { allowed: true, entry: null, reason: '+13124440100 is not filtered' });
+    });
+
+    it('lets a DID block a caller that the tenant allows, and allow a caller that the tenant blocks', async () => {
+      entries = [
+        entry('tenant_allow', { list: 'allow', value: '+15125550199' }),
+        entry('did_block', { did_number: did.did_number, list: 'block', value: '+15125550199' }),
+        entry('tenant_block', { list: 'block', match_type: 'prefix', value: '1800' }),
+        entry('did_allow', { did_number: did.did_number, list: 'allow', value: '+18005550100' }),
+      ];
+
+      const blocked = await callerFilterService.evaluate(tenant, did, '+15125550199');
+      assert.equal(blocked.allowed, false);
+      assert.equal(blocked.entry._id, 'did_block');
+      assert.match(blocked.reason, /DID \+15125550100 blocklist/);
+
+      assert.equal((await callerFilterService.evaluate(tenant, did, '+18005550100')).entry._id, 'did_allow');
+      assert.equal((await callerFilterService.evaluate(tenant, did, '+18005550111')).entry._id, 'tenant_block');
+      // Entries of other DIDs do not apply
+      assert.equal((await callerFilterService.evaluate(tenant, { did_number: '+15125550101' }, '+15125550199')).entry._id, 'tenant_allow');
+    });
+
+    it('rejects callers nobody allowed on allowlist-only DIDs', async () => {
+      entries = [entry('a', { list: 'allow', value: '+15125550142' })];
+      const strictDid = { ...did, allowlist_only: true };
+
+      assert.equal((await callerFilterService.evaluate(tenant, strictDid, '+15125550142')).allowed, true);
+      const result = await callerFilterService.evaluate(tenant, strictDid, '+15125550199');
+      assert.equal(result.allowed, false);
+      assert.equal(result.entry, null);
+    });
+
+    it('counts hits except for dry runs, and only logs a failing count', async () => {
+      entries = [entry('e', { list: 'block', value: '+15125550199' })];
+
+      await callerFilterService.evaluate(tenant, did, '+15125550199', { dryRun: true });
+      assert.equal(CallerFilter.updateOne.mock.callCount(), 0);
+
+      await callerFilterService.evaluate(tenant, did, '+15125550199');
+      assert.equal(CallerFilter.updateOne.mock.callCount(), 1);
+      assert.deepEqual(CallerFilter.updateOne.mock.calls[0].arguments[0], { _id: 'e' });
+
+      CallerFilter.updateOne.mock.mockImplementation(() => ({ exec: async () => { throw new Error('database down'); } }));
+      const result = await callerFilterService.evaluate(tenant, did, '+15125550199');
+      assert.equal(result.allowed, false);
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(console.error.mock.calls[0].arguments[0], 'Error in callerFilterService.recordHit:');
+    });
+
+    it('lets calls through when the filters cannot be loaded', async () => {
+      CallerFilter.find.mock.mockImplementation(() => ({ lean: async () => { throw new Error('database down'); } }));
+      const result = await callerFilterService.evaluate(tenant, { ...did, allowlist_only: true }, '+15125550199');
+      assert.equal(result.allowed, true);
+    });
+  });
+
+  describe('caching', () => {
+    it('loads a tenant\'s filters once, and again after they change', async () => {
+      entries = [entry('e', { list: 'block', value: '+15125550199' })];
+      mock.method(Tenant, 'exists', async () => true);
+      mock.method(CallerFilter, 'create', async (data) => ({ toObject: () => data }));
+
+      await callerFilterService.evaluate(tenant, did, '+15125550199');
+      await callerFilterService.evaluate(tenant, did, '+15125550100');
+      assert.equal(CallerFilter.find.mock.callCount(), 1);
+      assert.deepEqual(CallerFilter.find.mock.calls[0].arguments[0], { domain_name: tenant.domain_name, enabled: true });
+
+      await callerFilterService.addFilter(tenant.domain_name, { list: 'allow', value: '+15125550199' });
+      entries = [...entries, entry('a', { list: 'allow', value: '+15125550199' })];
+      assert.equal((await callerFilterService.evaluate(tenant, did, '+15125550199')).allowed, true);
+      assert.equal(CallerFilter.find.mock.callCount(), 2);
+    });
+
+    it('does not cache filters that changed while they were loading', async () => {
+      CallerFilter.find.mock.mockImplementation(() => ({
+        lean: async () => {
+          tenantCache.invalidateCallerFilters(tenant.domain_name);
+          return entries;
+        },
+      }));
+
+      await callerFilterService.evaluate(tenant, did, '+15125550199');
+      await callerFilterService.evaluate(tenant, did, '+15125550199');
+      assert.equal(CallerFilter.find.mock.callCount(), 2);
+    });
+
+    // Runs last: watchCallerFilters() keeps its stream for the rest of the process
+    it('drops cached filters on change stream events, except hit counts', async () => {
+      const changeStream = new EventEmitter();
+      changeStream.close = async () => {};
+      const Model = { watch: mock.fn(() => changeStream) };
+      tenantCache.watchCallerFilters(Model);
+      changeStream.emit('resumeTokenChanged');
+
+      await callerFilterService.evaluate(tenant, did, '+15125550199');
+      changeStream.emit('change', {
+        operationType: 'update', documentKey: { _id: 'e' },
+        updateDescription: { updatedFields: { hits: 3, last_hit_at: new Date(), updatedAt: new Date() }, removedFields: [] },
+      });
+      assert.ok(tenantCache.getCallerFilters(tenant.domain_name));
+
+      changeStream.emit('change', {
+        operationType: 'update', documentKey: { _id: 'e' },
+        updateDescription: { updatedFields: { enabled: false, updatedAt: new Date() }, removedFields: [] },
+      });
+      assert.equal(tenantCache.getCallerFilters(tenant.domain_name), undefined);
+
+      await callerFilterService.evaluate(tenant, did, '+15125550199');
+      changeStream.emit('change', { operationType: 'delete', documentKey: { _id: 'e' } });
+      assert.equal(tenantCache.getCallerFilters(tenant.domain_name), undefined);
+      assert.equal(CallerFilter.find.mock.callCount(), 2);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// test/services/callerNameService.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const signalwireService = require('../../services/signalwireService');
+const callerNameService = require('../../services/callerNameService');
+
+const signalwireResult = {
+  cnam: { caller_id: 'JOHN DOE' },
+  national_number_formatted: '(512) 555-0100',
+  location: 'Austin, TX',
+};
+
+describe('callerNameService', () => {
+  let staticDir;
+
+  before(() => {
+    staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caller-names-'));
+    fs.writeFileSync(path.join(staticDir, 'names.csv'), 'number,name,location\n+15125550300,LAB PHONE,Austin, TX\n');
+    process.env.CALLER_NAME_STATIC_FILE = path.join(staticDir, 'names.csv');
+  });
+
+  after(() => {
+    delete process.env.CALLER_NAME_STATIC_FILE;
+    fs.rmSync(staticDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(signalwireService, 'getCallerName', async () => signalwireResult);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('lookup', () => {
+    const tenant = {
+      domain_name: 'tenant1.example.com',
+      caller_name: { providers: ['phonebook', 'static', 'signalwire'] },
+      contacts: [{ number: '(512) 555-0200', name: 'Jane Roe', company: 'Acme' }],
+    };
+
+    it('asks SignalWire when the tenant has no provider setting', async () => {
+      const result = await callerNameService.lookup({ domain_name: 'tenant1.example.com' }, '+15125550100');
+
+      assert.deepEqual(result, {
+        provider: 'signalwire', name: 'JOHN DOE', number: '+15125550100', number_formatted: '(512) 555-0100', location: 'Austin, TX',
+      });
+    });
+
+    it('returns the first provider that finds a name', async () => {
+      assert.equal((await callerNameService.lookup(tenant, '+15125550200')).provider, 'phonebook');
+      assert.equal((await callerNameService.lookup(tenant, '+15125550300')).provider, 'static');
+      assert.equal((await callerNameService.lookup(tenant, '+15125550100')).provider, 'signalwire');
+      assert.equal(signalwireService.getCallerName.mock.callCount(), 1);
+    });
+
+    it('skips unknown and failing providers', async () => {
+      signalwireService.getCallerName.mock.mockImplementation(async () => { throw new Error('timed out'); });
+      const result = await callerNameService.lookup({ ...tenant, caller_name: { providers: ['missing', 'signalwire', 'phonebook'] } }, '+15125550200');
+
+      assert.equal(result.provider, 'phonebook');
+      assert.equal(result.location, 'Acme');
+      assert.equal(console.warn.mock.callCount(), 1);
+      assert.equal(console.error.mock.callCount(), 1);
+    });
+
+    it('does not look up anything when providers are disabled or the number is missing', async () => {
+      assert.equal(await callerNameService.lookup({ ...tenant, caller_name: { providers: [] } }, '+15125550100'), null);
+      assert.equal(await callerNameService.lookup(tenant, ''), null);
+      assert.equal(signalwireService.getCallerName.mock.callCount(), 0);
+    });
+  });
+
+  describe('formatCallerName', () => {
+    const result = { provider: 'signalwire', name: 'JOHN DOE', number: '+15125550100', number_formatted: '(512) 555-0100', location: 'Austin, TX' };
+
+    it('fills the default display format', () => {
+      assert.equal(callerNameService.formatCallerName(result), '(512) 555-0100, JOHN DOE, Austin, TX');
+    });
+
+    it('drops empty placeholders with the separator before them', () => {
+      assert.equal(callerNameService.formatCallerName({ ...result, location: '' }), '(512) 555-0100, JOHN DOE');
+      assert.equal(callerNameService.formatCallerName({ ...result, number_formatted: '' }, '{number_formatted} | {name}'), 'JOHN DOE');
+    });
+
+    it('leaves out unknown placeholders', () => {
+      assert.equal(callerNameService.formatCallerName(result, '{name} ({provider}) {secret}'), 'JOHN DOE (signalwire)');
+    });
+  });
+
+  describe('getCallerIdName', () => {
+    it('formats the name with the tenant display format', async () => {
+      const name = await callerNameService.getCallerIdName({ caller_name: { display_format: '{name} - {location}' } }, '+15125550100');
+      assert.equal(name, 'JOHN DOE - Austin, TX');
+    });
+
+    it('strips quotes, backslashes, control characters and variable syntax without XML escaping', async () => {
+      signalwireService.getCallerName.mock.mockImplementation(async () => ({ cnam: { caller_id: 'A&B "CO"\\ ${hangup}\r\n LTD <x>' } }));
+      const name = await callerNameService.getCallerIdName({ caller_name: { display_format: '{name}' } }, '+15125550100');
+      assert.equal(name, 'A&B CO hangup LTD <x>');
+    });
+
+    it('returns null when nothing is left or no name is found', async () => {
+      signalwireService.getCallerName.mock.mockImplementation(async () => ({ cnam: { caller_id: '${}"' } }));
+      assert.equal(await callerNameService.getCallerIdName({ caller_name: { display_format: '{name}' } }, '+15125550100'), null);
+
+      signalwireService.getCallerName.mock.mockImplementation(async () => null);
+      assert.equal(await callerNameService.getCallerIdName({}, '+15125550100'), null);
+    });
+  });
+
+  describe('registerProvider', () => {
+    it('rejects providers without a name or lookup function', () => {
+      assert.throws(() => callerNameService.registerProvider({ name: 'broken' }), /name and a lookup function/);
+      assert.throws(() => callerNameService.registerProvider({ lookup: async () => null }), /name and a lookup function/);
+    });
+
+    it('lists the built-in providers', () => {
+      assert.deepEqual(callerNameService.getProviders().map(provider => provider.name), ['signalwire', 'phonebook', 'static']);
+    });
+  });
+});
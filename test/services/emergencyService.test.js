@@ -0,0 +1,105 @@
+// test/services/emergencyService.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const EmergencyNotification = require('../../models/EmergencyNotification');
+const emergencyService = require('../../services/emergencyService');
+
+const address = { street: '500 W 2nd St', location: 'Floor 3', city: 'Austin', state: 'TX', postal_code: '78701' };
+const call = {
+  user_id: '1001',
+  dialed_number: '911',
+  call_uuid: 'a1b2',
+  caller_id_name: '500 W 2nd St, Floor 3, Austin, TX 78701',
+  caller_id_number: '+15125550100',
+  emergency_address: address,
+};
+
+describe('emergencyService', () => {
+  let server;
+  let webhookUrl;
+  let webhookStatus;
+  let received;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.statusCode = webhookStatus;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    webhookUrl = `http://127.0.0.1:${server.address().port}/emergency`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    webhookStatus = 200;
+    received = [];
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(EmergencyNotification, 'create', async (record) => ({
+      ...record,
+      _id: 'n1',
+      createdAt: new Date('2026-10-19T12:00:00Z'),
+      save: async () => {},
+      toObject() { return { ...this }; },
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('formatAddress', () => {
+    it('formats a dispatchable address on one line', () => {
+      assert.equal(emergencyService.formatAddress(address), '500 W 2nd St, Floor 3, Austin, TX 78701');
+      assert.equal(emergencyService.formatAddress({ street: '1 Main St', city: 'Austin' }), '1 Main St, Austin');
+      assert.equal(emergencyService.formatAddress(null), '');
+    });
+  });
+
+  describe('notifyEmergencyCall', () => {
+    it('records the call and posts it to the tenant webhook', async () => {
+      const notification = await emergencyService.notifyEmergencyCall({ domain_name: 'tenant1.example.com', emergency: { webhook_url: webhookUrl } }, call);
+
+      assert.equal(EmergencyNotification.create.mock.calls[0].arguments[0].webhook_status, 'pending');
+      assert.equal(notification.webhook_status, 'sent');
+      assert.equal(notification.webhook_response_status, 200);
+      assert.equal(received.length, 1);
+      assert.equal(received[0].event, 'emergency_call');
+      assert.equal(received[0].domain_name, 'tenant1.example.com');
+      assert.equal(received[0].formatted_address, '500 W 2nd St, Floor 3, Austin, TX 78701');
+      assert.equal(received[0].caller_id_number, '+15125550100');
+    });
+
+    it('records a webhook error status', async () => {
+      webhookStatus = 500;
+      const notification = await emergencyService.notifyEmergencyCall({ domain_name: 'tenant1.example.com', emergency: { webhook_url: webhookUrl } }, call);
+
+      assert.equal(notification.webhook_status, 'failed');
+      assert.match(notification.webhook_error, /500/);
+    });
+
+    it('records calls of tenants without a webhook', async () => {
+      const notification = await emergencyService.notifyEmergencyCall({ domain_name: 'tenant1.example.com' }, call);
+
+      assert.equal(notification.webhook_status, 'not_configured');
+      assert.equal(received.length, 0);
+    });
+
+    it('never throws', async () => {
+      EmergencyNotification.create.mock.mockImplementation(async () => { throw new Error('database down'); });
+      assert.equal(await emergencyService.notifyEmergencyCall({ domain_name: 'tenant1.example.com', emergency: { webhook_url: webhookUrl } }, call), null);
+
+      EmergencyNotification.create.mock.mockImplementation(async (record) => ({ ...record, save: async () => {}, toObject() { return { ...this }; } }));
+      const notification = await emergencyService.notifyEmergencyCall({ domain_name: 'tenant1.example.com', emergency: { webhook_url: 'http://127.0.0.1:1/unreachable' } }, call);
+      assert.equal(notification.webhook_status, 'failed');
+    });
+  });
+});
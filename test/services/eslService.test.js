@@ -0,0 +1,138 @@
+// test/services/eslService.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+
+process.env.FREESWITCH_ESL_TIMEOUT_MS = '200';
+
+const eslService = require('../../services/eslService');
+const fakeEslServer = require('../../scripts/fakeEslServer');
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+describe('eslService', () => {
+  let server;
+  let silentServer;
+  let node;
+  let silentNode;
+  let closedNode;
+
+  before(async () => {
+    server = fakeEslServer.createServer('secret');
+    node = `127.0.0.1:${await listen(server)}`;
+
+    // Accepts connections but never answers
+    silentServer = net.createServer(() => {});
+    silentNode = `127.0.0.1:${await listen(silentServer)}`;
+
+    const closedServer = net.createServer();
+    closedNode = `127.0.0.1:${await listen(closedServer)}`;
+    await close(closedServer);
+  });
+
+  after(async () => {
+    eslService.setNodes('');
+    await Promise.all([close(server), close(silentServer)]);
+  });
+
+  beforeEach(() => {
+    server.commands.length = 0;
+    eslService.setNodes(`secret@${node}`);
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('nodes', () => {
+    it('parses nodes with optional passwords and ports, and never lists passwords', () => {
+      eslService.setNodes(' 10.0.0.5, p@ss@10.0.0.6:8022 ,');
+      assert.deepEqual(eslService.getNodes(), [
+        { name: '10.0.0.5:8021', host: '10.0.0.5', port: 8021 },
+        { name: '10.0.0.6:8022', host: '10.0.0.6', port: 8022 },
+      ]);
+      assert.equal(eslService.isEnabled(), true);
+
+      eslService.setNodes('');
+      assert.equal(eslService.isEnabled(), false);
+    });
+  });
+
+  describe('run', () => {
+    it('authenticates and runs the commands in order over one connection', async () => {
+      const results = await eslService.run(['reloadxml', 'sofia status gateway carrier_a']);
+
+      assert.equal(results.length, 1);
+      assert.equal(results[0].node, node);
+      assert.equal(results[0].ok, true);
+      assert.equal(results[0].responses[0], '+OK\n');
+      assert.match(results[0].responses[1], /State\s+\tREGED/);
+      assert.deepEqual(server.commands, ['reloadxml', 'sofia status gateway carrier_a']);
+    });
+
+    it('reports commands answered with -ERR', async () => {
+      const [result] = await eslService.run(['reloadxml', 'fail now']);
+      assert.equal(result.ok, false);
+      assert.equal(result.error, '-ERR Command failed');
+      assert.equal(result.responses.length, 2);
+    });
+
+    it('reports a wrong password, an unreachable node and a node that does not answer, without rejecting', async () => {
+      eslService.setNodes(`wrong@${node},secret@${closedNode},secret@${silentNode}`);
+      const results = await eslService.run('reloadxml');
+
+      assert.deepEqual(results.map(result => result.ok), [false, false, false]);
+      assert.match(results[0].error, /refused the password/);
+      assert.match(results[1].error, new RegExp(`ESL node ${closedNode}: .*ECONNREFUSED`));
+      assert.match(results[2].error, /no answer .* within 200 ms/);
+      assert.deepEqual(server.commands, []);
+    });
+
+    it('runs on a single node when asked', async () => {
+      eslService.setNodes(`secret@${node},secret@${closedNode}`);
+      const results = await eslService.run('reloadxml', { node });
+      assert.deepEqual(results.map(result => result.node), [node]);
+    });
+  });
+
+  describe('configuration changes', () => {
+    it('sends one reloadxml for tenant changes made together', async () => {
+      const [first, second] = await Promise.all([eslService.tenantChanged('tenant1.example.com'), eslService.tenantChanged('tenant2.example.com')]);
+
+      assert.equal(first, second);
+      assert.deepEqual(server.commands, ['reloadxml']);
+    });
+
+    it('restarts changed gateways, starts new ones and stops deleted ones', async () => {
+      await eslService.gatewayChanged('carrier_a');
+      await eslService.gatewayChanged('carrier_b', { added: true });
+      await eslService.gatewayChanged('carrier_c', { removed: true });
+
+      assert.deepEqual(server.commands, [
+        'reloadxml', 'sofia profile signal killgw carrier_a', 'sofia profile signal rescan',
+        'reloadxml', 'sofia profile signal rescan',
+        'reloadxml', 'sofia profile signal killgw carrier_c',
+      ]);
+    });
+
+    it('flushes the registrations of removed SIP clients', async () => {
+      await eslService.flushRegistrations('tenant1.example.com', ['1001', '1002']);
+      assert.deepEqual(await eslService.flushRegistrations('tenant1.example.com', []), []);
+
+      assert.deepEqual(server.commands, [
+        'sofia profile internal flush_inbound_reg 1001@tenant1.example.com',
+        'sofia profile internal flush_inbound_reg 1002@tenant1.example.com',
+      ]);
+    });
+
+    it('pushes nothing without nodes', async () => {
+      eslService.setNodes('');
+      assert.deepEqual(await eslService.tenantChanged('tenant1.example.com'), []);
+      assert.deepEqual(await eslService.gatewayChanged('carrier_a'), []);
+      assert.deepEqual(server.commands, []);
+    });
+  });
+});
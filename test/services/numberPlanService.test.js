@@ -0,0 +1,126 @@
+// test/services/numberPlanService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Tenant = require('../../models/Tenant');
+const numberPlanService = require('../../services/numberPlanService');
+
+const baseTenant = (overrides = {}) => ({
+  domain_name: 'tenant1.example.com',
+  sip_clients: [{ user_id: '1001' }, { user_id: '1002' }],
+  groups: [{ name: 'sales', enable_voicemail: true, voicemail_box_id: 'sales_vm' }],
+  call_center_queues: [{ name: 'support', extension: '7000' }],
+  conference_rooms: [{ name: 'standup', extension: '3000' }],
+  dialplan: { default: [] },
+  ...overrides,
+});
+
+describe('numberPlanService', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('resolve', () => {
+    it('resolves dialed numbers in handleLocalCall\'s order', () => {
+      const tenant = baseTenant();
+      assert.equal(numberPlanService.resolve(tenant, '*78').type, 'feature_code');
+      assert.equal(numberPlanService.resolve(tenant, '*721002').name, 'call_forward_on');
+      assert.equal(numberPlanService.resolve(tenant, 'sales').type, 'group');
+      assert.equal(numberPlanService.resolve(tenant, '7000').name, 'support');
+      assert.equal(numberPlanService.resolve(tenant, '3000').name, 'standup');
+      assert.equal(numberPlanService.resolve(tenant, '1001').type, 'sip_client');
+      assert.equal(numberPlanService.resolve(tenant, '5555'), null);
+    });
+
+    it('marks dialplan extensions with other conditions as conditional', () => {
+      const tenant = baseTenant({
+        dialplan: {
+          default: [
+            { name: 'after_hours', conditions: [{ field: 'destination_number', expression: '^1001$' }, { wday: 'sat-sun' }] },
+            { name: 'tagging', continue: true, condition_field: 'destination_number', condition_expression: '^1002$' },
+          ],
+        },
+      });
+      const winner = numberPlanService.resolve(tenant, '1001');
+      assert.equal(winner.name, 'after_hours');
+      assert.equal(winner.conditional, true);
+      assert.equal(numberPlanService.resolve(tenant, '1002').type, 'sip_client'); // continue extensions do not take calls
+    });
+
+    it('ignores stored expressions that cannot be evaluated in bounded time', () => {
+      const tenant = baseTenant({
+        dialplan: { default: [{ name: 'slow', condition_field: 'destination_number', condition_expression: '^(\\d+)+$' }] },
+      });
+      assert.equal(numberPlanService.resolve(tenant, `${'1'.repeat(40)}a`), null);
+    });
+  });
+
+  describe('findConflicts', () => {
+    it('reports identifiers taken by a resource of higher precedence as errors', () => {
+      const conflicts = numberPlanService.findConflicts(baseTenant({ groups: [{ name: '1001' }] }));
+
+      assert.equal(conflicts.length, 1);
+      assert.equal(conflicts[0].severity, 'error');
+      assert.deepEqual(conflicts[0].shadowed, { type: 'sip_client', name: '1001' });
+      assert.deepEqual(conflicts[0].resolves_to, { type: 'group', name: '1001' });
+    });
+
+    it('reports dialplan extensions shadowing identifiers as warnings', () => {
+      const conflicts = numberPlanService.findConflicts(baseTenant({
+        dialplan: { default: [{ name: 'catch_all', condition_field: 'destination_number', condition_expression: '^(\\d{4})$' }] },
+      }));
+
+      // Queues and conference rooms come before dialplan extensions
+      assert.deepEqual(conflicts.map(conflict => [conflict.severity, conflict.identifier]), [['warning', '1001'], ['warning', '1002']]);
+    });
+
+    it('reports voicemail boxes claimed twice', () => {
+      const conflicts = numberPlanService.findConflicts(baseTenant({ groups: [{ name: 'sales', enable_voicemail: true, voicemail_box_id: '1001' }] }));
+      assert.deepEqual(conflicts.map(conflict => conflict.shadowed), [{ type: 'group', name: 'sales' }]);
+    });
+  });
+
+  describe('assertNoNewConflicts', () => {
+    it('rejects new error-level conflicts only', () => {
+      const before = baseTenant({ groups: [{ name: '1001' }] });
+      const conflictsBefore = numberPlanService.findConflicts(before);
+
+      // The existing conflict does not block unrelated changes
+      assert.doesNotThrow(() => numberPlanService.assertNoNewConflicts({ ...before, conference_rooms: [] }, conflictsBefore));
+      assert.throws(
+        () => numberPlanService.assertNoNewConflicts({ ...before, call_center_queues: [{ name: 'support', extension: '1002' }] }, conflictsBefore),
+        /Number plan conflict: 1002 is sip client '1002', but calls to it are taken by queue 'support'/,
+      );
+    });
+
+    it('only warns about new shadowing regexes', () => {
+      const tenant = baseTenant({ dialplan: { default: [{ name: 'catch_all', condition_field: 'destination_number', condition_expression: '^1\\d{3}$' }] } });
+      assert.doesNotThrow(() => numberPlanService.assertNoNewConflicts(tenant));
+      assert.equal(console.warn.mock.callCount(), 2);
+    });
+  });
+
+  describe('getNumberPlan', () => {
+    it('lists every identifier with its precedence and what it resolves to', async () => {
+      const tenant = baseTenant({ groups: [{ name: '1001' }] });
+      mock.method(Tenant, 'findOne', async () => ({ toObject: () => tenant }));
+
+      const plan = await numberPlanService.getNumberPlan('tenant1.example.com');
+      const sipClient = plan.entries.find(entry => entry.type === 'sip_client' && entry.name === '1001');
+
+      assert.equal(sipClient.precedence, numberPlanService.PRECEDENCE.indexOf('sip_client') + 1);
+      assert.deepEqual(sipClient.resolves_to, { type: 'group', name: '1001' });
+      assert.equal(plan.conflicts.length, 1);
+    });
+
+    it('returns null for an unknown tenant', async () => {
+      mock.method(Tenant, 'findOne', async () => null);
+      assert.equal(await numberPlanService.getNumberPlan('unknown.example.com'), null);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+// test/services/outboundRoutingService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const globalConfigService = require('../../services/globalConfigService');
+const outboundRoutingService = require('../../services/outboundRoutingService');
+
+const routes = [
+  { name: 'catch_all', prefix: '', gateways: [{ gateway_name: 'backup' }] },
+  { name: 'us', prefix: '1', gateways: [{ gateway_name: 'carrier_a', priority: 1 }, { gateway_name: 'carrier_b', priority: 2 }] },
+  { name: 'us_premium', prefix: '1900', enabled: false, gateways: [{ gateway_name: 'carrier_b' }] },
+  { name: 'uk', prefix: '44', gateways: [{ gateway_name: 'retired', priority: 1 }, { gateway_name: 'carrier_b', priority: 2 }] },
+];
+const externalGateways = ['backup', 'carrier_a', 'carrier_b'].map(name => ({ name }));
+
+describe('outboundRoutingService', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(globalConfigService, 'getAllOutboundRoutes', async () => routes);
+    mock.method(globalConfigService, 'getAllExternalGateways', async () => externalGateways);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('findRoute', () => {
+    it('picks the longest enabled prefix, with or without a leading "+"', () => {
+      assert.equal(outboundRoutingService.findRoute(routes, '+15125550100').name, 'us');
+      assert.equal(outboundRoutingService.findRoute(routes, '19005550100').name, 'us');
+      assert.equal(outboundRoutingService.findRoute(routes, '+442071234567').name, 'uk');
+      assert.equal(outboundRoutingService.findRoute(routes, '+33123456789').name, 'catch_all');
+      assert.equal(outboundRoutingService.findRoute(routes.slice(1), '+33123456789'), null);
+    });
+  });
+
+  describe('orderGateways', () => {
+    it('orders by priority, then by cost', () => {
+      const ordered = outboundRoutingService.orderGateways([
+        { gateway_name: 'backup', priority: 2, cost_per_minute: 0 },
+        { gateway_name: 'expensive', priority: 1, cost_per_minute: 0.02 },
+        { gateway_name: 'cheap', priority: 1, cost_per_minute: 0.01 },
+      ]);
+      assert.deepEqual(ordered.map(gateway => gateway.gateway_name), ['cheap', 'expensive', 'backup']);
+    });
+
+    it('shares first attempts among equal gateways by weight', () => {
+      const randomValues = [0.1, 0, 0.9, 0]; // one draw per remaining gateway
+      mock.method(Math, 'random', () => randomValues.shift() ?? 0);
+      const gateways = [{ gateway_name: 'a', weight: 1 }, { gateway_name: 'b', weight: 3 }];
+
+      // 0.1 * 4 = 0.4 falls in a's share [0, 1)
+      assert.deepEqual(outboundRoutingService.orderGateways(gateways).map(gateway => gateway.gateway_name), ['a', 'b']);
+      // 0.9 * 4 = 3.6 falls in b's share [1, 4)
+      assert.deepEqual(outboundRoutingService.orderGateways(gateways).map(gateway => gateway.gateway_name), ['b', 'a']);
+    });
+
+    it('never picks a zero-weight gateway ahead of a weighted one', () => {
+      mock.method(Math, 'random', () => 0.999);
+      const ordered = outboundRoutingService.orderGateways([{ gateway_name: 'a', weight: 1 }, { gateway_name: 'off', weight: 0 }]);
+      assert.deepEqual(ordered.map(gateway => gateway.gateway_name), ['a', 'off']);
+    });
+  });
+
+  describe('buildDialString', () => {
+    it('fails over between the route\'s gateways with "|"', async () => {
+      assert.equal(
+        await outboundRoutingService.buildDialString('+15125550100'),
+        'sofia/gateway/carrier_a/+15125550100|sofia/gateway/carrier_b/+15125550100',
+      );
+    });
+
+    it('skips gateways that are not configured', async () => {
+      assert.equal(await outboundRoutingService.buildDialString('+442071234567'), 'sofia/gateway/carrier_b/+442071234567');
+    });
+
+    it('tries every gateway when no route matches', async () => {
+      globalConfigService.getAllOutboundRoutes.mock.mockImplementation(async () => []);
+      const { route, gateways } = await outboundRoutingService.selectGateways('+33123456789');
+      assert.equal(route, null);
+      assert.deepEqual(gateways, ['backup', 'carrier_a', 'carrier_b']);
+    });
+
+    it('returns null without any usable gateway', async () => {
+      globalConfigService.getAllExternalGateways.mock.mockImplementation(async () => []);
+      assert.equal(await outboundRoutingService.buildDialString('+15125550100'), null);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+// test/services/ratingService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Rate = require('../../models/Rate');
+const RateDeck = require('../../models/RateDeck');
+const globalConfigService = require('../../services/globalConfigService');
+const ratingService = require('../../services/ratingService');
+
+// Stands in for a Mongoose query: ratingService only calls .lean() on it
+const query = (result) => ({ lean: async () => result });
+
+describe('ratingService.billedSeconds', () => {
+  it('rounds up to the initial and subsequent increments', () => {
+    assert.equal(ratingService.billedSeconds(0, 60, 60), 0);
+    assert.equal(ratingService.billedSeconds(1, 60, 60), 60);
+    assert.equal(ratingService.billedSeconds(60, 60, 60), 60);
+    assert.equal(ratingService.billedSeconds(61, 60, 60), 120);
+    assert.equal(ratingService.billedSeconds(61, 6, 6), 66);
+    assert.equal(ratingService.billedSeconds(90, 60, 30), 90);
+    assert.equal(ratingService.billedSeconds(91, 60, 30), 120);
+    assert.equal(ratingService.billedSeconds(29, 30, 6), 30);
+  });
+});
+
+describe('ratingService.rateCall', () => {
+  const decks = [
+    { name: 'carrier', initial_increment: 60, subsequent_increment: 60 },
+    { name: 'retail', initial_increment: 6, subsequent_increment: 6 },
+  ];
+  const rates = [
+    { deck: 'carrier', prefix: '1', description: 'US', rate: 0.01, connect_fee: 0 },
+    { deck: 'carrier', prefix: '1512', description: 'US Austin', rate: 0.006, connect_fee: 0 },
+    { deck: 'carrier', prefix: '44', description: 'UK', rate: 0.02, connect_fee: 0, initial_increment: 1, subsequent_increment: 1 },
+    { deck: 'retail', prefix: '1', description: 'US & Canada', rate: 0.02, connect_fee: 0.01 },
+  ];
+  const gateways = { gw1: { name: 'gw1', rate_deck: 'carrier' }, gw2: { name: 'gw2', rate_deck: '' } };
+  const outboundCall = (fields = {}) => ({
+    leg: 'a',
+    direction: 'outbound',
+    gateway: 'gw1',
+    billsec: 61,
+    destination_number: '5125550100',
+    variables: { bridge_channel: 'sofia/gateway/gw1/+15125550100' },
+    ...fields,
+  });
+
+  beforeEach(() => {
+    mock.method(globalConfigService, 'getExternalGateway', async (name) => gateways[name] || null);
+    mock.method(RateDeck, 'findOne', (filter) => query(decks.find(deck => deck.name === filter.name) || null));
+    mock.method(Rate, 'find', (filter) => query(rates.filter(rate => rate.deck === filter.deck && filter.prefix.$in.includes(rate.prefix))));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('prices at the gateway cost plus the tenant markup, using the longest prefix', async () => {
+    const rating = await ratingService.rateCall(outboundCall(), { billing: { markup_percent: 50 } });
+    assert.equal(rating.status, 'rated');
+    assert.equal(rating.number, '15125550100');
+    assert.equal(rating.prefix, '1512');
+    assert.equal(rating.billed_seconds, 120);
+    assert.equal(rating.rate, 0.009);
+    assert.equal(rating.price, 0.018);
+    assert.equal(rating.rate_deck, '');
+    assert.equal(rating.cost_deck, 'carrier');
+    assert.equal(rating.cost, 0.012);
+  });
+
+  it('prices at the tenant deck without markup, with the deck\'s increments and the connect fee', async () => {
+    const rating = await ratingService.rateCall(outboundCall(), { billing: { rate_deck: 'retail', markup_percent: 50 } });
+    assert.equal(rating.prefix, '1');
+    assert.equal(rating.description, 'US & Canada');
+    assert.equal(rating.billed_seconds, 66);
+    assert.equal(rating.rate, 0.02);
+    assert.equal(rating.price, 0.032);
+    assert.equal(rating.rate_deck, 'retail');
+    assert.equal(rating.cost, 0.012);
+  });
+
+  it('falls back to the gateway cost for destinations missing from the tenant deck', async () => {
+    const call = outboundCall({ destination_number: '011442071234567', variables: {} });
+    const rating = await ratingService.rateCall(call, { billing: { rate_deck: 'retail', markup_percent: 10 } });
+    assert.equal(rating.number, '442071234567'); // International dialing prefix dropped
+    assert.equal(rating.prefix, '44');
+    assert.equal(rating.billed_seconds, 61); // The rate's own 1/1 increments
+    assert.equal(rating.rate, 0.022);
+    assert.equal(rating.price, 0.02237);
+    assert.equal(rating.rate_deck, '');
+  });
+
+  it('leaves calls unrated, with the reason, when no deck has a rate', async () => {
+    const noDecks = await ratingService.rateCall(outboundCall({ gateway: 'gw2' }), { billing: {} });
+    assert.equal(noDecks.status, 'unrated');
+    assert.match(noDecks.reason, /Neither the tenant nor gateway 'gw2' has a rate deck/);
+
+    const noRate = await ratingService.rateCall(outboundCall({ variables: { bridge_channel: 'sofia/gateway/gw1/+33142685300' } }), { billing: { rate_deck: 'retail' } });
+    assert.equal(noRate.status, 'unrated');
+    assert.equal(noRate.reason, "No rate for 33142685300 in tenant deck 'retail' or gateway deck 'carrier'");
+  });
+
+  it('only rates answered outbound a-legs through a gateway', async () => {
+    const tenant = { billing: {} };
+    assert.equal(await ratingService.rateCall(outboundCall(), null), null);
+    assert.equal(await ratingService.rateCall(outboundCall({ leg: 'b' }), tenant), null);
+    assert.equal(await ratingService.rateCall(outboundCall({ direction: 'inbound' }), tenant), null);
+    assert.equal(await ratingService.rateCall(outboundCall({ gateway: '' }), tenant), null);
+    assert.equal(await ratingService.rateCall(outboundCall({ billsec: 0 }), tenant), null);
+  });
+});
+
+describe('ratingService.importRates', () => {
+  let writes;
+
+  beforeEach(() => {
+    writes = [];
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(RateDeck, 'exists', async (filter) => (filter.name === 'carrier' ? { _id: 'deck' } : null));
+    mock.method(Rate, 'bulkWrite', async (operations) => {
+      writes.push(...operations);
+      return { upsertedCount: operations.length - 1, matchedCount: 1 };
+    });
+    mock.method(Rate, 'deleteMany', async () => ({ deletedCount: 3 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('upserts the rates by prefix, in any column order', async () => {
+    const text = '\uFEFFRate,Prefix,Description,initial_increment\r\n0.006,+1512,"Austin, TX",6\r\n0.01,1,US,\r\n';
+    const result = await ratingService.importRates('carrier', text);
+    assert.deepEqual(result, { imported: 2, created: 1, updated: 1, deleted: 0 });
+    assert.equal(Rate.deleteMany.mock.callCount(), 0);
+    assert.deepEqual(writes.map(write => write.updateOne.update.$set), [
+      { deck: 'carrier', prefix: '1512', description: 'Austin, TX', rate: 0.006, connect_fee: 0, initial_increment: 6, subsequent_increment: null },
+      { deck: 'carrier', prefix: '1', description: 'US', rate: 0.01, connect_fee: 0, initial_increment: null, subsequent_increment: null },
+    ]);
+    assert.deepEqual(writes[0].updateOne.filter, { deck: 'carrier', prefix: '1512' });
+  });
+
+  it('deletes the deck\'s other rates with replace', async () => {
+    const result = await ratingService.importRates('carrier', 'prefix,rate\n1,0.01\n44,0.02\n', { replace: true });
+    assert.equal(result.deleted, 3);
+    assert.deepEqual(Rate.deleteMany.mock.calls[0].arguments[0], { deck: 'carrier', prefix: { $nin: ['1', '44'] } });
+  });
+
+  it('reports every invalid row with its line, and imports nothing', async () => {
+    const text = [
+      'prefix,rate,connect_fee,initial_increment,subsequent_increment',
+      '1,0.01,,,',
+      '1,0.02,,,',
+      '44a,0.02,,,',
+      '49,-1,,,',
+      '33,,x,1.5,0',
+    ].join('\n');
+    await assert.rejects(ratingService.importRates('carrier', text), (error) => {
+      assert.equal(error.message, 'Invalid rate CSV');
+      assert.deepEqual(error.details, [
+        { line: 3, message: 'prefix 1 is listed more than once' },
+        { line: 4, message: 'prefix must contain digits only' },
+        { line: 5, message: 'rate must be a number of at least 0' },
+        { line: 6, message: 'rate must be a number of at least 0' },
+        { line: 6, message: 'connect_fee must be a number of at least 0' },
+        { line: 6, message: 'initial_increment must be a whole number of seconds of at least 1' },
+        { line: 6, message: 'subsequent_increment must be a whole number of seconds of at least 1' },
+      ]);
+      return true;
+    });
+    assert.equal(writes.length, 0);
+    assert.equal(Rate.deleteMany.mock.callCount(), 0);
+  });
+
+  it('rejects files without the required columns or rows', async () => {
+    await assert.rejects(ratingService.importRates('carrier', 'prefix,description\n1,US\n'), (error) => {
+      assert.match(error.details[0].message, /missing column\(s\) rate/);
+      return true;
+    });
+    await assert.rejects(ratingService.importRates('carrier', 'prefix,rate\n'), (error) => {
+      assert.deepEqual(error.details, [{ line: null, message: 'expected a header row and at least one rate' }]);
+      return true;
+    });
+    await assert.rejects(ratingService.importRates('carrier', 'prefix,rate\n"1,0.01\n'), (error) => {
+      assert.match(error.details[0].message, /^Invalid CSV: unterminated quoted field/);
+      return true;
+    });
+  });
+
+  it('returns null for an unknown deck', async () => {
+    assert.equal(await ratingService.importRates('missing', 'prefix,rate\n1,0.01\n'), null);
+  });
+});
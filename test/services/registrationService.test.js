@@ -0,0 +1,125 @@
+// test/services/registrationService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const eslService = require('../../services/eslService');
+const tenantService = require('../../services/tenantService');
+const globalConfigService = require('../../services/globalConfigService');
+const registrationService = require('../../services/registrationService');
+const fakeEslServer = require('../../scripts/fakeEslServer');
+
+const tenant = { domain_name: 'tenant1.example.com', sip_clients: [{ user_id: '1001' }, { user_id: '1002' }, { user_id: '1003' }] };
+
+// Answers like eslService.run, with the fake ESL server's canned output from every node that answers
+const answerFrom = (answering, unreachable = []) => async (commands) => [
+  ...answering.map(node => ({ node, ok: true, responses: commands.map(fakeEslServer.answer), error: null })),
+  ...unreachable.map(node => ({ node, ok: false, responses: [], error: 'connect ECONNREFUSED' })),
+];
+
+describe('registrationService', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    mock.method(eslService, 'isEnabled', () => true);
+    mock.method(eslService, 'run', answerFrom(['fs1:8021']));
+    mock.method(tenantService, 'getTenantByDomain', async (domainName) => (domainName === tenant.domain_name ? tenant : null));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('getRegistrations', () => {
+    it('lists only the registrations of the tenant\'s own domain, from every node', async () => {
+      eslService.run.mock.mockImplementation(answerFrom(['fs2:8021', 'fs1:8021']));
+      const result = await registrationService.getRegistrations('tenant1.example.com');
+
+      assert.deepEqual(eslService.run.mock.calls[0].arguments[0], ['sofia status profile internal reg']);
+      assert.equal(result.domain_name, 'tenant1.example.com');
+      assert.deepEqual(result.registrations.map(registration => `${registration.user_id}@${registration.domain} ${registration.node}`), [
+        '1001@tenant1.example.com fs1:8021',
+        '1001@tenant1.example.com fs2:8021',
+        '1002@tenant1.example.com fs1:8021',
+        '1002@tenant1.example.com fs2:8021',
+      ]);
+      assert.deepEqual(result.unreachable_nodes, []);
+    });
+
+    it('lists the nodes that did not answer', async () => {
+      eslService.run.mock.mockImplementation(answerFrom(['fs1:8021'], ['fs2:8021']));
+      const result = await registrationService.getRegistrations('tenant1.example.com');
+
+      assert.equal(result.registrations.length, 2);
+      assert.deepEqual(result.unreachable_nodes, [{ node: 'fs2:8021', error: 'connect ECONNREFUSED' }]);
+    });
+
+    it('fails when no node answered or the Event Socket is not configured', async () => {
+      eslService.run.mock.mockImplementation(answerFrom([], ['fs1:8021']));
+      await assert.rejects(registrationService.getRegistrations('tenant1.example.com'), /No FreeSWITCH node answered: fs1:8021 \(connect ECONNREFUSED\)/);
+
+      eslService.isEnabled.mock.mockImplementation(() => false);
+      await assert.rejects(registrationService.getRegistrations('tenant1.example.com'), /not configured/);
+    });
+
+    it('returns null for an unknown tenant without asking FreeSWITCH', async () => {
+      assert.equal(await registrationService.getRegistrations('tenant9.example.com'), null);
+      assert.equal(eslService.run.mock.callCount(), 0);
+    });
+  });
+
+  describe('getSipClientRegistrations', () => {
+    it('lists the registrations of one SIP client', async () => {
+      const registered = await registrationService.getSipClientRegistrations('tenant1.example.com', '1002');
+      assert.equal(registered.registered, true);
+      assert.deepEqual(registered.registrations.map(registration => registration.user_agent), ['Zoiper rv2.10.20.5']);
+
+      const unregistered = await registrationService.getSipClientRegistrations('tenant1.example.com', '1003');
+      assert.equal(unregistered.registered, false);
+      assert.deepEqual(unregistered.registrations, []);
+    });
+
+    it('does not show a user of another tenant with the same user_id', async () => {
+      // 2001 is registered to tenant2.example.com only
+      const withSameUser = { ...tenant, sip_clients: [...tenant.sip_clients, { user_id: '2001' }] };
+      tenantService.getTenantByDomain.mock.mockImplementation(async () => withSameUser);
+
+      assert.equal((await registrationService.getSipClientRegistrations('tenant1.example.com', '2001')).registered, false);
+    });
+
+    it('fails for a SIP client the tenant does not have', async () => {
+      await assert.rejects(registrationService.getSipClientRegistrations('tenant1.example.com', '2001'), /SIP client not found/);
+    });
+  });
+
+  describe('gateways', () => {
+    beforeEach(() => {
+      mock.method(globalConfigService, 'getAllExternalGateways', async () => [{ name: 'carrier_a', register: true }, { name: 'missing_b' }]);
+      mock.method(globalConfigService, 'getExternalGateway', async (name) => (name === 'carrier_a' ? { name, register: true } : null));
+    });
+
+    it('shows the state of every gateway on every node, and gateways a node has not loaded', async () => {
+      const result = await registrationService.getGatewayStatuses();
+
+      assert.deepEqual(eslService.run.mock.calls[0].arguments[0], ['sofia status gateway carrier_a', 'sofia status gateway missing_b']);
+      assert.equal(result.gateways[0].gateway, 'carrier_a');
+      assert.equal(result.gateways[0].register, true);
+      assert.deepEqual(result.gateways[0].nodes.map(({ node, found, registered }) => ({ node, found, registered })), [
+        { node: 'fs1:8021', found: true, registered: true },
+      ]);
+      assert.deepEqual(result.gateways[1], { gateway: 'missing_b', register: false, nodes: [{ node: 'fs1:8021', found: false }] });
+    });
+
+    it('shows one gateway, or null for an unknown one', async () => {
+      const result = await registrationService.getGatewayStatus('carrier_a');
+      assert.equal(result.gateway, 'carrier_a');
+      assert.deepEqual(result.unreachable_nodes, []);
+
+      assert.equal(await registrationService.getGatewayStatus('carrier_z'), null);
+    });
+
+    it('does not ask FreeSWITCH without gateways', async () => {
+      globalConfigService.getAllExternalGateways.mock.mockImplementation(async () => []);
+      assert.deepEqual(await registrationService.getGatewayStatuses(), { gateways: [], unreachable_nodes: [] });
+      assert.equal(eslService.run.mock.callCount(), 0);
+    });
+  });
+});
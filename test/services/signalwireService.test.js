@@ -0,0 +1,91 @@
+// test/services/signalwireService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the service is loaded
+process.env.CNAM_LOOKUP_TIMEOUT_MS = '50';
+process.env.CNAM_BREAKER_FAILURES = '2';
+
+mock.method(console, 'warn', () => {});
+const CnamCache = require('../../models/CnamCache');
+const signalwireService = require('../../services/signalwireService');
+mock.restoreAll();
+
+const found = { cnam: { caller_id: 'JOHN DOE' } };
+const httpError = (statusCode) => Object.assign(new Error('SignalWire API error'), { statusCode });
+
+describe('signalwireService.getCallerName', () => {
+  let cached;
+
+  beforeEach(() => {
+    cached = null;
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(CnamCache, 'findOne', () => ({ lean: async () => cached }));
+    mock.method(CnamCache, 'updateOne', async () => ({}));
+    mock.method(signalwireService, 'lookupCnam', async () => found);
+    signalwireService.resetCnamBreaker();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('serves cached results without calling the API', async () => {
+    cached = { found: true, data: found };
+    assert.deepEqual(await signalwireService.getCallerName('+15125550100'), found);
+
+    cached = { found: false, data: null };
+    assert.equal(await signalwireService.getCallerName('+15125550100'), null);
+    assert.equal(signalwireService.lookupCnam.mock.callCount(), 0);
+  });
+
+  it('looks up and caches numbers that are not cached', async () => {
+    assert.deepEqual(await signalwireService.getCallerName('5125550100'), found);
+
+    assert.equal(signalwireService.lookupCnam.mock.calls[0].arguments[0], '+15125550100');
+    const [filter, update] = CnamCache.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { phone_number: '+15125550100' });
+    assert.equal(update.$set.found, true);
+    assert.equal(update.$set.caller_name, 'JOHN DOE');
+  });
+
+  it('caches numbers the API does not know as "not found"', async () => {
+    signalwireService.lookupCnam.mock.mockImplementation(async () => { throw httpError(404); });
+
+    assert.equal(await signalwireService.getCallerName('+15125550100'), null);
+    assert.equal(CnamCache.updateOne.mock.calls[0].arguments[1].$set.found, false);
+    assert.equal(signalwireService.getCnamStatus().breaker.consecutive_failures, 0);
+  });
+
+  it('skips anonymous and malformed caller IDs', async () => {
+    for (const callerId of ['anonymous', '', undefined, '1001']) {
+      assert.equal(await signalwireService.getCallerName(callerId), null);
+    }
+    assert.equal(CnamCache.findOne.mock.callCount(), 0);
+  });
+
+  it('gives up at the deadline, keeping the carrier caller name', async () => {
+    signalwireService.lookupCnam.mock.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve(found), 500).unref()));
+
+    const started = Date.now();
+    assert.equal(await signalwireService.getCallerName('+15125550100'), null);
+    assert.ok(Date.now() - started < 400);
+  });
+
+  it('stops calling the API once the circuit breaker opens', async () => {
+    signalwireService.lookupCnam.mock.mockImplementation(async () => { throw httpError(503); });
+
+    assert.equal(await signalwireService.getCallerName('+15125550100'), null);
+    assert.equal(await signalwireService.getCallerName('+15125550101'), null);
+    assert.equal(signalwireService.getCnamStatus().breaker.state, 'open');
+
+    const skippedBefore = signalwireService.getCnamStatus().stats.skipped_by_breaker;
+    assert.equal(await signalwireService.getCallerName('+15125550102'), null);
+    assert.equal(signalwireService.lookupCnam.mock.callCount(), 2);
+    assert.equal(signalwireService.getCnamStatus().stats.skipped_by_breaker, skippedBefore + 1);
+
+    assert.equal(signalwireService.resetCnamBreaker().state, 'closed');
+  });
+});
@@ -0,0 +1,140 @@
+// test/services/tenantCache.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { performance } = require('node:perf_hooks');
+
+const Tenant = require('../../models/Tenant');
+const tenantCache = require('../../services/tenantCache');
+const tenantService = require('../../services/tenantService');
+
+const tenant = (domainName, id, dids = []) => ({ _id: id, domain_name: domainName, dids });
+
+describe('tenantCache', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    tenantCache.clear();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('serves tenants by domain and by active DID until invalidated', () => {
+    tenantCache.set(tenant('tenant1.example.com', 't1', [{ did_number: '+15125550100', active: true }, { did_number: '+15125550101', active: false }]), tenantCache.generation());
+
+    assert.equal(tenantCache.getByDomain('tenant1.example.com').domain_name, 'tenant1.example.com');
+    assert.equal(tenantCache.getByDid('+15125550100').domain_name, 'tenant1.example.com');
+    assert.equal(tenantCache.getByDid('+15125550101'), undefined);
+
+    tenantCache.invalidate('tenant1.example.com');
+    assert.equal(tenantCache.getByDomain('tenant1.example.com'), undefined);
+    assert.equal(tenantCache.getByDid('+15125550100'), undefined);
+  });
+
+  it('does not cache a tenant that changed while it was loading', () => {
+    const loadedAt = tenantCache.generation();
+    tenantCache.invalidate('tenant1.example.com'); // e.g. an update saved during the database read
+    tenantCache.set(tenant('tenant1.example.com', 't1'), loadedAt);
+
+    assert.equal(tenantCache.getByDomain('tenant1.example.com'), undefined);
+  });
+
+  it('expires entries after the TTL while no change stream is open', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    tenantCache.set(tenant('tenant1.example.com', 't1'), tenantCache.generation());
+
+    mock.timers.tick(tenantCache.getStats().ttl_ms - 1);
+    assert.ok(tenantCache.getByDomain('tenant1.example.com'));
+    mock.timers.tick(1);
+    assert.equal(tenantCache.getByDomain('tenant1.example.com'), undefined);
+  });
+
+  it('counts hits and misses', () => {
+    const before = tenantCache.getStats();
+    tenantCache.set(tenant('tenant1.example.com', 't1'), tenantCache.generation());
+    tenantCache.getByDomain('tenant1.example.com');
+    tenantCache.getByDomain('tenant2.example.com');
+
+    const after = tenantCache.getStats();
+    assert.equal(after.hits - before.hits, 1);
+    assert.equal(after.misses - before.misses, 1);
+    assert.equal(after.size, 1);
+  });
+
+  describe('change stream invalidation', () => {
+    // Runs last: watch() keeps its stream for the rest of the process
+    it('invalidates changed tenants, keeps entries without a TTL while open, and falls back to the TTL when it fails', () => {
+      const changeStream = new EventEmitter();
+      changeStream.close = async () => {};
+      const Model = { watch: mock.fn(() => changeStream) };
+
+      tenantCache.set(tenant('stale.example.com', 's1'), tenantCache.generation());
+      tenantCache.watch(Model);
+      tenantCache.watch(Model);
+      assert.equal(Model.watch.mock.callCount(), 1);
+
+      // Entries cached before the stream opened may have missed changes
+      changeStream.emit('resumeTokenChanged');
+      assert.equal(tenantCache.getByDomain('stale.example.com'), undefined);
+      assert.equal(tenantCache.getStats().invalidation, 'change_stream');
+      assert.equal(tenantCache.getStats().ttl_ms, null);
+
+      tenantCache.set(tenant('tenant1.example.com', 't1'), tenantCache.generation());
+      tenantCache.set(tenant('tenant2.example.com', 't2'), tenantCache.generation());
+      changeStream.emit('change', { operationType: 'update', documentKey: { _id: 't1' } });
+      assert.equal(tenantCache.getByDomain('tenant1.example.com'), undefined);
+      assert.ok(tenantCache.getByDomain('tenant2.example.com'));
+
+      changeStream.emit('change', { operationType: 'drop' });
+      assert.equal(tenantCache.getByDomain('tenant2.example.com'), undefined);
+
+      tenantCache.set(tenant('tenant1.example.com', 't1'), tenantCache.generation());
+      changeStream.emit('error', Object.assign(new Error('not a replica set'), { code: 40573 }));
+      assert.equal(tenantCache.getByDomain('tenant1.example.com'), undefined);
+      assert.equal(tenantCache.getStats().invalidation, 'ttl');
+    });
+  });
+});
+
+describe('tenantService.getTenantByDomain with the tenant cache', () => {
+  const DATABASE_LATENCY_MS = 5;
+  const LOOKUPS = 20;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    tenantCache.clear();
+    mock.method(Tenant, 'findOne', () => new Promise(resolve => setTimeout(() => resolve({
+      toObject: () => tenant('tenant1.example.com', 't1', [{ did_number: '+15125550100', active: true }]),
+    }), DATABASE_LATENCY_MS)));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const timeLookups = async (beforeEachLookup) => {
+    const started = performance.now();
+    for (let i = 0; i < LOOKUPS; i++) {
+      beforeEachLookup();
+      assert.equal((await tenantService.getTenantByDomain('tenant1.example.com')).domain_name, 'tenant1.example.com');
+    }
+    return performance.now() - started;
+  };
+
+  it('reads the database once for repeated lookups, cutting their latency', async () => {
+    const uncached = await timeLookups(() => tenantCache.invalidate('tenant1.example.com'));
+    assert.equal(Tenant.findOne.mock.callCount(), LOOKUPS);
+
+    Tenant.findOne.mock.resetCalls();
+    tenantCache.clear();
+    const cached = await timeLookups(() => {});
+    assert.equal(Tenant.findOne.mock.callCount(), 1);
+
+    // Every uncached lookup waits for the database; cached ones only once
+    assert.ok(uncached >= LOOKUPS * DATABASE_LATENCY_MS * 0.9, `uncached ${uncached} ms`);
+    assert.ok(cached < uncached / 4, `cached ${cached} ms vs uncached ${uncached} ms`);
+  });
+});
@@ -0,0 +1,108 @@
+// test/services/tenantService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Tenant = require('../../models/Tenant');
+const ApiToken = require('../../models/ApiToken');
+const callerFilterService = require('../../services/callerFilterService');
+const tenantCache = require('../../services/tenantCache');
+const eslService = require('../../services/eslService');
+const tenantService = require('../../services/tenantService');
+
+describe('tenantService', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    mock.method(tenantCache, 'invalidate', () => {});
+    mock.method(eslService, 'tenantChanged', async () => []);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('setSipClientFeatureState', () => {
+    it('updates only the SIP client\'s state and invalidates the tenant cache, without reloading FreeSWITCH', async () => {
+      mock.method(Tenant, 'updateOne', async () => ({ matchedCount: 1, modifiedCount: 1 }));
+
+      await tenantService.setSipClientFeatureState('tenant1.example.com', '1001', { do_not_disturb: true, call_forward_unconditional: '' });
+
+      assert.deepEqual(Tenant.updateOne.mock.calls[0].arguments, [
+        { domain_name: 'tenant1.example.com', 'sip_clients.user_id': '1001' },
+        { $set: { 'sip_clients.$.do_not_disturb': true, 'sip_clients.$.call_forward_unconditional': '' } },
+      ]);
+      assert.deepEqual(tenantCache.invalidate.mock.calls[0].arguments, ['tenant1.example.com']);
+      assert.equal(eslService.tenantChanged.mock.callCount(), 0);
+    });
+
+    it('refuses fields other than forwarding and do-not-disturb', async () => {
+      mock.method(Tenant, 'updateOne', async () => ({ matchedCount: 1 }));
+
+      await assert.rejects(tenantService.setSipClientFeatureState('tenant1.example.com', '1001', { a1_hash: 'x' }), /cannot set a1_hash/);
+      assert.equal(Tenant.updateOne.mock.callCount(), 0);
+    });
+
+    it('fails for an unknown SIP client', async () => {
+      mock.method(Tenant, 'updateOne', async () => ({ matchedCount: 0, modifiedCount: 0 }));
+
+      await assert.rejects(tenantService.setSipClientFeatureState('tenant1.example.com', '9999', { do_not_disturb: true }), /SIP client not found/);
+      assert.equal(tenantCache.invalidate.mock.callCount(), 0);
+    });
+  });
+
+  describe('tenant API tokens', () => {
+    const storedTenant = (domainName) => ({
+      domain_name: domainName,
+      sip_clients: [],
+      toObject() { return { domain_name: this.domain_name, sip_clients: [] }; },
+    });
+
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+      mock.method(eslService, 'flushRegistrations', async () => {});
+      mock.method(callerFilterService, 'renameTenant', async () => {});
+      mock.method(callerFilterService, 'deleteTenantFilters', async () => {});
+      mock.method(ApiToken, 'updateMany', async () => ({ matchedCount: 2, modifiedCount: 2 }));
+    });
+
+    it('moves the tokens of a renamed tenant to its new domain name', async () => {
+      mock.method(Tenant, 'findOne', async () => storedTenant('old.example.com'));
+      mock.method(Tenant, 'findOneAndUpdate', async () => storedTenant('new.example.com'));
+
+      await tenantService.updateTenant('old.example.com', { domain_name: 'new.example.com' });
+
+      assert.deepEqual(ApiToken.updateMany.mock.calls[0].arguments, [
+        { domain_name: 'old.example.com' },
+        { $set: { domain_name: 'new.example.com' } },
+      ]);
+    });
+
+    it('leaves the tokens alone when the domain name does not change', async () => {
+      mock.method(Tenant, 'findOneAndUpdate', async () => storedTenant('tenant1.example.com'));
+
+      await tenantService.updateTenant('tenant1.example.com', { description: 'Acme' });
+
+      assert.equal(ApiToken.updateMany.mock.callCount(), 0);
+    });
+
+    it('revokes the tokens of a deleted tenant before deleting it', async () => {
+      const order = [];
+      ApiToken.updateMany.mock.mockImplementation(async () => { order.push('revoke'); return { modifiedCount: 1 }; });
+      mock.method(Tenant, 'findOneAndDelete', async () => { order.push('delete'); return storedTenant('tenant1.example.com'); });
+
+      assert.equal(await tenantService.deleteTenant('tenant1.example.com'), true);
+
+      const [filter, update] = ApiToken.updateMany.mock.calls[0].arguments;
+      assert.deepEqual(filter, { domain_name: 'tenant1.example.com', revoked_at: null });
+      assert.ok(update.$set.revoked_at instanceof Date);
+      assert.deepEqual(order, ['revoke', 'delete']);
+    });
+
+    it('does not delete the tenant when its tokens cannot be revoked', async () => {
+      ApiToken.updateMany.mock.mockImplementation(async () => { throw new Error('database down'); });
+      mock.method(Tenant, 'findOneAndDelete', async () => storedTenant('tenant1.example.com'));
+
+      await assert.rejects(tenantService.deleteTenant('tenant1.example.com'), /database down/);
+      assert.equal(Tenant.findOneAndDelete.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// test/utils/cdrParser.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cdrParser = require('../../utils/cdrParser');
+
+// The same call leg as mod_xml_cdr and mod_json_cdr post it (values URL encoded, callflows newest first)
+const XML_CDR = `<?xml version="1.0"?>
+<cdr core-uuid="0b3c6d1e-core" switchname="fs1">
+  <variables>
+    <uuid>6f1d2c3b-leg</uuid>
+    <domain_name>tenant1.example.com</domain_name>
+    <caller_id_name>Smith%20%26%20Sons</caller_id_name>
+    <billsec>61</billsec>
+    <bridge_channel>sofia%2Fgateway%2Fgw1%2F%2B15125550100</bridge_channel>
+    <bad_encoding>100%25%20sure%E0%A4%A</bad_encoding>
+    <sip_h_X-Note>A &amp; B</sip_h_X-Note>
+    <empty_variable/>
+  </variables>
+  <callflow profile_index="2" dialplan="XML">
+    <caller_profile>
+      <context>default</context>
+      <destination_number>1002</destination_number>
+      <username>1001</username>
+      <caller_id_number>1001</caller_id_number>
+      <caller_id_name>Front Desk</caller_id_name>
+    </caller_profile>
+  </callflow>
+  <callflow profile_index="1" dialplan="XML">
+    <caller_profile>
+      <context>default</context>
+      <destination_number>5125550100</destination_number>
+      <username>1001</username>
+      <caller_id_number>1001</caller_id_number>
+      <caller_id_name>Front &amp; Desk</caller_id_name>
+    </caller_profile>
+  </callflow>
+</cdr>`;
+
+const JSON_CDR = {
+  'core-uuid': '0b3c6d1e-core',
+  switchname: 'fs1',
+  variables: {
+    uuid: '6f1d2c3b-leg',
+    domain_name: 'tenant1.example.com',
+    caller_id_name: 'Smith%20%26%20Sons',
+    billsec: '61',
+    bridge_channel: 'sofia%2Fgateway%2Fgw1%2F%2B15125550100',
+    bad_encoding: '100%25%20sure%E0%A4%A',
+    'sip_h_X-Note': 'A%20%26%20B',
+    empty_variable: '',
+  },
+  callflow: [
+    { profile_index: '2', caller_profile: { context: 'default', destination_number: '1002', username: '1001', caller_id_number: '1001', caller_id_name: 'Front%20Desk' } },
+    { profile_index: '1', caller_profile: { context: 'default', destination_number: '5125550100', username: '1001', caller_id_number: '1001', caller_id_name: 'Front%20%26%20Desk' } },
+  ],
+};
+
+const EXPECTED = {
+  core_uuid: '0b3c6d1e-core',
+  switchname: 'fs1',
+  variables: {
+    uuid: '6f1d2c3b-leg',
+    domain_name: 'tenant1.example.com',
+    caller_id_name: 'Smith & Sons',
+    billsec: '61',
+    bridge_channel: 'sofia/gateway/gw1/+15125550100',
+    bad_encoding: '100%25%20sure%E0%A4%A', // Not valid URL encoding: kept as received
+    'sip_h_X-Note': 'A & B',
+    empty_variable: '',
+  },
+  callflow: [
+    { profile_index: 1, context: 'default', destination_number: '5125550100', username: '1001', caller_id_number: '1001', caller_id_name: 'Front & Desk' },
+    { profile_index: 2, context: 'default', destination_number: '1002', username: '1001', caller_id_number: '1001', caller_id_name: 'Front Desk' },
+  ],
+};
+
+describe('cdrParser.parse', () => {
+  it('maps a mod_xml_cdr record', () => {
+    assert.deepEqual(cdrParser.parse(XML_CDR), EXPECTED);
+  });
+
+  it('maps a mod_json_cdr record to the same fields', () => {
+    assert.deepEqual(cdrParser.parse(JSON_CDR), EXPECTED);
+    assert.deepEqual(cdrParser.parse(JSON.stringify(JSON_CDR)), EXPECTED);
+  });
+
+  it('reads the form field `cdr` and base64 encoded records', () => {
+    assert.deepEqual(cdrParser.parse({ cdr: XML_CDR }), EXPECTED);
+    assert.deepEqual(cdrParser.parse({ cdr: Buffer.from(XML_CDR).toString('base64') }), EXPECTED);
+    assert.deepEqual(cdrParser.parse(Buffer.from(JSON.stringify(JSON_CDR)).toString('base64')), EXPECTED);
+  });
+
+  it('accepts a single mod_json_cdr callflow object', () => {
+    const record = cdrParser.parse({ ...JSON_CDR, callflow: JSON_CDR.callflow[1] });
+    assert.deepEqual(record.callflow, [EXPECTED.callflow[0]]);
+  });
+
+  it('rejects what is not a CDR', () => {
+    for (const body of ['', 'not a cdr!', '{"variables":', '<xml><variables/></xml>', '{"callflow":[]}', {}, { cdr: 42 }]) {
+      assert.throws(() => cdrParser.parse(body), /^Error: Invalid CDR/, JSON.stringify(body));
+    }
+  });
+});
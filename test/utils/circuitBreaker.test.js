@@ -0,0 +1,91 @@
+// test/utils/circuitBreaker.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCircuitBreaker } = require('../../utils/circuitBreaker');
+
+describe('circuitBreaker', () => {
+  let breaker;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    breaker = createCircuitBreaker({ name: 'Test API', failureThreshold: 3, cooldownMs: 1000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const fail = (times) => {
+    for (let i = 0; i < times; i++) {
+      assert.equal(breaker.canRequest(), true);
+      breaker.recordFailure(new Error('timed out'));
+    }
+  };
+
+  it('opens after the configured number of consecutive failures', () => {
+    fail(2);
+    assert.equal(breaker.getState().state, 'closed');
+    fail(1);
+
+    const state = breaker.getState();
+    assert.equal(state.state, 'open');
+    assert.equal(state.last_error, 'timed out');
+    assert.equal(state.consecutive_failures, 3);
+    assert.deepEqual(state.retry_at, new Date(1000));
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.getState().rejected, 1);
+  });
+
+  it('starts counting again after a success', () => {
+    fail(2);
+    breaker.recordSuccess();
+    fail(2);
+    assert.equal(breaker.getState().state, 'closed');
+  });
+
+  it('allows a single trial request once the cooldown has passed', () => {
+    fail(3);
+    mock.timers.tick(999);
+    assert.equal(breaker.canRequest(), false);
+
+    mock.timers.tick(1);
+    assert.equal(breaker.getState().state, 'half_open');
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.canRequest(), false); // the trial is still running
+  });
+
+  it('closes when the trial succeeds', () => {
+    fail(3);
+    mock.timers.tick(1000);
+    breaker.canRequest();
+    breaker.recordSuccess();
+
+    assert.equal(breaker.getState().state, 'closed');
+    assert.equal(breaker.canRequest(), true);
+  });
+
+  it('opens again for a full cooldown when the trial fails', () => {
+    fail(3);
+    mock.timers.tick(1000);
+    breaker.canRequest();
+    breaker.recordFailure(new Error('still down'));
+
+    assert.equal(breaker.getState().state, 'open');
+    assert.deepEqual(breaker.getState().retry_at, new Date(2000));
+    mock.timers.tick(999);
+    assert.equal(breaker.canRequest(), false);
+  });
+
+  it('closes on reset', () => {
+    fail(3);
+    breaker.reset();
+
+    assert.equal(breaker.getState().state, 'closed');
+    assert.equal(breaker.getState().consecutive_failures, 0);
+    assert.equal(breaker.canRequest(), true);
+  });
+});
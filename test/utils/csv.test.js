@@ -0,0 +1,58 @@
+// test/utils/csv.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const csv = require('../../utils/csv');
+
+describe('csv', () => {
+  describe('formatField', () => {
+    it('quotes fields with separators, quotes or line breaks', () => {
+      assert.equal(csv.formatField('plain'), 'plain');
+      assert.equal(csv.formatField('Doe, John'), '"Doe, John"');
+      assert.equal(csv.formatField('say "hi"'), '"say ""hi"""');
+      assert.equal(csv.formatField('two\nlines'), '"two\nlines"');
+    });
+
+    it('writes empty values, numbers and dates as they are', () => {
+      assert.equal(csv.formatField(null), '');
+      assert.equal(csv.formatField(undefined), '');
+      assert.equal(csv.formatField(-5), '-5');
+      assert.equal(csv.formatField(new Date('2026-10-19T12:00:00Z')), '2026-10-19T12:00:00.000Z');
+    });
+
+    it('neutralizes text that spreadsheets would run as a formula', () => {
+      assert.equal(csv.formatField('=HYPERLINK("http://evil.example.com","Click")'), '"\'=HYPERLINK(""http://evil.example.com"",""Click"")"');
+      assert.equal(csv.formatField('+15125550100'), "'+15125550100");
+      assert.equal(csv.formatField('-2+3'), "'-2+3");
+      assert.equal(csv.formatField('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+      assert.equal(csv.formatField('\t=1+1'), "'\t=1+1");
+      assert.equal(csv.formatField('JOHN = DOE'), 'JOHN = DOE');
+    });
+  });
+
+  describe('formatRow', () => {
+    it('joins fields with commas and ends with CRLF', () => {
+      assert.equal(csv.formatRow(['a', 1, null, '=cmd|\' /C calc\'!A0']), "a,1,,'=cmd|' /C calc'!A0\r\n");
+    });
+  });
+
+  describe('parse', () => {
+    it('reads quoted fields, line breaks in quotes and line numbers', () => {
+      const rows = csv.parse('\uFEFFprefix,rate\r\n"1512","0.01"\n\n"multi\nline",x\n');
+      assert.deepEqual(rows, [
+        { line: 1, values: ['prefix', 'rate'] },
+        { line: 2, values: ['1512', '0.01'] },
+        { line: 4, values: ['multi\nline', 'x'] },
+      ]);
+    });
+
+    it('reads back what formatRow writes', () => {
+      const values = ['Doe, John', 'say "hi"', 'two\nlines'];
+      assert.deepEqual(csv.parse(csv.formatRow(values))[0].values, values);
+    });
+
+    it('rejects an unterminated quoted field', () => {
+      assert.throws(() => csv.parse('a,"b\nc'), /Invalid CSV: unterminated quoted field on line 1/);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+// test/utils/dialplanConditions.test.js
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dialplanConditions = require('../../utils/dialplanConditions');
+
+describe('dialplanConditions.checkExpression', () => {
+  it('accepts the expressions dialplans are usually written with', () => {
+    for (const expression of ['^(\\d{4})$', '^(\\+1|1)?(\\d{10})$', '^(\\+?1)?(\\d{10})$', '^\\*(\\d+)$', '^(?:00|\\+)(\\d+)$', '^(\\d{3}){2}$', '^[()+*|]+$', '^\\d+?$']) {
+      assert.equal(dialplanConditions.checkExpression(expression), null, expression);
+    }
+  });
+
+  it('rejects expressions that can backtrack exponentially', () => {
+    for (const expression of ['^(\\d+)+$', '^(a|aa)*$', '^(a*)*$', '^((\\d+)?)+$', '^(\\d{1,3})+$', '^(a?){2,}$']) {
+      assert.match(dialplanConditions.checkExpression(expression), /may not apply \*, \+ or \{n,m\} to a group/, expression);
+    }
+  });
+
+  it('rejects backreferences, invalid and overlong expressions', () => {
+    assert.match(dialplanConditions.checkExpression('^(\\d)\\1$'), /backreferences/);
+    assert.match(dialplanConditions.checkExpression('(?<digit>\\d)\\k<digit>'), /backreferences/);
+    assert.equal(dialplanConditions.checkExpression('^\\\\1$'), null); // an escaped backslash followed by "1"
+    assert.match(dialplanConditions.checkExpression('^(1'), /is not a valid regular expression/);
+    assert.match(dialplanConditions.checkExpression('1'.repeat(dialplanConditions.MAX_EXPRESSION_LENGTH + 1)), /at most/);
+  });
+});
+
+describe('dialplanConditions.matchExpression', () => {
+  it('returns the match with its captures', () => {
+    assert.deepEqual([...dialplanConditions.matchExpression('^\\*72(\\d+)$', '*721002')], ['*721002', '1002']);
+    assert.equal(dialplanConditions.matchExpression('^\\d+$', 'abc'), null);
+  });
+
+  it('gives up on a catastrophic expression instead of blocking', () => {
+    mock.method(console, 'warn', () => {});
+    const started = Date.now();
+    assert.equal(dialplanConditions.matchExpression('^(\\d+)+$', `${'1'.repeat(40)}a`), null);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(console.warn.mock.callCount(), 1);
+    mock.restoreAll();
+  });
+});
+
+describe('dialplanConditions.evaluateExtension', () => {
+  const body = { 'Caller-Destination-Number': '2000', 'Caller-Caller-ID-Number': '1001' };
+
+  it('runs actions with captures substituted when every condition passes', () => {
+    const result = dialplanConditions.evaluateExtension({
+      name: 'ext',
+      conditions: [
+        { field: 'caller_id_number', expression: '^10(\\d\\d)$', actions: [{ application: 'set', data: 'from=$1' }] },
+        { field: 'destination_number', expression: '^2(\\d+)$', actions: [{ application: 'bridge', data: 'user/$1' }] },
+      ],
+    }, body);
+
+    assert.equal(result.matched, true);
+    assert.deepEqual(result.actions, [{ application: 'set', data: 'from=01' }, { application: 'bridge', data: 'user/000' }]);
+  });
+
+  it('runs the anti-actions of a failed condition and stops there', () => {
+    const result = dialplanConditions.evaluateExtension({
+      name: 'ext',
+      conditions: [
+        { field: 'destination_number', expression: '^3000$', actions: [{ application: 'bridge', data: 'a' }], anti_actions: [{ application: 'set', data: 'not_3000=true' }] },
+        { field: 'destination_number', expression: '^2000$', actions: [{ application: 'bridge', data: 'b' }] },
+      ],
+    }, body);
+
+    assert.equal(result.matched, false);
+    assert.deepEqual(result.actions, [{ application: 'set', data: 'not_3000=true' }]);
+  });
+
+  it('keeps evaluating after a failed condition with break="never"', () => {
+    const result = dialplanConditions.evaluateExtension({
+      name: 'ext',
+      conditions: [
+        { field: 'destination_number', expression: '^3000$', break: 'never', anti_actions: [{ application: 'set', data: 'x=1' }] },
+        { field: 'destination_number', expression: '^2000$', actions: [{ application: 'set', data: 'y=1' }] },
+      ],
+    }, body);
+
+    assert.equal(result.matched, true);
+    assert.deepEqual(result.actions.map(action => action.data), ['x=1', 'y=1']);
+  });
+});
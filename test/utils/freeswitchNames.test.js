@@ -0,0 +1,26 @@
+// test/utils/freeswitchNames.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const freeswitchNames = require('../../utils/freeswitchNames');
+
+describe('freeswitchNames', () => {
+  it('keeps conference rooms of different tenants apart', () => {
+    // "a.example.com" + "b-room" and "a.example.com-b" + "room" both gave "a.example.com-b-room" with a "-" separator
+    assert.notEqual(
+      freeswitchNames.conferenceRoom('a.example.com', 'b-room'),
+      freeswitchNames.conferenceRoom('a.example.com-b', 'room'),
+    );
+    assert.equal(freeswitchNames.conferenceRoom('tenant1.example.com', 'standup'), 'tenant1.example.com_standup');
+  });
+
+  it('prefixes menus and conference profiles with the tenant domain', () => {
+    assert.equal(freeswitchNames.ivrMenu('tenant1.example.com', 'main'), 'tenant1.example.com_main');
+    assert.equal(freeswitchNames.conferenceProfile('tenant1.example.com', 'standup'), 'tenant1.example.com_standup');
+  });
+
+  it('qualifies call center queues and agents with the tenant domain', () => {
+    assert.equal(freeswitchNames.callcenterQueue('tenant1.example.com', 'support'), 'support@tenant1.example.com');
+    assert.equal(freeswitchNames.callcenterAgent('tenant1.example.com', '1001'), '1001@tenant1.example.com');
+  });
+});
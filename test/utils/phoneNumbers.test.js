@@ -0,0 +1,32 @@
+// test/utils/phoneNumbers.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const phoneNumbers = require('../../utils/phoneNumbers');
+
+describe('phoneNumbers.compilePattern', () => {
+  it('matches whole numbers with wildcards, digit classes and a final "."', () => {
+    const exchange = phoneNumbers.compilePattern('NXX555XXXX');
+    assert.ok(exchange.test('5125550100'));
+    assert.ok(!exchange.test('1125550100')); // N is 2-9
+    assert.ok(!exchange.test('51255501000'));
+
+    assert.ok(phoneNumbers.compilePattern('+1[2-4]ZX').test('+1390'));
+    assert.ok(!phoneNumbers.compilePattern('+1[2-4]ZX').test('+1300'));
+    assert.ok(phoneNumbers.compilePattern('1900.').test('19005550100'));
+    assert.ok(!phoneNumbers.compilePattern('1900.').test('1900'));
+    assert.ok(phoneNumbers.compilePattern('nxx').test('212'));
+  });
+
+  it('rejects anything outside the pattern syntax', () => {
+    for (const pattern of ['', '^(\\d+)+$', '.*555.*', '1.2', '5+', '[a-z]', '[5-2]', '[12', 'X'.repeat(phoneNumbers.MAX_PATTERN_LENGTH + 1)]) {
+      assert.throws(() => phoneNumbers.compilePattern(pattern), Error, pattern);
+    }
+  });
+
+  it('matches long caller IDs in linear time', () => {
+    const started = Date.now();
+    phoneNumbers.compilePattern('XXXXXXXXXXXXXXXX.').test(`${'1'.repeat(50000)}a`);
+    assert.ok(Date.now() - started < 1000);
+  });
+});
@@ -0,0 +1,125 @@
+// test/utils/scheduleEvaluator.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const scheduleEvaluator = require('../../utils/scheduleEvaluator');
+
+const weekdays = (open, close) => [1, 2, 3, 4, 5].map(day => ({ day, open, close }));
+
+describe('scheduleEvaluator.evaluate', () => {
+  const schedule = {
+    name: 'office',
+    timezone: 'America/Chicago',
+    business_hours: weekdays('08:00', '17:00'),
+    holidays: [{ date: '2026-12-25', name: 'Christmas' }],
+  };
+
+  it('evaluates business hours in the schedule\'s timezone', () => {
+    // Monday 2026-10-19 08:30 in Chicago (CDT, UTC-5)
+    assert.equal(scheduleEvaluator.evaluate(schedule, new Date('2026-10-19T13:30:00Z')), 'open');
+    // Monday 07:59 in Chicago, although it is already 12:59 UTC
+    assert.equal(scheduleEvaluator.evaluate(schedule, new Date('2026-10-19T12:59:00Z')), 'closed');
+    // Close time is exclusive
+    assert.equal(scheduleEvaluator.evaluate(schedule, new Date('2026-10-19T22:00:00Z')), 'closed');
+    // Saturday
+    assert.equal(scheduleEvaluator.evaluate(schedule, new Date('2026-10-24T15:00:00Z')), 'closed');
+  });
+
+  it('gives holidays precedence over business hours, using the local date', () => {
+    // Friday 2026-12-25 10:00 in Chicago
+    assert.equal(scheduleEvaluator.evaluate(schedule, new Date('2026-12-25T16:00:00Z')), 'holiday');
+    // 2026-12-26 01:00 UTC is still the 25th in Chicago
+    assert.equal(scheduleEvaluator.evaluate(schedule, new Date('2026-12-26T01:00:00Z')), 'holiday');
+    // 2026-12-25 03:00 UTC is still the 24th (a Thursday) in Chicago, after hours
+    assert.equal(scheduleEvaluator.evaluate(schedule, new Date('2026-12-25T03:00:00Z')), 'closed');
+  });
+
+  it('handles windows that span midnight', () => {
+    const overnight = { timezone: 'UTC', business_hours: [{ day: 5, open: '22:00', close: '06:00' }] };
+    assert.equal(scheduleEvaluator.evaluate(overnight, new Date('2026-10-23T23:00:00Z')), 'open'); // Friday
+    assert.equal(scheduleEvaluator.evaluate(overnight, new Date('2026-10-24T05:59:00Z')), 'open'); // Saturday
+    assert.equal(scheduleEvaluator.evaluate(overnight, new Date('2026-10-24T06:00:00Z')), 'closed');
+    assert.equal(scheduleEvaluator.evaluate(overnight, new Date('2026-10-23T05:00:00Z')), 'closed'); // Friday morning
+  });
+
+  it('falls back to UTC for an unknown timezone', () => {
+    mock.method(console, 'warn', () => {});
+    const utcSchedule = { timezone: 'Not/AZone', business_hours: weekdays('08:00', '17:00') };
+    assert.equal(scheduleEvaluator.evaluate(utcSchedule, new Date('2026-10-19T08:30:00Z')), 'open');
+    assert.equal(console.warn.mock.callCount(), 1);
+    mock.restoreAll();
+  });
+
+  it('is closed without business hours', () => {
+    assert.equal(scheduleEvaluator.evaluate({ timezone: 'UTC' }, new Date('2026-10-19T12:00:00Z')), 'closed');
+  });
+});
+
+describe('DID schedule routing', () => {
+  const tenantService = require('../../services/tenantService');
+  const callerFilterService = require('../../services/callerFilterService');
+  const dialplanController = require('../../controllers/dialplanController');
+
+  const tenant = {
+    domain_name: 'tenant1.example.com',
+    profile: {},
+    dialplan: { default: [] },
+    groups: [],
+    sip_clients: [{ user_id: '1001' }, { user_id: '1002' }, { user_id: '1003' }],
+    schedules: [{ name: 'office', timezone: 'UTC', business_hours: weekdays('08:00', '17:00'), holidays: [{ date: '2026-12-25' }] }],
+    dids: [{
+      did_number: '+15125550100', active: true, routing_type: 'extension', routing_target: '1001', schedule: 'office',
+      closed_routing_type: 'extension', closed_routing_target: '1002',
+      holiday_routing_type: 'extension', holiday_routing_target: '1003',
+    }],
+  };
+
+  const simulateAt = async (isoTime) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date(isoTime) });
+    return dialplanController.simulate('tenant1.example.com', {
+      destination: '+15125550100', caller: '+15125559999', context: 'public', variables: { sip_to_user: '+15125550100' },
+    });
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(tenantService, 'getTenantByDomain', async () => tenant);
+    mock.method(tenantService, 'getTenantAndDidByDidNumber', async () => tenant);
+    mock.method(callerFilterService, 'evaluate', async () => ({ allowed: true, entry: null, reason: 'not filtered' }));
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('uses the regular route while open', async () => {
+    const result = await simulateAt('2026-10-19T10:00:00Z');
+    assert.match(result.xml, /did_schedule_period=open/);
+    assert.match(result.xml, /user\/1001@tenant1\.example\.com/);
+  });
+
+  it('uses the closed route after hours', async () => {
+    const result = await simulateAt('2026-10-19T20:00:00Z');
+    assert.match(result.xml, /did_schedule_period=closed/);
+    assert.match(result.xml, /user\/1002@tenant1\.example\.com/);
+  });
+
+  it('uses the holiday route on holidays', async () => {
+    const result = await simulateAt('2026-12-25T10:00:00Z');
+    assert.match(result.xml, /did_schedule_period=holiday/);
+    assert.match(result.xml, /user\/1003@tenant1\.example\.com/);
+  });
+
+  it('falls back to the closed route when the DID has no holiday route', async () => {
+    tenant.dids[0].holiday_routing_type = 'none';
+    try {
+      const result = await simulateAt('2026-12-25T10:00:00Z');
+      assert.match(result.xml, /did_schedule_period=holiday/);
+      assert.match(result.xml, /user\/1002@tenant1\.example\.com/);
+    } finally {
+      tenant.dids[0].holiday_routing_type = 'extension';
+    }
+  });
+});
@@ -0,0 +1,81 @@
+// test/utils/secrets.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+const secrets = require('../../utils/secrets');
+
+describe('secrets', () => {
+  describe('computeA1Hash', () => {
+    it('is the MD5 of "user:domain:password", as FreeSWITCH computes it', () => {
+      assert.equal(
+        secrets.computeA1Hash('1001', 'tenant1.example.com', 'p4ss'),
+        crypto.createHash('md5').update('1001:tenant1.example.com:p4ss').digest('hex'),
+      );
+      assert.notEqual(secrets.computeA1Hash('1001', 'tenant1.example.com', 'p4ss'), secrets.computeA1Hash('1001', 'tenant2.example.com', 'p4ss'));
+    });
+  });
+
+  describe('encrypt / decrypt', () => {
+    const savedKey = process.env.SECRETS_ENCRYPTION_KEY;
+
+    beforeEach(() => {
+      process.env.SECRETS_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+    });
+
+    afterEach(() => {
+      if (savedKey === undefined) delete process.env.SECRETS_ENCRYPTION_KEY;
+      else process.env.SECRETS_ENCRYPTION_KEY = savedKey;
+    });
+
+    it('round-trips a secret, with a fresh IV each time', () => {
+      const first = secrets.encrypt('gateway-password');
+      assert.ok(secrets.isEncrypted(first));
+      assert.notEqual(first, secrets.encrypt('gateway-password'));
+      assert.equal(secrets.decrypt(first), 'gateway-password');
+      assert.equal(secrets.encrypt(first), first);
+      assert.equal(secrets.decrypt('not-migrated'), 'not-migrated');
+    });
+
+    it('refuses a tampered value or another key', () => {
+      const encrypted = secrets.encrypt('gateway-password');
+      const tampered = `${encrypted.slice(0, -2)}${encrypted.endsWith('AA') ? 'BB' : 'AA'}`;
+      assert.throws(() => secrets.decrypt(tampered));
+
+      process.env.SECRETS_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+      assert.throws(() => secrets.decrypt(encrypted));
+    });
+
+    it('requires a 32 byte key', () => {
+      delete process.env.SECRETS_ENCRYPTION_KEY;
+      assert.throws(() => secrets.encrypt('x'), /SECRETS_ENCRYPTION_KEY is not set/);
+      process.env.SECRETS_ENCRYPTION_KEY = 'abcd';
+      assert.throws(() => secrets.encrypt('x'), /must be 32 bytes/);
+    });
+  });
+
+  describe('redaction', () => {
+    it('redacts secret fields at any depth, keeping empty ones', () => {
+      const redacted = secrets.redact({
+        domain_name: 'tenant1.example.com',
+        sip_clients: [{ user_id: '1001', a1_hash: 'abc', voicemail_pin: '' }],
+        gateway: { password: 'x' },
+      });
+      assert.deepEqual(redacted, {
+        domain_name: 'tenant1.example.com',
+        sip_clients: [{ user_id: '1001', a1_hash: secrets.REDACTED, voicemail_pin: '' }],
+        gateway: { password: secrets.REDACTED },
+      });
+    });
+
+    it('redacts secret params in XML', () => {
+      const xml = '<param name="a1-hash" value="abc"/><param name="vm-password" value="1234"/><param name="realm" value="r"/>';
+      assert.equal(secrets.redactXml(xml), `<param name="a1-hash" value="${secrets.REDACTED}"/><param name="vm-password" value="${secrets.REDACTED}"/><param name="realm" value="r"/>`);
+    });
+
+    it('drops placeholders sent back in updates, so stored secrets are kept', () => {
+      const body = { sip_clients: [{ user_id: '1001', a1_hash: secrets.REDACTED, voicemail_pin: '4321' }] };
+      assert.deepEqual(secrets.stripRedacted(body), { sip_clients: [{ user_id: '1001', voicemail_pin: '4321' }] });
+    });
+  });
+});
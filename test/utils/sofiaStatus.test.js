@@ -0,0 +1,71 @@
+// test/utils/sofiaStatus.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const sofiaStatus = require('../../utils/sofiaStatus');
+const fakeEslServer = require('../../scripts/fakeEslServer');
+
+describe('sofiaStatus', () => {
+  describe('parseRegistrations', () => {
+    it('parses every registration block', () => {
+      const registrations = sofiaStatus.parseRegistrations(fakeEslServer.answer('sofia status profile internal reg'));
+
+      assert.equal(registrations.length, 3);
+      assert.deepEqual(registrations[0], {
+        user_id: '1001',
+        domain: 'tenant1.example.com',
+        contact: 'sip:1001@192.168.1.10:5060;fs_nat=yes',
+        user_agent: 'Yealink SIP-T46S 66.86.0.15',
+        network_ip: '203.0.113.5',
+        network_port: 5060,
+        status: 'Registered(UDP-NAT)(unknown)',
+        nat: true,
+        expires_in: 3600,
+        ping_status: 'Reachable',
+        call_id: '1b4c76e66710@203.0.113.5',
+      });
+      assert.equal(registrations[1].nat, false);
+      assert.equal(registrations[1].status, 'Registered(TCP)(unknown)');
+      assert.equal(registrations[2].domain, 'tenant2.example.com');
+    });
+
+    it('handles CRLF line endings, contacts without brackets and missing fields', () => {
+      const text = 'Registrations:\r\n\r\nCall-ID: \tabc@host\r\nUser: \t1003\r\nContact: \tsip:1003@10.0.0.9\r\nStatus: \tRegistered(UDP)(unknown)\r\n';
+      const [registration] = sofiaStatus.parseRegistrations(text);
+
+      assert.equal(registration.user_id, '1003');
+      assert.equal(registration.domain, '');
+      assert.equal(registration.contact, 'sip:1003@10.0.0.9');
+      assert.equal(registration.network_port, null);
+      assert.equal(registration.expires_in, null);
+    });
+
+    it('returns no registrations for empty output', () => {
+      assert.deepEqual(sofiaStatus.parseRegistrations('\nRegistrations:\n====\n\nTotal items returned: 0\n'), []);
+      assert.deepEqual(sofiaStatus.parseRegistrations(undefined), []);
+    });
+  });
+
+  describe('parseGatewayStatus', () => {
+    it('parses the gateway state and call counters', () => {
+      assert.deepEqual(sofiaStatus.parseGatewayStatus(fakeEslServer.answer('sofia status gateway carrier_a')), {
+        name: 'carrier_a',
+        profile: 'signal',
+        state: 'REGED',
+        status: 'UP',
+        registered: true,
+        ping_state: '0/0/0',
+        uptime_seconds: 86400,
+        calls_in: 12,
+        calls_out: 34,
+        failed_calls_in: 0,
+        failed_calls_out: 2,
+      });
+    });
+
+    it('returns null for gateways FreeSWITCH does not know', () => {
+      assert.equal(sofiaStatus.parseGatewayStatus('Invalid Gateway!\n'), null);
+      assert.equal(sofiaStatus.parseGatewayStatus('-ERR no reply\n'), null);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// test/utils/validation.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const validation = require('../../utils/validation');
+
+const schema = {
+  name: { type: 'string', required: true, pattern: validation.PATTERNS.identifier, message: 'may only contain letters' },
+  type: { type: 'string', enum: ['hunt', 'ring'] },
+  timeout: { type: 'integer', min: 1, max: 3600 },
+  members: { type: 'array', items: { type: 'object', fields: { user_id: { type: 'string', required: true } } } },
+  options: { type: 'object', fields: { price: { type: 'number', min: 0 } } },
+};
+
+describe('validation.validate', () => {
+  it('accepts a valid payload and ignores unknown fields', () => {
+    assert.deepEqual(validation.validate(schema, {
+      name: 'sales', type: 'hunt', timeout: 30, members: [{ user_id: '1001' }], options: { price: 0.5 }, unknown: true,
+    }), []);
+  });
+
+  it('reports every error with its field path', () => {
+    const errors = validation.validate(schema, {
+      name: 'no spaces',
+      type: 'round',
+      timeout: 0.5,
+      members: [{ user_id: '1001' }, {}, null],
+      options: { price: -1 },
+    });
+
+    assert.deepEqual(errors, [
+      { field: 'name', message: 'may only contain letters' },
+      { field: 'type', message: 'must be one of: hunt, ring' },
+      { field: 'timeout', message: 'must be an integer' },
+      { field: 'members[1].user_id', message: 'is required' },
+      { field: 'members[2]', message: 'is required' },
+      { field: 'options.price', message: 'must be at least 0' },
+    ]);
+  });
+
+  it('checks bounds and empty required strings', () => {
+    assert.deepEqual(validation.validate(schema, { name: '', timeout: 3601 }), [
+      { field: 'name', message: 'is required' },
+      { field: 'timeout', message: 'must be at most 3600' },
+    ]);
+  });
+
+  it('skips missing required fields of partial updates, but not empty ones', () => {
+    assert.deepEqual(validation.validate(schema, { timeout: 30 }, { partial: true }), []);
+    assert.deepEqual(validation.validate(schema, { timeout: 30 }), [{ field: 'name', message: 'is required' }]);
+    assert.deepEqual(validation.validate(schema, { name: '' }, { partial: true }), [{ field: 'name', message: 'is required' }]);
+  });
+
+  it('requires an object', () => {
+    assert.deepEqual(validation.validate(schema, []), [{ field: 'body', message: 'must be an object' }]);
+    assert.deepEqual(validation.validate(schema, { options: 'x' }, { partial: true }), [{ field: 'options', message: 'must be an object' }]);
+  });
+});
+
+describe('validation.PATTERNS', () => {
+  it('tells phone numbers, dial strings and domain names apart', () => {
+    assert.ok(validation.PATTERNS.phoneNumber.test('+15125550100'));
+    assert.ok(!validation.PATTERNS.phoneNumber.test('512-555-0100'));
+    assert.ok(validation.PATTERNS.dialString.test('*72'));
+    assert.ok(validation.PATTERNS.domainName.test('tenant1.example.com'));
+    assert.ok(!validation.PATTERNS.domainName.test('localhost'));
+  });
+});
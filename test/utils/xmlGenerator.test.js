@@ -0,0 +1,33 @@
+// test/utils/xmlGenerator.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const xmlGenerator = require('../../utils/xmlGenerator');
+
+describe('xmlGenerator.generateDialplanXml', () => {
+  it('escapes expressions and action data, keeping FreeSWITCH syntax intact', () => {
+    const xml = xmlGenerator.generateDialplanXml('default', {
+      name: 'ext',
+      conditions: [{
+        field: 'destination_number',
+        expression: '^(1|2)&"<x>$',
+        actions: [{ application: 'set', data: 'effective_caller_id_name=Smith & Sons "<HQ>"' }, { application: 'bridge', data: 'user/$1@${domain_name}' }],
+        anti_actions: [{ application: 'log', data: "INFO it's <not> it" }],
+      }],
+    }, {});
+
+    assert.match(xml, /expression="\^\(1\|2\)&amp;&quot;&lt;x&gt;\$"/);
+    assert.match(xml, /data="effective_caller_id_name=Smith &amp; Sons &quot;&lt;HQ&gt;&quot;"/);
+    assert.match(xml, /data="user\/\$1@\$\{domain_name\}"/);
+    assert.match(xml, /<anti-action application="log" data="INFO it&apos;s &lt;not&gt; it"\/>/);
+  });
+
+  it('escapes single-condition extensions and the error fallback once', () => {
+    const xml = xmlGenerator.generateDialplanXml('default', { name: 'ext', condition_field: 'destination_number', expression: '^1&2$', actions: [{ application: 'set', data: 'a=&' }] }, {});
+    assert.match(xml, /expression="\^1&amp;2\$"/);
+    assert.match(xml, /data="a=&amp;"/);
+
+    const fallback = xmlGenerator.generateDialplanXml('default', null, { 'Caller-Destination-Number': '1&2' });
+    assert.match(fallback, /expression="\^1&amp;2\$"/);
+  });
+});
@@ -0,0 +1,162 @@
+// utils/cdrParser.js
+// Parses the call detail records FreeSWITCH posts with mod_json_cdr and mod_xml_cdr.
+//
+// Both modules send one record per call leg, either as the request body or as the form field `cdr`, and either
+// as is or base64 encoded (their `encode` setting). Channel variable values are URL encoded (the default of both modules).
+// A parsed record is:
+//   { core_uuid, switchname, variables: { name: value }, callflow: [{ profile_index, context, destination_number, username, caller_id_number, caller_id_name }] }
+// with callflow ordered by profile_index, so callflow[0] is the dialplan lookup the call started with.
+
+const CALLER_PROFILE_FIELDS = ['context', 'destination_number', 'username', 'caller_id_number', 'caller_id_name'];
+
+/**
+ * Decodes a URL encoded channel variable value, keeping values that are not valid URL encoding.
+ * @param {*} value - The value.
+ * @returns {string} The decoded value.
+ */
+const decodeValue = (value) => {
+  const text = String(value ?? '');
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Decodes XML character entities.
+ * @param {string} text - XML text content.
+ * @returns {string} The decoded text.
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#[0-9]+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10));
+  }
+  return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity.toLowerCase()];
+});
+
+/**
+ * Returns the text of the first `<tag>` element in an XML fragment.
+ * @param {string} xml - XML fragment.
+ * @param {string} tag - Element name.
+ * @returns {string|undefined} The element's content, or undefined if there is none.
+ */
+const elementText = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : undefined;
+};
+
+/**
+ * Reads an attribute of the first `<tag>` element in an XML fragment.
+ * @param {string} xml - XML fragment.
+ * @param {string} tag - Element name.
+ * @param {string} attribute - Attribute name.
+ * @returns {string|undefined} The attribute value, or undefined if there is none.
+ */
+const attributeValue = (xml, tag, attribute) => {
+  const match = xml.match(new RegExp(`<${tag}\\s[^>]*\\b${attribute}="([^"]*)"`));
+  return match ? decodeEntities(match[1]) : undefined;
+};
+
+/**
+ * Keeps the fields of a caller profile this server uses.
+ * @param {Object} profile - caller_profile of a callflow.
+ * @param {*} profileIndex - The callflow's profile_index.
+ * @returns {Object} The callflow entry.
+ */
+const toCallflowEntry = (profile, profileIndex) => ({
+  profile_index: parseInt(profileIndex, 10) || 0,
+  ...Object.fromEntries(CALLER_PROFILE_FIELDS.map(field => [field, decodeValue(profile?.[field])])),
+});
+
+/**
+ * Parses a mod_xml_cdr record.
+ * @param {string} xml - The XML document.
+ * @returns {Object} The parsed record.
+ * @throws {Error} If the document has no <cdr> element.
+ */
+const parseXml = (xml) => {
+  if (!/<cdr[\s>]/.test(xml)) throw new Error('Invalid CDR: no <cdr> element');
+
+  const variables = {};
+  const variablesXml = elementText(xml, 'variables') || '';
+  for (const match of variablesXml.matchAll(/<([A-Za-z0-9_.:-]+)(?:\s*\/>|>([\s\S]*?)<\/\1>)/g)) {
+    variables[match[1]] = decodeValue(decodeEntities(match[2] || ''));
+  }
+
+  const callflow = [...xml.matchAll(/<callflow(\s[^>]*)?>([\s\S]*?)<\/callflow>/g)].map(([, attributes = '', content]) => {
+    const profileXml = elementText(content, 'caller_profile') || '';
+    const profile = Object.fromEntries(CALLER_PROFILE_FIELDS.map(field => [field, decodeEntities(elementText(profileXml, field) || '')]));
+    return toCallflowEntry(profile, (attributes.match(/profile_index="([^"]*)"/) || [])[1]);
+  });
+
+  return {
+    core_uuid: attributeValue(xml, 'cdr', 'core-uuid') || '',
+    switchname: attributeValue(xml, 'cdr', 'switchname') || decodeEntities(elementText(xml, 'switchname') || ''),
+    variables,
+    callflow: callflow.sort((a, b) => a.profile_index - b.profile_index),
+  };
+};
+
+/**
+ * Converts a mod_json_cdr record.
+ * @param {Object} json - The parsed JSON document.
+ * @returns {Object} The parsed record.
+ * @throws {Error} If the document has no variables.
+ */
+const parseJson = (json) => {
+  if (!json || typeof json.variables !== 'object' || json.variables === null) throw new Error('Invalid CDR: no variables');
+
+  const variables = Object.fromEntries(Object.entries(json.variables).map(([name, value]) => [name, decodeValue(value)]));
+  const callflows = Array.isArray(json.callflow) ? json.callflow : [json.callflow].filter(Boolean);
+
+  return {
+    core_uuid: json['core-uuid'] || '',
+    switchname: json.switchname || '',
+    variables,
+    callflow: callflows
+      .map(flow => toCallflowEntry(flow.caller_profile, flow.profile_index))
+      .sort((a, b) => a.profile_index - b.profile_index),
+  };
+};
+
+/**
+ * Parses a record from its text form (XML, JSON, or either of them base64 encoded).
+ * @param {string} text - The record.
+ * @returns {Object} The parsed record.
+ * @throws {Error} If the text is not a CDR.
+ */
+const parseText = (text) => {
+  const trimmed = String(text || '').trim();
+  if (trimmed.startsWith('<')) return parseXml(trimmed);
+  if (trimmed.startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid CDR: ${error.message}`);
+    }
+    return parseJson(json);
+  }
+
+  const decoded = /^[A-Za-z0-9+/=\s]+$/.test(trimmed) ? Buffer.from(trimmed, 'base64').toString('utf8').trim() : '';
+  if (decoded.startsWith('<') || decoded.startsWith('{')) return parseText(decoded);
+  throw new Error('Invalid CDR: not XML or JSON');
+};
+
+const cdrParser = {
+  /**
+   * Parses the body of a CDR request, as parsed by Express (JSON object, form fields or raw text).
+   * @param {Object|string} body - The request body.
+   * @returns {Object} The parsed record: { core_uuid, switchname, variables, callflow }.
+   * @throws {Error} "Invalid CDR: ..." if the body is not a CDR.
+   */
+  parse: (body) => {
+    if (typeof body === 'string' || Buffer.isBuffer(body)) return parseText(body.toString());
+    if (body && typeof body.cdr === 'string') return parseText(body.cdr);
+    if (body && body.variables) return parseJson(body);
+    throw new Error('Invalid CDR: empty request');
+  },
+};
+
+module.exports = cdrParser;
@@ -0,0 +1,107 @@
+// utils/circuitBreaker.js
+// Circuit breaker for calls to external APIs made during call setup.
+//
+// - closed: requests go through. After `failureThreshold` consecutive failures the breaker opens.
+// - open: requests are refused for `cooldownMs`, so call setup does not wait on an API that is down.
+// - half_open: after the cooldown a single trial request goes through; success closes the breaker, failure opens it again.
+
+/**
+ * Creates a circuit breaker.
+ * @param {Object} options - Breaker options.
+ * @param {string} options.name - Name used in log messages (e.g., "SignalWire CNAM").
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open the breaker.
+ * @param {number} [options.cooldownMs=60000] - How long the breaker stays open before a trial request.
+ * @returns {Object} The breaker: { canRequest, recordSuccess, recordFailure, reset, getState }.
+ */
+const createCircuitBreaker = ({ name, failureThreshold = 5, cooldownMs = 60000 }) => {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInProgress = false;
+  let lastError = null;
+  let lastFailureAt = null;
+  const totals = { successes: 0, failures: 0, rejected: 0 };
+
+  const open = () => {
+    state = 'open';
+    openedAt = new Date();
+    trialInProgress = false;
+    console.warn(`WARN: ${name} circuit breaker opened after ${consecutiveFailures} consecutive failure(s); requests are skipped for ${cooldownMs / 1000} s.`);
+  };
+
+  return {
+    /**
+     * Checks whether a request may be made now. In half_open state only one trial request is allowed at a time.
+     * @returns {boolean} True if the request may go through.
+     */
+    canRequest: () => {
+      if (state === 'open' && Date.now() - openedAt.getTime() >= cooldownMs) {
+        state = 'half_open';
+      }
+      if (state === 'closed' || (state === 'half_open' && !trialInProgress)) {
+        if (state === 'half_open') trialInProgress = true;
+        return true;
+      }
+      totals.rejected++;
+      return false;
+    },
+
+    /**
+     * Records a successful request.
+     */
+    recordSuccess: () => {
+      totals.successes++;
+      consecutiveFailures = 0;
+      if (state !== 'closed') {
+        console.log(`INFO: ${name} circuit breaker closed.`);
+      }
+      state = 'closed';
+      openedAt = null;
+      trialInProgress = false;
+    },
+
+    /**
+     * Records a failed request (error or timeout).
+     * @param {Error} error - The failure.
+     */
+    recordFailure: (error) => {
+      totals.failures++;
+      consecutiveFailures++;
+      lastError = error ? error.message : null;
+      lastFailureAt = new Date();
+      if (state === 'half_open' || (state === 'closed' && consecutiveFailures >= failureThreshold)) {
+        open();
+      }
+    },
+
+    /**
+     * Closes the breaker and clears the failure count.
+     */
+    reset: () => {
+      state = 'closed';
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInProgress = false;
+      console.log(`INFO: ${name} circuit breaker reset.`);
+    },
+
+    /**
+     * Current breaker state.
+     * @returns {Object} { name, state, consecutive_failures, failure_threshold, cooldown_ms, opened_at, retry_at, last_error, last_failure_at, successes, failures, rejected }.
+     */
+    getState: () => ({
+      name,
+      state: state === 'open' && Date.now() - openedAt.getTime() >= cooldownMs ? 'half_open' : state,
+      consecutive_failures: consecutiveFailures,
+      failure_threshold: failureThreshold,
+      cooldown_ms: cooldownMs,
+      opened_at: openedAt,
+      retry_at: openedAt ? new Date(openedAt.getTime() + cooldownMs) : null,
+      last_error: lastError,
+      last_failure_at: lastFailureAt,
+      ...totals,
+    }),
+  };
+};
+
+module.exports = { createCircuitBreaker };
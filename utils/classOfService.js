@@ -0,0 +1,85 @@
+// utils/classOfService.js
+// Classifies dialed numbers and decides whether a class-of-service profile may call them.
+// Number categories follow the North American Numbering Plan used by the shared trunk.
+
+// Categories each class-of-service profile may dial. Internal (on-net) calls are always allowed.
+// Profiles are listed from the most to the least restrictive; each one allows everything the previous one does.
+const PROFILES = {
+    internal_only: [],
+    emergency_only: ["emergency"],
+    local: ["emergency", "local", "toll_free"],
+    national: ["emergency", "local", "national", "toll_free"],
+    international: ["emergency", "local", "national", "toll_free", "international"],
+    unrestricted: ["emergency", "local", "national", "toll_free", "international", "premium"],
+};
+
+const DEFAULT_PROFILE = "national";
+
+const EMERGENCY_NUMBERS = ["911", "933"];
+const TOLL_FREE_AREA_CODES = ["800", "833", "844", "855", "866", "877", "888"];
+const PREMIUM_AREA_CODES = ["900", "976"];
+// NANP area codes outside the US and Canada; these are billed as international (and are a common toll-fraud target).
+const NANP_INTERNATIONAL_AREA_CODES = [
+    "242", "246", "264", "268", "284", "345", "441", "473", "649", "658", "664",
+    "721", "758", "767", "784", "809", "829", "849", "868", "869", "876",
+];
+
+const classOfService = {
+    PROFILES,
+    DEFAULT_PROFILE,
+
+    /**
+     * Determines the category of a dialed number.
+     * @param {string} number - The dialed number.
+     * @param {Array<string>} [localAreaCodes=[]] - Area codes the tenant considers local.
+     * @returns {string} One of "emergency", "local", "national", "toll_free", "premium" or "international".
+     */
+    classifyNumber: (number, localAreaCodes = []) => {
+        const dialed = String(number || "").trim();
+        const digits = dialed.replace(/\D/g, "");
+
+        if (EMERGENCY_NUMBERS.includes(digits)) return "emergency";
+        if ((dialed.startsWith("+") && !dialed.startsWith("+1")) || digits.startsWith("011")) return "international";
+
+        const nanpNumber = digits.length === 11 && digits.startsWith("1") ? digits.substring(1) : digits;
+        if (nanpNumber.length !== 10) return "international";
+
+        const areaCode = nanpNumber.substring(0, 3);
+        if (TOLL_FREE_AREA_CODES.includes(areaCode)) return "toll_free";
+        if (PREMIUM_AREA_CODES.includes(areaCode)) return "premium";
+        if (NANP_INTERNATIONAL_AREA_CODES.includes(areaCode)) return "international";
+        if (localAreaCodes.includes(areaCode)) return "local";
+        return "national";
+    },
+
+    /**
+     * Resolves the class-of-service profile that applies to a caller.
+     * A SIP client's own profile overrides the tenant's, but can only restrict it: tenant admins manage their SIP
+     * clients, while only a global admin sets the tenant's profile, so a client is never allowed more than its tenant.
+     * @param {Object} tenant - Tenant data.
+     * @param {Object|null} sipClient - The originating SIP client, if known.
+     * @returns {string} The profile name.
+     */
+    resolveProfile: (tenant, sipClient) => {
+        const tenantProfile = PROFILES[tenant?.class_of_service] ? tenant.class_of_service : DEFAULT_PROFILE;
+        const clientProfile = sipClient?.class_of_service;
+        if (!PROFILES[clientProfile]) return tenantProfile;
+        const order = Object.keys(PROFILES);
+        return order.indexOf(clientProfile) < order.indexOf(tenantProfile) ? clientProfile : tenantProfile;
+    },
+
+    /**
+     * Checks whether a caller may dial an external number.
+     * @param {Object} tenant - Tenant data.
+     * @param {Object|null} sipClient - The originating SIP client, if known.
+     * @param {string} number - The dialed number.
+     * @returns {{allowed: boolean, profile: string, category: string}} The decision and what it was based on.
+     */
+    check: (tenant, sipClient, number) => {
+        const profile = classOfService.resolveProfile(tenant, sipClient);
+        const category = classOfService.classifyNumber(number, tenant?.local_area_codes || []);
+        return { allowed: PROFILES[profile].includes(category), profile, category };
+    },
+};
+
+module.exports = classOfService;
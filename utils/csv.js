@@ -0,0 +1,84 @@
+// utils/csv.js
+// Reading and writing CSV (RFC 4180) for API imports and exports.
+
+// Spreadsheets run a field starting with one of these as a formula (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a value when it contains a separator, a quote or a line break. Text starting like a formula
+ * (=, +, -, @, tab or carriage return) is prefixed with "'" so that spreadsheets show it as text: exported fields
+ * such as caller ID names are chosen by callers. Numbers and dates are written as they are.
+ * @param {*} value - The value (null and undefined become empty fields, dates ISO 8601).
+ * @returns {string} The CSV field.
+ */
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csv = {
+  formatField,
+
+  /**
+   * Formats one CSV line.
+   * @param {Array<*>} values - The fields.
+   * @returns {string} The line, ending with CRLF.
+   */
+  formatRow: (values) => `${values.map(formatField).join(',')}\r\n`,
+
+  /**
+   * Parses CSV text. Fields may be quoted ("a ""quoted"" value", line breaks included); blank lines are skipped.
+   * @param {string} text - The CSV text.
+   * @returns {Array<{line: number, values: Array<string>}>} The rows, with the line number each starts on.
+   * @throws {Error} "Invalid CSV: ..." if a quoted field is not closed.
+   */
+  parse: (text) => {
+    const rows = [];
+    let values = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    const source = String(text).replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a byte order mark
+    const endRow = () => {
+      values.push(field);
+      if (values.length > 1 || values[0].trim() !== '') rows.push({ line: rowLine, values });
+      values = [];
+      field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        values.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        endRow();
+        line++;
+        rowLine = line;
+      } else {
+        field += char;
+      }
+    }
+    if (quoted) throw new Error(`Invalid CSV: unterminated quoted field on line ${rowLine}`);
+    if (field !== '' || values.length > 0) endRow();
+    return rows;
+  },
+};
+
+module.exports = csv;
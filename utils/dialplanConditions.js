@@ -0,0 +1,337 @@
+// utils/dialplanConditions.js
+// Evaluates custom dialplan extensions the way FreeSWITCH's mod_dialplan_xml does: conditions in order,
+// actions on a match, anti-actions otherwise, and `break` deciding when to stop.
+//
+// Condition expressions are tenant-written regular expressions run on every call. checkExpression() rejects the
+// constructs that make a regex backtrack exponentially, and evaluation runs each match under a time limit, so an
+// expression that slips through (or was saved before these checks) fails its condition instead of blocking the server.
+const vm = require("vm");
+
+// Time attributes of a <condition>, keyed by the name stored in Mongo (FreeSWITCH uses dashes in some of them).
+const TIME_ATTRIBUTES = {
+    year: "year",
+    yday: "yday",
+    mon: "mon",
+    mday: "mday",
+    week: "week",
+    mweek: "mweek",
+    wday: "wday",
+    hour: "hour",
+    minute: "minute",
+    minute_of_day: "minute-of-day",
+    time_of_day: "time-of-day",
+    date_time: "date-time",
+};
+
+const BREAK_VALUES = ["on-false", "on-true", "always", "never"];
+
+// Caller profile fields FreeSWITCH matches on, and the XML-curl request parameters that carry them.
+const CALLER_PROFILE_FIELDS = {
+    destination_number: "Caller-Destination-Number",
+    caller_id_number: "Caller-Caller-ID-Number",
+    caller_id_name: "Caller-Caller-ID-Name",
+    ani: "Caller-ANI",
+    rdnis: "Caller-RDNIS",
+    network_addr: "Caller-Network-Addr",
+    username: "Caller-Username",
+    context: "Caller-Context",
+    dialplan: "Caller-Dialplan",
+    source: "Caller-Source",
+    chan_name: "Caller-Channel-Name",
+    uuid: "Caller-Unique-ID",
+};
+
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const MAX_EXPRESSION_LENGTH = 256;
+const EXPRESSION_TIMEOUT_MS = 20;
+
+// Regex matches run in their own context so that vm can interrupt them after EXPRESSION_TIMEOUT_MS
+const matchContext = vm.createContext({ regex: null, value: "" });
+const matchScript = new vm.Script("regex.exec(value)");
+
+/**
+ * Checks a value against a FreeSWITCH number list such as "1-5,7" (ranges are inclusive).
+ * @param {string} spec - Comma separated numbers and ranges.
+ * @param {number} value - The value to check.
+ * @param {boolean} [wrap=false] - Whether a range may wrap around (e.g., "6-2" for weekdays).
+ * @returns {boolean} True if the value is in the list.
+ */
+const matchNumberList = (spec, value, wrap = false) => {
+    return String(spec).split(",").some((part) => {
+        const [from, to] = part.split("-").map((bound) => Number(bound.trim()));
+        if (to === undefined || Number.isNaN(to)) return value === from;
+        if (from <= to) return value >= from && value <= to;
+        return wrap && (value >= from || value <= to);
+    });
+};
+
+/**
+ * Converts weekday names in a `wday` attribute into FreeSWITCH's numbering (1 = Sunday).
+ * @param {string} spec - e.g. "mon-fri" or "2-6".
+ * @returns {string} The attribute with numbers only.
+ */
+const normalizeWeekdays = (spec) => String(spec).toLowerCase().replace(/[a-z]+/g, (name) => String(WEEKDAY_NAMES.indexOf(name.substring(0, 3)) + 1));
+
+/**
+ * Converts "HH:MM[:SS]" into seconds since midnight.
+ * @param {string} time - Time of day.
+ * @returns {number} Seconds since midnight.
+ */
+const toSeconds = (time) => {
+    const [hours, minutes = 0, seconds = 0] = String(time).trim().split(":").map(Number);
+    return hours * 3600 + minutes * 60 + seconds;
+};
+
+/**
+ * Finds a group repeated without bound (by *, + or a {n,m} range) that itself contains a quantifier or an alternation,
+ * such as "(\d+)+" or "(1|12)*": the constructs that make a regex backtrack exponentially.
+ * Groups that are optional ("?") or repeated a fixed number of times ("{3}") are fine.
+ * @param {string} expression - The regular expression source.
+ * @returns {boolean} True if the expression nests repetition.
+ */
+const hasNestedRepetition = (expression) => {
+    const groups = [{ varies: false }];
+    for (let i = 0; i < expression.length; i++) {
+        const char = expression[i];
+        const group = groups[groups.length - 1];
+        const rest = expression.substring(i);
+        if (char === "\\") {
+            i++;
+        } else if (char === "[") {
+            // Skip the character class; a "]" right after "[" or "[^" is a literal
+            i += expression[i + 1] === "^" ? 2 : 1;
+            if (expression[i] === "]") i++;
+            while (i < expression.length && expression[i] !== "]") i += expression[i] === "\\" ? 2 : 1;
+        } else if (char === "(") {
+            groups.push({ varies: false });
+        } else if (char === ")") {
+            if (groups.length > 1) groups.pop();
+            if (group.varies && /^\)(?:[*+]|\{\d*,\d*\})/.test(rest)) return true;
+            if (group.varies) groups[groups.length - 1].varies = true;
+        } else if (char === "|" || char === "*" || char === "+" || /^\{\d*,\d*\}/.test(rest)) {
+            group.varies = true;
+        } else if (char === "?" && !/[(*+?}]/.test(expression[i - 1] || "")) {
+            // A "?" after "(" or after a quantifier is group syntax or a lazy marker, not a quantifier
+            group.varies = true;
+        }
+    }
+    return false;
+};
+
+const dialplanConditions = {
+    TIME_ATTRIBUTES,
+    BREAK_VALUES,
+    MAX_EXPRESSION_LENGTH,
+    EXPRESSION_TIMEOUT_MS,
+
+    /**
+     * Checks that a condition expression is a regular expression that runs in bounded time.
+     * @param {string} expression - The expression.
+     * @returns {string|null} Why the expression is not allowed (e.g., "uses a backreference"), or null if it is.
+     */
+    checkExpression: (expression) => {
+        const source = String(expression ?? "");
+        if (source.length > MAX_EXPRESSION_LENGTH) return `must be at most ${MAX_EXPRESSION_LENGTH} characters long`;
+        try {
+            new RegExp(source);
+        } catch (error) {
+            return `is not a valid regular expression: ${error.message}`;
+        }
+        if (/\\([1-9]|k<)/.test(source.replace(/\\\\/g, ""))) return "may not use backreferences";
+        if (hasNestedRepetition(source)) {
+            return 'may not apply *, + or {n,m} to a group containing a quantifier or "|" (e.g., "(\\d+)+"), as it can take exponential time';
+        }
+        return null;
+    },
+
+    /**
+     * Runs a condition expression against a value, giving up after EXPRESSION_TIMEOUT_MS.
+     * @param {string} expression - The expression.
+     * @param {string} value - The field value.
+     * @returns {Array<string>|null} The regex match, or null if it does not match, is invalid or takes too long.
+     */
+    matchExpression: (expression, value) => {
+        try {
+            matchContext.regex = new RegExp(expression || "");
+            matchContext.value = value;
+            return matchScript.runInContext(matchContext, { timeout: EXPRESSION_TIMEOUT_MS });
+        } catch (error) {
+            console.warn(`WARN: Dialplan expression "${expression}" failed on "${value}":`, error.message);
+            return null;
+        } finally {
+            matchContext.regex = null;
+        }
+    },
+
+    /**
+     * Returns the conditions of a custom extension. Extensions saved before multi-condition support
+     * hold a single condition in condition_field / condition_expression / actions.
+     * @param {Object} extension - A dialplan extension from tenant.dialplan.
+     * @returns {Array<Object>} The extension's conditions.
+     */
+    getConditions: (extension) => {
+        if (extension.conditions?.length) return extension.conditions;
+        return [{ field: extension.condition_field, expression: extension.condition_expression, actions: extension.actions || [], anti_actions: [] }];
+    },
+
+    /**
+     * Resolves the value of a condition field from an XML-curl dialplan request.
+     * Supports caller profile fields (e.g., "destination_number") and channel variables ("${sip_from_user}").
+     * @param {Object} body - FreeSWITCH request body.
+     * @param {string} field - The condition field.
+     * @returns {string} The field's value, or '' if the request does not carry it.
+     */
+    getFieldValue: (body, field) => {
+        const variable = String(field).match(/^\$\{([^}]+)\}$/);
+        if (variable) return String(body[`variable_${variable[1]}`] ?? "");
+        const parameter = CALLER_PROFILE_FIELDS[field];
+        return String((parameter ? body[parameter] : body[`variable_${field}`]) ?? "");
+    },
+
+    /**
+     * Checks the time attributes of a condition.
+     * @param {Object} condition - The condition.
+     * @param {Date} date - The moment to evaluate.
+     * @param {string} [timezone] - IANA timezone; defaults to the server's.
+     * @returns {boolean|null} Whether every time attribute matches, or null if the condition has none.
+     */
+    matchTime: (condition, date, timezone) => {
+        const attributes = Object.keys(TIME_ATTRIBUTES).filter((attribute) => condition[attribute]);
+        if (attributes.length === 0) return null;
+
+        const local = dialplanConditions.getLocalTime(date, timezone);
+        return attributes.every((attribute) => {
+            const spec = condition[attribute];
+            switch (attribute) {
+                case "wday":
+                    return matchNumberList(normalizeWeekdays(spec), local.wday, true);
+                case "minute_of_day":
+                    return matchNumberList(spec, local.hour * 60 + local.minute + 1);
+                case "time_of_day": {
+                    const [from, to] = String(spec).split("-").map(toSeconds);
+                    const now = local.hour * 3600 + local.minute * 60 + local.second;
+                    return from <= to ? now >= from && now <= to : now >= from || now <= to;
+                }
+                case "date_time": {
+                    const [from, to] = String(spec).split("~").map((value) => value.trim());
+                    const now = local.dateTime;
+                    return now >= from && now <= to;
+                }
+                default:
+                    return matchNumberList(spec, local[attribute]);
+            }
+        });
+    },
+
+    /**
+     * Evaluates one custom extension against a call.
+     * Like FreeSWITCH, the extension matches when the last condition evaluated passed; anti-actions of failed
+     * conditions are collected too. Regex captures stay available to later conditions until another regex is evaluated.
+     * @param {Object} extension - A dialplan extension from tenant.dialplan.
+     * @param {Object} body - FreeSWITCH request body.
+     * @param {Object} [options] - Evaluation options.
+     * @param {Date} [options.date=new Date()] - The moment to evaluate time conditions at.
+     * @param {string} [options.timezone] - IANA timezone for time conditions.
+     * @returns {{matched: boolean, actions: Array<Object>}} Whether the extension matched, and the actions FreeSWITCH would run.
+     */
+    evaluateExtension: (extension, body, { date = new Date(), timezone } = {}) => {
+        const actions = [];
+        let matched = false;
+        let captures = [];
+
+        for (const condition of dialplanConditions.getConditions(extension)) {
+            const timeMatch = dialplanConditions.matchTime(condition, date, timezone);
+            let passed = timeMatch !== false;
+
+            if (passed && condition.field) {
+                const result = dialplanConditions.matchExpression(condition.expression, dialplanConditions.getFieldValue(body, condition.field));
+                passed = Boolean(result);
+                captures = result || [];
+            } else if (timeMatch === null && !condition.field) {
+                passed = true; // An empty condition always matches
+            }
+
+            matched = passed;
+            const breakOn = condition.break || "on-false";
+            if (passed) {
+                actions.push(...(condition.actions || []).map((action) => ({
+                    application: action.application,
+                    data: dialplanConditions.substituteCaptures(action.data, captures),
+                })));
+                if (breakOn === "on-true" || breakOn === "always") break;
+            } else {
+                actions.push(...(condition.anti_actions || []).map((action) => ({ application: action.application, data: action.data || "" })));
+                if (breakOn === "on-false" || breakOn === "always") break;
+            }
+        }
+
+        return { matched, actions };
+    },
+
+    /**
+     * Replaces $1..$9 in action data with a condition's regex captures, as FreeSWITCH does.
+     * @param {string} data - Action data.
+     * @param {Array<string>} captures - The regex match (index 0 is the whole match).
+     * @returns {string} The action data with captures substituted.
+     */
+    substituteCaptures: (data, captures) => {
+        if (!data) return "";
+        return String(data).replace(/\$(\d)/g, (placeholder, index) => captures[Number(index)] ?? "");
+    },
+
+    /**
+     * Breaks a moment down into the calendar values FreeSWITCH time conditions use.
+     * @param {Date} date - The moment.
+     * @param {string} [timezone] - IANA timezone; defaults to the server's.
+     * @returns {Object} year, yday, mon, mday, week, mweek, wday (1 = Sunday), hour, minute, second and dateTime ("YYYY-MM-DD HH:MM:SS").
+     */
+    getLocalTime: (date, timezone) => {
+        let formatter;
+        try {
+            formatter = new Intl.DateTimeFormat("en-US", {
+                timeZone: timezone || undefined,
+                weekday: "short",
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                hour: "2-digit",
+                minute: "2-digit",
+                second: "2-digit",
+                hourCycle: "h23",
+            });
+        } catch (error) {
+            console.warn(`WARN: Invalid dialplan timezone "${timezone}". Evaluating in the server's timezone.`);
+            return dialplanConditions.getLocalTime(date);
+        }
+
+        const parts = {};
+        formatter.formatToParts(date).forEach((part) => {
+            parts[part.type] = part.value;
+        });
+
+        const year = Number(parts.year);
+        const mon = Number(parts.month);
+        const mday = Number(parts.day);
+        const wday = WEEKDAY_NAMES.indexOf(parts.weekday.toLowerCase()) + 1;
+        const yday = Math.round((Date.UTC(year, mon - 1, mday) - Date.UTC(year, 0, 1)) / 86400000) + 1;
+        const firstWeekday = new Date(Date.UTC(year, mon - 1, 1)).getUTCDay();
+        const januaryFirstWeekday = new Date(Date.UTC(year, 0, 1)).getUTCDay();
+
+        return {
+            year,
+            yday,
+            mon,
+            mday,
+            week: Math.floor((yday - 1 + januaryFirstWeekday) / 7) + 1,
+            mweek: Math.floor((mday - 1 + firstWeekday) / 7) + 1,
+            wday,
+            hour: Number(parts.hour),
+            minute: Number(parts.minute),
+            second: Number(parts.second),
+            dateTime: `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`,
+        };
+    },
+};
+
+module.exports = dialplanConditions;
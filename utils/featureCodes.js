@@ -0,0 +1,74 @@
+// utils/featureCodes.js
+// Star codes a tenant's SIP clients can dial for self-service features.
+// Each tenant may override or disable (empty string) any code via tenant.feature_codes.
+
+const DEFAULT_FEATURE_CODES = {
+    voicemail: "*98", // Check voicemail
+    call_forward_on: "*72", // *72<number> sets unconditional forwarding; *72 alone prompts for the number
+    call_forward_off: "*73",
+    dnd_on: "*78",
+    dnd_off: "*79",
+    call_return: "*69", // Call back the last caller
+    redial: "*870", // Redial the last number dialed
+    group_pickup: "*8", // Pick up a call ringing in the caller's call group
+    intercom: "*80", // *80<extension> calls the extension with auto-answer
+    directed_pickup: "**", // **<extension> picks up a call ringing at that extension
+};
+
+// Features whose code is followed by an argument (a number or extension)
+const PREFIX_FEATURES = ["call_forward_on", "intercom", "directed_pickup"];
+
+const featureCodes = {
+    DEFAULT_FEATURE_CODES,
+    PREFIX_FEATURES,
+
+    /**
+     * Resolves a tenant's feature code table: defaults merged with the tenant's overrides, without disabled codes.
+     * @param {Object} tenant - Tenant data.
+     * @returns {Object} Map of feature name to dial code.
+     */
+    resolve: (tenant) => {
+        const codes = { ...DEFAULT_FEATURE_CODES };
+        Object.keys(DEFAULT_FEATURE_CODES).forEach((feature) => {
+            const override = tenant?.feature_codes?.[feature];
+            if (override !== undefined && override !== null) codes[feature] = String(override).trim();
+        });
+        Object.keys(codes).forEach((feature) => {
+            if (!codes[feature]) delete codes[feature];
+        });
+        return codes;
+    },
+
+    /**
+     * Matches a dialed string against a feature code table.
+     * Exact codes win over prefix codes; among prefix codes the longest one wins (so "*80" beats "*8").
+     * @param {Object} codes - Map of feature name to dial code (see resolve).
+     * @param {string} dialed - The dialed string.
+     * @returns {{feature: string, argument: string}|null} The matched feature and the digits following its code.
+     */
+    match: (codes, dialed) => {
+        const exact = Object.keys(codes).find((feature) => codes[feature] === dialed);
+        if (exact) return { feature: exact, argument: "" };
+
+        const prefixed = PREFIX_FEATURES.filter((feature) => codes[feature] && dialed.startsWith(codes[feature]) && /^\+?\d+$/.test(dialed.substring(codes[feature].length)))
+            .sort((a, b) => codes[b].length - codes[a].length)[0];
+        return prefixed ? { feature: prefixed, argument: dialed.substring(codes[prefixed].length) } : null;
+    },
+
+    /**
+     * Finds codes that are assigned to more than one feature.
+     * @param {Object} codes - Map of feature name to dial code.
+     * @returns {Array<string>} The duplicated codes.
+     */
+    findDuplicates: (codes) => {
+        const seen = new Set();
+        const duplicates = new Set();
+        Object.values(codes).forEach((code) => {
+            if (seen.has(code)) duplicates.add(code);
+            seen.add(code);
+        });
+        return [...duplicates];
+    },
+};
+
+module.exports = featureCodes;
@@ -0,0 +1,48 @@
+// utils/freeswitchNames.js
+// FreeSWITCH module objects (IVR menus, call center queues and agents, conferences) live in one global namespace shared by all tenants.
+// These helpers build the tenant-prefixed names used in both the dialplan and the configuration section.
+
+const freeswitchNames = {
+    /**
+     * Global name of a tenant's IVR menu in ivr.conf.
+     * @param {string} domainName - Tenant domain name.
+     * @param {string} menuName - Menu name within the tenant.
+     * @returns {string} The FreeSWITCH menu name (e.g., "tenant1.example.com_main_menu").
+     */
+    ivrMenu: (domainName, menuName) => `${domainName}_${menuName}`,
+
+    /**
+     * Global name of a tenant's mod_callcenter queue in callcenter.conf.
+     * @param {string} domainName - Tenant domain name.
+     * @param {string} queueName - Queue name within the tenant.
+     * @returns {string} The FreeSWITCH queue name (e.g., "support@tenant1.example.com").
+     */
+    callcenterQueue: (domainName, queueName) => `${queueName}@${domainName}`,
+
+    /**
+     * Global name of a SIP client acting as a mod_callcenter agent.
+     * @param {string} domainName - Tenant domain name.
+     * @param {string} userId - SIP client user_id.
+     * @returns {string} The FreeSWITCH agent name (e.g., "1001@tenant1.example.com").
+     */
+    callcenterAgent: (domainName, userId) => `${userId}@${domainName}`,
+
+    /**
+     * Global name of a tenant's conference room, as passed to the conference application.
+     * Domain names cannot contain "_", so the separator keeps names of different tenants apart.
+     * @param {string} domainName - Tenant domain name.
+     * @param {string} roomName - Room name within the tenant.
+     * @returns {string} The FreeSWITCH conference name (e.g., "tenant1.example.com_standup").
+     */
+    conferenceRoom: (domainName, roomName) => `${domainName}_${roomName}`,
+
+    /**
+     * Global name of the conference.conf profile carrying a room's PINs, member limit and recording settings.
+     * @param {string} domainName - Tenant domain name.
+     * @param {string} roomName - Room name within the tenant.
+     * @returns {string} The FreeSWITCH conference profile name (e.g., "tenant1.example.com_standup").
+     */
+    conferenceProfile: (domainName, roomName) => `${domainName}_${roomName}`,
+};
+
+module.exports = freeswitchNames;
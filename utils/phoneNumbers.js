@@ -0,0 +1,90 @@
+// utils/phoneNumbers.js
+// Comparing phone numbers written in different ways ("+1 (512) 555-0100", "15125550100", "5125550100"),
+// and matching them against number patterns.
+
+const MAX_PATTERN_LENGTH = 32;
+const PATTERN_WILDCARDS = { X: '[0-9]', N: '[2-9]', Z: '[1-9]' };
+
+const phoneNumbers = {
+  MAX_PATTERN_LENGTH,
+
+  /**
+   * Reduces a phone number to its digits, dropping the North American country code "1" from 11-digit numbers.
+   * @param {string} phoneNumber - The number in any format.
+   * @returns {string} The comparable digits (e.g., "5125550100"), or '' if there are none.
+   */
+  normalize: (phoneNumber) => {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    return digits.length === 11 && digits.startsWith('1') ? digits.substring(1) : digits;
+  },
+
+  /**
+   * Writes a North American number the way DIDs are stored ("5125550100" and "15125550100" become "+15125550100").
+   * @param {string} phoneNumber - The number as dialed or received.
+   * @returns {string} The number in DID format; other numbers are returned unchanged.
+   */
+  toDidFormat: (phoneNumber) => {
+    const value = String(phoneNumber || '').trim();
+    if (/^\d{10}$/.test(value)) return `+1${value}`;
+    if (/^1\d{10}$/.test(value)) return `+${value}`;
+    return value;
+  },
+
+  /**
+   * Checks whether two phone numbers are the same number.
+   * @param {string} a - A phone number.
+   * @param {string} b - Another phone number.
+   * @returns {boolean} True if both normalize to the same digits.
+   */
+  isSameNumber: (a, b) => {
+    const normalized = phoneNumbers.normalize(a);
+    return normalized !== '' && normalized === phoneNumbers.normalize(b);
+  },
+
+  /**
+   * Compiles a number pattern into a regular expression matching whole numbers. Patterns are written the way
+   * dial plans usually are, and always compile to a regex that runs in linear time:
+   * - digits, and "+" as the first character, match themselves;
+   * - X matches any digit, N a digit 2-9, Z a digit 1-9;
+   * - [...] matches one digit of a class of digits and ranges (e.g., "[13-5]");
+   * - "." as the last character matches one or more digits.
+   * For example "NXX555XXXX" matches 10-digit numbers with exchange 555, and "1900." numbers starting with 1900.
+   * @param {string} pattern - The number pattern (at most MAX_PATTERN_LENGTH characters).
+   * @returns {RegExp} The compiled pattern.
+   * @throws {Error} If the pattern is empty, too long or uses anything else.
+   */
+  compilePattern: (pattern) => {
+    const source = String(pattern || '').trim();
+    if (!source || source.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`must be 1 to ${MAX_PATTERN_LENGTH} characters long`);
+    }
+    let regex = '';
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      const wildcard = PATTERN_WILDCARDS[char.toUpperCase()];
+      if (/[0-9]/.test(char)) {
+        regex += char;
+      } else if (wildcard) {
+        regex += wildcard;
+      } else if (char === '+' && i === 0) {
+        regex += '\\+';
+      } else if (char === '.' && i === source.length - 1) {
+        regex += '[0-9]+';
+      } else if (char === '[') {
+        const end = source.indexOf(']', i);
+        const digitClass = end === -1 ? '' : source.substring(i + 1, end);
+        const ranges = digitClass.match(/\d-\d/g) || [];
+        if (!/^(\d-\d|\d)+$/.test(digitClass) || ranges.some(range => range[0] > range[2])) {
+          throw new Error(`has an invalid digit class at position ${i + 1} (e.g., "[2-5]" or "[13579]")`);
+        }
+        regex += `[${digitClass}]`;
+        i = end;
+      } else {
+        throw new Error(`may only contain digits, X, N, Z, [...] and a final "." ("${char}" at position ${i + 1})`);
+      }
+    }
+    return new RegExp(`^${regex}$`);
+  },
+};
+
+module.exports = phoneNumbers;
@@ -0,0 +1,85 @@
+// utils/scheduleEvaluator.js
+// Evaluates tenant time-of-day schedules (business hours, holidays) in the schedule's timezone.
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const scheduleEvaluator = {
+    /**
+     * Determines which period a schedule is in at a given moment.
+     * Holidays take precedence over business hours.
+     * @param {Object} schedule - A schedule object from tenant.schedules.
+     * @param {Date} [date=new Date()] - The moment to evaluate.
+     * @returns {string} "open", "closed" or "holiday".
+     */
+    evaluate: (schedule, date = new Date()) => {
+        const localTime = scheduleEvaluator.getLocalTime(date, schedule.timezone);
+
+        if (schedule.holidays?.some((holiday) => holiday.date === localTime.date)) {
+            return "holiday";
+        }
+
+        const isOpen = (schedule.business_hours || []).some((window) => {
+            const open = scheduleEvaluator._toMinutes(window.open);
+            const close = scheduleEvaluator._toMinutes(window.close);
+
+            if (open < close) {
+                return window.day === localTime.day && localTime.minutes >= open && localTime.minutes < close;
+            }
+            // Window spans midnight: open from `open` on `day` until `close` on the following day.
+            const nextDay = (window.day + 1) % 7;
+            return (window.day === localTime.day && localTime.minutes >= open) || (nextDay === localTime.day && localTime.minutes < close);
+        });
+
+        return isOpen ? "open" : "closed";
+    },
+
+    /**
+     * Converts a moment into the weekday, minute-of-day and calendar date of a timezone.
+     * Falls back to UTC if the timezone is not recognised.
+     * @param {Date} date - The moment to convert.
+     * @param {string} [timezone="UTC"] - IANA timezone name.
+     * @returns {{day: number, minutes: number, date: string}} Local weekday (0 = Sunday), minutes since midnight and "YYYY-MM-DD".
+     */
+    getLocalTime: (date, timezone = "UTC") => {
+        let formatter;
+        try {
+            formatter = new Intl.DateTimeFormat("en-US", {
+                timeZone: timezone || "UTC",
+                weekday: "short",
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                hour: "2-digit",
+                minute: "2-digit",
+                hourCycle: "h23",
+            });
+        } catch (error) {
+            console.warn(`WARN: Invalid schedule timezone "${timezone}". Evaluating in UTC.`);
+            return scheduleEvaluator.getLocalTime(date, "UTC");
+        }
+
+        const parts = {};
+        formatter.formatToParts(date).forEach((part) => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            day: WEEKDAYS.indexOf(parts.weekday),
+            minutes: Number(parts.hour) * 60 + Number(parts.minute),
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+        };
+    },
+
+    /**
+     * Internal helper to convert "HH:MM" into minutes since midnight.
+     * @param {string} time - Time of day in "HH:MM" format.
+     * @returns {number} Minutes since midnight.
+     * @private
+     */
+    _toMinutes: (time) => {
+        const [hours, minutes] = String(time).split(":").map(Number);
+        return hours * 60 + minutes;
+    },
+};
+
+module.exports = scheduleEvaluator;
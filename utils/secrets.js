@@ -0,0 +1,127 @@
+// utils/secrets.js
+// Credential helpers: FreeSWITCH a1-hash for SIP clients, encryption at rest for gateway passwords,
+// and redaction of secrets in API responses.
+//
+// Gateway passwords are encrypted with AES-256-GCM. The key is read from SECRETS_ENCRYPTION_KEY
+// (32 bytes, as 64 hex characters or base64; e.g. `openssl rand -hex 32`).
+const crypto = require('crypto');
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const REDACTED = '********';
+// Fields holding secrets anywhere in API responses (SIP clients, gateways, voicemail and conference PINs)
+const SECRET_FIELDS = ['password', 'a1_hash', 'voicemail_pin', 'participant_pin', 'moderator_pin'];
+// The same secrets as xml_curl params (gateway passwords, a1-hash, voicemail and conference PINs)
+const SECRET_XML_PARAMS = /(<param\s+name="(?:password|a1-hash|vm-password|pin|moderator-pin)"\s+value=")[^"]*(")/g;
+
+/**
+ * Reads the encryption key from SECRETS_ENCRYPTION_KEY.
+ * @returns {Buffer} The 32 byte key.
+ * @throws {Error} If the key is missing or not 32 bytes long.
+ */
+const getEncryptionKey = () => {
+  const value = String(process.env.SECRETS_ENCRYPTION_KEY || '').trim();
+  if (!value) {
+    throw new Error('SECRETS_ENCRYPTION_KEY is not set');
+  }
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('SECRETS_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const secrets = {
+  REDACTED,
+  SECRET_FIELDS,
+
+  /**
+   * Computes the FreeSWITCH a1-hash of a SIP credential: MD5 of "user:domain:password".
+   * FreeSWITCH checks digest authentication against it instead of the password.
+   * @param {string} userId - SIP user ID.
+   * @param {string} domainName - The tenant's domain name (the digest realm).
+   * @param {string} password - The SIP password.
+   * @returns {string} Hex-encoded MD5 hash.
+   */
+  computeA1Hash: (userId, domainName, password) => {
+    return crypto.createHash('md5').update(`${userId}:${domainName}:${password}`).digest('hex');
+  },
+
+  /**
+   * Checks whether a value was produced by encrypt().
+   * @param {string} value - Stored value.
+   * @returns {boolean} True if the value is encrypted.
+   */
+  isEncrypted: (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX),
+
+  /**
+   * Encrypts a secret for storage. Already encrypted values are returned unchanged.
+   * @param {string} plaintext - The secret.
+   * @returns {string} "enc:v1:<iv>:<auth tag>:<ciphertext>", base64 encoded parts.
+   * @throws {Error} If SECRETS_ENCRYPTION_KEY is missing or invalid.
+   */
+  encrypt: (plaintext) => {
+    if (secrets.isEncrypted(plaintext)) return plaintext;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return `${ENCRYPTED_PREFIX}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+  },
+
+  /**
+   * Decrypts a value produced by encrypt(). Values that are not encrypted (not migrated yet) are returned unchanged.
+   * @param {string} value - Stored value.
+   * @returns {string} The secret.
+   * @throws {Error} If the key is missing or wrong, or the value was tampered with.
+   */
+  decrypt: (value) => {
+    if (!secrets.isEncrypted(value)) return value;
+    const [iv, authTag, ciphertext] = value.substring(ENCRYPTED_PREFIX.length).split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  },
+
+  /**
+   * Returns a copy of a value with every non-empty secret field replaced by REDACTED.
+   * Walks plain objects and arrays; other values (dates, ObjectIds, ...) are kept as they are.
+   * @param {*} value - Response body.
+   * @returns {*} The redacted copy.
+   */
+  redact: (value) => {
+    if (Array.isArray(value)) return value.map(secrets.redact);
+    if (!isPlainObject(value)) return value;
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => {
+      if (SECRET_FIELDS.includes(key) && fieldValue) return [key, REDACTED];
+      return [key, secrets.redact(fieldValue)];
+    }));
+  },
+
+  /**
+   * Replaces the values of secret params in xml_curl XML by REDACTED, so the XML can be logged.
+   * @param {string} xml - XML served to FreeSWITCH.
+   * @returns {string} The redacted XML.
+   */
+  redactXml: (xml) => String(xml).replace(SECRET_XML_PARAMS, `$1${REDACTED}$2`),
+
+  /**
+   * Removes secret fields that still hold the REDACTED placeholder (e.g. a GET response sent back in a PUT),
+   * so they are left unchanged instead of being overwritten with the placeholder. Modifies the value in place.
+   * @param {*} value - Request body.
+   * @returns {*} The same value.
+   */
+  stripRedacted: (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(secrets.stripRedacted);
+    } else if (isPlainObject(value)) {
+      Object.keys(value).forEach(key => {
+        if (SECRET_FIELDS.includes(key) && value[key] === REDACTED) delete value[key];
+        else secrets.stripRedacted(value[key]);
+      });
+    }
+    return value;
+  },
+};
+
+module.exports = secrets;
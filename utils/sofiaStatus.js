@@ -0,0 +1,82 @@
+// utils/sofiaStatus.js
+// Parses the text output of mod_sofia status commands run over the Event Socket (see services/eslService.js).
+//
+// `sofia status profile <profile> reg` lists one block per registration, blocks separated by blank lines:
+//   Call-ID:    	a84b4c76e66710@192.168.1.10
+//   User:       	1001@tenant1.example.com
+//   Contact:    	"1001" <sip:1001@192.168.1.10:5060;fs_nat=yes>
+//   Agent:      	Yealink SIP-T46S 66.86.0.15
+//   Status:     	Registered(UDP-NAT)(unknown) EXP(2025-07-01 12:00:00) EXPSECS(3599)
+//   IP:         	203.0.113.5
+//   Port:       	5060
+// `sofia status gateway <name>` lists "Name<tab>value" lines between rows of "=", or "Invalid Gateway!".
+
+/**
+ * Parses "Key: value" (or "Key<tab>value") lines.
+ * @param {Array<string>} lines - The lines.
+ * @param {RegExp} separator - Separator between key and value.
+ * @returns {Object} The values by key.
+ */
+const parseFields = (lines, separator) => Object.fromEntries(lines
+  .map(line => line.match(separator))
+  .filter(Boolean)
+  .map(match => [match[1], match[2].trim()]));
+
+const sofiaStatus = {
+  /**
+   * Parses the registrations listed by `sofia status profile <profile> reg`.
+   * @param {string} text - The command's output.
+   * @returns {Array<Object>} { user_id, domain, contact, user_agent, network_ip, network_port, status, nat, expires_in, ping_status, call_id }
+   * per registration; expires_in is in seconds.
+   */
+  parseRegistrations: (text) => String(text || '')
+    .split(/\r?\n\s*\r?\n/)
+    .map(block => parseFields(block.split(/\r?\n/), /^([A-Za-z-]+):\s*(.*)$/))
+    .filter(fields => fields['Call-ID'] && fields.User)
+    .map(fields => {
+      const [userId, domain = ''] = fields.User.split('@');
+      const contact = (fields.Contact || '').match(/<([^>]+)>/)?.[1] || fields.Contact || '';
+      const status = fields.Status || '';
+      const expiresIn = status.match(/EXPSECS\((-?\d+)\)/);
+      return {
+        user_id: userId,
+        domain,
+        contact,
+        user_agent: fields.Agent || '',
+        network_ip: fields.IP || '',
+        network_port: parseInt(fields.Port, 10) || null,
+        status: status.replace(/\s*EXP\(.*$/, ''), // e.g., "Registered(UDP-NAT)(unknown)"
+        nat: /NAT/.test(status) || /fs_nat=yes/.test(contact),
+        expires_in: expiresIn ? parseInt(expiresIn[1], 10) : null,
+        ping_status: fields['Ping-Status'] || '',
+        call_id: fields['Call-ID'],
+      };
+    }),
+
+  /**
+   * Parses the state of a gateway shown by `sofia status gateway <name>`.
+   * @param {string} text - The command's output.
+   * @returns {Object|null} { name, profile, state, status, registered, ping_state, uptime_seconds, calls_in, calls_out,
+   * failed_calls_in, failed_calls_out }, or null if FreeSWITCH does not know the gateway.
+   */
+  parseGatewayStatus: (text) => {
+    const fields = parseFields(String(text || '').split(/\r?\n/), /^(\w+)\s+(.*)$/);
+    if (!fields.Name || !fields.State) return null;
+    const count = (name) => parseInt(fields[name], 10) || 0;
+    return {
+      name: fields.Name,
+      profile: fields.Profile || '',
+      state: fields.State, // e.g., "REGED", "NOREG" (register=false), "TRYING", "FAIL_WAIT"
+      status: fields.Status || '', // "UP" or "DOWN" (from OPTIONS pings)
+      registered: fields.State === 'REGED',
+      ping_state: fields.PingState || '',
+      uptime_seconds: parseInt(fields.Uptime, 10) || 0,
+      calls_in: count('CallsIN'),
+      calls_out: count('CallsOUT'),
+      failed_calls_in: count('FailedCallsIN'),
+      failed_calls_out: count('FailedCallsOUT'),
+    };
+  },
+};
+
+module.exports = sofiaStatus;
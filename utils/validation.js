@@ -0,0 +1,117 @@
+// utils/validation.js
+// Small declarative validator for API payloads. A schema maps field names to rules:
+//   { type, required, enum, pattern, message, min, max, items, fields }
+// - type: "string", "number", "integer", "boolean", "array" or "object"
+// - pattern: RegExp applied to non-empty strings; `message` replaces the default error text
+// - min / max: bounds for numbers
+// - items: rule for each element of an array
+// - fields: schema of a nested object
+// Fields not in the schema are ignored (Mongoose drops them on save).
+// Every error is collected, as { field: "members[1].user_id", message: "..." }.
+
+const PATTERNS = {
+  // E.164, or a national number: optional "+", 3 to 15 digits
+  phoneNumber: /^\+?[0-9]{3,15}$/,
+  // Something a phone can dial: digits, "+", "*" and "#"
+  dialString: /^\+?[0-9*#]{1,32}$/,
+  // SIP user IDs, group, menu, queue and room names
+  identifier: /^[A-Za-z0-9_.@-]+$/,
+  // Fully qualified domain name
+  domainName: /^(?=.{1,253}$)[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/,
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks a value against the rule's type.
+ * @param {Object} rule - Field rule.
+ * @param {*} value - The value.
+ * @returns {boolean} True if the value has the expected type.
+ */
+const hasType = (rule, value) => {
+  switch (rule.type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return true;
+  }
+};
+
+const validation = {
+  PATTERNS,
+
+  /**
+   * Validates a value against a single field rule, adding any errors to `errors`.
+   * @param {Object} rule - Field rule.
+   * @param {*} value - The value (never undefined or null here).
+   * @param {string} path - Field path, for error messages.
+   * @param {Array<Object>} errors - Collected errors.
+   */
+  validateValue: (rule, value, path, errors) => {
+    if (!hasType(rule, value)) {
+      errors.push({ field: path, message: `must be ${rule.type === 'integer' || rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}` });
+      return;
+    }
+    if (rule.required && value === '') {
+      errors.push({ field: path, message: 'is required' });
+      return;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push({ field: path, message: `must be one of: ${rule.enum.join(', ')}` });
+    }
+    if (rule.pattern && value !== '' && !rule.pattern.test(value)) {
+      errors.push({ field: path, message: rule.message || 'has an invalid format' });
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field: path, message: `must be at least ${rule.min}` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field: path, message: `must be at most ${rule.max}` });
+    }
+    if (rule.items) {
+      value.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        if (item === undefined || item === null) {
+          errors.push({ field: itemPath, message: 'is required' });
+        } else {
+          validation.validateValue(rule.items, item, itemPath, errors);
+        }
+      });
+    }
+    if (rule.fields) {
+      errors.push(...validation.validate(rule.fields, value, { prefix: `${path}.` }));
+    }
+  },
+
+  /**
+   * Validates an object against a schema.
+   * @param {Object} schema - Map of field names to rules.
+   * @param {Object} data - The payload.
+   * @param {Object} [options={}] - Validation options.
+   * @param {boolean} [options.partial=false] - Skip `required` for missing top-level fields (updates).
+   * @param {string} [options.prefix=''] - Prepended to field names in errors.
+   * @returns {Array<{field: string, message: string}>} The errors; empty if the payload is valid.
+   */
+  validate: (schema, data, options = {}) => {
+    const prefix = options.prefix || '';
+    if (!isPlainObject(data)) {
+      return [{ field: prefix.replace(/\.$/, '') || 'body', message: 'must be an object' }];
+    }
+
+    const errors = [];
+    Object.entries(schema).forEach(([field, rule]) => {
+      const value = data[field];
+      if (value === undefined || value === null) {
+        if (rule.required && !options.partial) errors.push({ field: `${prefix}${field}`, message: 'is required' });
+        return;
+      }
+      validation.validateValue(rule, value, `${prefix}${field}`, errors);
+    });
+    return errors;
+  },
+};
+
+module.exports = validation;
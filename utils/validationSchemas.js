@@ -0,0 +1,751 @@
+// utils/validationSchemas.js
+// Request schemas for the /api resources (see utils/validation.js for the rule format), applied by middleware/validateRequest.js.
+//
+// Each resource has:
+// - fields: the field rules.
+// - getExisting(tenant, params): the stored item a PUT updates (merged with the body before `check`); may return a promise
+//   for items kept outside the tenant document.
+// - check(data, context): cross-field and cross-reference checks, e.g. a DID's routing_target must exist.
+//   `context` is { tenant, partial, role }, where tenant is the tenant the item belongs to (or, for tenants themselves,
+//   the tenant being created or updated) and role is the role of the requesting API token.
+//   Returns an array of errors like validation.validate().
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const classOfService = require('./classOfService');
+const featureCodes = require('./featureCodes');
+const freeswitchNames = require('./freeswitchNames');
+const dialplanConditions = require('./dialplanConditions');
+const validation = require('./validation');
+const globalConfigService = require('../services/globalConfigService');
+const callerNameService = require('../services/callerNameService');
+const phoneNumbers = require('./phoneNumbers');
+const CallerFilter = require('../models/CallerFilter');
+const RateDeck = require('../models/RateDeck');
+
+const { PATTERNS } = validation;
+const CLASS_OF_SERVICE_PROFILES = Object.keys(classOfService.PROFILES);
+
+const string = (rule = {}) => ({ type: 'string', ...rule });
+const integer = (rule = {}) => ({ type: 'integer', ...rule });
+const boolean = { type: 'boolean' };
+const identifier = (rule = {}) => string({ pattern: PATTERNS.identifier, message: 'may only contain letters, digits, ".", "_", "-" and "@"', ...rule });
+const phoneNumber = string({ pattern: PATTERNS.phoneNumber, message: 'must be a phone number (digits, optionally starting with "+")' });
+const dialString = string({ pattern: PATTERNS.dialString, message: 'must be a dialable number (digits, "+", "*" or "#")' });
+const arrayOf = (fields) => ({ type: 'array', items: { type: 'object', fields } });
+
+const applicationFields = {
+  application: string({ required: true }),
+  data: string(),
+};
+
+// Data may refer to regex captures ($1), but never to channel variables or API calls (${...}).
+const USER_OR_CAPTURE = /^(?:[A-Za-z0-9_.-]|\$\d)+$/;
+// The tenant's domain, literally or as the channel's own domain
+const isTenantDomain = (domain, tenant) => domain === tenant.domain_name || domain === '${domain_name}';
+// A destination in the caller's own context: the tenant's calls run in "default", scoped by their domain
+const TRANSFER_TARGET = /^(?:[A-Za-z0-9*#+_.-]|\$\d)+(?: XML default)?$/;
+// A sound file below FreeSWITCH's sounds directory, e.g. "ivr/ivr-welcome.wav"
+const MEDIA_PATH = /^(?!.*\.\.)[A-Za-z0-9_-][A-Za-z0-9_./-]*$/;
+
+/**
+ * Checks that every "user/<id>@<domain>" of a bridge targets the tenant's own domain (or "${domain_name}").
+ * @param {string} data - Bridge data, one or more endpoints joined by "," or "|".
+ * @param {Object} tenant - The tenant.
+ * @returns {string|null} An error message, or null if the data is valid.
+ */
+const checkBridgeData = (data, tenant) => {
+  const valid = String(data).split(/[,|]/).every(endpoint => {
+    const match = endpoint.match(/^user\/(.+)@(.+)$/);
+    return match && USER_OR_CAPTURE.test(match[1]) && isTenantDomain(match[2], tenant);
+  });
+  return valid ? null : `must be "user/<user_id>@${tenant.domain_name}" endpoints, joined by "," or "|"`;
+};
+
+// Dialplan applications tenant admins may use in dialplan extensions and as a group's no_answer_action, with a check
+// of their data (returning an error message or null). Calls can only reach the tenant's own users, menus and mailboxes;
+// global admins may use any application.
+const TENANT_APPLICATIONS = {
+  answer: (data) => (data ? 'must be empty' : null),
+  pre_answer: (data) => (data ? 'must be empty' : null),
+  ring_ready: (data) => (data ? 'must be empty' : null),
+  sleep: (data) => (/^\d{1,6}$/.test(data) ? null : 'must be a number of milliseconds'),
+  hangup: (data) => (!data || /^[A-Z_]+$/.test(data) ? null : 'must be empty or a hangup cause (e.g., "USER_BUSY")'),
+  log: (data) => (!String(data).includes('${') ? null : 'may not use variables or API calls ("${...}")'),
+  playback: (data) => (MEDIA_PATH.test(data) ? null : 'must be a sound file path (e.g., "ivr/ivr-welcome.wav")'),
+  transfer: (data) => (TRANSFER_TARGET.test(data) ? null : 'must be a destination in the tenant\'s own context (e.g., "1001" or "1001 XML default")'),
+  voicemail: (data, tenant) => {
+    const match = String(data).match(/^default (\S+) (\S+)$/);
+    return match && isTenantDomain(match[1], tenant) && USER_OR_CAPTURE.test(match[2])
+      ? null
+      : `must be "default ${tenant.domain_name} <mailbox>"`;
+  },
+  bridge: checkBridgeData,
+  ivr: (data, tenant) => ((tenant.ivr_menus || []).some(menu => freeswitchNames.ivrMenu(tenant.domain_name, menu.name) === data)
+    ? null
+    : `must be one of the tenant's IVR menus ("${freeswitchNames.ivrMenu(tenant.domain_name, '<menu name>')}")`),
+};
+
+// --- Cross-reference helpers ---
+
+/**
+ * Checks that a destination (DID route, IVR option, queue exit) points at something that exists in the tenant.
+ * @param {Object} tenant - The tenant.
+ * @param {string} type - Destination or routing type (e.g., "extension", "group").
+ * @param {string} target - The destination's target.
+ * @param {string} [role] - Role of the requesting API token; custom transfers of other roles must stay in the tenant's context.
+ * @returns {string|null} An error message, or null if the destination is valid.
+ */
+const checkDestination = (tenant, type, target, role) => {
+  if (!type || type === 'none' || type === 'hangup') return null;
+  if (!target) return `is required for ${type}`;
+
+  switch (type) {
+    case 'extension':
+      return (tenant.sip_clients || []).some(client => client.user_id === target) ? null : `SIP client '${target}' does not exist`;
+    case 'group':
+      return (tenant.groups || []).some(group => group.name === target) ? null : `group '${target}' does not exist`;
+    case 'dialplan_extension': {
+      // "voicemail_<user_id>" sends the caller to that SIP client's voicemail box
+      const voicemailBox = target.startsWith('voicemail_') ? target.substring('voicemail_'.length) : null;
+      if (voicemailBox && (tenant.sip_clients || []).some(client => client.user_id === voicemailBox)) return null;
+      return (tenant.dialplan?.default || []).some(extension => extension.name === target) ? null : `dialplan extension '${target}' does not exist`;
+    }
+    case 'ivr':
+      return (tenant.ivr_menus || []).some(menu => menu.name === target) ? null : `IVR menu '${target}' does not exist`;
+    case 'queue':
+      return (tenant.call_center_queues || []).some(queue => queue.name === target) ? null : `queue '${target}' does not exist`;
+    case 'external_number':
+      return PATTERNS.phoneNumber.test(target) ? null : 'must be a phone number (digits, optionally starting with "+")';
+    case 'custom':
+      return role === 'global_admin' ? null : TENANT_APPLICATIONS.transfer(target);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Checks that every `user_id` in a list (group members, queue tiers) is a SIP client of the tenant.
+ * @param {Object} tenant - The tenant.
+ * @param {Array<Object>} entries - Members or tiers.
+ * @param {string} field - Field name, for error messages.
+ * @returns {Array<Object>} The errors.
+ */
+const checkSipClientReferences = (tenant, entries, field) => {
+  const userIds = new Set((tenant.sip_clients || []).map(client => client.user_id));
+  return (entries || []).reduce((errors, entry, index) => {
+    if (entry?.user_id && !userIds.has(entry.user_id)) {
+      errors.push({ field: `${field}[${index}].user_id`, message: `SIP client '${entry.user_id}' does not exist` });
+    }
+    return errors;
+  }, []);
+};
+
+/**
+ * Checks a dialplan application against TENANT_APPLICATIONS, unless the request comes from a global admin.
+ * @param {Object} action - The action ({ application, data }).
+ * @param {string} field - Field name, for error messages.
+ * @param {Object} context - Check context.
+ * @returns {Array<Object>} The errors.
+ */
+const checkApplication = (action, field, context) => {
+  if (context.role === 'global_admin' || !action?.application) return [];
+  const checkData = TENANT_APPLICATIONS[action.application];
+  if (!checkData) {
+    return [{ field: `${field}.application`, message: `must be one of: ${Object.keys(TENANT_APPLICATIONS).join(', ')}` }];
+  }
+  const message = checkData(action.data || '', context.tenant);
+  return message ? [{ field: `${field}.data`, message }] : [];
+};
+
+/**
+ * Checks a list of actions or anti-actions with checkApplication.
+ * @param {Array<Object>} applications - The actions.
+ * @param {string} field - Array field name.
+ * @param {Object} context - Check context.
+ * @returns {Array<Object>} The errors.
+ */
+const checkApplications = (applications, field, context) => (applications || [])
+  .flatMap((action, index) => checkApplication(action, `${field}[${index}]`, context));
+
+/**
+ * Checks that a dialplan expression is a regular expression that runs in bounded time; the dialplan evaluates
+ * tenant expressions on every call (see utils/dialplanConditions.js).
+ * @param {string} expression - The expression.
+ * @param {string} field - Field name, for error messages.
+ * @returns {Array<Object>} The errors.
+ */
+const checkExpression = (expression, field) => {
+  if (!expression) return [];
+  const message = dialplanConditions.checkExpression(expression);
+  return message ? [{ field, message }] : [];
+};
+
+/**
+ * Checks an IANA timezone name.
+ * @param {string} timezone - e.g., "America/Chicago".
+ * @returns {boolean} True if the timezone is known.
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Runs a resource's check on every item of a tenant array, prefixing the fields with the array path.
+ * @param {Object} resource - Resource definition.
+ * @param {Array<Object>} items - The items.
+ * @param {string} field - Array field name.
+ * @param {Object} context - Check context.
+ * @returns {Promise<Array<Object>>} The errors.
+ */
+const checkItems = async (resource, items, field, context) => {
+  const errors = [];
+  for (const [index, item] of (items || []).entries()) {
+    const itemErrors = await resource.check(item || {}, context);
+    errors.push(...itemErrors.map(error => ({ ...error, field: `${field}[${index}].${error.field}` })));
+  }
+  return errors;
+};
+
+// --- Resources ---
+
+const sipClientFields = {
+  user_id: identifier({ required: true }),
+  password: string(),
+  a1_hash: string({ pattern: /^[0-9a-f]{32}$/i, message: 'must be an MD5 hash (32 hex characters)' }),
+  user_context: string(),
+  enable_voicemail: boolean,
+  voicemail_pin: string({ pattern: /^\d{4,10}$/, message: 'must be 4 to 10 digits' }),
+  vm_email: string({ pattern: /^[^\s@]+@[^\s@]+$/, message: 'must be an email address' }),
+  call_forward_unconditional: dialString,
+  call_forward_busy: dialString,
+  call_forward_noanswer: dialString,
+  do_not_disturb: boolean,
+  no_answer_timeout: integer({ min: 5, max: 300 }),
+  outbound_caller_id_name: string(),
+  outbound_caller_id_number: phoneNumber,
+  call_center_agent: {
+    type: 'object',
+    fields: {
+      status: string({ enum: ['Logged Out', 'Available', 'Available (On Demand)', 'On Break'] }),
+      call_timeout: integer({ min: 1 }),
+      max_no_answer: integer({ min: 0 }),
+      wrap_up_time: integer({ min: 0 }),
+      reject_delay_time: integer({ min: 0 }),
+      busy_delay_time: integer({ min: 0 }),
+      no_answer_delay_time: integer({ min: 0 }),
+    },
+  },
+  class_of_service: string({ enum: [...CLASS_OF_SERVICE_PROFILES, ''] }),
+  emergency_address: {
+    type: 'object',
+    fields: {
+      street: string(),
+      location: string(),
+      city: string(),
+      state: string(),
+      postal_code: string(),
+      country: string(),
+    },
+  },
+  emergency_callback_number: phoneNumber,
+};
+
+const sipClient = {
+  fields: sipClientFields,
+  getExisting: (tenant, params) => tenant.sip_clients.find(client => client.user_id === params.user_id),
+  check: async (data) => {
+    if (!data.password && !data.a1_hash) return [{ field: 'password', message: 'is required' }];
+    return [];
+  },
+};
+
+const dialplanExtension = {
+  fields: {
+    name: string({ required: true }),
+    condition_field: string(),
+    condition_expression: string(),
+    actions: arrayOf(applicationFields),
+    conditions: arrayOf({
+      field: string(),
+      expression: string(),
+      break: string({ enum: dialplanConditions.BREAK_VALUES }),
+      ...Object.fromEntries(Object.keys(dialplanConditions.TIME_ATTRIBUTES).map(attribute => [attribute, string()])),
+      actions: arrayOf(applicationFields),
+      anti_actions: arrayOf(applicationFields),
+    }),
+    continue: boolean,
+  },
+  getExisting: (tenant, params) => (tenant.dialplan?.default || []).find(extension => extension.name === params.extension_name),
+  check: async (data, context) => {
+    const errors = [];
+    if (data.conditions?.length) {
+      data.conditions.forEach((condition, index) => {
+        errors.push(...checkExpression(condition.expression, `conditions[${index}].expression`));
+        errors.push(...checkApplications(condition.actions, `conditions[${index}].actions`, context));
+        errors.push(...checkApplications(condition.anti_actions, `conditions[${index}].anti_actions`, context));
+      });
+    } else {
+      if (!data.condition_field) errors.push({ field: 'condition_field', message: 'is required when conditions is empty' });
+      if (!data.condition_expression) errors.push({ field: 'condition_expression', message: 'is required when conditions is empty' });
+    }
+    errors.push(...checkExpression(data.condition_expression, 'condition_expression'));
+    errors.push(...checkApplications(data.actions, 'actions', context));
+    return errors;
+  },
+};
+
+const group = {
+  fields: {
+    name: identifier({ required: true }),
+    type: string({ required: true, enum: ['hunt', 'ring'] }),
+    timeout: integer({ min: 1, max: 3600 }),
+    members: arrayOf({
+      user_id: string({ required: true }),
+      order: integer(),
+    }),
+    strategy: string({ enum: ['sequential', 'simultaneous', 'random'] }),
+    no_answer_action: { type: 'object', fields: { application: string(), data: string() } },
+  },
+  getExisting: (tenant, params) => tenant.groups.find(g => g.name === params.group_name),
+  check: async (data, context) => [
+    ...checkSipClientReferences(context.tenant, data.members, 'members'),
+    ...checkApplication(data.no_answer_action, 'no_answer_action', context),
+  ],
+};
+
+const routingType = (rule = {}) => string({ enum: [...Tenant.DID_ROUTING_TYPES, 'none'], ...rule });
+
+const did = {
+  fields: {
+    did_number: { ...phoneNumber, required: true },
+    description: string(),
+    routing_type: string({ required: true, enum: Tenant.DID_ROUTING_TYPES }),
+    routing_target: string({ required: true }),
+    call_recording: string({ enum: ['never', 'always', 'on_demand', 'inbound_only', 'outbound_only'] }),
+    failover_routing_type: routingType(),
+    failover_routing_target: string(),
+    failover_timeout: integer({ min: 1, max: 600 }),
+    schedule: string(),
+    closed_routing_type: routingType(),
+    closed_routing_target: string(),
+    holiday_routing_type: routingType(),
+    holiday_routing_target: string(),
+    allowlist_only: boolean,
+    active: boolean,
+  },
+  getExisting: (tenant, params) => tenant.dids.find(d => d.did_number === params.did_number),
+  check: async (data, context) => {
+    const errors = [];
+    [['routing_type', 'routing_target'], ['failover_routing_type', 'failover_routing_target'],
+      ['closed_routing_type', 'closed_routing_target'], ['holiday_routing_type', 'holiday_routing_target']].forEach(([typeField, targetField]) => {
+      const message = checkDestination(context.tenant, data[typeField], data[targetField], context.role);
+      if (message) errors.push({ field: targetField, message });
+    });
+
+    if (data.schedule && !(context.tenant.schedules || []).some(schedule => schedule.name === data.schedule)) {
+      errors.push({ field: 'schedule', message: `schedule '${data.schedule}' does not exist` });
+    }
+    return errors;
+  },
+};
+
+const schedule = {
+  fields: {
+    name: identifier({ required: true }),
+    description: string(),
+    timezone: string(),
+    business_hours: arrayOf({
+      day: integer({ required: true, min: 0, max: 6 }),
+      open: string({ required: true, pattern: /^([01]\d|2[0-3]):[0-5]\d$/, message: 'must be HH:MM' }),
+      close: string({ required: true, pattern: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, message: 'must be HH:MM' }),
+    }),
+    holidays: arrayOf({
+      date: string({ required: true, pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'must be YYYY-MM-DD' }),
+      name: string(),
+    }),
+  },
+  getExisting: (tenant, params) => (tenant.schedules || []).find(s => s.name === params.schedule_name),
+  check: async (data) => {
+    if (data.timezone && !isValidTimezone(data.timezone)) {
+      return [{ field: 'timezone', message: `'${data.timezone}' is not a known IANA timezone` }];
+    }
+    return [];
+  },
+};
+
+const ivrMenu = {
+  fields: {
+    name: identifier({ required: true }),
+    description: string(),
+    greet_long: string({ required: true }),
+    greet_short: string(),
+    invalid_sound: string(),
+    timeout_sound: string(),
+    exit_sound: string(),
+    timeout: integer({ min: 0 }),
+    inter_digit_timeout: integer({ min: 0 }),
+    max_failures: integer({ min: 1 }),
+    max_timeouts: integer({ min: 1 }),
+    digit_len: integer({ min: 1, max: 10 }),
+    entries: arrayOf({
+      digits: string({ required: true, pattern: /^[0-9*#]+$/, message: 'may only contain digits, "*" and "#"' }),
+      destination_type: string({ required: true, enum: Tenant.DESTINATION_TYPES }),
+      destination_target: string(),
+    }),
+  },
+  getExisting: (tenant, params) => (tenant.ivr_menus || []).find(menu => menu.name === params.ivr_name),
+  check: async (data, context) => {
+    // An option may return to the menu itself (e.g., "9" repeats the menu)
+    const tenant = { ...context.tenant, ivr_menus: [...(context.tenant.ivr_menus || []), data] };
+    return (data.entries || []).reduce((errors, entry, index) => {
+      const message = checkDestination(tenant, entry.destination_type, entry.destination_target, context.role);
+      if (message) errors.push({ field: `entries[${index}].destination_target`, message });
+      return errors;
+    }, []);
+  },
+};
+
+const callCenterQueue = {
+  fields: {
+    name: identifier({ required: true }),
+    description: string(),
+    extension: dialString,
+    strategy: string({
+      enum: ['ring-all', 'longest-idle-agent', 'round-robin', 'top-down', 'agent-with-least-talk-time',
+        'agent-with-fewest-calls', 'sequentially-by-agent-order', 'random', 'ring-progressively'],
+    }),
+    moh_sound: string(),
+    announce_sound: string(),
+    announce_frequency: integer({ min: 0 }),
+    record_template: string(),
+    max_wait_time: integer({ min: 0 }),
+    max_wait_time_with_no_agent: integer({ min: 0 }),
+    max_wait_time_with_no_agent_time_reached: integer({ min: 0 }),
+    tier_rules_apply: boolean,
+    tier_rule_wait_second: integer({ min: 0 }),
+    tier_rule_wait_multiply_level: boolean,
+    tier_rule_no_agent_no_wait: boolean,
+    discard_abandoned_after: integer({ min: 0 }),
+    abandoned_resume_allowed: boolean,
+    exit_destination_type: string({ enum: Tenant.DESTINATION_TYPES }),
+    exit_destination_target: string(),
+    tiers: arrayOf({
+      user_id: string({ required: true }),
+      level: integer({ min: 1 }),
+      position: integer({ min: 1 }),
+    }),
+  },
+  getExisting: (tenant, params) => (tenant.call_center_queues || []).find(queue => queue.name === params.queue_name),
+  check: async (data, context) => {
+    const errors = checkSipClientReferences(context.tenant, data.tiers, 'tiers');
+    const message = checkDestination(context.tenant, data.exit_destination_type, data.exit_destination_target, context.role);
+    if (message) errors.push({ field: 'exit_destination_target', message });
+    return errors;
+  },
+};
+
+const conferenceRoom = {
+  fields: {
+    name: identifier({ required: true }),
+    description: string(),
+    extension: { ...dialString, required: true },
+    participant_pin: string({ pattern: /^\d{3,10}$/, message: 'must be 3 to 10 digits' }),
+    moderator_pin: string({ pattern: /^\d{3,10}$/, message: 'must be 3 to 10 digits' }),
+    max_members: integer({ min: 0 }),
+    record: boolean,
+    profile: string({ enum: ['default', 'wideband', 'ultrawideband', 'video'] }),
+  },
+  getExisting: (tenant, params) => (tenant.conference_rooms || []).find(room => room.name === params.conference_name),
+  check: async () => [],
+};
+
+const featureCodeSettings = {
+  // null resets a feature to its default code
+  fields: Object.fromEntries(Object.keys(featureCodes.DEFAULT_FEATURE_CODES).map(feature => [
+    feature, string({ pattern: /^[0-9*#]{1,10}$/, message: 'may only contain digits, "*" and "#"' }),
+  ])),
+  check: async () => [],
+};
+
+const contact = {
+  fields: {
+    number: { ...phoneNumber, required: true },
+    name: string({ required: true }),
+    company: string(),
+  },
+  getExisting: (tenantDoc, params) => (tenantDoc.contacts || []).find(c => phoneNumbers.isSameNumber(c.number, params.number)),
+  check: async () => [],
+};
+
+const callerFilter = {
+  fields: {
+    did_number: string(), // '' for an entry of the whole tenant
+    list: string({ required: true, enum: CallerFilter.LISTS }),
+    match_type: string({ enum: CallerFilter.MATCH_TYPES }),
+    value: string({ required: true }),
+    action: string({ enum: CallerFilter.ACTIONS }),
+    voicemail_box: identifier(),
+    prompt: string({ pattern: MEDIA_PATH, message: 'must be a sound file path (e.g., "ivr/ivr-call-rejected.wav")' }),
+    description: string(),
+    enabled: boolean,
+  },
+  getExisting: (tenant, params) => (mongoose.isValidObjectId(params.filter_id)
+    ? CallerFilter.findOne({ _id: params.filter_id, domain_name: tenant.domain_name }).lean()
+    : null),
+  check: async (data, context) => {
+    const errors = [];
+    if (data.did_number && !(context.tenant.dids || []).some(did => did.did_number === data.did_number)) {
+      errors.push({ field: 'did_number', message: `DID '${data.did_number}' does not exist` });
+    }
+
+    if (data.match_type === 'prefix' && !/^\+?[0-9]{1,15}$/.test(data.value)) {
+      errors.push({ field: 'value', message: 'must be the leading digits of a number for a prefix entry' });
+    } else if (data.match_type === 'pattern') {
+      try {
+        phoneNumbers.compilePattern(data.value);
+      } catch (error) {
+        errors.push({ field: 'value', message: `is not a valid number pattern: it ${error.message}` });
+      }
+    }
+
+    if (data.list === 'block' && data.action === 'voicemail') {
+      const boxes = [
+        ...(context.tenant.sip_clients || []).map(client => client.user_id),
+        ...(context.tenant.groups || []).filter(group => group.enable_voicemail).map(group => group.voicemail_box_id),
+      ];
+      if (!data.voicemail_box) {
+        errors.push({ field: 'voicemail_box', message: 'is required for action voicemail' });
+        // Also reported on `action`, for updates that only change the action
+        if (context.partial) errors.push({ field: 'action', message: 'voicemail requires a voicemail_box' });
+      } else if (!boxes.includes(data.voicemail_box)) {
+        errors.push({ field: 'voicemail_box', message: `voicemail box '${data.voicemail_box}' does not exist` });
+      }
+    }
+    if (data.list === 'block' && data.action === 'prompt' && !data.prompt) {
+      errors.push({ field: 'prompt', message: 'is required for action prompt' });
+      if (context.partial) errors.push({ field: 'action', message: 'prompt requires a prompt' });
+    }
+    return errors;
+  },
+};
+
+const callerFilterImport = {
+  fields: {
+    entries: { ...arrayOf(callerFilter.fields), required: true },
+  },
+  check: async (data, context) => {
+    const results = await Promise.all(data.entries.map(entry => callerFilter.check(entry, context)));
+    return results.flatMap((errors, index) => errors.map(error => ({ ...error, field: `entries[${index}].${error.field}` })));
+  },
+};
+
+const callerNameSettings = {
+  // null restores a setting's default
+  fields: {
+    providers: { type: 'array', items: string() },
+    display_format: string(),
+  },
+  check: async (data) => {
+    const errors = [];
+    const available = callerNameService.getProviders().map(provider => provider.name);
+    (data.providers || []).forEach((provider, index) => {
+      if (!available.includes(provider)) {
+        errors.push({ field: `providers[${index}]`, message: `must be one of: ${available.join(', ')}` });
+      }
+    });
+    const unknownPlaceholders = [...String(data.display_format || '').matchAll(/\{(\w+)\}/g)]
+      .map(match => match[1])
+      .filter(placeholder => !callerNameService.PLACEHOLDERS.includes(placeholder));
+    if (unknownPlaceholders.length > 0) {
+      errors.push({ field: 'display_format', message: `unknown placeholder(s) ${unknownPlaceholders.map(p => `{${p}}`).join(', ')}; use ${callerNameService.PLACEHOLDERS.map(p => `{${p}}`).join(', ')}` });
+    }
+    return errors;
+  },
+};
+
+const billingSettings = {
+  fields: {
+    rate_deck: string(),
+    markup_percent: { type: 'number', min: 0 },
+    did_monthly_price: { type: 'number', min: 0 },
+    did_prices: arrayOf({
+      did_number: string({ required: true }),
+      monthly_price: { type: 'number', required: true, min: 0 },
+    }),
+  },
+  check: async (data, context) => {
+    const errors = [];
+    if (data.rate_deck && !await RateDeck.exists({ name: data.rate_deck })) {
+      errors.push({ field: 'rate_deck', message: `rate deck '${data.rate_deck}' does not exist` });
+    }
+    const didNumbers = (context.tenant?.dids || []).map(did => did.did_number);
+    (data.did_prices || []).forEach((didPrice, index) => {
+      if (didPrice?.did_number && !didNumbers.includes(didPrice.did_number)) {
+        errors.push({ field: `did_prices[${index}].did_number`, message: `DID '${didPrice.did_number}' does not exist` });
+      }
+    });
+    return errors;
+  },
+};
+
+const tenant = {
+  fields: {
+    domain_name: string({ required: true, pattern: PATTERNS.domainName, message: 'must be a domain name (e.g., "tenant1.example.com")' }),
+    description: string(),
+    profile: {
+      type: 'object',
+      required: true,
+      fields: {
+        name: string({ required: true }),
+        sip_port: integer({ required: true, min: 1, max: 65535 }),
+        force_register_domain: string({ required: true }),
+        force_register_realm: string({ required: true }),
+        context: string({ required: true }),
+        dbname: string({ required: true }),
+        auth_calls: boolean,
+        nonce_ttl: integer({ min: 1 }),
+        defaultCallerId: { type: 'object', fields: { name: string(), number: phoneNumber } },
+      },
+    },
+    sip_clients: arrayOf(sipClient.fields),
+    dialplan: { type: 'object', fields: { default: arrayOf(dialplanExtension.fields) } },
+    groups: arrayOf(group.fields),
+    dids: arrayOf(did.fields),
+    schedules: arrayOf(schedule.fields),
+    ivr_menus: arrayOf(ivrMenu.fields),
+    call_center_queues: arrayOf(callCenterQueue.fields),
+    conference_rooms: arrayOf(conferenceRoom.fields),
+    class_of_service: string({ enum: CLASS_OF_SERVICE_PROFILES }),
+    local_area_codes: { type: 'array', items: string({ pattern: /^\d{3}$/, message: 'must be a 3 digit area code' }) },
+    emergency: {
+      type: 'object',
+      fields: {
+        numbers: { type: 'array', items: dialString },
+        webhook_url: string({ pattern: /^https?:\/\/\S+$/, message: 'must be an http(s) URL' }),
+      },
+    },
+    feature_codes: { type: 'object', fields: featureCodeSettings.fields },
+    contacts: arrayOf(contact.fields),
+    caller_name: { type: 'object', fields: callerNameSettings.fields },
+  },
+  getExisting: (tenantDoc) => tenantDoc,
+  // Every embedded list is checked against the tenant itself, so a new tenant can reference its own SIP clients, groups, ...
+  check: async (data, context) => {
+    const self = { ...context, tenant: data };
+    const errors = [];
+    if (!context.partial) {
+      // On updates, SIP clients without a password keep their stored a1-hash
+      errors.push(...await checkItems(sipClient, data.sip_clients, 'sip_clients', self));
+    }
+    errors.push(...await checkItems(dialplanExtension, data.dialplan?.default, 'dialplan.default', self));
+    errors.push(...await checkItems(group, data.groups, 'groups', self));
+    errors.push(...await checkItems(did, data.dids, 'dids', self));
+    errors.push(...await checkItems(schedule, data.schedules, 'schedules', self));
+    errors.push(...await checkItems(ivrMenu, data.ivr_menus, 'ivr_menus', self));
+    errors.push(...await checkItems(callCenterQueue, data.call_center_queues, 'call_center_queues', self));
+    if (data.caller_name) {
+      errors.push(...(await callerNameSettings.check(data.caller_name)).map(error => ({ ...error, field: `caller_name.${error.field}` })));
+    }
+    return errors;
+  },
+};
+
+// --- Global configuration ---
+
+const gateway = {
+  fields: {
+    name: identifier({ required: true }),
+    realm: string({ required: true }),
+    username: string({ required: true }),
+    password: string({ required: true }),
+    from_domain: string({ required: true }),
+    extension: string(),
+    register: boolean,
+    retry_seconds: integer({ min: 1 }),
+    sip_acl: string(),
+    proxy: string(),
+    expire_seconds: integer({ min: 60 }),
+    ping_factor: integer({ min: 0 }),
+    caller_id_in_from: boolean,
+    context: string(),
+    accept_blind_auth: boolean,
+    aggressive_nat_detection: boolean,
+    auth_calls: boolean,
+    manage_presence: boolean,
+    dtmf_type: string({ enum: ['rfc2833', 'info', 'none'] }),
+    codec_prefs: string(),
+    codec_string: string(),
+    ext_sip_ip: string(),
+    ext_rtp_ip: string(),
+    force_register_domain: boolean,
+    register_transport: string({ enum: ['udp', 'tcp', 'tls'] }),
+    rate_deck: string(),
+  },
+  check: async (data) => {
+    if (data.rate_deck && !await RateDeck.exists({ name: data.rate_deck })) {
+      return [{ field: 'rate_deck', message: `rate deck '${data.rate_deck}' does not exist` }];
+    }
+    return [];
+  },
+};
+
+const outboundRoute = {
+  fields: {
+    name: identifier({ required: true }),
+    description: string(),
+    prefix: string({ pattern: /^\d*$/, message: 'may only contain digits' }),
+    gateways: arrayOf({
+      gateway_name: string({ required: true }),
+      priority: integer({ min: 0 }),
+      weight: { type: 'number', min: 0 },
+      cost_per_minute: { type: 'number', min: 0 },
+    }),
+    enabled: boolean,
+  },
+  check: async (data) => {
+    if (!data.gateways?.length) return [];
+    const gatewayNames = new Set((await globalConfigService.getAllExternalGateways()).map(gw => gw.name));
+    return data.gateways.reduce((errors, routeGateway, index) => {
+      if (routeGateway?.gateway_name && !gatewayNames.has(routeGateway.gateway_name)) {
+        errors.push({ field: `gateways[${index}].gateway_name`, message: `gateway '${routeGateway.gateway_name}' does not exist` });
+      }
+      return errors;
+    }, []);
+  },
+};
+
+const rateDeck = {
+  fields: {
+    name: identifier({ required: true }),
+    description: string(),
+    initial_increment: integer({ min: 1 }),
+    subsequent_increment: integer({ min: 1 }),
+  },
+  check: async () => [],
+};
+
+module.exports = {
+  tenant,
+  sipClient,
+  dialplanExtension,
+  group,
+  did,
+  schedule,
+  ivrMenu,
+  callCenterQueue,
+  conferenceRoom,
+  featureCodeSettings,
+  contact,
+  callerNameSettings,
+  callerFilter,
+  callerFilterImport,
+  billingSettings,
+  gateway,
+  outboundRoute,
+  rateDeck,
+};
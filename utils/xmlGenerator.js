@@ -1,12 +1,14 @@
 // utils/xmlGenerator.js
 // This file focuses solely on generating valid FreeSWITCH XML.
+const dialplanConditions = require('./dialplanConditions');
 
 const xmlGenerator = {
     /**
-     * Generates the FreeSWITCH dialplan XML based on a structured extension object.
+     * Generates the FreeSWITCH dialplan XML based on one or more structured extension objects.
      * @param {string} contextName - The name of the FreeSWITCH context.
-     * @param {Object} extensionObject - A structured object defining the extension's name, condition, and actions.
+     * @param {Object|Array<Object>} extensionObject - A structured object (or list of them, hunted in order) defining the extension's name, condition, and actions.
      * Expected format: { name: string, condition_field: string, expression: string, actions: Array<{application: string, data: string}> }
+     * or, for multi-condition extensions: { name: string, continue?: boolean, conditions: Array<{field, expression, break, wday, hour, ..., actions, anti_actions}> }
      * @param {Object} rawBody - The original FreeSWITCH request body. Used only for fallback error XML if input is invalid.
      * @returns {string} The generated XML string.
      */
@@ -14,28 +16,32 @@ const xmlGenerator = {
         let xml = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
 <document type="freeswitch/xml"><section name="dialplan"><context name="${xmlGenerator._escapeAttribute(contextName)}">`; // FIX IS HERE! Was _escapeXml
 
-        // Defensive check: ensure extensionObject is valid before proceeding
-        if (!extensionObject || !extensionObject.name || !extensionObject.condition_field || !extensionObject.expression || !Array.isArray(extensionObject.actions)) {
+        let extensionObjects = Array.isArray(extensionObject) ? extensionObject : [extensionObject];
+
+        // Defensive check: ensure every extensionObject is valid before proceeding
+        if (extensionObjects.length === 0 || !extensionObjects.every(xmlGenerator._isValidExtension)) {
             console.error("Invalid extension object provided to xmlGenerator, falling back to error XML:", extensionObject);
-            const safeDestination = rawBody["Caller-Destination-Number"] ? xmlGenerator._escapeAttribute(rawBody["Caller-Destination-Number"]) : 'unknown';
-            extensionObject = {
+            extensionObjects = [{
                 name: "xml_generation_error_fallback",
                 condition_field: "destination_number",
-                expression: `^${safeDestination}$`,
+                expression: `^${rawBody["Caller-Destination-Number"] || 'unknown'}$`,
                 actions: [{ application: "answer" }, { application: "hangup", data: "NORMAL_CLEARING" }]
-            };
+            }];
         }
 
-        xml += `<extension name="${xmlGenerator._escapeAttribute(extensionObject.name)}">`;
-        xml += `<condition field="${xmlGenerator._escapeAttribute(extensionObject.condition_field)}" expression="${extensionObject.expression}">`;
+        extensionObjects.forEach(extension => {
+            const continueAttribute = extension.continue ? ' continue="true"' : '';
+            xml += `<extension name="${xmlGenerator._escapeAttribute(extension.name)}"${continueAttribute}>`;
 
-        extensionObject.actions.forEach(action => {
-            const safeApplication = xmlGenerator._escapeAttribute(action.application || '');
-            const actionData = action.data || '';
-            xml += `<action application="${safeApplication}" data="${actionData}"/>`;
-        });
+            const conditions = extension.conditions?.length
+                ? extension.conditions
+                : [{ field: extension.condition_field, expression: extension.expression, actions: extension.actions }];
+            conditions.forEach(condition => {
+                xml += xmlGenerator._renderCondition(condition);
+            });
 
-        xml += `</condition></extension>`;
+            xml += `</extension>`;
+        });
         xml += "</context></section></document>";
         return xml;
     },
@@ -59,6 +65,68 @@ const xmlGenerator = {
 </context></section></document>`;
     },
 
+    /**
+     * Generates the "not found" response FreeSWITCH expects when a configuration or section lookup has no answer.
+     * @returns {string} The not-found XML string.
+     */
+    generateNotFoundXml: () => {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<document type="freeswitch/xml">
+  <section name="result">
+    <result status="not found" />
+  </section>
+</document>`;
+    },
+
+    /**
+     * Escapes a plain-text value for use inside an XML attribute (names, sound paths, parameters).
+     * @param {string} text - The string to escape.
+     * @returns {string} The XML-escaped string.
+     */
+    escapeAttribute: (text) => xmlGenerator._escapeAttribute(text),
+
+    /**
+     * Internal helper to check that an extension object can be rendered.
+     * @param {Object} extension - A structured extension object.
+     * @returns {boolean} True if the extension has a name and either a single condition or a list of conditions.
+     * @private
+     */
+    _isValidExtension: (extension) => {
+        if (!extension || !extension.name) return false;
+        if (extension.conditions?.length) return extension.conditions.every(condition => Array.isArray(condition.actions || []));
+        return Boolean(extension.condition_field && extension.expression && Array.isArray(extension.actions));
+    },
+
+    /**
+     * Internal helper to render one <condition> with its actions and anti-actions.
+     * Every value is XML-escaped here, so callers pass plain text; FreeSWITCH variables and regex captures ($1) are unaffected.
+     * @param {Object} condition - { field, expression, break, time attributes, actions, anti_actions }.
+     * @returns {string} The condition XML.
+     * @private
+     */
+    _renderCondition: (condition) => {
+        let attributes = '';
+        if (condition.field) {
+            attributes += ` field="${xmlGenerator._escapeAttribute(condition.field)}" expression="${xmlGenerator._escapeAttribute(condition.expression || '')}"`;
+        }
+        Object.entries(dialplanConditions.TIME_ATTRIBUTES).forEach(([attribute, xmlAttribute]) => {
+            if (condition[attribute]) attributes += ` ${xmlAttribute}="${xmlGenerator._escapeAttribute(condition[attribute])}"`;
+        });
+        if (condition.break && condition.break !== 'on-false') {
+            attributes += ` break="${xmlGenerator._escapeAttribute(condition.break)}"`;
+        }
+
+        let xml = `<condition${attributes}>`;
+        (condition.actions || []).forEach(action => {
+            xml += `<action application="${xmlGenerator._escapeAttribute(action.application || '')}" data="${xmlGenerator._escapeAttribute(action.data || '')}"/>`;
+        });
+        (condition.anti_actions || []).forEach(action => {
+            xml += `<anti-action application="${xmlGenerator._escapeAttribute(action.application || '')}" data="${xmlGenerator._escapeAttribute(action.data || '')}"/>`;
+        });
+        xml += `</condition>`;
+        return xml;
+    },
+
     /**
      * Internal helper to escape special characters for XML attribute values where plain text is expected.
      * This ensures the XML itself is well-formed, but avoids breaking FreeSWITCH's interpretation of special syntax.